@@ -29,6 +29,37 @@ module.exports = {
     path: './data/hypermill-config.db'
   },
 
+  // Authentication
+  auth: {
+    // AUTH_ENABLED=false turns every request into a CAM admin request (local development only)
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    sessionHours: 12,
+    // Lifetime limit of API tokens owned by programmers and CAM admins (service tokens may not expire)
+    userApiTokenDays: 90,
+    // First CAM admin, created when the user store is empty
+    bootstrapAdmin: {
+      username: process.env.HYPERMILL_ADMIN_USER || '',
+      password: process.env.HYPERMILL_ADMIN_PASSWORD || ''
+    }
+  },
+
+  // OpenAPI document (src/openapi/document.js, served at /api/docs)
+  openapi: {
+    validateRequests: true,
+    validateResponses: true,
+    // OPENAPI_STRICT_RESPONSES=true answers 500 for responses that do not match the document (development / CI)
+    strictResponses: process.env.OPENAPI_STRICT_RESPONSES === 'true'
+  },
+
+  // Live events (SSE at /api/events, WebSocket at /api/events/ws)
+  events: {
+    // Events kept in memory for replay after a reconnect (Last-Event-ID / lastEventId)
+    historySize: 500,
+    heartbeatSeconds: 30,
+    // Minimum gap between scan-progress events of one job (phase changes are always sent)
+    scanProgressIntervalMs: 1000
+  },
+
   // File Upload Limits
   upload: {
     maxFileSize: 50 * 1024 * 1024, // 50MB
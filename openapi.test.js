@@ -0,0 +1,205 @@
+const http = require('http');
+const express = require('express');
+const config = require('./config');
+const SchemaValidator = require('./src/utils/SchemaValidator');
+const { document, errorEnvelope, validateRequest, matchOperation, toErrorEnvelope } = require('./src/middleware/openapi');
+
+/**
+ * OpenAPI document, schema validation and the request/response middleware
+ */
+
+/**
+ * Send a JSON request to a local server
+ * @returns {Promise<Object>} - { status, body }
+ */
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+    }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Every $ref below a node
+ */
+function collectRefs(node, refs = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectRefs(child, refs));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') refs.push(node.$ref);
+    Object.values(node).forEach(child => collectRefs(child, refs));
+  }
+  return refs;
+}
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator({
+    components: {
+      schemas: {
+        Drive: {
+          type: 'object',
+          required: ['letter'],
+          additionalProperties: false,
+          properties: {
+            letter: { type: 'string', pattern: '^[A-Z]$' },
+            type: { type: 'string', enum: ['local', 'server'] },
+            label: { type: 'string', nullable: true, maxLength: 5 },
+            checkedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Loop: { $ref: '#/components/schemas/Loop' }
+      }
+    }
+  });
+  const driveList = { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/Drive' } };
+
+  test('validates schema keywords', () => {
+    expect(validator.validate(driveList, [{ letter: 'Y', type: 'server', label: null }])).toEqual([]);
+    expect(validator.validate(driveList, [
+      { letter: 'y', type: 'nas', label: 'too long', checkedAt: 'never', extra: 1 },
+      {}
+    ]).map(e => `${e.path} ${e.message}`)).toEqual([
+      '(root)[0].letter must match ^[A-Z]$',
+      '(root)[0].type must be one of: local, server',
+      '(root)[0].label must be at most 5 characters',
+      '(root)[0].checkedAt must be a date-time',
+      '(root)[0].extra is not allowed',
+      '(root)[1].letter is required'
+    ]);
+    expect(validator.validate(driveList, [])[0].message).toBe('must have at least 1 items');
+    expect(validator.validate({ type: 'integer', minimum: 1 }, 1.5)[0].message).toBe('must be integer, got number');
+    expect(validator.validate({ type: 'number', maximum: 10 }, 11)[0].message).toBe('must be <= 10');
+    expect(validator.validate({ type: 'string' }, null)[0].message).toBe('must be string, got null');
+  });
+
+  test('checks oneOf and anyOf', () => {
+    const either = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    expect(validator.validate(either, 3)[0].message).toMatch(/exactly one/);
+    expect(validator.validate(either, 3.5)).toEqual([]);
+    expect(validator.validate({ anyOf: [{ type: 'number' }, { type: 'integer' }] }, 3)).toEqual([]);
+  });
+
+  test('rejects unknown and circular $refs', () => {
+    expect(() => validator.validate({ $ref: '#/components/schemas/Missing' }, 1)).toThrow(/Unknown \$ref/);
+    expect(() => validator.validate({ $ref: '#/components/schemas/Loop' }, 1)).toThrow(/Circular \$ref/);
+  });
+
+  test('coerces parameters to the schema type', () => {
+    expect(validator.coerce({ type: 'integer' }, '5')).toBe(5);
+    expect(validator.coerce({ type: 'integer' }, ' ')).toBe(' ');
+    expect(validator.coerce({ type: 'boolean' }, 'false')).toBe(false);
+    expect(validator.coerce({ type: 'boolean' }, 'yes')).toBe('yes');
+    expect(validator.coerce({ type: 'array', items: { type: 'integer' } }, '1,2,x')).toEqual([1, 2, 'x']);
+  });
+});
+
+describe('OpenAPI document', () => {
+  test('every $ref resolves and operation ids are unique', () => {
+    const documentValidator = new SchemaValidator(document);
+    collectRefs(document).forEach(ref => expect(documentValidator.resolve({ $ref: ref })).toBeTruthy());
+
+    const operationIds = Object.values(document.paths).flatMap(item => Object.values(item).map(op => op.operationId));
+    expect(new Set(operationIds).size).toBe(operationIds.length);
+  });
+
+  test('matches requests to operations', () => {
+    expect(matchOperation('GET', '/api/scan/compare').operation.operationId).toBe('compareScans');
+    const scan = matchOperation('HEAD', '/api/scan/scan%201/');
+    expect(scan.operation.operationId).toBe('getScan');
+    expect(scan.pathParams).toEqual({ jobId: 'scan 1' });
+    expect(matchOperation('PATCH', '/api/scan')).toBeNull();
+    expect(matchOperation('GET', '/api/unknown')).toBeNull();
+  });
+
+  test('rewrites error bodies into the common envelope', () => {
+    expect(toErrorEnvelope(404, { error: 'Scan not found', jobId: 'x' }))
+      .toEqual({ success: false, error: 'Scan not found', code: 'NOT_FOUND', details: { jobId: 'x' } });
+    expect(toErrorEnvelope(503, 'down')).toEqual({ success: false, error: 'down', code: 'INTERNAL_ERROR' });
+    expect(toErrorEnvelope(418, { message: 'teapot' })).toEqual({ success: false, error: 'teapot', code: 'ERROR' });
+    expect(toErrorEnvelope(400, { error: { field: 'letter' } })).toEqual({
+      success: false,
+      error: 'Request failed with status 400',
+      code: 'BAD_REQUEST',
+      details: { error: { field: 'letter' } }
+    });
+  });
+});
+
+describe('OpenAPI middleware', () => {
+  const strictResponses = config.openapi.strictResponses;
+  const seen = [];
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(errorEnvelope);
+    app.use(express.json());
+    app.use('/api', validateRequest);
+    app.get('/api/events/recent', (req, res) => {
+      seen.push(req.query.limit);
+      res.json({ success: true, count: 0, events: [] });
+    });
+    app.post('/api/scan', (req, res) => res.status(202).json({ success: true, jobId: 'scan-1' }));
+    app.get('/api/scan', (req, res) => res.json({ success: true, count: 'many', scans: [] }));
+    app.get('/api/scan/:jobId', (req, res) => res.status(404).json({ error: 'Scan job not found', jobId: req.params.jobId }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(done => {
+    config.openapi.strictResponses = strictResponses;
+    server.close(done);
+  });
+
+  test('invalid query parameters never reach the handler', async () => {
+    expect((await request(port, 'GET', '/api/events/recent?limit=5')).status).toBe(200);
+
+    const tooMany = await request(port, 'GET', '/api/events/recent?limit=5000');
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.code).toBe('VALIDATION_ERROR');
+    expect(tooMany.body.details.errors).toEqual([{ in: 'query', path: 'query.limit', message: 'must be <= 1000' }]);
+    expect((await request(port, 'GET', '/api/events/recent?limit=abc')).status).toBe(400);
+    expect(seen).toEqual(['5']);
+  });
+
+  test('bodies are validated', async () => {
+    expect((await request(port, 'POST', '/api/scan', { type: 'pc' })).status).toBe(202);
+
+    const badScan = await request(port, 'POST', '/api/scan', { type: 'server', username: 7 });
+    expect(badScan.status).toBe(400);
+    expect(badScan.body.details.errors.map(e => e.path)).toEqual(['body.type', 'body.username']);
+    expect((await request(port, 'POST', '/api/scan', {})).body.details.errors)
+      .toEqual([{ in: 'body', path: 'body.type', message: 'is required' }]);
+  });
+
+  test('handler errors use the envelope', async () => {
+    expect((await request(port, 'GET', '/api/scan/scan-9')).body)
+      .toEqual({ success: false, error: 'Scan job not found', code: 'NOT_FOUND', details: { jobId: 'scan-9' } });
+  });
+
+  test('responses that drift from the document fail only in strict mode', async () => {
+    config.openapi.strictResponses = false;
+    expect((await request(port, 'GET', '/api/scan')).body.count).toBe('many');
+
+    config.openapi.strictResponses = true;
+    const strict = await request(port, 'GET', '/api/scan');
+    expect(strict.status).toBe(500);
+    expect(strict.body.details.operationId).toBe('listScans');
+    expect(strict.body.details.errors.map(e => e.path)).toEqual(['response.count']);
+  });
+});
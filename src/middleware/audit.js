@@ -0,0 +1,66 @@
+const AuditLogService = require('../services/AuditLogService');
+
+const auditLog = new AuditLogService();
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Record a configuration change made by a request
+ * Actor and role come from req.user, the client IP from req.ip
+ * @param {Object} req - Express request
+ * @param {Object} entry - { action, targetType, target, before, after, outcome }
+ * @returns {Promise<Object>} - AuditLogService.record result (never rejects)
+ */
+function audit(req, entry) {
+  const user = req.user || {};
+  req.audited = true;
+
+  return auditLog.record({
+    actor: user.username,
+    actorRole: user.role,
+    clientIp: req.ip,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ...entry
+  });
+}
+
+/**
+ * Record failed mutations the handler did not audit itself
+ * POST / PUT / PATCH / DELETE answered with 4xx or 5xx become action 'request.failed', outcome 'failure'.
+ * Requests without an authenticated user are left out: they have no actor,
+ * and anonymous clients must not be able to fill the append-only table.
+ */
+function auditFailures(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && body.error) {
+      res.locals.auditError = body.error;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode < 400 || req.audited || !req.user) return;
+
+    audit(req, {
+      action: 'request.failed',
+      outcome: 'failure',
+      targetType: 'route',
+      target: req.originalUrl.split('?')[0],
+      after: { status: res.statusCode, error: res.locals.auditError || null }
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditLog,
+  audit,
+  auditFailures
+};
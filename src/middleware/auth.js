@@ -0,0 +1,174 @@
+const os = require('os');
+const config = require('../../config');
+const AuthService = require('../services/AuthService');
+const { audit } = require('./audit');
+
+const { ROLES } = AuthService;
+
+const authService = new AuthService();
+authService.ensureBootstrapAdmin(config.auth.bootstrapAdmin.username, config.auth.bootstrapAdmin.password);
+
+/**
+ * Token from "Authorization: Bearer <token>" or "X-API-Key: <token>"
+ * (EventSource and browser WebSockets cannot set headers, so ?access_token= is accepted as well)
+ * Works on Express requests and on plain http requests (WebSocket upgrades)
+ */
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (match) return match[1].trim();
+
+  const accessToken = req.query
+    ? req.query.access_token
+    : new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  return req.headers['x-api-key'] || accessToken || null;
+}
+
+/**
+ * User of a request
+ * With auth.enabled = false every request acts as a CAM admin named after the OS user
+ * @returns {Object} - { user } or { error }
+ */
+function resolveUser(req) {
+  if (!config.auth.enabled) {
+    return { user: { username: os.userInfo().username, role: ROLES.CAM_ADMIN, authDisabled: true } };
+  }
+
+  const token = readToken(req);
+  const user = token ? authService.authenticate(token) : null;
+
+  return user ? { user } : { error: token ? 'Invalid or expired token' : 'Authentication required' };
+}
+
+/**
+ * Require a valid session or API token; sets req.user = { username, role, ... }
+ */
+function authenticate(req, res, next) {
+  const { user, error } = resolveUser(req);
+
+  if (!user) {
+    return res.status(401).json({ error });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * User a request targets, from :username, body.username and ?username
+ * All given values must name the same user (case-insensitive); without any, the caller
+ * (see currentUsername). Handlers read the result from req.targetUsername, so the
+ * access check and the handler can never act on different users.
+ * @returns {Object} - { username, explicit } or { error }
+ */
+function resolveTargetUsername(req) {
+  const given = [
+    req.params && req.params.username,
+    req.body && typeof req.body === 'object' ? req.body.username : undefined,
+    req.query && req.query.username
+  ]
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(String);
+
+  if (new Set(given.map(value => value.toLowerCase())).size > 1) {
+    return { error: `Conflicting usernames in request: ${[...new Set(given)].join(', ')}` };
+  }
+
+  return given.length > 0
+    ? { username: given[0], explicit: true }
+    : { username: currentUsername(req), explicit: false };
+}
+
+/**
+ * Resolve the target user into req.targetUsername; answers 400 when the sources disagree
+ * @returns {Object|null} - resolveTargetUsername result, or null when the response was sent
+ */
+function setTargetUsername(req, res) {
+  const target = resolveTargetUsername(req);
+
+  if (target.error) {
+    res.status(400).json({ error: target.error });
+    return null;
+  }
+
+  req.targetUsername = target.username;
+  return target;
+}
+
+/**
+ * Allow only the given roles (CAM admins always pass)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && (req.user.role === ROLES.CAM_ADMIN || roles.includes(req.user.role))) {
+      return setTargetUsername(req, res) && next();
+    }
+
+    audit(req, {
+      action: 'access.denied',
+      outcome: 'denied',
+      targetType: 'route',
+      target: req.originalUrl.split('?')[0]
+    });
+    res.status(403).json({
+      error: `Requires role: ${[ROLES.CAM_ADMIN, ...roles].join(' or ')}`
+    });
+  };
+}
+
+/**
+ * Can the caller act on this user's data?
+ * CAM admins and the given roles can act for anyone, everyone else only for themselves
+ */
+function canActFor(user, username, roles = []) {
+  if (!user) return false;
+  if (user.role === ROLES.CAM_ADMIN || roles.includes(user.role)) return true;
+  return Boolean(username) && user.username.toLowerCase() === String(username).toLowerCase();
+}
+
+/**
+ * Restrict a route to the caller's own profile (or the given roles)
+ * The target user is resolved by resolveTargetUsername and left in req.targetUsername;
+ * requests without one act for the caller
+ */
+function requireSelfOrRole(...roles) {
+  return (req, res, next) => {
+    const resolved = setTargetUsername(req, res);
+    if (!resolved) return;
+
+    const target = resolved.username;
+    if (!resolved.explicit || canActFor(req.user, target, roles)) {
+      return next();
+    }
+
+    audit(req, { action: 'access.denied', outcome: 'denied', targetType: 'profile', target });
+    res.status(403).json({
+      error: `Not allowed to access profile of ${target}`
+    });
+  };
+}
+
+/**
+ * Username a request acts for when none is given: the authenticated user,
+ * or the OS user when authentication is disabled
+ */
+function currentUsername(req) {
+  if (req.user && !req.user.authDisabled) {
+    return req.user.username;
+  }
+  return os.userInfo().username;
+}
+
+module.exports = {
+  ROLES,
+  authService,
+  authenticate,
+  resolveUser,
+  requireRole,
+  requireSelfOrRole,
+  resolveTargetUsername,
+  canActFor,
+  currentUsername
+};
@@ -0,0 +1,98 @@
+const config = require('../../config');
+const EventBus = require('../services/EventBus');
+const { ROLES, canActFor } = require('./auth');
+
+const eventBus = new EventBus();
+
+/**
+ * May a user see an event?
+ * Events without a username go to everyone, user events to that user, CAM admins and services;
+ * event.roles narrows an event to those roles (CAM admins always pass)
+ */
+function canSeeEvent(user, event) {
+  if (event.roles && !canActFor(user, null, event.roles)) return false;
+  return !event.username || canActFor(user, event.username, [ROLES.SERVICE]);
+}
+
+/**
+ * Event filter for a subscriber
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { topics: 'scan,watcher' or [...], username }
+ *   username narrows the stream to one user's events (CAM admins and services only -
+ *   everyone else always gets their own events)
+ * @returns {Object} - { topics, username, accept(event) }
+ */
+function eventFilter(user, options = {}) {
+  const topics = (Array.isArray(options.topics) ? options.topics : String(options.topics || '').split(','))
+    .map(topic => String(topic).trim())
+    .filter(Boolean);
+  const username = canActFor(user, null, [ROLES.SERVICE]) ? options.username || null : user.username;
+  const filter = { topics, username };
+
+  return {
+    ...filter,
+    accept: event => canSeeEvent(user, event) && eventBus.matches(event, filter)
+  };
+}
+
+/**
+ * Id a reconnecting client last received, or null
+ */
+function parseLastEventId(value) {
+  const id = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(id) ? id : null;
+}
+
+/**
+ * Serve an event stream as Server-Sent Events
+ * Query: ?topics=scan,watcher&username=szborok&lastEventId=... (Last-Event-ID header wins,
+ * EventSource sends it on reconnects). Replayed events come first; a replay-truncated event
+ * tells the client that older events are gone and it should reload its state.
+ * @param {Object} defaults - { topics } used when the query names none
+ */
+function streamEvents(req, res, defaults = {}) {
+  const filter = eventFilter(req.user, {
+    topics: req.query.topics || defaults.topics,
+    username: req.query.username
+  });
+  const lastEventId = parseLastEventId(req.get('last-event-id') || req.query.lastEventId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n: connected\n\n');
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  if (lastEventId !== null) {
+    const replay = eventBus.replay(lastEventId, filter.accept);
+
+    if (replay.truncated) {
+      res.write(`event: replay-truncated\ndata: ${JSON.stringify({ lastEventId, oldestId: replay.oldestId })}\n\n`);
+    }
+    replay.events.forEach(send);
+  }
+
+  const unsubscribe = eventBus.subscribe(filter.accept, send);
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatSeconds * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  eventBus,
+  canSeeEvent,
+  eventFilter,
+  parseLastEventId,
+  streamEvents
+};
@@ -0,0 +1,225 @@
+const config = require('../../config');
+const document = require('../openapi/document');
+const SchemaValidator = require('../utils/SchemaValidator');
+const logger = require('../utils/Logger');
+
+const validator = new SchemaValidator(document);
+
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  500: 'INTERNAL_ERROR'
+};
+
+/**
+ * Operations of the document as { method, regex, names, literals, operation }
+ * More literal segments first, so /api/scan/compare wins over /api/scan/{jobId}
+ */
+const operations = Object.entries(document.paths)
+  .flatMap(([template, item]) => {
+    const names = [];
+    const segments = template.split('/');
+    const pattern = segments.map(segment => {
+      const param = segment.match(/^\{(.+)\}$/);
+      if (param) {
+        names.push(param[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    const literals = segments.filter(segment => segment && !segment.startsWith('{')).length;
+
+    return Object.entries(item).map(([method, operation]) => ({
+      method: method.toUpperCase(),
+      template,
+      regex: new RegExp(`^${pattern}/?$`, 'i'),
+      names,
+      literals,
+      operation
+    }));
+  })
+  .sort((a, b) => b.literals - a.literals);
+
+/**
+ * Find the operation for a request
+ * @returns {Object|null} - { operation, template, pathParams }
+ */
+function matchOperation(method, urlPath) {
+  const wanted = method === 'HEAD' ? 'GET' : method;
+
+  for (const candidate of operations) {
+    if (candidate.method !== wanted) continue;
+    const match = urlPath.match(candidate.regex);
+    if (!match) continue;
+
+    const pathParams = {};
+    candidate.names.forEach((name, index) => {
+      try {
+        pathParams[name] = decodeURIComponent(match[index + 1]);
+      } catch (error) {
+        pathParams[name] = match[index + 1];
+      }
+    });
+    return { operation: candidate.operation, template: candidate.template, pathParams };
+  }
+  return null;
+}
+
+/**
+ * Bring an error body into the common envelope { success: false, error, code, details }
+ * Fields other than error / message / code / details are moved into details
+ */
+function toErrorEnvelope(status, body) {
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : { error: body };
+  const { success, error, message, code, details, ...rest } = source;
+
+  const text = typeof error === 'string' && error
+    ? error
+    : (typeof message === 'string' && message) || `Request failed with status ${status}`;
+
+  const extra = { ...(details && typeof details === 'object' ? details : {}), ...rest };
+  if (error !== undefined && typeof error !== 'string') extra.error = error;
+  if (message && text !== message) extra.message = message;
+
+  return {
+    success: false,
+    error: text,
+    code: code || ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'ERROR'),
+    ...(Object.keys(extra).length > 0 ? { details: extra } : {})
+  };
+}
+
+/**
+ * JSON schema of an operation response, or null when it is not JSON
+ */
+function responseSchema(operation, status) {
+  const response = operation.responses[status] || operation.responses.default;
+  if (!response) return null;
+
+  const resolved = validator.resolve(response);
+  const json = resolved.content && resolved.content['application/json'];
+  return json ? json.schema : null;
+}
+
+/**
+ * Wrap res.json:
+ * - status >= 400: body is rewritten into the error envelope
+ * - 2xx on a documented operation: body is checked against the response schema; mismatches are
+ *   logged, and answered with 500 when config.openapi.strictResponses is set
+ */
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    if (res.statusCode >= 400) {
+      return json(toErrorEnvelope(res.statusCode, body));
+    }
+
+    const match = req.openapi;
+    if (match && config.openapi.validateResponses && res.statusCode < 300) {
+      const schema = responseSchema(match.operation, res.statusCode);
+      const errors = schema ? validator.validate(schema, body, 'response') : [];
+
+      if (errors.length > 0) {
+        logger.warn(`Response of ${match.operation.operationId} does not match the OpenAPI document`, {
+          status: res.statusCode,
+          errors
+        });
+
+        if (config.openapi.strictResponses) {
+          res.status(500);
+          return json({
+            success: false,
+            error: 'Response does not match the API specification',
+            code: 'INTERNAL_ERROR',
+            details: { operationId: match.operation.operationId, errors }
+          });
+        }
+      }
+    }
+
+    return json(body);
+  };
+
+  next();
+}
+
+/**
+ * Validate path parameters, query parameters and JSON bodies against the matched operation
+ * Answers 400 VALIDATION_ERROR with details.errors = [{ in, path, message }]
+ * Values are only coerced for the check - handlers still see the raw req.query strings
+ */
+function validateRequest(req, res, next) {
+  const match = matchOperation(req.method, req.originalUrl.split('?')[0]);
+  if (!match) {
+    return next();
+  }
+
+  req.openapi = match;
+  if (!config.openapi.validateRequests) {
+    return next();
+  }
+
+  const errors = [];
+  const add = location => error => errors.push({ in: location, ...error });
+
+  (match.operation.parameters || []).forEach(parameter => {
+    const source = parameter.in === 'path' ? match.pathParams : req.query;
+    const raw = source[parameter.name];
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, path: `${parameter.in}.${parameter.name}`, message: 'is required' });
+      }
+      return;
+    }
+
+    const value = validator.coerce(parameter.schema, raw);
+    validator.validate(parameter.schema, value, `${parameter.in}.${parameter.name}`).forEach(add(parameter.in));
+  });
+
+  const requestBody = match.operation.requestBody;
+  const jsonBody = requestBody && requestBody.content['application/json'];
+
+  if (jsonBody && !req.is('multipart/form-data')) {
+    const body = req.body;
+    const empty = body === undefined || (body && typeof body === 'object' && Object.keys(body).length === 0);
+
+    // An optional body may be left out entirely; a sent or required one must match the schema
+    if (!empty || requestBody.required) {
+      validator.validate(jsonBody.schema, body || {}, 'body').forEach(add('body'));
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid request: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+      code: 'VALIDATION_ERROR',
+      details: { operationId: match.operation.operationId, errors }
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/docs - the OpenAPI document
+ */
+function serveDocs(req, res) {
+  res.json(document);
+}
+
+module.exports = {
+  document,
+  errorEnvelope,
+  validateRequest,
+  serveDocs,
+  matchOperation,
+  toErrorEnvelope
+};
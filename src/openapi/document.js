@@ -0,0 +1,1221 @@
+/**
+ * OpenAPI 3.0 description of the REST API (served at GET /api/docs)
+ *
+ * The same document drives request / response validation (src/middleware/openapi.js),
+ * so a route that changes its inputs or output shape must be updated here as well.
+ * Response schemas list the fields clients rely on; extra fields are allowed.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const str = (description, extra = {}) => ({ type: 'string', ...(description ? { description } : {}), ...extra });
+const int = (description, extra = {}) => ({ type: 'integer', ...(description ? { description } : {}), ...extra });
+const num = description => ({ type: 'number', ...(description ? { description } : {}) });
+const bool = description => ({ type: 'boolean', ...(description ? { description } : {}) });
+const arr = (items, description) => ({ type: 'array', items, ...(description ? { description } : {}) });
+const obj = (properties = {}, required = [], description) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  ...(description ? { description } : {})
+});
+const nullable = schema => ({ ...schema, nullable: true });
+const date = description => str(description, { format: 'date-time' });
+
+/** Response with success: true and the given fields */
+const ok = (properties = {}, required = []) => obj({ success: bool(), ...properties }, required);
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: str() });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+// Usernames name profile folders: no path separators, not "." or ".."
+const usernameSchema = description => str(description, { pattern: '^(?!\\.+$)[A-Za-z0-9._-]+$' });
+const usernameParam = description => ({ ...pathParam('username', description), schema: usernameSchema() });
+const usernameQuery = query('username', usernameSchema(), 'Act for this user (default: the authenticated user)');
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  500: 'ServerError'
+};
+
+/**
+ * Build an operation
+ * @param {Object} spec - { id, tag, summary, description, params, body, bodyRequired, multipart,
+ *                          response, status, responses, errors, public, text }
+ */
+function op(spec) {
+  const operation = {
+    operationId: spec.id,
+    tags: [spec.tag],
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    parameters: spec.params || [],
+    responses: {}
+  };
+
+  if (spec.body) {
+    operation.requestBody = {
+      required: spec.bodyRequired !== false,
+      content: { 'application/json': { schema: spec.body } }
+    };
+  }
+  if (spec.multipart) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: spec.multipart } }
+    };
+  }
+
+  const content = { 'application/json': { schema: spec.response || ok() } };
+  if (spec.text) {
+    content['text/plain'] = { schema: str() };
+  }
+  operation.responses[spec.status || 200] = { description: spec.responseDescription || 'OK', content };
+  Object.assign(operation.responses, spec.responses || {});
+
+  const errors = new Set([...(spec.errors || []), 500]);
+  if (spec.params && spec.params.length > 0 || spec.body || spec.multipart) errors.add(400);
+  if (!spec.public) {
+    errors.add(401);
+    errors.add(403);
+  }
+  [...errors].sort().forEach(status => {
+    operation.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+  });
+
+  if (spec.public) {
+    operation.security = [];
+  }
+  return operation;
+}
+
+const schemas = {
+  ErrorEnvelope: obj({
+    success: { type: 'boolean', enum: [false] },
+    error: str('Human-readable message'),
+    code: str('Machine-readable error code', {
+      enum: ['BAD_REQUEST', 'VALIDATION_ERROR', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT',
+        'PAYLOAD_TOO_LARGE', 'UNPROCESSABLE', 'INTERNAL_ERROR', 'ERROR']
+    }),
+    details: { type: 'object', description: 'Validation errors or extra context from the failing operation' }
+  }, ['success', 'error', 'code']),
+
+  ValidationError: obj({ path: str(), message: str(), in: str(null, { enum: ['path', 'query', 'body', 'response'] }) }),
+
+  ProfileSummary: obj({
+    found: bool(),
+    username: str(),
+    profileDirectory: str(),
+    hasSettings: bool(),
+    settingsFile: nullable(str()),
+    hasParsedConfig: bool(),
+    hasAutomationPaths: bool(),
+    currentVersionId: nullable(str()),
+    createdAt: nullable(str()),
+    lastModified: nullable(str())
+  }, ['found']),
+
+  ProfileState: nullable(obj({
+    currentVersionId: nullable(str()),
+    hasSettings: bool(),
+    hasParsedConfig: bool(),
+    hasAutomationPaths: bool()
+  })),
+
+  SettingsFileInfo: obj({ found: bool(), path: str(), size: int(), modifiedAt: date() }),
+
+  ParsedConfig: obj({
+    version: nullable(obj({ major: {}, minor: {} })),
+    userSettings: { type: 'object' },
+    paths: { type: 'object' },
+    databases: { type: 'object' },
+    toolbars: arr({ type: 'object' }),
+    reportTemplates: arr({ type: 'object' }),
+    other: { type: 'object' }
+  }, [], 'Configuration extracted from an .omSettings file'),
+
+  ScanPath: obj({
+    key: str(),
+    type: str(),
+    path: str(),
+    pathTemplate: str(),
+    unresolvedTokens: arr(str())
+  }, ['key', 'path']),
+
+  ScannerConfig: obj({
+    username: str(),
+    hyperMillVersion: nullable(str()),
+    generatedAt: str(),
+    pathsToScan: arr(ref('ScanPath')),
+    tokenMap: { type: 'object', additionalProperties: str() },
+    unresolvedTokens: arr(str())
+  }, ['pathsToScan']),
+
+  HyperMillVersion: nullable(obj({ name: nullable(str()), major: str(), minor: nullable(str()), label: str() }, ['label'])),
+
+  SettingsVersion: obj({
+    id: str(),
+    filename: str(),
+    source: nullable(str()),
+    savedAt: str(),
+    hyperMillVersion: ref('HyperMillVersion')
+  }, ['id']),
+
+  ScanJob: obj({
+    id: str(),
+    type: str(null, { enum: ['pc', 'user'] }),
+    username: nullable(str()),
+    status: str(),
+    startedAt: str(),
+    finishedAt: nullable(str())
+  }, ['id', 'type', 'status']),
+
+  Watcher: obj({
+    id: str(),
+    username: str(),
+    watchedPaths: arr(str()),
+    skippedPaths: arr({}),
+    autoImport: bool()
+  }, ['id', 'username']),
+
+  Drive: obj({
+    letter: str(),
+    type: str(null, { enum: ['local', 'server', 'removable'] }),
+    uncRoot: nullable(str()),
+    label: nullable(str()),
+    configured: bool()
+  }, ['letter', 'type']),
+
+  NetworkDecision: obj({
+    id: str(),
+    username: str(),
+    prefix: str(),
+    decision: str(null, { enum: ['approved', 'denied'] }),
+    recursive: bool(),
+    decidedBy: str(),
+    decidedAt: date(),
+    expiresAt: nullable(date()),
+    expired: bool()
+  }, ['id', 'username', 'prefix', 'decision']),
+
+  SearchRoot: obj({
+    id: str(),
+    path: str(),
+    maxDepth: int(),
+    enabled: bool(),
+    label: nullable(str())
+  }, ['id', 'path']),
+
+  LocatorConfig: obj({
+    maxDepth: int(),
+    fileGlobs: arr(str()),
+    skipPatterns: arr(str()),
+    variables: { type: 'object', additionalProperties: str() },
+    roots: arr(ref('SearchRoot'))
+  }),
+
+  UpdateNotification: obj({
+    id: str(),
+    serverPath: str(),
+    localPath: str(),
+    status: str()
+  }, ['id']),
+
+  FileMapping: obj({
+    serverPath: str(),
+    fileType: str(),
+    status: str(),
+    autoApprove: bool(),
+    lastServerHash: nullable(str()),
+    lastLocalHash: nullable(str())
+  }),
+
+  ManifestAlert: obj({
+    id: str(),
+    type: str(null, { enum: ['path-vanished', 'path-unreachable'] }),
+    status: str(null, { enum: ['open', 'acknowledged'] }),
+    username: str(),
+    path: str()
+  }, ['id', 'type', 'status']),
+
+  ManifestDiff: obj({
+    appeared: arr({ type: 'object' }),
+    vanished: arr({ type: 'object' }),
+    driveChanged: arr({ type: 'object' }),
+    newlyUnreachable: arr({ type: 'object' }),
+    summary: { type: 'object' }
+  }),
+
+  SyncStatus: obj({ running: bool(), intervalHours: nullable(num()), nextRunAt: nullable(str()) }),
+
+  User: obj({
+    username: str(),
+    role: str(null, { enum: ['programmer', 'cam-admin', 'service'] }),
+    displayName: str(),
+    disabled: bool(),
+    hasPassword: bool(),
+    createdAt: date(),
+    updatedAt: date()
+  }, ['username', 'role']),
+
+  ApiToken: obj({
+    id: str(),
+    username: str(),
+    type: str(null, { enum: ['session', 'api'] }),
+    name: str(),
+    createdAt: date(),
+    expiresAt: nullable(date()),
+    lastUsedAt: nullable(date())
+  }, ['id', 'username', 'type']),
+
+  AuditEntry: obj({
+    id: int(),
+    timestamp: date(),
+    actor: str(),
+    actorRole: nullable(str()),
+    clientIp: nullable(str()),
+    action: str(),
+    targetType: nullable(str()),
+    target: nullable(str()),
+    outcome: str(),
+    before: {},
+    after: {},
+    method: nullable(str()),
+    path: nullable(str())
+  }, ['id', 'timestamp', 'actor', 'action', 'outcome']),
+
+  Event: obj({
+    id: int('Increasing event id (Last-Event-ID)'),
+    topic: str(null, { enum: ['watcher', 'scan', 'file-sync', 'sync'] }),
+    type: str('watcher: settings-detected, settings-imported, import-failed, watcher-started, watcher-stopped, ' +
+      'watcher-error; scan: scan-started, scan-progress, scan-finished; file-sync: update-available, ' +
+      'update-approved, update-rejected, update-auto-synced; sync: sync-started, sync-completed'),
+    username: nullable(str('User the event belongs to; null for events every user receives')),
+    roles: arr(str(), 'Roles the event is restricted to (CAM admins always receive it)'),
+    timestamp: date()
+  }, ['id', 'topic', 'type', 'timestamp'],
+  'Further fields depend on the type (watcherId / path, jobId / progress / job, notificationId / serverPath, runId / checked, ...)')
+};
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+});
+
+const importResponse = ok({
+  message: str(),
+  importedFrom: str(),
+  importedSource: str('Where auto-import found the file (user-manual-export, user-download, ...)'),
+  importedAt: date(),
+  fileSize: str(),
+  versionId: str('Settings version created by the import'),
+  pathsToScan: int('Paths in the regenerated scanner config'),
+  profile: ref('ProfileSummary')
+}, ['success', 'versionId']);
+
+const importFileBody = obj({ filePath: str('Absolute path of an .omSettings file on the service host', { pattern: '\\.omSettings$' }) }, ['filePath']);
+const networkDecisionBody = obj({
+  networkPath: str('UNC path, server drive path or share prefix', { minLength: 1 }),
+  username: str('User the decision applies to (default: the authenticated user)'),
+  recursive: bool('Cover everything below the prefix (default: true)'),
+  expiresInHours: num('Decision lifetime in hours'),
+  expiresAt: date('Absolute expiry')
+}, ['networkPath']);
+const actedByBody = extra => obj({ ...extra, actedBy: str('Only used when authentication is disabled') });
+const localPathQuery = required => query('localPath', str(), 'Local cache path of the mapped file', required);
+const eventStreamParams = [
+  query('topics', str(), 'Comma-separated topics or topic.type (scan,file-sync.update-available)'),
+  query('username', str(), 'Only this user\'s events (CAM admins and services; everyone else always gets their own)'),
+  query('lastEventId', int(), 'Replay buffered events after this id (the Last-Event-ID header takes precedence)'),
+  query('access_token', str(), 'Session or API token (EventSource cannot send headers)')
+];
+const eventStream = (id, tag, summary, description) => ({
+  operationId: id,
+  tags: [tag],
+  summary,
+  description: `${description}\n\nEach message is \`id: <id>\`, \`event: <type>\`, \`data: <Event JSON>\`. ` +
+    'When the requested id is older than the buffer, a `replay-truncated` event comes first.',
+  parameters: eventStreamParams,
+  responses: {
+    200: { description: 'Event stream', content: { 'text/event-stream': { schema: str() } } },
+    400: { $ref: '#/components/responses/BadRequest' },
+    401: { $ref: '#/components/responses/Unauthorized' }
+  }
+});
+
+const P = 'Profiles';
+const D = 'Discovery';
+const S = 'Scans';
+const A = 'Auth';
+
+const paths = {
+  // ---- Profiles ----
+  '/api/profiles': {
+    get: op({
+      id: 'listProfiles', tag: P, summary: 'List all user profiles (CAM admin, service)',
+      response: obj({ found: bool(), count: int(), profiles: arr(ref('ProfileSummary')) })
+    })
+  },
+  '/api/profiles/{username}': {
+    get: op({
+      id: 'getProfile', tag: P, summary: 'Profile summary',
+      params: [usernameParam('Profile owner')],
+      response: ref('ProfileSummary'), errors: [404]
+    }),
+    delete: op({
+      id: 'deleteProfile', tag: P, summary: 'Delete a profile (own profile or CAM admin)',
+      params: [usernameParam('Profile owner')],
+      response: ok({ message: str() })
+    })
+  },
+  '/api/profiles/{username}/settings': {
+    post: op({
+      id: 'uploadSettings', tag: P, summary: 'Upload an .omSettings file',
+      params: [usernameParam('Profile owner')],
+      multipart: obj({ settingsFile: str('.omSettings file', { format: 'binary' }) }, ['settingsFile']),
+      response: ok({ message: str(), savedPath: str(), latestPath: str(), filename: str(), versionId: str() })
+    }),
+    get: op({
+      id: 'getLatestSettings', tag: P, summary: 'Latest stored settings file',
+      params: [usernameParam('Profile owner')],
+      response: obj({ found: bool(), settingsFile: ref('SettingsFileInfo') }), errors: [404]
+    })
+  },
+  '/api/profiles/{username}/parse': {
+    post: op({
+      id: 'parseSettings', tag: P, summary: 'Parse the latest settings file and store the configuration',
+      params: [
+        usernameParam('Profile owner'),
+        query('stream', bool(), 'Force (true) or disable (false) streaming parse; default: streaming for large archives')
+      ],
+      response: ok({ message: str(), config: ref('ParsedConfig'), savedAt: str(), parseMode: str(), parseStats: {} }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/generate-scan-config': {
+    post: op({
+      id: 'generateScanConfig', tag: P, summary: 'Generate the scanner configuration from parsed settings',
+      params: [
+        usernameParam('Profile owner'),
+        query('hyperMillVersion', str(null, { pattern: '^\\d+(\\.\\d+)?$' }), 'Use the settings of this hyperMILL version')
+      ],
+      response: ok({ message: str(), scanConfig: ref('ScannerConfig'), savedAt: str() }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/config': {
+    get: op({
+      id: 'getParsedConfig', tag: P, summary: 'Parsed configuration',
+      params: [usernameParam('Profile owner'), query('hyperMillVersion', str(), 'hyperMILL version (e.g. 34.0)')],
+      response: obj({ found: bool(), config: ref('ParsedConfig') }), errors: [404]
+    })
+  },
+  '/api/profiles/{username}/scan-config': {
+    get: op({
+      id: 'getScanConfig', tag: P, summary: 'Scanner configuration',
+      params: [usernameParam('Profile owner'), query('hyperMillVersion', str(), 'hyperMILL version (e.g. 34.0)')],
+      response: obj({ found: bool(), config: ref('ScannerConfig') }), errors: [404]
+    })
+  },
+  '/api/profiles/{username}/tokens': {
+    get: op({
+      id: 'getTokenMap', tag: P, summary: 'Path token map, optionally resolving one path',
+      params: [usernameParam('Profile owner'), query('path', str(), 'Path with [TOKEN] placeholders to resolve')],
+      response: obj({
+        found: bool(),
+        username: str(),
+        hyperMillVersion: nullable(str()),
+        tokenMap: { type: 'object', additionalProperties: str() },
+        unresolvedTokens: { type: 'object' },
+        resolution: obj({ path: str(), template: str(), resolved: bool(), unresolved: arr(str()), tokens: arr(str()) })
+      }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/hypermill-versions': {
+    get: op({
+      id: 'listHyperMillVersions', tag: P, summary: 'hyperMILL versions the user has settings for',
+      params: [usernameParam('Profile owner')],
+      response: obj({ found: bool(), versions: arr(obj({ label: str(), hasParsedConfig: bool() })) }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/migration-report': {
+    get: op({
+      id: 'getMigrationReport', tag: P, summary: 'Paths that change between two hyperMILL versions',
+      params: [
+        usernameParam('Profile owner'),
+        query('from', str(), 'Source version (default: second newest)'),
+        query('to', str(), 'Target version (default: newest)'),
+        query('format', str(null, { enum: ['json', 'text'] }), 'Response format')
+      ],
+      response: ok({ from: str(), to: str(), projected: bool(), paths: { type: 'object' }, tokens: arr({ type: 'object' }) }),
+      text: true,
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/diff': {
+    get: op({
+      id: 'diffProfile', tag: P, summary: 'Compare with another user or an older settings version',
+      params: [
+        usernameParam('Profile owner'),
+        query('against', usernameSchema(), 'Other username, or a version id / filename of this user', true),
+        query('format', str(null, { enum: ['json', 'text'] }), 'Response format')
+      ],
+      response: ok({ username: str(), against: str(), diff: { type: 'object' } }),
+      text: true,
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/versions': {
+    get: op({
+      id: 'listSettingsVersions', tag: P, summary: 'Stored settings versions (newest first)',
+      params: [usernameParam('Profile owner')],
+      response: obj({ found: bool(), currentVersionId: nullable(str()), versions: arr(ref('SettingsVersion')) }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/versions/{id}': {
+    get: op({
+      id: 'getSettingsVersion', tag: P, summary: 'Metadata and parsed configuration of a settings version',
+      params: [usernameParam('Profile owner'), pathParam('id', 'Version id')],
+      response: obj({ found: bool(), version: ref('SettingsVersion'), config: ref('ParsedConfig') }),
+      errors: [404]
+    })
+  },
+  '/api/profiles/{username}/versions/{id}/restore': {
+    post: op({
+      id: 'restoreSettingsVersion', tag: P, summary: 'Promote an older settings version back to latest',
+      params: [usernameParam('Profile owner'), pathParam('id', 'Version id')],
+      response: ok({ message: str() }),
+      errors: [404]
+    })
+  },
+
+  // ---- Scans ----
+  '/api/scan': {
+    get: op({
+      id: 'listScans', tag: S, summary: 'Running and saved scans (newest first)',
+      params: [usernameQuery, query('type', str(null, { enum: ['pc', 'user'] }), 'Scan type')],
+      response: ok({ count: int(), scans: arr(ref('ScanJob')) })
+    }),
+    post: op({
+      id: 'startScan', tag: S, summary: 'Start a scan job (PC scans: CAM admin, service)',
+      body: obj({
+        type: str('pc: whole workstation, user: paths from the user\'s scan-paths.json', { enum: ['pc', 'user'] }),
+        username: str('Scan owner for user scans (default: the authenticated user)')
+      }, ['type']),
+      status: 202, responseDescription: 'Scan started',
+      response: ok({ message: str(), jobId: str(), job: ref('ScanJob') }, ['jobId'])
+    })
+  },
+  '/api/scan/compare': {
+    get: op({
+      id: 'compareScans', tag: S, summary: 'Compare the files found by two saved scans',
+      params: [query('from', str(), 'Older scan id', true), query('to', str(), 'Newer scan id', true)],
+      response: ok({ added: arr({ type: 'object' }), removed: arr({ type: 'object' }), changed: arr({ type: 'object' }) }),
+      errors: [404]
+    })
+  },
+  '/api/scan/{jobId}': {
+    get: op({
+      id: 'getScan', tag: S, summary: 'Progress and results of a scan job',
+      params: [pathParam('jobId', 'Scan job id')],
+      response: ok({ job: ref('ScanJob') }), errors: [404]
+    }),
+    delete: op({
+      id: 'cancelScan', tag: S, summary: 'Cancel a running scan job',
+      params: [pathParam('jobId', 'Scan job id')],
+      response: ok(), errors: [404, 409]
+    })
+  },
+
+  // ---- Discovery: settings files ----
+  '/api/discover/init': {
+    post: op({
+      id: 'initStorage', tag: D, summary: 'Create the server file cache directories (CAM admin)',
+      response: ok({ message: str(), baseDir: str() })
+    })
+  },
+  '/api/discover/settings': {
+    get: op({
+      id: 'findSettingsFiles', tag: D, summary: 'Find .omSettings files on the service host',
+      params: [usernameQuery],
+      response: ok({ username: str(), currentUser: str('Deprecated alias of username', { deprecated: true }), discovered: int(), latest: nullable({ type: 'object' }), all: arr({ type: 'object' }), searchedPaths: arr({}) })
+    })
+  },
+  '/api/discover/latest': {
+    get: op({
+      id: 'findLatestSettings', tag: D, summary: 'Newest .omSettings file on the service host',
+      params: [usernameQuery],
+      response: ok({ found: bool(), username: str(), currentUser: str('Deprecated alias of username', { deprecated: true }), settings: obj({ path: str() }) }), errors: [404]
+    })
+  },
+  '/api/discover/locations': {
+    get: op({
+      id: 'getLocations', tag: D, summary: 'hyperMILL Configuration Center paths and common locations',
+      params: [usernameQuery],
+      response: ok({ username: str(), currentUser: str('Deprecated alias of username', { deprecated: true }), configurationCenterPaths: {}, commonLocations: { type: 'object' } })
+    })
+  },
+  '/api/discover/current-user': {
+    get: op({
+      id: 'getCurrentUser', tag: D, summary: 'User the request acts for, with the host folders',
+      response: ok({ username: str(), homeDirectory: str() })
+    })
+  },
+  '/api/discover/auto-import': {
+    post: op({
+      id: 'autoImport', tag: D, summary: 'Import the newest .omSettings file for a user',
+      params: [usernameQuery],
+      response: importResponse, errors: [404]
+    })
+  },
+  '/api/discover/auto-import/{username}': {
+    post: op({
+      id: 'autoImportForUser', tag: D, summary: 'Import the newest .omSettings file for a user',
+      params: [usernameParam('Profile owner')],
+      response: importResponse, errors: [404]
+    })
+  },
+  '/api/discover/import-file': {
+    post: op({
+      id: 'importFile', tag: D, summary: 'Import an .omSettings file from a host path (CAM admin, service)',
+      params: [usernameQuery],
+      body: importFileBody,
+      response: importResponse, errors: [404]
+    })
+  },
+  '/api/discover/import-file/{username}': {
+    post: op({
+      id: 'importFileForUser', tag: D, summary: 'Import an .omSettings file from a host path (CAM admin, service)',
+      params: [usernameParam('Profile owner')],
+      body: importFileBody,
+      response: importResponse, errors: [404]
+    })
+  },
+
+  // ---- Discovery: watchers ----
+  '/api/discover/watch/start': {
+    get: op({
+      id: 'startWatch', tag: D, summary: 'Start watching for new .omSettings files',
+      params: [usernameQuery, query('autoImport', bool(), 'Import each new file')],
+      response: ok({ message: str(), watcherId: str(), watchedPaths: arr(str()), autoImport: bool(), events: str() })
+    })
+  },
+  '/api/discover/watch/start/{username}': {
+    get: op({
+      id: 'startWatchForUser', tag: D, summary: 'Start watching for new .omSettings files',
+      params: [usernameParam('Profile owner'), query('autoImport', bool(), 'Import each new file')],
+      response: ok({ message: str(), watcherId: str(), watchedPaths: arr(str()), autoImport: bool(), events: str() })
+    })
+  },
+  '/api/discover/watchers': {
+    get: op({
+      id: 'listWatchers', tag: D, summary: 'Running settings watchers',
+      params: [usernameQuery],
+      response: ok({ count: int(), watchers: arr(ref('Watcher')) })
+    }),
+    post: op({
+      id: 'createWatcher', tag: D, summary: 'Start a persistent settings watcher',
+      body: obj({ username: str(), paths: arr(str(), 'Folders to watch (default: Documents, Downloads, OPEN MIND backup; custom folders: CAM admin or service only)'), autoImport: bool() }),
+      bodyRequired: false,
+      status: 201, responseDescription: 'Watcher started',
+      response: ok({ watcher: ref('Watcher') })
+    })
+  },
+  '/api/discover/watchers/{watcherId}': {
+    delete: op({
+      id: 'stopWatcher', tag: D, summary: 'Stop a settings watcher',
+      params: [pathParam('watcherId', 'Watcher id')],
+      response: ok({ watcher: ref('Watcher') }), errors: [404]
+    })
+  },
+  '/api/discover/events': {
+    get: eventStream('streamWatcherEvents', D, 'Server-Sent Events stream of watcher events',
+      'Same stream as /api/events with topics defaulting to watcher.')
+  },
+
+  // ---- Discovery: drive map ----
+  '/api/discover/drive-map': {
+    get: op({
+      id: 'getDriveMap', tag: D, summary: 'Drive letters A-Z as local / server / removable',
+      response: ok({ defaultType: str(), drives: arr(ref('Drive')) })
+    }),
+    put: op({
+      id: 'setDriveMapDefault', tag: D, summary: 'Type for letters that are not listed (CAM admin)',
+      body: obj({ defaultType: str(null, { enum: ['local', 'server', 'removable'] }) }, ['defaultType']),
+      response: ok({ defaultType: str() })
+    })
+  },
+  '/api/discover/drive-map/classify': {
+    get: op({
+      id: 'classifyPath', tag: D, summary: 'Classify a path with the drive map',
+      params: [query('path', str(), 'Path to classify', true)],
+      response: ok({ path: str(), classification: { type: 'object' }, uncPath: nullable(str()) })
+    })
+  },
+  '/api/discover/drive-map/{letter}': {
+    put: op({
+      id: 'setDrive', tag: D, summary: 'Add or change a drive letter (CAM admin)',
+      params: [pathParam('letter', 'Drive letter (P or P:)')],
+      body: obj({
+        type: str(null, { enum: ['local', 'server', 'removable'] }),
+        uncRoot: str('Share the letter maps to'),
+        label: str()
+      }),
+      response: ok({ drive: ref('Drive') })
+    }),
+    delete: op({
+      id: 'removeDrive', tag: D, summary: 'Remove a letter from the map (CAM admin)',
+      params: [pathParam('letter', 'Drive letter')],
+      response: ok({ drive: ref('Drive') }), errors: [404]
+    })
+  },
+  '/api/discover/drive-map/reset': {
+    post: op({
+      id: 'resetDriveMap', tag: D, summary: 'Discard the saved drive map (CAM admin)',
+      response: ok({ driveMap: { type: 'object' } })
+    })
+  },
+
+  // ---- Discovery: network access ----
+  '/api/discover/network-access': {
+    get: op({
+      id: 'getNetworkAccess', tag: D, summary: 'Blocked network paths and saved decisions',
+      params: [usernameQuery],
+      response: ok({ blockedAttempts: arr({ type: 'object' }), approvals: arr(ref('NetworkDecision')), message: str() })
+    })
+  },
+  '/api/discover/network-access/approve': {
+    post: op({
+      id: 'approveNetworkAccess', tag: D, summary: 'Approve access to a network path or share prefix',
+      body: networkDecisionBody,
+      response: ok({ message: str(), approval: ref('NetworkDecision'), approvedBy: str(), approvedAt: date() })
+    })
+  },
+  '/api/discover/network-access/deny': {
+    post: op({
+      id: 'denyNetworkAccess', tag: D, summary: 'Deny access to a network path or share prefix',
+      body: networkDecisionBody,
+      response: ok({ message: str(), approval: ref('NetworkDecision'), deniedBy: str(), deniedAt: date() })
+    })
+  },
+  '/api/discover/network-access/approvals': {
+    get: op({
+      id: 'listNetworkDecisions', tag: D, summary: 'Saved network access decisions',
+      params: [usernameQuery],
+      response: ok({ count: int(), approvals: arr(ref('NetworkDecision')) })
+    })
+  },
+  '/api/discover/network-access/approvals/{approvalId}': {
+    delete: op({
+      id: 'revokeNetworkDecision', tag: D, summary: 'Remove a saved decision',
+      params: [pathParam('approvalId', 'Decision id')],
+      response: ok({ revoked: str() }), errors: [404]
+    })
+  },
+  '/api/discover/prompt-mode': {
+    post: op({
+      id: 'enablePromptMode', tag: D, summary: 'Ask before accessing server drives (CAM admin)',
+      response: ok({ message: str() })
+    })
+  },
+
+  // ---- Discovery: locator config ----
+  '/api/discover/locator-config': {
+    get: op({
+      id: 'getLocatorConfig', tag: D, summary: 'Locator search settings with expanded roots',
+      response: ok({ configFile: str(), config: ref('LocatorConfig'), resolvedRoots: arr({ type: 'object' }) })
+    }),
+    put: op({
+      id: 'updateLocatorConfig', tag: D, summary: 'Update general search settings (CAM admin)',
+      body: obj({
+        maxDepth: int(null, { minimum: 0 }),
+        fileGlobs: arr(str()),
+        skipPatterns: arr(str()),
+        variables: { type: 'object', additionalProperties: str() }
+      }),
+      response: ok({ config: ref('LocatorConfig') })
+    })
+  },
+  '/api/discover/locator-config/reset': {
+    post: op({
+      id: 'resetLocatorConfig', tag: D, summary: 'Discard the saved locator config (CAM admin)',
+      response: ok({ config: ref('LocatorConfig') })
+    })
+  },
+  '/api/discover/locator-config/roots': {
+    post: op({
+      id: 'addSearchRoot', tag: D, summary: 'Add a search root (CAM admin)',
+      body: obj({ id: str(), path: str(null, { minLength: 1 }), maxDepth: int(null, { minimum: 0 }), enabled: bool(), label: str() }, ['path']),
+      status: 201, responseDescription: 'Root added',
+      response: ok({ root: ref('SearchRoot') })
+    })
+  },
+  '/api/discover/locator-config/roots/{id}': {
+    put: op({
+      id: 'updateSearchRoot', tag: D, summary: 'Update a search root (CAM admin)',
+      params: [pathParam('id', 'Root id')],
+      body: obj({ path: str(null, { minLength: 1 }), maxDepth: int(null, { minimum: 0 }), enabled: bool(), label: str() }),
+      response: ok({ root: ref('SearchRoot') }), errors: [404]
+    }),
+    delete: op({
+      id: 'removeSearchRoot', tag: D, summary: 'Remove a search root (CAM admin)',
+      params: [pathParam('id', 'Root id')],
+      response: ok({ removed: str() }), errors: [404]
+    })
+  },
+
+  // ---- Discovery: server file cache ----
+  '/api/discover/file-sync/cache-from-server': {
+    post: op({
+      id: 'cacheFromServer', tag: D, summary: 'Copy a server file to the local cache (CAM admin)',
+      body: obj({ serverPath: str(null, { minLength: 1 }) }, ['serverPath']),
+      response: ok({ cached: bool(), localPath: str(), filename: str(), size: str(), contentHash: str() })
+    })
+  },
+  '/api/discover/file-sync/check-updates': {
+    get: op({
+      id: 'checkServerUpdates', tag: D, summary: 'Is the server file newer than the cached copy?',
+      params: [query('serverPath', str(), 'Server file', true), localPathQuery(true)],
+      response: ok({ updateInfo: obj({ hasUpdate: bool() }), message: str() })
+    })
+  },
+  '/api/discover/file-sync/pending-updates': {
+    get: op({
+      id: 'listPendingUpdates', tag: D, summary: 'Update notifications waiting for approval',
+      response: ok({ pendingCount: int(), updates: arr(ref('UpdateNotification')), message: str() })
+    })
+  },
+  '/api/discover/file-sync/notifications': {
+    get: op({
+      id: 'listUpdateNotifications', tag: D, summary: 'Update notification history',
+      params: [
+        query('status', str(null, { enum: ['pending', 'rejected', 'synced'] }), 'Notification status'),
+        query('since', date(), 'Only notifications created after this time'),
+        query('serverPath', str(), 'Server file'),
+        localPathQuery(false)
+      ],
+      response: ok({ count: int(), notifications: arr(ref('UpdateNotification')) })
+    })
+  },
+  '/api/discover/file-sync/create-update-notification': {
+    post: op({
+      id: 'createUpdateNotification', tag: D, summary: 'Create a notification for an updated server file (CAM admin)',
+      body: obj({ serverPath: str(null, { minLength: 1 }), localPath: str(null, { minLength: 1 }) }, ['serverPath', 'localPath']),
+      response: ok({ notification: ref('UpdateNotification'), message: str() })
+    })
+  },
+  '/api/discover/file-sync/approve-update': {
+    post: op({
+      id: 'approveUpdate', tag: D, summary: 'Copy the newer server file into the cache (CAM admin)',
+      body: actedByBody({ notificationId: str(null, { minLength: 1 }) }),
+      response: ok({ message: str(), notification: ref('UpdateNotification'), backupCreated: {} })
+    })
+  },
+  '/api/discover/file-sync/reject-update': {
+    post: op({
+      id: 'rejectUpdate', tag: D, summary: 'Keep the cached copy (CAM admin)',
+      body: actedByBody({ notificationId: str(null, { minLength: 1 }) }),
+      response: ok({ message: str(), notification: ref('UpdateNotification') })
+    })
+  },
+  '/api/discover/file-sync/backups': {
+    get: op({
+      id: 'listBackups', tag: D, summary: 'Backup catalogue for one or every cached file',
+      params: [localPathQuery(false)],
+      response: ok({ fileCount: int(), backupCount: int(), files: arr({ type: 'object' }), backups: arr({ type: 'object' }) })
+    })
+  },
+  '/api/discover/file-sync/backups/restore': {
+    post: op({
+      id: 'restoreBackup', tag: D, summary: 'Swap a backup back in as the cached copy (CAM admin)',
+      body: actedByBody({ localPath: str(null, { minLength: 1 }), backupPath: str(null, { minLength: 1 }) }),
+      response: ok({ message: str(), localPath: str(), mappingUpdated: bool() })
+    })
+  },
+  '/api/discover/file-sync/backups/prune': {
+    post: op({
+      id: 'pruneBackups', tag: D, summary: 'Apply the backup retention policy (CAM admin)',
+      body: obj({ localPath: str() }), bodyRequired: false,
+      response: ok({ removedCount: int(), results: arr({ type: 'object' }) })
+    })
+  },
+  '/api/discover/file-sync/cache-info': {
+    get: op({
+      id: 'getCacheInfo', tag: D, summary: 'Cached files and pending updates',
+      response: ok({ cacheInfo: { type: 'object' }, cacheLocation: str() })
+    })
+  },
+
+  // ---- Discovery: server paths manifest ----
+  '/api/discover/manifest/analyze': {
+    post: op({
+      id: 'analyzeManifest', tag: D, summary: 'Classify the paths of a parsed config and store a manifest generation (CAM admin)',
+      body: obj({
+        parsedConfig: ref('ParsedConfig'),
+        username: str(),
+        probe: bool('Probe every path for reachability'),
+        timeoutMs: int('Probe timeout per path', { minimum: 1 })
+      }, ['parsedConfig']),
+      response: ok({
+        analysis: { type: 'object' },
+        manifest: { type: 'object' },
+        manifestPath: str(),
+        generation: int(),
+        diff: nullable(ref('ManifestDiff')),
+        alerts: arr(ref('ManifestAlert'))
+      })
+    })
+  },
+  '/api/discover/manifest/probe': {
+    post: op({
+      id: 'probeManifest', tag: D, summary: 'Re-probe the paths of the latest manifest (CAM admin)',
+      body: obj({ username: str(), timeoutMs: int(null, { minimum: 1 }) }), bodyRequired: false,
+      response: ok({ username: str(), generation: int(), lastProbed: nullable(str()), probe: { type: 'object' }, unreachablePaths: arr({ type: 'object' }), alerts: arr(ref('ManifestAlert')) }),
+      errors: [404]
+    })
+  },
+  '/api/discover/manifest/load': {
+    get: op({
+      id: 'loadManifest', tag: D, summary: 'Latest manifest of a user',
+      params: [usernameQuery],
+      response: ok({ manifest: { type: 'object' }, manifestPath: str() }), errors: [404]
+    })
+  },
+  '/api/discover/manifest/server-paths': {
+    get: op({
+      id: 'getManifestServerPaths', tag: D, summary: 'Server paths of the latest manifest',
+      params: [usernameQuery],
+      response: ok({ message: str(), serverPaths: arr({ type: 'object' }), count: int(), serverDrives: arr(str()), byShare: { type: 'object' } })
+    })
+  },
+  '/api/discover/manifest/list': {
+    get: op({
+      id: 'listManifests', tag: D, summary: 'All stored manifests (CAM admin, service)',
+      response: ok({ manifests: arr({ type: 'object' }), count: int(), manifestDir: str() })
+    })
+  },
+  '/api/discover/manifest/generations': {
+    get: op({
+      id: 'listManifestGenerations', tag: D, summary: 'Manifest generations of a user (oldest first)',
+      params: [usernameQuery],
+      response: ok({ username: str(), count: int(), generations: arr({ type: 'object' }) })
+    })
+  },
+  '/api/discover/manifest/diff': {
+    get: op({
+      id: 'diffManifestGenerations', tag: D, summary: 'Compare two manifest generations',
+      params: [usernameQuery, query('from', int(null, { minimum: 1 }), 'Older generation'), query('to', int(null, { minimum: 1 }), 'Newer generation')],
+      response: ok({ from: int(), to: int(), diff: ref('ManifestDiff') })
+    })
+  },
+  '/api/discover/manifest/alerts': {
+    get: op({
+      id: 'listManifestAlerts', tag: D, summary: 'Drift alerts of manifest generations',
+      params: [
+        usernameQuery,
+        query('status', str(null, { enum: ['open', 'acknowledged'] }), 'Alert status'),
+        query('type', str(null, { enum: ['path-vanished', 'path-unreachable'] }), 'Alert type')
+      ],
+      response: ok({ count: int(), alerts: arr(ref('ManifestAlert')) })
+    })
+  },
+  '/api/discover/manifest/alerts/{alertId}/acknowledge': {
+    post: op({
+      id: 'acknowledgeManifestAlert', tag: D, summary: 'Acknowledge a drift alert (CAM admin)',
+      params: [pathParam('alertId', 'Alert id')],
+      body: obj({ acknowledgedBy: str('Only used when authentication is disabled') }), bodyRequired: false,
+      response: ok({ alert: ref('ManifestAlert') }), errors: [404]
+    })
+  },
+
+  // ---- Discovery: file mappings ----
+  '/api/discover/file-mapping/add': {
+    post: op({
+      id: 'addFileMapping', tag: D, summary: 'Map a server file to a local cache path (CAM admin)',
+      body: obj({ serverPath: str(null, { minLength: 1 }), localPath: str(null, { minLength: 1 }), fileType: str() }, ['serverPath', 'localPath']),
+      response: ok({ message: str(), mapping: ref('FileMapping') })
+    })
+  },
+  '/api/discover/file-mapping/all': {
+    get: op({
+      id: 'listFileMappings', tag: D, summary: 'All file mappings',
+      response: ok({ count: int(), mappings: {} })
+    })
+  },
+  '/api/discover/file-mapping/by-status': {
+    get: op({
+      id: 'listFileMappingsByStatus', tag: D, summary: 'File mappings with a status',
+      params: [query('status', str(null, { enum: ['synced', 'outdated', 'unmapped', 'error', 'new'] }), 'Mapping status', true)],
+      response: ok({ count: int(), mappings: {} })
+    })
+  },
+  '/api/discover/file-mapping/check-update': {
+    get: op({
+      id: 'checkFileMappingUpdate', tag: D, summary: 'Has the mapped server file changed?',
+      params: [localPathQuery(true)],
+      response: ok({ hasUpdate: bool() })
+    })
+  },
+  '/api/discover/file-mapping/mark-synced': {
+    post: op({
+      id: 'markFileMappingSynced', tag: D, summary: 'Mark a mapping as synced (CAM admin)',
+      body: obj({ localPath: str(null, { minLength: 1 }) }, ['localPath']),
+      response: ok({ mapping: ref('FileMapping') })
+    })
+  },
+  '/api/discover/file-mapping/statistics': {
+    get: op({
+      id: 'getFileMappingStatistics', tag: D, summary: 'File mapping statistics',
+      response: ok({ statistics: { type: 'object' }, mappingFile: str() })
+    })
+  },
+  '/api/discover/file-mapping/get': {
+    get: op({
+      id: 'getFileMapping', tag: D, summary: 'One file mapping',
+      params: [localPathQuery(true)],
+      response: ok({ mapping: ref('FileMapping') }), errors: [404]
+    })
+  },
+  '/api/discover/file-mapping/remove': {
+    delete: op({
+      id: 'removeFileMapping', tag: D, summary: 'Remove a file mapping (CAM admin)',
+      params: [localPathQuery(true)],
+      response: ok({ message: str() })
+    })
+  },
+  '/api/discover/file-mapping/auto-approve': {
+    post: op({
+      id: 'setFileMappingAutoApprove', tag: D, summary: 'Let the sync scheduler replace the cached copy without asking (CAM admin)',
+      body: obj({ localPath: str(null, { minLength: 1 }), autoApprove: bool() }, ['localPath', 'autoApprove']),
+      response: ok({ localPath: str(), autoApprove: bool() }), errors: [404]
+    })
+  },
+
+  // ---- Discovery: sync scheduler ----
+  '/api/discover/sync-scheduler/status': {
+    get: op({
+      id: 'getSyncSchedulerStatus', tag: D, summary: 'Background sync schedule and last run',
+      response: ok({ status: ref('SyncStatus') })
+    })
+  },
+  '/api/discover/sync-scheduler/start': {
+    post: op({
+      id: 'startSyncScheduler', tag: D, summary: 'Check mapped server files on a fixed interval (CAM admin)',
+      body: obj({
+        intervalHours: { ...num('Hours between runs, at most 8760 (default: config.backup.autoBackup.intervalHours)'), maximum: 8760 }
+      }), bodyRequired: false,
+      response: ok({ message: str(), status: ref('SyncStatus') }), errors: [409]
+    })
+  },
+  '/api/discover/sync-scheduler/stop': {
+    post: op({
+      id: 'stopSyncScheduler', tag: D, summary: 'Stop the background sync schedule (CAM admin)',
+      response: ok({ message: str(), status: ref('SyncStatus') }), errors: [409]
+    })
+  },
+  '/api/discover/sync-scheduler/run-now': {
+    post: op({
+      id: 'runSyncNow', tag: D, summary: 'Run one sync pass now (CAM admin)',
+      response: ok({ run: { type: 'object' } }), errors: [409]
+    })
+  },
+  '/api/discover/sync-scheduler/runs': {
+    get: op({
+      id: 'listSyncRuns', tag: D, summary: 'Persisted sync run log (newest first)',
+      params: [query('limit', int(null, { minimum: 1 }), 'Number of runs (default 20)')],
+      response: ok({ count: int(), runs: arr({ type: 'object' }) })
+    })
+  },
+  '/api/discover/storage-config': {
+    get: op({
+      id: 'getStorageConfig', tag: D, summary: 'Server file cache layout',
+      response: ok({ baseDirectory: str(), structure: { type: 'object' }, files: { type: 'object' } })
+    })
+  },
+  '/api/discover/storage-contents': {
+    get: op({
+      id: 'getStorageContents', tag: D, summary: 'Files stored in the server file cache',
+      response: ok({ baseDir: str(), contents: arr({ type: 'object' }) })
+    })
+  },
+
+  // ---- Auth ----
+  '/api/auth/login': {
+    post: op({
+      id: 'login', tag: A, summary: 'Password login', public: true,
+      body: obj({ username: str(null, { minLength: 1 }), password: str(null, { minLength: 1 }) }, ['username', 'password']),
+      response: ok({ token: str(), tokenType: str(), expiresAt: date(), user: ref('User') }, ['token']),
+      errors: [401]
+    })
+  },
+  '/api/auth/logout': {
+    post: op({ id: 'logout', tag: A, summary: 'End the current session', response: ok() })
+  },
+  '/api/auth/me': {
+    get: op({
+      id: 'getMe', tag: A, summary: 'The authenticated user',
+      response: ok({ user: obj({ username: str(), role: str(), tokenType: str() }) })
+    })
+  },
+  '/api/auth/me/password': {
+    put: op({
+      id: 'changePassword', tag: A, summary: 'Change own password',
+      body: obj({ currentPassword: str(null, { minLength: 1 }), newPassword: str(null, { minLength: 1 }) }, ['currentPassword', 'newPassword']),
+      response: ok({ user: ref('User') })
+    })
+  },
+  '/api/auth/users': {
+    get: op({ id: 'listUsers', tag: A, summary: 'Users (CAM admin)', response: ok({ count: int(), users: arr(ref('User')) }) }),
+    post: op({
+      id: 'createUser', tag: A, summary: 'Create a user (CAM admin)',
+      body: obj({
+        username: usernameSchema(),
+        password: str('Not needed for service accounts'),
+        role: str(null, { enum: ['programmer', 'cam-admin', 'service'] }),
+        displayName: str()
+      }, ['username']),
+      status: 201, responseDescription: 'User created',
+      response: ok({ user: ref('User') }), errors: [409]
+    })
+  },
+  '/api/auth/users/{username}': {
+    get: op({
+      id: 'getUser', tag: A, summary: 'One user (own account or CAM admin)',
+      params: [usernameParam('User name')],
+      response: ok({ user: ref('User') }), errors: [404]
+    }),
+    put: op({
+      id: 'updateUser', tag: A, summary: 'Change role, name, password or disabled flag (CAM admin)',
+      params: [usernameParam('User name')],
+      body: obj({
+        role: str(null, { enum: ['programmer', 'cam-admin', 'service'] }),
+        displayName: str(),
+        password: str(),
+        disabled: bool()
+      }),
+      response: ok({ user: ref('User') }), errors: [404]
+    }),
+    delete: op({
+      id: 'deleteUser', tag: A, summary: 'Delete a user and their tokens (CAM admin)',
+      params: [usernameParam('User name')],
+      response: ok({ deleted: str() }), errors: [404]
+    })
+  },
+  '/api/auth/tokens': {
+    get: op({
+      id: 'listTokens', tag: A, summary: 'Own tokens (CAM admins: any user)',
+      params: [usernameQuery],
+      response: ok({ count: int(), tokens: arr(ref('ApiToken')) })
+    }),
+    post: op({
+      id: 'createApiToken', tag: A, summary: 'Create an API token - shown once',
+      body: obj({ name: str(), expiresInDays: num('Default and maximum: config.auth.userApiTokenDays, except for service accounts'), username: str('Token owner (CAM admins only)') }),
+      bodyRequired: false,
+      status: 201, responseDescription: 'Token created',
+      response: ok({ token: str(), note: str(), apiToken: ref('ApiToken') }, ['token']),
+      errors: [404]
+    })
+  },
+  '/api/auth/tokens/{tokenId}': {
+    delete: op({
+      id: 'revokeToken', tag: A, summary: 'Revoke a token',
+      params: [pathParam('tokenId', 'Token id')],
+      response: ok({ revoked: str() }), errors: [404]
+    })
+  },
+
+  // ---- Audit ----
+  '/api/audit': {
+    get: op({
+      id: 'queryAuditLog', tag: 'Audit', summary: 'Filter the audit trail, or export it as CSV (CAM admin)',
+      params: [
+        query('actor', str(), 'User who made the change'),
+        query('action', str(), 'Exact action or prefix ending in * (settings.*)'),
+        query('targetType', str(), 'profile, drive, file-mapping, ...'),
+        query('target', str(), 'Changed object'),
+        query('outcome', str(null, { enum: ['success', 'denied', 'failure'] }), 'Outcome'),
+        query('from', date(), 'Earliest timestamp'),
+        query('to', date(), 'Latest timestamp'),
+        query('limit', int(null, { minimum: 1, maximum: 10000 }), 'Page size (default 100); caps the CSV export, which otherwise contains every matching entry'),
+        query('offset', int(null, { minimum: 0 }), 'Entries to skip (JSON only)'),
+        query('format', str(null, { enum: ['json', 'csv'] }), 'Response format')
+      ],
+      response: ok({ total: int(), count: int(), limit: int(), offset: int(), entries: arr(ref('AuditEntry')) })
+    })
+  },
+
+  // ---- Events ----
+  '/api/events': {
+    get: eventStream('streamEvents', 'Events', 'Server-Sent Events stream of live events',
+      'Watcher, scan, server file and sync events the caller may see. ' +
+      'The same events are available over WebSocket at /api/events/ws.')
+  },
+  '/api/events/recent': {
+    get: op({
+      id: 'listRecentEvents', tag: 'Events', summary: 'Buffered events as JSON (oldest first)',
+      params: [
+        eventStreamParams[0],
+        eventStreamParams[1],
+        query('after', int(), 'Only events after this id (pages forward; without it: the newest events)'),
+        query('limit', int(null, { minimum: 1, maximum: 1000 }), 'Maximum events (default 100)')
+      ],
+      response: ok({
+        count: int(),
+        hasMore: bool('More events after the last returned one'),
+        truncated: bool('Events after `after` were dropped from the buffer'),
+        lastEventId: int('Id of the newest published event'),
+        events: arr(ref('Event'))
+      })
+    })
+  }
+};
+
+// CSV export of the audit log
+paths['/api/audit'].get.responses[200].content['text/csv'] = { schema: str() };
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'BRK CNC hyperMILL Config Service',
+    version: '1.0.0',
+    description: 'User profiles, .omSettings discovery and import, server file sync and scans.\n\n' +
+      'Every error response uses the same envelope: `{ success: false, error, code, details }`.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: P, description: 'User profiles, settings versions and scanner configs' },
+    { name: D, description: 'Settings discovery and import, drive map, network access, server file sync, manifests' },
+    { name: S, description: 'File system scans' },
+    { name: A, description: 'Login, users and API tokens' },
+    { name: 'Audit', description: 'Audit trail of configuration changes' },
+    {
+      name: 'Events',
+      description: 'Live events over Server-Sent Events, WebSocket and polling. ' +
+        'WebSocket: connect to /api/events/ws?access_token=...&topics=...&lastEventId=...; the server sends ' +
+        '`{ type: "ready" }`, then `{ type: "event", event }` messages; send `{ type: "subscribe", topics, username, lastEventId }` ' +
+        'to change the subscription and `{ type: "ping" }` to check the connection.'
+    }
+  ],
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/auth/login or an API token' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API token for BRK CNC services' }
+    },
+    schemas,
+    responses: {
+      BadRequest: errorResponse('Invalid request (code VALIDATION_ERROR lists the failing fields in details.errors)'),
+      Unauthorized: errorResponse('Missing, invalid or expired token'),
+      Forbidden: errorResponse('The caller\'s role does not allow this'),
+      NotFound: errorResponse('Not found'),
+      Conflict: errorResponse('Conflicts with the current state'),
+      ServerError: errorResponse('Unexpected error')
+    }
+  }
+};
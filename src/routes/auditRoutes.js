@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+const { requireRole } = require('../middleware/auth');
+const { auditLog } = require('../middleware/audit');
+
+/**
+ * GET /api/audit
+ * Filter the audit trail (newest first) - CAM admin
+ * Query: ?actor=szborok&action=settings.*&targetType=profile&target=szborok&outcome=success|denied|failure
+ *        &from=2025-01-01&to=2025-01-31T23:59:59Z&limit=100&offset=0
+ * ?format=csv downloads every matching entry as CSV, streamed page by page (limit caps it, offset is ignored)
+ */
+router.get('/', requireRole(), async (req, res) => {
+  try {
+    const { actor, action, targetType, target, outcome, from, to, limit, offset } = req.query;
+    const filter = { actor, action, targetType, target, outcome, from, to };
+
+    if (req.query.format === 'csv') {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const result = await auditLog.exportCsv({ ...filter, limit }, chunk => {
+        if (res.destroyed) {
+          throw new Error('Client closed the audit export');
+        }
+        if (!res.headersSent) {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          res.setHeader('Content-Disposition', `attachment; filename="hypermill-config-audit-${stamp}.csv"`);
+        }
+        if (!res.write(chunk)) {
+          return new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      return res.end();
+    }
+
+    const result = await auditLog.query({ ...filter, limit, offset });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+
+    // A failed CSV export must not look like a complete file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  ROLES,
+  authService,
+  authenticate,
+  requireRole,
+  requireSelfOrRole,
+  canActFor
+} = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+/**
+ * POST /api/auth/login
+ * Password login for programmers and CAM admins
+ * Body: { username: "szborok", password: "..." }
+ * Returns a session token: send it as "Authorization: Bearer <token>"
+ */
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'username and password are required in request body'
+      });
+    }
+
+    const result = authService.login(username, password);
+
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// Everything below needs a valid token
+router.use(authenticate);
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', (req, res) => {
+  try {
+    if (req.user.tokenType !== 'session') {
+      return res.status(400).json({
+        error: 'Only login sessions can be logged out - revoke API tokens with DELETE /api/auth/tokens/:tokenId'
+      });
+    }
+
+    res.json(authService.revokeToken(req.user.tokenId));
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The authenticated user
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+/**
+ * PUT /api/auth/me/password
+ * Change own password (revokes all own sessions and API tokens)
+ * Body: { currentPassword, newPassword }
+ */
+router.put('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'currentPassword and newPassword are required in request body'
+      });
+    }
+
+    if (!authService.checkCredentials(req.user.username, currentPassword)) {
+      return res.status(401).json({
+        error: 'Current password is wrong'
+      });
+    }
+
+    const result = authService.updateUser(req.user.username, { password: newPassword });
+
+    await audit(req, { action: 'user.password-change', targetType: 'user', target: req.user.username });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/users
+ * List users (CAM admin)
+ */
+router.get('/users', requireRole(), (req, res) => {
+  try {
+    res.json(authService.listUsers());
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user (CAM admin)
+ * Body: { username: "szborok", password: "...", role: "programmer" | "cam-admin" | "service", displayName }
+ * Service accounts need no password - give them an API token instead
+ */
+router.post('/users', requireRole(), async (req, res) => {
+  try {
+    const result = authService.createUser(req.body || {});
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json(result);
+    }
+
+    await audit(req, { action: 'user.create', targetType: 'user', target: result.user.username, after: result.user });
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/users/:username
+ * One user (own account or CAM admin)
+ */
+router.get('/users/:username', requireSelfOrRole(), (req, res) => {
+  try {
+    const result = authService.getUser(req.params.username);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:username
+ * Change role, display name, password or disabled flag (CAM admin)
+ * Body: { role, displayName, password, disabled }
+ */
+router.put('/users/:username', requireRole(), async (req, res) => {
+  try {
+    const { role, displayName, password, disabled } = req.body || {};
+    const before = authService.getUser(req.params.username).user;
+    const result = authService.updateUser(req.params.username, { role, displayName, password, disabled });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+
+    await audit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      target: result.user.username,
+      before,
+      after: { ...result.user, passwordChanged: Boolean(password) }
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:username
+ * Delete a user and their tokens (CAM admin, not the own account)
+ */
+router.delete('/users/:username', requireRole(), async (req, res) => {
+  try {
+    if (req.params.username.toLowerCase() === req.user.username.toLowerCase()) {
+      return res.status(400).json({
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    const before = authService.getUser(req.params.username).user;
+    const result = authService.deleteUser(req.params.username);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, { action: 'user.delete', targetType: 'user', target: result.deleted, before });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * List own tokens; CAM admins may pass ?username= or list all
+ */
+router.get('/tokens', (req, res) => {
+  try {
+    const username = req.user.role === ROLES.CAM_ADMIN ? req.query.username : req.user.username;
+    res.json(authService.listTokens(username));
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token - the plain token is only returned in this response
+ * Body: { name: "toolManager", expiresInDays: 365, username: "svc-toolmanager" }
+ * username defaults to the caller; only CAM admins can create tokens for other accounts
+ */
+router.post('/tokens', requireSelfOrRole(), async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body || {};
+    const username = req.targetUsername;
+    const result = authService.createApiToken(username, { name, expiresInDays });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+
+    await audit(req, { action: 'token.create', targetType: 'user', target: username, after: result.apiToken });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke a token (own tokens, or any token as CAM admin)
+ */
+router.delete('/tokens/:tokenId', async (req, res) => {
+  try {
+    const token = authService.getToken(req.params.tokenId);
+
+    if (token && !canActFor(req.user, token.username)) {
+      return res.status(403).json({
+        error: `Not allowed to revoke tokens of ${token.username}`
+      });
+    }
+
+    const result = authService.revokeToken(req.params.tokenId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, {
+      action: 'token.revoke',
+      targetType: 'user',
+      target: token.username,
+      before: authService.describeToken(token)
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
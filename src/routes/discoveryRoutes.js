@@ -10,29 +10,133 @@ const SettingsParser = require('../services/SettingsParser');
 const ServerFileMonitor = require('../services/ServerFileMonitor');
 const ServerPathsManifest = require('../services/ServerPathsManifest');
 const FileMapping = require('../services/FileMapping');
+const NetworkAccessService = require('../services/NetworkAccessService');
+const DriveMap = require('../services/DriveMap');
+const SyncScheduler = require('../services/SyncScheduler');
+const SettingsWatcherService = require('../services/SettingsWatcherService');
+const SettingsImportService = require('../services/SettingsImportService');
+const { ROLES, requireRole, requireSelfOrRole, canActFor, currentUsername } = require('../middleware/auth');
+const { audit, auditLog } = require('../middleware/audit');
+const { eventBus, streamEvents } = require('../middleware/events');
 const PATHS_CONFIG = require('../config/PATHS_CONFIG');
 
-const locator = new ConfigurationLocator();
+const driveMap = new DriveMap();
+const networkAccess = new NetworkAccessService({ driveMap });
+const locator = new ConfigurationLocator({ networkAccess, driveMap });
 const profileService = new UserProfileService();
-const parser = new SettingsParser();
-const fileMonitor = new ServerFileMonitor();
-const pathsManifest = new ServerPathsManifest();
-const fileMapping = new FileMapping();
+const parser = new SettingsParser({ driveMap });
+const importer = new SettingsImportService({ profileService, parser, locator });
+const fileMonitor = new ServerFileMonitor({ networkAccess, driveMap, eventBus });
+const pathsManifest = new ServerPathsManifest({ driveMap, networkAccess });
+const fileMapping = new FileMapping({ networkAccess, driveMap });
+const syncScheduler = new SyncScheduler(fileMapping, fileMonitor, { eventBus, auditLog });
 
 /**
- * Get current logged-in username
+ * Username a request acts for: the authenticated user
+ * (the logged-in OS user when authentication is disabled)
  */
-function getCurrentUsername() {
-  return os.userInfo().username;
+function getCurrentUsername(req) {
+  return currentUsername(req);
 }
 
+/**
+ * User recorded as having made a decision - a client-supplied name
+ * is only trusted when authentication is disabled
+ */
+function getActingUser(req, claimed) {
+  return req.user && !req.user.authDisabled ? req.user.username : claimed || getCurrentUsername(req);
+}
+
+/**
+ * User filter for list endpoints: ?username for CAM admins (and the given roles),
+ * always the caller for everyone else
+ */
+function getListScope(req, roles = [ROLES.SERVICE]) {
+  return canActFor(req.user, null, roles) ? req.query.username : getCurrentUsername(req);
+}
+
+/**
+ * User a request targets, as resolved (and checked) by requireSelfOrRole / requireRole:
+ * /:username, body.username or ?username - which must agree - else the authenticated user
+ */
+function getTargetUsername(req) {
+  return req.targetUsername || getCurrentUsername(req);
+}
+
+/**
+ * Run the import pipeline for a request, audit it and send the response
+ * @param {Object} extra - Response fields ({ message, importedSource })
+ */
+async function sendImportResult(req, res, username, filePath, source, extra = {}) {
+  const result = await importer.importFile(username, filePath, { source });
+
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json(result);
+  }
+
+  await audit(req, {
+    action: 'settings.import',
+    targetType: 'profile',
+    target: username,
+    before: result.before,
+    after: { ...result.after, source, file: filePath }
+  });
+
+  res.json({
+    success: true,
+    ...extra,
+    importedFrom: filePath,
+    fileSize: locator.formatBytes(result.fileSize),
+    importedAt: new Date().toISOString(),
+    versionId: result.versionId,
+    pathsToScan: result.scanConfig.pathsToScan.length,
+    profile: profileService.getUserProfileSummary(username)
+  });
+}
+
+/**
+ * Compact file mapping for audit summaries (without sync history)
+ */
+function describeMapping(mapping) {
+  if (!mapping) return null;
+  const { serverPath, fileType, status, lastServerHash, lastLocalHash, autoApprove } = mapping;
+  return { serverPath, fileType, status, lastServerHash, lastLocalHash, autoApprove };
+}
+
+const settingsWatchers = new SettingsWatcherService({
+  locator,
+  eventBus,
+  networkAccess,
+  importer: async (username, filePath) => {
+    const result = await importer.importFile(username, filePath, { source: 'watcher' });
+
+    if (result.success) {
+      await auditLog.record({
+        actor: 'system:watcher',
+        action: 'settings.import',
+        targetType: 'profile',
+        target: username,
+        before: result.before,
+        after: { ...result.after, source: 'watcher', file: filePath }
+      });
+    }
+    return result;
+  }
+});
+settingsWatchers.restoreWatchers();
+
 /**
  * POST /api/discover/init
  * Initialize storage directories
  */
-router.post('/init', (req, res) => {
+router.post('/init', requireRole(), async (req, res) => {
   try {
     fileMapping.ensureDirectories();
+    await audit(req, {
+      action: 'storage.init',
+      targetType: 'storage',
+      target: PATHS_CONFIG.serverFilesCacheDir
+    });
     
     res.json({
       success: true,
@@ -49,13 +153,16 @@ router.post('/init', (req, res) => {
 /**
  * GET /api/discover/settings
  * Find all .omSettings files on the system
+ * Optional: ?username=override - network roots are searched with that user's access approvals
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
-    const info = await locator.getSettingsInfo();
+    const username = getTargetUsername(req);
+    const info = await locator.getSettingsInfo({ username });
     res.json({
       success: true,
-      currentUser: getCurrentUsername(),
+      username,
+      currentUser: username, // Deprecated alias of username
       discovered: info.found,
       latest: info.latest,
       all: info.all,
@@ -72,10 +179,12 @@ router.get('/settings', async (req, res) => {
 /**
  * GET /api/discover/latest
  * Get the most recent .omSettings file
+ * Optional: ?username=override
  */
-router.get('/latest', async (req, res) => {
+router.get('/latest', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
-    const latest = await locator.findLatestSettings();
+    const username = getTargetUsername(req);
+    const latest = await locator.findLatestSettings({ username });
 
     if (!latest) {
       return res.status(404).json({
@@ -86,7 +195,8 @@ router.get('/latest', async (req, res) => {
     res.json({
       success: true,
       found: true,
-      currentUser: getCurrentUsername(),
+      username,
+      currentUser: username, // Deprecated alias of username
       settings: latest
     });
   } catch (error) {
@@ -97,82 +207,19 @@ router.get('/latest', async (req, res) => {
   }
 });
 
-/**
- * POST /api/discover/auto-import
- * Auto-import the latest .omSettings file for the current user
- * Optional: ?username=override to import for different user
- */
-router.post('/auto-import', async (req, res) => {
-  try {
-    // Get username from query param or use current user
-    const username = req.query.username || getCurrentUsername();
-
-    // Find latest settings
-    const latest = await locator.findLatestSettings();
-
-    if (!latest) {
-      return res.status(404).json({
-        error: 'No .omSettings files found on system to import'
-      });
-    }
-
-    console.log(`📥 Auto-importing settings for ${username} from: ${latest.path}`);
-
-    // Save to user profile
-    const saveResult = profileService.saveUserSettings(username, latest.path);
-
-    if (!saveResult.success) {
-      return res.status(400).json(saveResult);
-    }
-
-    // Parse the settings
-    const parseResult = await parser.parseSettings(latest.path);
-
-    if (!parseResult.success) {
-      return res.status(400).json(parseResult);
-    }
-
-    // Save parsed config
-    const configSave = profileService.saveParsedConfig(username, parseResult.config);
-
-    // Generate scanner config
-    const scanConfig = profileService.generateScannerConfig(username, parseResult.config);
-    const scanSave = profileService.saveScannerConfig(username, scanConfig);
-
-    // Cleanup
-    if (parseResult.tempDir) {
-      await parser.cleanup(parseResult.tempDir);
-    }
-
-    res.json({
-      success: true,
-      message: `Auto-imported settings for ${username}`,
-      importedFrom: latest.path,
-      importedSource: latest.source,
-      fileSize: latest.sizeReadable,
-      importedAt: new Date().toISOString(),
-      pathsToScan: scanConfig.pathsToScan.length,
-      profile: profileService.getUserProfileSummary(username)
-    });
-  } catch (error) {
-    console.error('Error auto-importing:', error);
-    res.status(500).json({
-      error: error.message
-    });
-  }
-});
-
 /**
  * GET /api/discover/locations
- * Get HyperMILL Configuration Center paths and locations for current user
+ * Get HyperMILL Configuration Center paths and common locations for a user
+ * Optional: ?username=override
  */
-router.get('/locations', (req, res) => {
+router.get('/locations', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
-    const username = getCurrentUsername();
-    const locations = locator.getConfigurationCenterPaths();
+    const username = getTargetUsername(req);
+    const locations = locator.getConfigurationCenterPaths(username);
     res.json({
       success: true,
-      currentUser: username,
+      username,
+      currentUser: username, // Deprecated alias of username
       configurationCenterPaths: locations,
       commonLocations: {
         'User Documents': `C:\\Users\\${username}\\Documents`,
@@ -190,74 +237,52 @@ router.get('/locations', (req, res) => {
 });
 
 /**
- * POST /api/discover/import-file
- * Import settings from a specific file path for current user
- * Body: { filePath: "path/to/file.omSettings" }
- * Optional: ?username=override to import for different user
+ * POST /api/discover/auto-import
+ * POST /api/discover/auto-import/:username
+ * Auto-import the latest .omSettings file for a user
+ * Without :username: ?username=override, otherwise the authenticated user
  */
-router.post('/import-file', async (req, res) => {
+router.post(['/auto-import', '/auto-import/:username'], requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
-    const username = req.query.username || getCurrentUsername();
-    const { filePath } = req.body;
+    const username = getTargetUsername(req);
 
-    if (!filePath) {
-      return res.status(400).json({
-        error: 'filePath is required in request body'
-      });
-    }
+    // Find latest settings
+    const latest = await locator.findLatestSettings({ username });
 
-    // Verify file exists
-    if (!fs.existsSync(filePath)) {
+    if (!latest) {
       return res.status(404).json({
-        error: `File not found: ${filePath}`
-      });
-    }
-
-    // Verify it's an .omSettings file
-    if (!filePath.endsWith('.omSettings')) {
-      return res.status(400).json({
-        error: 'File must be a .omSettings file'
+        error: 'No .omSettings files found on system to import'
       });
     }
 
-    console.log(`📥 Importing settings for ${username} from: ${filePath}`);
-
-    // Save to user profile
-    const saveResult = profileService.saveUserSettings(username, filePath);
-
-    if (!saveResult.success) {
-      return res.status(400).json(saveResult);
-    }
-
-    // Parse the settings
-    const parseResult = await parser.parseSettings(filePath);
-
-    if (!parseResult.success) {
-      return res.status(400).json(parseResult);
-    }
-
-    // Save parsed config
-    const configSave = profileService.saveParsedConfig(username, parseResult.config);
-
-    // Generate scanner config
-    const scanConfig = profileService.generateScannerConfig(username, parseResult.config);
-    const scanSave = profileService.saveScannerConfig(username, scanConfig);
-
-    // Cleanup
-    if (parseResult.tempDir) {
-      await parser.cleanup(parseResult.tempDir);
-    }
+    console.log(`📥 Auto-importing settings for ${username} from: ${latest.path}`);
+    await sendImportResult(req, res, username, latest.path, 'auto-import', {
+      message: `Auto-imported settings for ${username}`,
+      importedSource: latest.source
+    });
+  } catch (error) {
+    console.error('Error auto-importing:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
 
-    const stats = fs.statSync(filePath);
+/**
+ * POST /api/discover/import-file
+ * POST /api/discover/import-file/:username
+ * Import settings from a specific file path
+ * Body: { filePath: "path/to/file.omSettings" }
+ * Without :username: ?username=override, otherwise the authenticated user
+ */
+router.post(['/import-file', '/import-file/:username'], requireRole(ROLES.SERVICE), async (req, res) => {
+  try {
+    const username = getTargetUsername(req);
+    const { filePath } = req.body || {};
 
-    res.json({
-      success: true,
-      message: `Imported settings for ${username}`,
-      importedFrom: filePath,
-      fileSize: (stats.size / 1024 / 1024).toFixed(1) + ' MB',
-      importedAt: new Date().toISOString(),
-      pathsToScan: scanConfig.pathsToScan.length,
-      profile: profileService.getUserProfileSummary(username)
+    console.log(`📥 Importing settings for ${username} from: ${filePath}`);
+    await sendImportResult(req, res, username, filePath, 'import-file', {
+      message: `Imported settings for ${username}`
     });
   } catch (error) {
     console.error('Error importing file:', error);
@@ -269,29 +294,40 @@ router.post('/import-file', async (req, res) => {
 
 /**
  * GET /api/discover/watch/start
- * Start watching for new .omSettings files for current user
- * Optional: ?username=override to watch for different user
+ * GET /api/discover/watch/start/:username
+ * Start watching for new .omSettings files for a user
+ * Without :username: ?username=override, otherwise the authenticated user
+ * Optional: ?autoImport=true to import each new file
+ * Events are delivered on GET /api/discover/events
  */
-router.get('/watch/start', (req, res) => {
+router.get(['/watch/start', '/watch/start/:username'], requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
-    const username = req.query.username || getCurrentUsername();
+    const username = getTargetUsername(req);
+    const result = settingsWatchers.startWatcher({
+      username,
+      autoImport: req.query.autoImport === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
 
-    // Start watcher (in production, would use persistence)
-    const watcher = locator.watchForNewSettings((file) => {
-      console.log(`🔔 New .omSettings detected for ${username}:`, file);
-      // Could emit via WebSocket or store notification
+    await audit(req, {
+      action: 'watcher.start',
+      targetType: 'watcher',
+      target: result.watcher.id,
+      after: result.watcher
     });
 
     res.json({
       success: true,
       message: `Started watching for .omSettings files for user: ${username}`,
       watching: true,
-      watchedPaths: [
-        `C:\\Users\\${username}\\Documents`,
-        `C:\\Users\\${username}\\Downloads`,
-        'C:\\Users\\Public\\Documents\\OPEN MIND\\backup'
-      ],
-      note: 'Watcher will run until server restarts. Use WebSockets for production.'
+      watcherId: result.watcher.id,
+      watchedPaths: result.watcher.watchedPaths,
+      skippedPaths: result.watcher.skippedPaths,
+      autoImport: result.watcher.autoImport,
+      events: '/api/discover/events'
     });
   } catch (error) {
     res.status(500).json({
@@ -306,7 +342,7 @@ router.get('/watch/start', (req, res) => {
  */
 router.get('/current-user', (req, res) => {
   try {
-    const username = getCurrentUsername();
+    const username = getCurrentUsername(req);
     const userHome = os.homedir();
     const userInfo = os.userInfo();
 
@@ -328,24 +364,15 @@ router.get('/current-user', (req, res) => {
   }
 });
 
-module.exports = router;
-
 /**
- * GET /api/discover/settings
- * Find all .omSettings files on the system
+ * GET /api/discover/watchers
+ * List running settings watchers
+ * Query: ?username=szborok (optional)
  */
-router.get('/settings', async (req, res) => {
+router.get('/watchers', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
-    const info = await locator.getSettingsInfo();
-    res.json({
-      success: true,
-      discovered: info.found,
-      latest: info.latest,
-      all: info.all,
-      searchedPaths: info.searchPaths
-    });
+    res.json(settingsWatchers.listWatchers(getListScope(req)));
   } catch (error) {
-    console.error('Error discovering settings:', error);
     res.status(500).json({
       error: error.message
     });
@@ -353,26 +380,42 @@ router.get('/settings', async (req, res) => {
 });
 
 /**
- * GET /api/discover/latest
- * Get the most recent .omSettings file
+ * POST /api/discover/watchers
+ * Start a settings watcher (kept across server restarts until stopped)
+ * Body: { username: "szborok", paths: ["C:\\Users\\szborok\\Documents"], autoImport: true }
+ * paths defaults to Documents, Downloads and the OPEN MIND backup folder; custom paths need the
+ * cam-admin or service role (like import-file, they would import any .omSettings on the host)
  */
-router.get('/latest', async (req, res) => {
+router.post('/watchers', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
-    const latest = await locator.findLatestSettings();
+    const { paths, autoImport } = req.body || {};
 
-    if (!latest) {
-      return res.status(404).json({
-        error: 'No .omSettings files found on system'
+    if (Array.isArray(paths) && paths.length > 0 && !canActFor(req.user, null, [ROLES.SERVICE])) {
+      await audit(req, { action: 'access.denied', outcome: 'denied', targetType: 'watcher', target: paths.join(', ') });
+      return res.status(403).json({
+        error: 'Custom watch paths require role: cam-admin or service'
       });
     }
 
-    res.json({
-      success: true,
-      found: true,
-      settings: latest
+    const result = settingsWatchers.startWatcher({
+      username: getTargetUsername(req),
+      paths,
+      autoImport
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'watcher.start',
+      targetType: 'watcher',
+      target: result.watcher.id,
+      after: result.watcher
     });
+
+    res.status(201).json(result);
   } catch (error) {
-    console.error('Error finding latest settings:', error);
     res.status(500).json({
       error: error.message
     });
@@ -380,61 +423,58 @@ router.get('/latest', async (req, res) => {
 });
 
 /**
- * POST /api/discover/auto-import/:username
- * Auto-import the latest .omSettings file for a user
+ * DELETE /api/discover/watchers/:watcherId
+ * Stop a settings watcher
  */
-router.post('/auto-import/:username', async (req, res) => {
+router.delete('/watchers/:watcherId', async (req, res) => {
   try {
-    const { username } = req.params;
-
-    // Find latest settings
-    const latest = await locator.findLatestSettings();
-
-    if (!latest) {
-      return res.status(404).json({
-        error: 'No .omSettings files found on system to import'
+    const watcher = settingsWatchers.watchers[req.params.watcherId];
+    if (watcher && !canActFor(req.user, watcher.definition.username, [ROLES.SERVICE])) {
+      return res.status(403).json({
+        error: `Not allowed to stop watchers of ${watcher.definition.username}`
       });
     }
 
-    console.log(`📥 Auto-importing settings for ${username} from: ${latest.path}`);
-
-    // Save to user profile
-    const saveResult = profileService.saveUserSettings(username, latest.path);
-
-    if (!saveResult.success) {
-      return res.status(400).json(saveResult);
-    }
-
-    // Parse the settings
-    const parseResult = await parser.parseSettings(latest.path);
+    const result = settingsWatchers.stopWatcher(req.params.watcherId);
 
-    if (!parseResult.success) {
-      return res.status(400).json(parseResult);
+    if (!result.success) {
+      return res.status(404).json(result);
     }
 
-    // Save parsed config
-    const configSave = profileService.saveParsedConfig(username, parseResult.config);
+    await audit(req, {
+      action: 'watcher.stop',
+      targetType: 'watcher',
+      target: req.params.watcherId,
+      before: result.watcher
+    });
 
-    // Generate scanner config
-    const scanConfig = profileService.generateScannerConfig(username, parseResult.config);
-    const scanSave = profileService.saveScannerConfig(username, scanConfig);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
 
-    // Cleanup
-    if (parseResult.tempDir) {
-      await parser.cleanup(parseResult.tempDir);
-    }
+/**
+ * GET /api/discover/events
+ * Server-Sent Events stream of watcher events
+ * (settings-detected, settings-imported, import-failed, watcher-started, watcher-stopped, watcher-error)
+ * Same stream as /api/events?topics=watcher (Last-Event-ID replay, ?topics to widen it)
+ * Query: ?username=szborok to receive one user's events only
+ */
+router.get('/events', (req, res) => {
+  streamEvents(req, res, { topics: ['watcher'] });
+});
 
-    res.json({
-      success: true,
-      message: `Auto-imported settings for ${username}`,
-      importedFrom: latest.path,
-      importedSource: latest.source,
-      fileSize: latest.sizeReadable,
-      importedAt: new Date().toISOString(),
-      profile: profileService.getUserProfileSummary(username)
-    });
+/**
+ * GET /api/discover/drive-map
+ * Workstation drive-letter map: every letter A-Z as local / server / removable, with UNC roots
+ */
+router.get('/drive-map', (req, res) => {
+  try {
+    res.json(driveMap.listDrives());
   } catch (error) {
-    console.error('Error auto-importing:', error);
     res.status(500).json({
       error: error.message
     });
@@ -442,22 +482,25 @@ router.post('/auto-import/:username', async (req, res) => {
 });
 
 /**
- * GET /api/discover/locations
- * Get HyperMILL Configuration Center paths and locations
+ * GET /api/discover/drive-map/classify
+ * Classify a path with the current drive map
+ * Query: ?path=P:\\Post\\machine.pp
  */
-router.get('/locations', (req, res) => {
+router.get('/drive-map/classify', (req, res) => {
   try {
-    const locations = locator.getConfigurationCenterPaths();
+    const { path: pathStr } = req.query;
+
+    if (!pathStr) {
+      return res.status(400).json({
+        error: 'path query parameter is required'
+      });
+    }
+
     res.json({
       success: true,
-      configurationCenterPaths: locations,
-      commonLocations: {
-        'User Documents': `C:\\Users\\${require('os').userInfo().username}\\Documents`,
-        'User Downloads': `C:\\Users\\${require('os').userInfo().username}\\Downloads`,
-        'Public Documents': 'C:\\Users\\Public\\Documents\\OPEN MIND',
-        'Public Backup': 'C:\\Users\\Public\\Documents\\OPEN MIND\\backup',
-        'User AppData': `C:\\Users\\${require('os').userInfo().username}\\AppData\\Roaming\\OPEN MIND`
-      }
+      path: pathStr,
+      classification: driveMap.classifyPath(pathStr),
+      uncPath: driveMap.toUncPath(pathStr)
     });
   } catch (error) {
     res.status(500).json({
@@ -467,74 +510,88 @@ router.get('/locations', (req, res) => {
 });
 
 /**
- * POST /api/discover/import-file/:username
- * Import settings from a specific file path
+ * PUT /api/discover/drive-map
+ * Set the type used for letters that are not listed
+ * Body: { defaultType: "server" }
  */
-router.post('/import-file/:username', async (req, res) => {
+router.put('/drive-map', requireRole(), async (req, res) => {
   try {
-    const { username } = req.params;
-    const { filePath } = req.body;
-
-    if (!filePath) {
-      return res.status(400).json({
-        error: 'filePath is required'
-      });
-    }
+    const before = driveMap.load().defaultType;
+    const result = driveMap.setDefaultType((req.body || {}).defaultType);
 
-    // Verify file exists
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        error: `File not found: ${filePath}`
-      });
+    if (!result.success) {
+      return res.status(400).json(result);
     }
 
-    // Verify it's an .omSettings file
-    if (!filePath.endsWith('.omSettings')) {
-      return res.status(400).json({
-        error: 'File must be a .omSettings file'
-      });
-    }
+    await audit(req, {
+      action: 'drive-map.default-type',
+      targetType: 'drive-map',
+      target: 'defaultType',
+      before: { defaultType: before },
+      after: { defaultType: result.defaultType }
+    });
 
-    console.log(`📥 Importing settings for ${username} from: ${filePath}`);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
 
-    // Save to user profile
-    const saveResult = profileService.saveUserSettings(username, filePath);
+/**
+ * PUT /api/discover/drive-map/:letter
+ * Add or change one drive letter
+ * Body: { type: "server", uncRoot: "\\\\srv\\cam", label: "CAM share" } (type: local | server | removable)
+ */
+router.put('/drive-map/:letter', requireRole(), async (req, res) => {
+  try {
+    const before = driveMap.getDrive(req.params.letter);
+    const result = driveMap.setDrive(req.params.letter, req.body || {});
 
-    if (!saveResult.success) {
-      return res.status(400).json(saveResult);
+    if (!result.success) {
+      return res.status(400).json(result);
     }
 
-    // Parse the settings
-    const parseResult = await parser.parseSettings(filePath);
-
-    if (!parseResult.success) {
-      return res.status(400).json(parseResult);
-    }
+    await audit(req, {
+      action: 'drive-map.set',
+      targetType: 'drive',
+      target: result.drive.letter,
+      before,
+      after: result.drive
+    });
 
-    // Save parsed config
-    const configSave = profileService.saveParsedConfig(username, parseResult.config);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
 
-    // Generate scanner config
-    const scanConfig = profileService.generateScannerConfig(username, parseResult.config);
-    const scanSave = profileService.saveScannerConfig(username, scanConfig);
+/**
+ * DELETE /api/discover/drive-map/:letter
+ * Remove a letter from the map (falls back to the default type)
+ */
+router.delete('/drive-map/:letter', requireRole(), async (req, res) => {
+  try {
+    const before = driveMap.getDrive(req.params.letter);
+    const result = driveMap.removeDrive(req.params.letter);
 
-    // Cleanup
-    if (parseResult.tempDir) {
-      await parser.cleanup(parseResult.tempDir);
+    if (!result.success) {
+      return res.status(404).json(result);
     }
 
-    const stats = fs.statSync(filePath);
-
-    res.json({
-      success: true,
-      message: `Imported settings for ${username}`,
-      importedFrom: filePath,
-      fileSize: (stats.size / 1024 / 1024).toFixed(1) + ' MB',
-      importedAt: new Date().toISOString(),
-      profile: profileService.getUserProfileSummary(username)
+    await audit(req, {
+      action: 'drive-map.remove',
+      targetType: 'drive',
+      target: before.letter,
+      before,
+      after: result.drive
     });
+
+    res.json(result);
   } catch (error) {
-    console.error('Error importing file:', error);
     res.status(500).json({
       error: error.message
     });
@@ -542,31 +599,22 @@ router.post('/import-file/:username', async (req, res) => {
 });
 
 /**
- * GET /api/discover/watch/start/:username
- * Start watching for new .omSettings files
- * TODO: Implement persistent watching with socket.io or similar
+ * POST /api/discover/drive-map/reset
+ * Discard the saved drive map and use the defaults (C: to F: local)
  */
-router.get('/watch/start/:username', (req, res) => {
+router.post('/drive-map/reset', requireRole(), async (req, res) => {
   try {
-    const { username } = req.params;
-
-    // Start watcher (in production, would use persistence)
-    const watcher = locator.watchForNewSettings((file) => {
-      console.log(`🔔 New .omSettings detected:`, file);
-      // Could emit via WebSocket or store notification
-    });
+    const before = driveMap.load();
+    const result = driveMap.reset();
 
-    res.json({
-      success: true,
-      message: `Started watching for .omSettings files for user: ${username}`,
-      watching: true,
-      watchedPaths: [
-        `C:\\Users\\${require('os').userInfo().username}\\Documents`,
-        `C:\\Users\\${require('os').userInfo().username}\\Downloads`,
-        'C:\\Users\\Public\\Documents\\OPEN MIND\\backup'
-      ],
-      note: 'Watcher will run until server restarts. Use WebSockets for production.'
+    await audit(req, {
+      action: 'drive-map.reset',
+      targetType: 'drive-map',
+      target: 'all',
+      before,
+      after: result.driveMap
     });
+    res.json(result);
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -576,15 +624,18 @@ router.get('/watch/start/:username', (req, res) => {
 
 /**
  * GET /api/discover/network-access
- * Get list of blocked network paths that were attempted
+ * Get list of blocked network paths that were attempted, plus the saved decisions
  * User can review what was blocked before granting access
+ * Query: ?username=szborok (optional)
  */
-router.get('/network-access', (req, res) => {
+router.get('/network-access', requireSelfOrRole(), (req, res) => {
   try {
-    const blocked = locator.getBlockedNetworkPaths();
+    const username = getListScope(req, []);
+    const blocked = locator.getBlockedNetworkPaths(username);
     res.json({
       success: true,
       blockedAttempts: blocked,
+      approvals: networkAccess.listApprovals(username).approvals,
       message: blocked.length === 0 ? 'No network access attempts blocked' : `${blocked.length} network paths blocked`,
       note: 'These paths require explicit user permission before access'
     });
@@ -597,12 +648,13 @@ router.get('/network-access', (req, res) => {
 
 /**
  * POST /api/discover/network-access/approve
- * User approves access to a specific network path
- * Body: { networkPath: "path/to/network/share" }
+ * User approves access to a network path or share prefix (recursive unless recursive: false)
+ * Body: { networkPath: "\\\\srv\\cam\\", username: "szborok", recursive: true, expiresInHours: 720 }
+ * username defaults to the logged-in user; no expiry when expiresInHours / expiresAt are omitted
  */
-router.post('/network-access/approve', (req, res) => {
+router.post('/network-access/approve', requireSelfOrRole(), async (req, res) => {
   try {
-    const { networkPath } = req.body;
+    const { networkPath, recursive, expiresInHours, expiresAt } = req.body;
 
     if (!networkPath) {
       return res.status(400).json({
@@ -610,14 +662,32 @@ router.post('/network-access/approve', (req, res) => {
       });
     }
 
-    const username = getCurrentUsername();
-    locator.grantNetworkAccess(networkPath);
+    const currentUser = getCurrentUsername(req);
+    const result = locator.grantNetworkAccess(networkPath, {
+      username: getTargetUsername(req),
+      decidedBy: currentUser,
+      recursive,
+      expiresInHours,
+      expiresAt
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'network-access.approve',
+      targetType: 'network-path',
+      target: networkPath,
+      after: result.approval
+    });
 
     res.json({
       success: true,
       message: `Network access approved for: ${networkPath}`,
-      approvedBy: username,
-      approvedAt: new Date().toISOString()
+      approval: result.approval,
+      approvedBy: currentUser,
+      approvedAt: result.approval.decidedAt
     });
   } catch (error) {
     res.status(500).json({
@@ -628,12 +698,12 @@ router.post('/network-access/approve', (req, res) => {
 
 /**
  * POST /api/discover/network-access/deny
- * User denies access to a specific network path
- * Body: { networkPath: "path/to/network/share" }
+ * User denies access to a network path or share prefix
+ * Body: { networkPath: "\\\\srv\\cam\\private", username: "szborok", recursive: true, expiresInHours: 24 }
  */
-router.post('/network-access/deny', (req, res) => {
+router.post('/network-access/deny', requireSelfOrRole(), async (req, res) => {
   try {
-    const { networkPath } = req.body;
+    const { networkPath, recursive, expiresInHours, expiresAt } = req.body;
 
     if (!networkPath) {
       return res.status(400).json({
@@ -641,15 +711,82 @@ router.post('/network-access/deny', (req, res) => {
       });
     }
 
-    const username = getCurrentUsername();
-    locator.denyNetworkAccess(networkPath);
+    const currentUser = getCurrentUsername(req);
+    const result = locator.denyNetworkAccess(networkPath, {
+      username: getTargetUsername(req),
+      decidedBy: currentUser,
+      recursive,
+      expiresInHours,
+      expiresAt
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'network-access.deny',
+      targetType: 'network-path',
+      target: networkPath,
+      after: result.approval
+    });
 
     res.json({
       success: true,
       message: `Network access denied for: ${networkPath}`,
-      deniedBy: username,
-      deniedAt: new Date().toISOString()
+      approval: result.approval,
+      deniedBy: currentUser,
+      deniedAt: result.approval.decidedAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discover/network-access/approvals
+ * List saved network access decisions (expired ones are flagged)
+ * Query: ?username=szborok (optional)
+ */
+router.get('/network-access/approvals', requireSelfOrRole(), (req, res) => {
+  try {
+    res.json(networkAccess.listApprovals(getListScope(req, [])));
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/discover/network-access/approvals/:approvalId
+ * Remove a saved decision (the path needs approval again)
+ */
+router.delete('/network-access/approvals/:approvalId', async (req, res) => {
+  try {
+    const approval = networkAccess.listApprovals().approvals.find(a => a.id === req.params.approvalId);
+    if (approval && !canActFor(req.user, approval.username)) {
+      return res.status(403).json({
+        error: `Not allowed to remove network access decisions of ${approval.username}`
+      });
+    }
+
+    const result = networkAccess.revoke(req.params.approvalId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, {
+      action: 'network-access.revoke',
+      targetType: 'network-path',
+      target: approval.prefix,
+      before: approval
     });
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -661,9 +798,15 @@ router.post('/network-access/deny', (req, res) => {
  * POST /api/discover/prompt-mode
  * Enable "ask user" mode - system will ask before accessing server drives
  */
-router.post('/prompt-mode', (req, res) => {
+router.post('/prompt-mode', requireRole(), async (req, res) => {
   try {
     locator.enableUserPromptMode();
+    await audit(req, {
+      action: 'locator.prompt-mode',
+      targetType: 'locator',
+      target: 'prompt-mode',
+      after: { enabled: true }
+    });
     
     res.json({
       success: true,
@@ -678,12 +821,176 @@ router.post('/prompt-mode', (req, res) => {
   }
 });
 
+/**
+ * GET /api/discover/locator-config
+ * Get the locator search settings with every root expanded (%ENV% tokens resolved)
+ */
+router.get('/locator-config', (req, res) => {
+  try {
+    const roots = locator.getSearchRoots().map(root => ({
+      ...root,
+      exists: root.unresolved.length === 0 && fs.existsSync(root.path),
+      isNetworkPath: locator.isNetworkPath(root.path)
+    }));
+
+    res.json({
+      success: true,
+      configFile: locator.locatorConfig.configFile,
+      config: locator.locatorConfig.load(),
+      resolvedRoots: roots
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/discover/locator-config
+ * Update general search settings
+ * Body: { maxDepth: 3, fileGlobs: ["*.omSettings"], skipPatterns: ["node_modules", "*cache*"], variables: { USERPROFILE: "E:\\image\\Users\\szborok" } }
+ */
+router.put('/locator-config', requireRole(), async (req, res) => {
+  try {
+    const before = locator.locatorConfig.load();
+    const result = locator.locatorConfig.updateSettings(req.body || {});
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'locator-config.update',
+      targetType: 'locator-config',
+      target: 'settings',
+      before,
+      after: result.config
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/locator-config/reset
+ * Discard the saved locator config and use the defaults
+ */
+router.post('/locator-config/reset', requireRole(), async (req, res) => {
+  try {
+    const before = locator.locatorConfig.load();
+    const result = locator.locatorConfig.reset();
+
+    await audit(req, {
+      action: 'locator-config.reset',
+      targetType: 'locator-config',
+      target: 'settings',
+      before,
+      after: result.config
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/locator-config/roots
+ * Add a search root
+ * Body: { id: "hm-2025", path: "%PROGRAMFILES%\\OPEN MIND\\hyperMILL\\35.0", maxDepth: 3, enabled: true, label: "hyperMILL 2025" }
+ */
+router.post('/locator-config/roots', requireRole(), async (req, res) => {
+  try {
+    const result = locator.locatorConfig.addRoot(req.body || {});
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'locator-config.root-add',
+      targetType: 'search-root',
+      target: result.root.id,
+      after: result.root
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/discover/locator-config/roots/:id
+ * Update a search root (path, maxDepth, enabled, label)
+ */
+router.put('/locator-config/roots/:id', requireRole(), async (req, res) => {
+  try {
+    const before = locator.locatorConfig.load().roots.find(root => root.id === req.params.id);
+    const result = locator.locatorConfig.updateRoot(req.params.id, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+
+    await audit(req, {
+      action: 'locator-config.root-update',
+      targetType: 'search-root',
+      target: req.params.id,
+      before,
+      after: result.root
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/discover/locator-config/roots/:id
+ * Remove a search root
+ */
+router.delete('/locator-config/roots/:id', requireRole(), async (req, res) => {
+  try {
+    const before = locator.locatorConfig.load().roots.find(root => root.id === req.params.id);
+    const result = locator.locatorConfig.removeRoot(req.params.id);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, {
+      action: 'locator-config.root-remove',
+      targetType: 'search-root',
+      target: req.params.id,
+      before
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/discover/file-sync/cache-from-server
  * Copy a file from server drive to local cache
  * Body: { serverPath: "P:\\path\\to\\file.omSettings" }
  */
-router.post('/file-sync/cache-from-server', (req, res) => {
+router.post('/file-sync/cache-from-server', requireRole(), async (req, res) => {
   try {
     const { serverPath } = req.body;
 
@@ -693,12 +1000,19 @@ router.post('/file-sync/cache-from-server', (req, res) => {
       });
     }
 
-    const result = fileMonitor.copyFromServerToLocal(serverPath, path.basename(serverPath));
+    const result = await fileMonitor.copyFromServerToLocal(serverPath, path.basename(serverPath), getCurrentUsername(req));
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await audit(req, {
+      action: 'file-sync.cache-from-server',
+      targetType: 'server-file',
+      target: serverPath,
+      after: { localPath: result.localPath, contentHash: result.contentHash, size: result.size }
+    });
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -710,9 +1024,11 @@ router.post('/file-sync/cache-from-server', (req, res) => {
 /**
  * GET /api/discover/file-sync/check-updates
  * Check if server files are newer than local cached versions
+ * Both files are hashed, so localPath must be a tracked file in the server file cache
+ * and serverPath a server path the caller's network access approvals cover
  * Query: ?serverPath=P:\\file.omSettings&localPath=C:\\cache\\file.omSettings
  */
-router.get('/file-sync/check-updates', (req, res) => {
+router.get('/file-sync/check-updates', async (req, res) => {
   try {
     const { serverPath, localPath } = req.query;
 
@@ -722,12 +1038,28 @@ router.get('/file-sync/check-updates', (req, res) => {
       });
     }
 
-    const updateInfo = fileMonitor.checkForUpdates(serverPath, localPath);
+    const targetError = checkBackupTarget(localPath);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    if (!driveMap.isNetworkPath(serverPath)) {
+      return res.status(400).json({ success: false, error: `Not a server path: ${serverPath}` });
+    }
+
+    const username = getCurrentUsername(req);
+    if (!fileMonitor.isServerAccessAllowed(serverPath, username)) {
+      return res.status(403).json({ success: false, error: `Network access not approved: ${serverPath}` });
+    }
+
+    const updateInfo = await fileMonitor.checkForUpdates(serverPath, localPath, username);
 
     res.json({
       success: true,
       updateInfo: updateInfo,
-      message: updateInfo.hasUpdate ? '⚠️ Server file is newer' : '✓ Local cache is up to date'
+      message: updateInfo.hasUpdate
+        ? '⚠️ Server file content differs from local cache'
+        : '✓ Local cache is up to date'
     });
   } catch (error) {
     res.status(500).json({
@@ -758,27 +1090,223 @@ router.get('/file-sync/pending-updates', (req, res) => {
 });
 
 /**
- * POST /api/discover/file-sync/create-update-notification
- * Create a notification for an updated server file
- * Body: { serverPath: "P:\\file.omSettings", localPath: "C:\\cache\\file.omSettings" }
+ * GET /api/discover/file-sync/notifications
+ * Update notification history - which server file versions were accepted, rejected, or are pending
+ * Query: ?status=pending|rejected|synced&since=2025-01-01T00:00:00Z&serverPath=...&localPath=...
+ */
+router.get('/file-sync/notifications', (req, res) => {
+  try {
+    const { status, since, serverPath, localPath } = req.query;
+
+    if (status && !['pending', 'rejected', 'synced'].includes(status)) {
+      return res.status(400).json({
+        error: `Unknown status: ${status} (expected pending, rejected or synced)`
+      });
+    }
+
+    const result = fileMonitor.queryNotifications({ status, since, serverPath, localPath });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/file-sync/create-update-notification
+ * Create a notification for an updated server file
+ * Body: { serverPath: "P:\\file.omSettings", localPath: "C:\\cache\\file.omSettings" }
+ */
+router.post('/file-sync/create-update-notification', requireRole(), async (req, res) => {
+  try {
+    const { serverPath, localPath } = req.body;
+
+    if (!serverPath || !localPath) {
+      return res.status(400).json({
+        error: 'Both serverPath and localPath are required in request body'
+      });
+    }
+
+    // Approving the notification overwrites localPath - only tracked files in the cache
+    const targetError = checkBackupTarget(localPath);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const result = await fileMonitor.createUpdateNotification(serverPath, localPath, getCurrentUsername(req));
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'file-sync.notification-create',
+      targetType: 'server-file',
+      target: serverPath,
+      after: result.notification
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/file-sync/approve-update
+ * User approves an update - sync newer server file to local cache
+ * Body: { notificationId: "update-1234567890", actedBy: "szborok" } (actedBy defaults to the logged-in user)
+ */
+router.post('/file-sync/approve-update', requireRole(), async (req, res) => {
+  try {
+    const { notificationId, actedBy } = req.body;
+
+    if (!notificationId) {
+      return res.status(400).json({
+        error: 'notificationId is required in request body'
+      });
+    }
+
+    const notification = fileMonitor.getNotification(notificationId);
+    const targetError = notification && checkBackupTarget(notification.localPath);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const before = notification ? { status: notification.status } : null;
+    const result = await fileMonitor.approveUpdate(notificationId, getActingUser(req, actedBy));
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'file-sync.update-approve',
+      targetType: 'notification',
+      target: notificationId,
+      before,
+      after: { ...result.notification, backupCreated: result.backupCreated }
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      notification: result.notification,
+      backupCreated: result.backupCreated
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/file-sync/reject-update
+ * User rejects an update - keep using current local cache
+ * Body: { notificationId: "update-1234567890", actedBy: "szborok" } (actedBy defaults to the logged-in user)
+ */
+router.post('/file-sync/reject-update', requireRole(), async (req, res) => {
+  try {
+    const { notificationId, actedBy } = req.body;
+
+    if (!notificationId) {
+      return res.status(400).json({
+        error: 'notificationId is required in request body'
+      });
+    }
+
+    const notification = fileMonitor.getNotification(notificationId);
+    const before = notification ? { status: notification.status } : null;
+    const result = fileMonitor.rejectUpdate(notificationId, getActingUser(req, actedBy));
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'file-sync.update-reject',
+      targetType: 'notification',
+      target: notificationId,
+      before,
+      after: result.notification
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Local cached files known to the monitor or the file mapping
+ */
+function getTrackedLocalPaths() {
+  return [...new Set([
+    ...Object.keys(fileMonitor.serverFileMap),
+    ...Object.keys(fileMapping.mappings)
+  ])];
+}
+
+/**
+ * Backups are only listed, restored and pruned - and updates only checked, notified and
+ * approved - for tracked files inside the server file cache
+ * @returns {string|null} - Error message, or null when the path may be used
+ */
+function checkBackupTarget(localPath) {
+  if (!getTrackedLocalPaths().includes(localPath)) {
+    return `Not a tracked cached file: ${localPath}`;
+  }
+  if (!fileMonitor.isInCache(localPath)) {
+    return `Not inside the server file cache: ${localPath}`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/discover/file-sync/backups
+ * Backup catalogue - for one tracked file in the server file cache, or for all of them
+ * Query: ?localPath=C:\\cache\\file.omSettings (optional)
  */
-router.post('/file-sync/create-update-notification', (req, res) => {
+router.get('/file-sync/backups', async (req, res) => {
   try {
-    const { serverPath, localPath } = req.body;
+    const { localPath } = req.query;
 
-    if (!serverPath || !localPath) {
-      return res.status(400).json({
-        error: 'Both serverPath and localPath are required in request body'
-      });
-    }
+    if (localPath) {
+      const targetError = checkBackupTarget(localPath);
+      if (targetError) {
+        return res.status(400).json({ success: false, error: targetError });
+      }
 
-    const result = fileMonitor.createUpdateNotification(serverPath, localPath);
+      const result = await fileMonitor.listBackups(localPath);
 
-    if (!result.success) {
-      return res.status(400).json(result);
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      return res.json(result);
     }
 
-    res.json(result);
+    const trackedPaths = getTrackedLocalPaths().filter(trackedPath => fileMonitor.isInCache(trackedPath));
+    const files = (await Promise.all(trackedPaths.map(trackedPath => fileMonitor.listBackups(trackedPath))))
+      .filter(result => result.success);
+
+    res.json({
+      success: true,
+      fileCount: files.length,
+      backupCount: files.reduce((sum, file) => sum + file.count, 0),
+      files: files
+    });
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -787,31 +1315,44 @@ router.post('/file-sync/create-update-notification', (req, res) => {
 });
 
 /**
- * POST /api/discover/file-sync/approve-update
- * User approves an update - sync newer server file to local cache
- * Body: { notificationId: "update-1234567890" }
+ * POST /api/discover/file-sync/backups/restore
+ * Swap a backup back in as the current local copy (current copy is backed up first)
+ * Only for tracked files in the server file cache, and only their own backups
+ * Body: { localPath: "C:\\cache\\file.omSettings", backupPath: "C:\\cache\\file.omSettings.backup.2025-01-15T10-30-00-000Z", actedBy: "szborok" }
  */
-router.post('/file-sync/approve-update', (req, res) => {
+router.post('/file-sync/backups/restore', requireRole(), async (req, res) => {
   try {
-    const { notificationId } = req.body;
+    const { localPath, backupPath, actedBy } = req.body;
 
-    if (!notificationId) {
+    if (!localPath || !backupPath) {
       return res.status(400).json({
-        error: 'notificationId is required in request body'
+        error: 'Both localPath and backupPath are required in request body'
       });
     }
 
-    const result = fileMonitor.approveUpdate(notificationId);
+    const targetError = checkBackupTarget(localPath);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    const result = await fileMonitor.restoreBackup(localPath, backupPath, getActingUser(req, actedBy));
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    const mapping = await fileMapping.markAsRestored(localPath, backupPath);
+
+    await audit(req, {
+      action: 'file-sync.backup-restore',
+      targetType: 'local-file',
+      target: localPath,
+      after: { backupPath, mappingUpdated: mapping.success }
+    });
+
     res.json({
-      success: true,
-      message: result.message,
-      notification: result.notification,
-      backupCreated: result.backupCreated
+      ...result,
+      mappingUpdated: mapping.success
     });
   } catch (error) {
     res.status(500).json({
@@ -821,27 +1362,38 @@ router.post('/file-sync/approve-update', (req, res) => {
 });
 
 /**
- * POST /api/discover/file-sync/reject-update
- * User rejects an update - keep using current local cache
- * Body: { notificationId: "update-1234567890" }
+ * POST /api/discover/file-sync/backups/prune
+ * Apply config.backup.retention (days / maxCount) - for one tracked file in the server file cache, or for all of them
+ * Body: { localPath: "C:\\cache\\file.omSettings" } (optional)
  */
-router.post('/file-sync/reject-update', (req, res) => {
+router.post('/file-sync/backups/prune', requireRole(), async (req, res) => {
   try {
-    const { notificationId } = req.body;
+    const { localPath } = req.body || {};
 
-    if (!notificationId) {
-      return res.status(400).json({
-        error: 'notificationId is required in request body'
-      });
+    if (localPath) {
+      const targetError = checkBackupTarget(localPath);
+      if (targetError) {
+        return res.status(400).json({ success: false, error: targetError });
+      }
     }
 
-    const result = fileMonitor.rejectUpdate(notificationId);
+    const localPaths = localPath
+      ? [localPath]
+      : getTrackedLocalPaths().filter(trackedPath => fileMonitor.isInCache(trackedPath));
+    const results = await Promise.all(localPaths.map(trackedPath => fileMonitor.pruneBackups(trackedPath)));
 
-    if (!result.success) {
-      return res.status(400).json(result);
-    }
+    await audit(req, {
+      action: 'file-sync.backup-prune',
+      targetType: 'local-file',
+      target: localPath || 'all',
+      after: { removed: results.reduce((all, result) => all.concat(result.removed || []), []) }
+    });
 
-    res.json(result);
+    res.json({
+      success: results.every(result => result.success),
+      removedCount: results.reduce((sum, result) => sum + (result.removed || []).length, 0),
+      results: results
+    });
   } catch (error) {
     res.status(500).json({
       error: error.message
@@ -872,11 +1424,13 @@ router.get('/file-sync/cache-info', (req, res) => {
 /**
  * POST /api/discover/manifest/analyze
  * Analyze omSettings config and identify which paths are server-based
- * Body: { parsedConfig: {...omSettings parsed object...}, username: "szborok" }
+ * Body: { parsedConfig: {...omSettings parsed object...}, username: "szborok", probe: true, timeoutMs: 5000 }
+ * With probe, every server/local path is checked and unreachable ones are listed
  */
-router.post('/manifest/analyze', (req, res) => {
+router.post('/manifest/analyze', requireRole(), async (req, res) => {
   try {
-    const { parsedConfig, username } = req.body;
+    const { parsedConfig, probe, timeoutMs } = req.body;
+    const username = getTargetUsername(req);
 
     if (!parsedConfig) {
       return res.status(400).json({
@@ -887,21 +1441,39 @@ router.post('/manifest/analyze', (req, res) => {
     // Analyze the config
     const analysis = pathsManifest.analyzePathsFromConfig(parsedConfig);
 
+    if (probe) {
+      await pathsManifest.probeAnalysis(analysis, {
+        username,
+        timeoutMs: timeoutMs ? parseInt(timeoutMs, 10) : undefined
+      });
+    }
+
     // Create manifest
-    const manifestResult = pathsManifest.createManifest(
-      analysis,
-      username || getCurrentUsername()
-    );
+    const manifestResult = pathsManifest.createManifest(analysis, username);
 
     if (!manifestResult.success) {
       return res.status(400).json(manifestResult);
     }
 
+    await audit(req, {
+      action: 'manifest.create',
+      targetType: 'manifest',
+      target: username,
+      after: {
+        generation: manifestResult.generation,
+        diff: manifestResult.diff ? manifestResult.diff.summary : null,
+        alerts: (manifestResult.alerts || []).length
+      }
+    });
+
     res.json({
       success: true,
       analysis: analysis,
       manifest: manifestResult.manifestContent,
       manifestPath: manifestResult.manifestPath,
+      generation: manifestResult.generation,
+      diff: manifestResult.diff,
+      alerts: manifestResult.alerts,
       message: manifestResult.message
     });
   } catch (error) {
@@ -916,14 +1488,14 @@ router.post('/manifest/analyze', (req, res) => {
  * Load a previously created manifest for a user
  * Query: ?username=szborok
  */
-router.get('/manifest/load', (req, res) => {
+router.get('/manifest/load', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
-    const username = req.query.username || getCurrentUsername();
+    const username = getTargetUsername(req);
 
     const result = pathsManifest.loadManifest(username);
 
     if (!result.success) {
-      return res.status(404).json(result);
+      return res.status(result.notFound ? 404 : 400).json(result);
     }
 
     res.json({
@@ -943,9 +1515,9 @@ router.get('/manifest/load', (req, res) => {
  * Get only the server-based paths from a manifest
  * Query: ?username=szborok
  */
-router.get('/manifest/server-paths', (req, res) => {
+router.get('/manifest/server-paths', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
-    const username = req.query.username || getCurrentUsername();
+    const username = getTargetUsername(req);
 
     const result = pathsManifest.getServerPathsFromManifest(username);
 
@@ -956,7 +1528,8 @@ router.get('/manifest/server-paths', (req, res) => {
         : result.error,
       serverPaths: result.serverPaths,
       count: result.count,
-      serverDrives: result.serverDrives
+      serverDrives: result.serverDrives,
+      byShare: result.byShare
     });
   } catch (error) {
     res.status(500).json({
@@ -969,7 +1542,7 @@ router.get('/manifest/server-paths', (req, res) => {
  * GET /api/discover/manifest/list
  * List all available manifests
  */
-router.get('/manifest/list', (req, res) => {
+router.get('/manifest/list', requireRole(ROLES.SERVICE), (req, res) => {
   try {
     const result = pathsManifest.listManifests();
 
@@ -986,12 +1559,147 @@ router.get('/manifest/list', (req, res) => {
   }
 });
 
+/**
+ * POST /api/discover/manifest/probe
+ * Re-probe every server and local path of the user's latest manifest
+ * (exists, file/directory, readable, size/mtime, error code) and update the probe results of that generation
+ * Body: { username: "szborok", timeoutMs: 5000 }
+ */
+router.post('/manifest/probe', requireRole(), async (req, res) => {
+  try {
+    const username = getTargetUsername(req);
+    const timeoutMs = req.body && req.body.timeoutMs ? parseInt(req.body.timeoutMs, 10) : undefined;
+
+    const result = await pathsManifest.probeManifest(username, { timeoutMs });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+
+    const manifest = result.manifestContent;
+
+    await audit(req, {
+      action: 'manifest.probe',
+      targetType: 'manifest',
+      target: username,
+      after: { generation: result.generation, probe: manifest.probe, alerts: (result.alerts || []).length }
+    });
+    res.json({
+      success: true,
+      username,
+      generation: result.generation,
+      lastProbed: manifest.lastProbed,
+      probe: manifest.probe,
+      unreachablePaths: manifest.unreachablePaths.paths,
+      alerts: result.alerts,
+      manifestPath: result.manifestPath
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discover/manifest/generations
+ * Stored manifest generations for a user, oldest first
+ * Query: ?username=szborok
+ */
+router.get('/manifest/generations', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const username = getTargetUsername(req);
+    const result = pathsManifest.listGenerations(username);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      username,
+      count: result.count,
+      generations: result.generations
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discover/manifest/diff
+ * Compare two manifest generations: appeared, vanished, drive-changed and newly unreachable paths
+ * Query: ?username=szborok&from=3&to=5 (default: the latest two generations)
+ */
+router.get('/manifest/diff', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const username = getTargetUsername(req);
+    const result = pathsManifest.compareGenerations(username, req.query.from, req.query.to);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discover/manifest/alerts
+ * Drift alerts raised when a new manifest generation lost or could not reach server paths
+ * Query: ?username=szborok&status=open&type=path-vanished
+ */
+router.get('/manifest/alerts', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { status, type } = req.query;
+    res.json(pathsManifest.getAlerts({ username: getListScope(req), status, type }));
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/manifest/alerts/:alertId/acknowledge
+ * Body: { acknowledgedBy: "szborok" } (defaults to current user)
+ */
+router.post('/manifest/alerts/:alertId/acknowledge', requireRole(), async (req, res) => {
+  try {
+    const acknowledgedBy = getActingUser(req, req.body && req.body.acknowledgedBy);
+    const result = pathsManifest.acknowledgeAlert(req.params.alertId, acknowledgedBy);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, {
+      action: 'manifest.alert-acknowledge',
+      targetType: 'alert',
+      target: req.params.alertId,
+      after: result.alert
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/discover/file-mapping/add
  * Add a new file mapping (server ↔ local)
  * Body: { serverPath: "P:\\file.omSettings", localPath: "C:\\cache\\file.omSettings", fileType: "config" }
  */
-router.post('/file-mapping/add', (req, res) => {
+router.post('/file-mapping/add', requireRole(), async (req, res) => {
   try {
     const { serverPath, localPath, fileType } = req.body;
 
@@ -1001,12 +1709,21 @@ router.post('/file-mapping/add', (req, res) => {
       });
     }
 
-    const result = fileMapping.addMapping(serverPath, localPath, fileType || 'other');
+    const before = fileMapping.getMapping(localPath).mapping;
+    const result = await fileMapping.addMapping(serverPath, localPath, fileType || 'other', getCurrentUsername(req));
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await audit(req, {
+      action: 'file-mapping.add',
+      targetType: 'file-mapping',
+      target: localPath,
+      before: describeMapping(before),
+      after: describeMapping(result.mapping)
+    });
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -1065,7 +1782,7 @@ router.get('/file-mapping/by-status', (req, res) => {
  * Check if a server file has been updated
  * Query: ?localPath=C:\\cache\\file.omSettings
  */
-router.get('/file-mapping/check-update', (req, res) => {
+router.get('/file-mapping/check-update', async (req, res) => {
   try {
     const { localPath } = req.query;
 
@@ -1075,7 +1792,7 @@ router.get('/file-mapping/check-update', (req, res) => {
       });
     }
 
-    const result = fileMapping.checkForServerUpdate(localPath);
+    const result = await fileMapping.checkForServerUpdate(localPath, getCurrentUsername(req));
 
     res.json(result);
   } catch (error) {
@@ -1090,7 +1807,7 @@ router.get('/file-mapping/check-update', (req, res) => {
  * Mark a file as synced after copying from server
  * Body: { localPath: "C:\\cache\\file.omSettings" }
  */
-router.post('/file-mapping/mark-synced', (req, res) => {
+router.post('/file-mapping/mark-synced', requireRole(), async (req, res) => {
   try {
     const { localPath } = req.body;
 
@@ -1100,12 +1817,21 @@ router.post('/file-mapping/mark-synced', (req, res) => {
       });
     }
 
-    const result = fileMapping.markAsSynced(localPath);
+    const before = describeMapping(fileMapping.getMapping(localPath).mapping);
+    const result = await fileMapping.markAsSynced(localPath, getCurrentUsername(req));
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await audit(req, {
+      action: 'file-mapping.mark-synced',
+      targetType: 'file-mapping',
+      target: localPath,
+      before,
+      after: describeMapping(fileMapping.getMapping(localPath).mapping)
+    });
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -1168,7 +1894,7 @@ router.get('/file-mapping/get', (req, res) => {
  * Remove a file mapping
  * Query: ?localPath=C:\\cache\\file.omSettings
  */
-router.delete('/file-mapping/remove', (req, res) => {
+router.delete('/file-mapping/remove', requireRole(), async (req, res) => {
   try {
     const { localPath } = req.query;
 
@@ -1178,8 +1904,155 @@ router.delete('/file-mapping/remove', (req, res) => {
       });
     }
 
+    const before = fileMapping.getMapping(localPath).mapping;
     const result = fileMapping.removeMapping(localPath);
 
+    if (result.success) {
+      await audit(req, {
+        action: 'file-mapping.remove',
+        targetType: 'file-mapping',
+        target: localPath,
+        before: describeMapping(before)
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/file-mapping/auto-approve
+ * Let the sync scheduler replace the local copy without asking (old copy is backed up)
+ * Body: { localPath: "C:\\cache\\file.omSettings", autoApprove: true }
+ */
+router.post('/file-mapping/auto-approve', requireRole(), async (req, res) => {
+  try {
+    const { localPath, autoApprove } = req.body;
+
+    if (!localPath || typeof autoApprove !== 'boolean') {
+      return res.status(400).json({
+        error: 'localPath and autoApprove (boolean) are required'
+      });
+    }
+
+    const result = fileMapping.setAutoApprove(localPath, autoApprove);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await audit(req, {
+      action: 'file-mapping.auto-approve',
+      targetType: 'file-mapping',
+      target: localPath,
+      after: { autoApprove: result.autoApprove }
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/discover/sync-scheduler/status
+ * Get background sync schedule state and last run summary
+ */
+router.get('/sync-scheduler/status', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      status: syncScheduler.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/sync-scheduler/start
+ * Start checking all mapped server files on a fixed interval
+ * Body: { intervalHours: 24 } (optional, defaults to config.backup.autoBackup.intervalHours, at most 8760)
+ */
+router.post('/sync-scheduler/start', requireRole(), async (req, res) => {
+  try {
+    const { intervalHours } = req.body || {};
+    const result = syncScheduler.start(intervalHours);
+
+    if (!result.success) {
+      return res.status(result.status ? 409 : 400).json(result);
+    }
+
+    await audit(req, {
+      action: 'sync-scheduler.start',
+      targetType: 'sync-scheduler',
+      target: 'scheduler',
+      after: result.status
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/sync-scheduler/stop
+ * Stop the background sync schedule
+ */
+router.post('/sync-scheduler/stop', requireRole(), async (req, res) => {
+  try {
+    const result = syncScheduler.stop();
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    await audit(req, {
+      action: 'sync-scheduler.stop',
+      targetType: 'sync-scheduler',
+      target: 'scheduler',
+      after: result.status
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/discover/sync-scheduler/run-now
+ * Run one sync pass immediately and return its outcome
+ */
+router.post('/sync-scheduler/run-now', requireRole(), async (req, res) => {
+  try {
+    const result = await syncScheduler.runOnce('manual');
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    const { entries, ...run } = result.run;
+    await audit(req, {
+      action: 'sync-scheduler.run',
+      targetType: 'sync-scheduler',
+      target: 'scheduler',
+      after: run
+    });
+
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -1188,6 +2061,23 @@ router.delete('/file-mapping/remove', (req, res) => {
   }
 });
 
+/**
+ * GET /api/discover/sync-scheduler/runs
+ * Get the persisted sync run log (newest first)
+ * Query: ?limit=20
+ */
+router.get('/sync-scheduler/runs', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    res.json(syncScheduler.getRunLog(limit));
+  } catch (error) {
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/discover/storage-config
  * Get the centralized storage configuration and directory structure
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+
+const { eventBus, eventFilter, parseLastEventId, streamEvents } = require('../middleware/events');
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of live events
+ * (topics: watcher, scan, file-sync, sync - see EventBus)
+ * Query: ?topics=scan,file-sync.update-available&username=szborok&lastEventId=1730000000123
+ * Reconnecting EventSource clients send Last-Event-ID and receive the events they missed
+ */
+router.get('/', (req, res) => {
+  streamEvents(req, res);
+});
+
+/**
+ * GET /api/events/recent
+ * Buffered events as JSON (oldest first), for clients that poll instead of streaming
+ * Query: ?topics=scan&username=szborok&after=1730000000123&limit=100
+ * Without after: the newest `limit` events; with after: the next `limit` events after that id
+ * (hasMore: poll again with after = the last returned id)
+ */
+router.get('/recent', (req, res) => {
+  try {
+    const filter = eventFilter(req.user, { topics: req.query.topics, username: req.query.username });
+    const after = parseLastEventId(req.query.after);
+    const limit = Number(req.query.limit) || 100;
+
+    const replay = eventBus.replay(after === null ? 0 : after, filter.accept);
+    const events = after === null ? replay.events.slice(-limit) : replay.events.slice(0, limit);
+
+    res.json({
+      success: true,
+      count: events.length,
+      hasMore: after !== null && replay.events.length > limit,
+      truncated: after !== null && replay.truncated,
+      lastEventId: eventBus.lastId,
+      events
+    });
+  } catch (error) {
+    console.error('Error reading recent events:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const { WebSocketServer } = require('ws');
+const config = require('../../config');
+const logger = require('../utils/Logger');
+const { resolveUser } = require('../middleware/auth');
+const { eventBus, eventFilter, parseLastEventId } = require('../middleware/events');
+
+const SOCKET_PATH = '/api/events/ws';
+
+/**
+ * Answer a rejected upgrade with a plain HTTP error in the common error envelope
+ */
+function rejectUpgrade(socket, status, statusText, error, code) {
+  const body = JSON.stringify({ success: false, error, code });
+
+  socket.write(
+    `HTTP/1.1 ${status} ${statusText}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+  socket.destroy();
+}
+
+/**
+ * One WebSocket client: current filter, bus subscription and replay
+ */
+function handleConnection(ws, req, user) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  let unsubscribe = () => {};
+
+  const send = message => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  /**
+   * Replace the subscription; replays missed events when lastEventId is given
+   */
+  const subscribe = (options, reply) => {
+    const filter = eventFilter(user, options);
+    const lastEventId = parseLastEventId(options.lastEventId);
+
+    unsubscribe();
+    send({ type: reply, topics: filter.topics, username: filter.username, lastEventId: eventBus.lastId });
+
+    if (lastEventId !== null) {
+      const replay = eventBus.replay(lastEventId, filter.accept);
+
+      if (replay.truncated) {
+        send({ type: 'replay-truncated', lastEventId, oldestId: replay.oldestId });
+      }
+      replay.events.forEach(event => send({ type: 'event', event }));
+    }
+
+    unsubscribe = eventBus.subscribe(filter.accept, event => send({ type: 'event', event }));
+  };
+
+  ws.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send({ type: 'error', error: 'Messages must be JSON' });
+    }
+
+    if (message.type === 'subscribe') {
+      return subscribe(message, 'subscribed');
+    }
+    if (message.type === 'ping') {
+      return send({ type: 'pong' });
+    }
+    send({ type: 'error', error: `Unknown message type: ${message.type} (expected subscribe or ping)` });
+  });
+
+  ws.on('close', () => unsubscribe());
+
+  subscribe({
+    topics: query.get('topics'),
+    username: query.get('username'),
+    lastEventId: query.get('lastEventId')
+  }, 'ready');
+}
+
+/**
+ * Serve the event bus over WebSocket at /api/events/ws on an HTTP server
+ *
+ * Connect with ?access_token=<token> (or Authorization / X-API-Key headers)
+ * and optionally ?topics=scan,watcher&username=szborok&lastEventId=1730000000123
+ * Server messages: { type: 'ready' | 'subscribed', topics, username, lastEventId },
+ *                  { type: 'event', event }, { type: 'replay-truncated', lastEventId, oldestId },
+ *                  { type: 'pong' }, { type: 'error', error }
+ * Client messages: { type: 'subscribe', topics, username, lastEventId }, { type: 'ping' }
+ * Connections whose session expires are closed with code 4401 at the next heartbeat.
+ * @param {http.Server} server
+ * @returns {WebSocketServer}
+ */
+function attachEventSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    // Resets during the handshake are not handled by ws until the upgrade completes
+    socket.on('error', error => {
+      logger.warn(`WebSocket upgrade socket error: ${error.message}`, { code: error.code });
+      socket.destroy();
+    });
+
+    if (new URL(req.url, 'http://localhost').pathname !== SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found', `Cannot upgrade ${req.url.split('?')[0]}`, 'NOT_FOUND');
+    }
+
+    const { user, error } = resolveUser(req);
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized', error, 'UNAUTHORIZED');
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.isAlive = true;
+      ws.upgradeRequest = req;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
+      // Protocol errors (invalid frames, oversized messages) must not reach the process as uncaught errors
+      ws.on('error', error => {
+        logger.warn(`WebSocket error from ${user.username}: ${error.message}`, { code: error.code });
+        ws.terminate();
+      });
+
+      handleConnection(ws, req, user);
+    });
+  });
+
+  // Drop dead connections and connections whose token is no longer valid
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      if (!resolveUser(ws.upgradeRequest).user) {
+        return ws.close(4401, 'Session expired');
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, config.events.heartbeatSeconds * 1000);
+
+  wss.on('error', error => logger.error(`WebSocket server error: ${error.message}`));
+  wss.on('close', () => clearInterval(heartbeat));
+  server.on('close', () => wss.close());
+
+  return wss;
+}
+
+module.exports = {
+  attachEventSocket,
+  SOCKET_PATH
+};
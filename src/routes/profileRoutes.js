@@ -6,10 +6,29 @@ const fs = require('fs');
 
 const SettingsParser = require('../services/SettingsParser');
 const UserProfileService = require('../services/UserProfileService');
+const SettingsImportService = require('../services/SettingsImportService');
+const SettingsDiffService = require('../services/SettingsDiffService');
+const VersionMigrationService = require('../services/VersionMigrationService');
+const { ROLES, requireRole, requireSelfOrRole, canActFor } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 // Initialize services
 const settingsParser = new SettingsParser();
 const profileService = new UserProfileService();
+const diffService = new SettingsDiffService();
+const migrationService = new VersionMigrationService({ profileService, diffService });
+const importer = new SettingsImportService({ profileService, parser: settingsParser });
+
+/**
+ * Short scanner config summary for audit entries
+ */
+function scanConfigSummary(scanConfig) {
+  return {
+    hyperMillVersion: scanConfig.hyperMillVersion || null,
+    pathsToScan: (scanConfig.pathsToScan || []).length,
+    unresolvedTokens: scanConfig.unresolvedTokens || []
+  };
+}
 
 // Setup multer for file uploads
 const upload = multer({
@@ -28,7 +47,7 @@ const upload = multer({
  * POST /api/profiles/:username/settings
  * Upload user .omSettings file
  */
-router.post('/:username/settings', upload.single('settingsFile'), async (req, res) => {
+router.post('/:username/settings', requireSelfOrRole(ROLES.SERVICE), upload.single('settingsFile'), async (req, res) => {
   try {
     const { username } = req.params;
 
@@ -39,14 +58,26 @@ router.post('/:username/settings', upload.single('settingsFile'), async (req, re
     }
 
     // Save the uploaded file to user profile
-    const result = profileService.saveUserSettings(username, req.file.path);
+    const before = profileService.getProfileState(username);
+    const result = importer.store(username, req.file.path, {
+      source: 'upload',
+      originalName: req.file.originalname
+    });
+
+    // Clean up temporary upload file
+    fs.unlinkSync(req.file.path);
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
-    // Clean up temporary upload file
-    fs.unlinkSync(req.file.path);
+    await audit(req, {
+      action: 'settings.upload',
+      targetType: 'profile',
+      target: username,
+      before,
+      after: { ...profileService.getProfileState(username), file: req.file.originalname, size: req.file.size }
+    });
 
     res.json({
       success: true,
@@ -64,44 +95,37 @@ router.post('/:username/settings', upload.single('settingsFile'), async (req, re
 /**
  * POST /api/profiles/:username/parse
  * Parse .omSettings file and extract configuration
+ * Query: ?stream=true|false to force streaming mode (default: streaming for large archives)
  */
-router.post('/:username/parse', async (req, res) => {
+router.post('/:username/parse', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
     const { username } = req.params;
+    const before = profileService.getProfileState(username);
 
-    // Get latest settings file
-    const settingsFile = profileService.getLatestUserSettings(username);
-
-    if (!settingsFile.found) {
-      return res.status(404).json({
-        error: 'No settings file found for this user. Please upload a settings file first.'
-      });
-    }
-
-    // Parse the settings file
-    const parseResult = await settingsParser.parseSettings(settingsFile.path);
+    // Parse the latest settings file and save the configuration
+    const parseResult = await importer.parse(username, {
+      streaming: req.query.stream === undefined ? 'auto' : req.query.stream === 'true'
+    });
 
     if (!parseResult.success) {
-      return res.status(400).json(parseResult);
-    }
-
-    // Save parsed configuration
-    const saveResult = profileService.saveParsedConfig(username, parseResult.config);
-
-    if (!saveResult.success) {
-      return res.status(400).json(saveResult);
+      return res.status(parseResult.notFound ? 404 : 400).json(parseResult);
     }
 
-    // Cleanup temporary extraction directory
-    if (parseResult.tempDir) {
-      await settingsParser.cleanup(parseResult.tempDir);
-    }
+    await audit(req, {
+      action: 'settings.parse',
+      targetType: 'profile',
+      target: username,
+      before,
+      after: { ...profileService.getProfileState(username), parseMode: parseResult.mode }
+    });
 
     res.json({
       success: true,
       message: 'Settings parsed successfully',
       config: parseResult.config,
-      savedAt: saveResult.path
+      savedAt: parseResult.savedAt,
+      parseMode: parseResult.mode,
+      parseStats: parseResult.stats
     });
   } catch (error) {
     console.error('Error parsing settings:', error);
@@ -114,30 +138,46 @@ router.post('/:username/parse', async (req, res) => {
 /**
  * POST /api/profiles/:username/generate-scan-config
  * Generate scanner configuration from parsed settings
+ * Query: ?hyperMillVersion=34.0 to generate from that version's settings (default: current settings)
  */
-router.post('/:username/generate-scan-config', async (req, res) => {
+router.post('/:username/generate-scan-config', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
   try {
     const { username } = req.params;
+    const { hyperMillVersion } = req.query;
 
     // Get parsed configuration
-    const parsedResult = profileService.getParsedConfig(username);
+    const parsedResult = profileService.getParsedConfig(username, hyperMillVersion);
 
     if (!parsedResult.found) {
       return res.status(404).json({
-        error: 'No parsed configuration found. Please parse settings file first.'
+        error: hyperMillVersion
+          ? `No parsed configuration found for hyperMILL ${hyperMillVersion}.`
+          : 'No parsed configuration found. Please parse settings file first.'
       });
     }
 
     // Generate scanner configuration
     const scanConfig = profileService.generateScannerConfig(username, parsedResult.config);
 
-    // Save scanner configuration
-    const saveResult = profileService.saveScannerConfig(username, scanConfig);
+    // Save scanner configuration - an explicit older/other version does not replace the current one
+    const previous = profileService.getScannerConfig(username, hyperMillVersion);
+    const current = hyperMillVersion ? profileService.getParsedConfig(username) : null;
+    const isCurrent = !current || (current.found &&
+      profileService.describeHyperMillVersion(current.config.version)?.label === scanConfig.hyperMillVersion);
+    const saveResult = profileService.saveScannerConfig(username, scanConfig, { current: isCurrent });
 
     if (!saveResult.success) {
       return res.status(400).json(saveResult);
     }
 
+    await audit(req, {
+      action: 'scan-config.generate',
+      targetType: 'profile',
+      target: username,
+      before: previous.found ? scanConfigSummary(previous.config) : null,
+      after: { ...scanConfigSummary(scanConfig), current: isCurrent }
+    });
+
     res.json({
       success: true,
       message: 'Scanner configuration generated',
@@ -156,7 +196,7 @@ router.post('/:username/generate-scan-config', async (req, res) => {
  * GET /api/profiles/:username
  * Get user profile summary
  */
-router.get('/:username', (req, res) => {
+router.get('/:username', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
     const { username } = req.params;
     const summary = profileService.getUserProfileSummary(username);
@@ -180,7 +220,7 @@ router.get('/:username', (req, res) => {
  * GET /api/profiles/:username/settings
  * Get latest settings file info
  */
-router.get('/:username/settings', (req, res) => {
+router.get('/:username/settings', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
     const { username } = req.params;
     const result = profileService.getLatestUserSettings(username);
@@ -206,11 +246,12 @@ router.get('/:username/settings', (req, res) => {
 /**
  * GET /api/profiles/:username/config
  * Get parsed configuration
+ * Query: ?hyperMillVersion=34.0 for the newest config of that hyperMILL version
  */
-router.get('/:username/config', (req, res) => {
+router.get('/:username/config', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
     const { username } = req.params;
-    const result = profileService.getParsedConfig(username);
+    const result = profileService.getParsedConfig(username, req.query.hyperMillVersion);
 
     if (!result.found) {
       return res.status(404).json({
@@ -233,11 +274,12 @@ router.get('/:username/config', (req, res) => {
 /**
  * GET /api/profiles/:username/scan-config
  * Get scanner configuration
+ * Query: ?hyperMillVersion=34.0 for the scanner config of that hyperMILL version
  */
-router.get('/:username/scan-config', (req, res) => {
+router.get('/:username/scan-config', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
   try {
     const { username } = req.params;
-    const result = profileService.getScannerConfig(username);
+    const result = profileService.getScannerConfig(username, req.query.hyperMillVersion);
 
     if (!result.found) {
       return res.status(404).json({
@@ -257,11 +299,337 @@ router.get('/:username/scan-config', (req, res) => {
   }
 });
 
+/**
+ * GET /api/profiles/:username/tokens
+ * Token map built from the user's parsed configuration, optionally resolving one path
+ * Query: ?path=[USER_CFG]\USERS\[USER]\AutomationCenter
+ */
+router.get('/:username/tokens', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { username } = req.params;
+    const result = profileService.getParsedConfig(username);
+
+    if (!result.found) {
+      return res.status(404).json({
+        error: 'Parsed configuration not found'
+      });
+    }
+
+    const tokenMap = profileService.tokenResolver.buildTokenMap(result.config, username);
+    const resolved = profileService.tokenResolver.resolveTokenMap(tokenMap);
+
+    res.json({
+      found: true,
+      username,
+      hyperMillVersion: tokenMap.VERSION || null,
+      tokenMap: resolved.tokens,
+      unresolvedTokens: resolved.unresolved,
+      ...(req.query.path ? { resolution: profileService.tokenResolver.resolve(req.query.path, tokenMap) } : {})
+    });
+  } catch (error) {
+    console.error('Error resolving tokens:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/profiles/:username/hypermill-versions
+ * hyperMILL versions the user has settings for, with their parsed / scanner configs
+ */
+router.get('/:username/hypermill-versions', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const result = profileService.listHyperMillVersions(req.params.username);
+
+    if (!result.found) {
+      return res.status(404).json({
+        error: 'Profile not found'
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing hyperMILL versions:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/profiles/:username/migration-report
+ * Paths that change when the user moves between hyperMILL versions
+ * Query: ?from=33.0&to=34.0&format=json|text (default: the user's two newest versions)
+ * Without settings for `to`, the `from` settings are projected onto the new version
+ */
+router.get('/:username/migration-report', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { username } = req.params;
+    const { from, to, format = 'json' } = req.query;
+
+    const report = migrationService.createReport(username, from, to);
+
+    if (!report.success) {
+      return res.status(report.notFound ? 404 : 400).json({
+        error: report.error
+      });
+    }
+
+    if (format === 'text') {
+      return res.type('text/plain').send(migrationService.formatAsText(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error creating migration report:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Resolve the configuration a profile is compared against
+ * `against` is either another username (its parsed config) or a stored settings
+ * file of this user (timestamp or filename), which is parsed on the fly
+ * Other users' configs are only read for callers allowed to act for them;
+ * otherwise `forbidden` is set when `against` names an existing profile
+ */
+async function resolveComparisonConfig(req, username, against) {
+  const mayReadOther = canActFor(req.user, against, [ROLES.SERVICE]);
+
+  if (against !== username && mayReadOther) {
+    const otherUser = profileService.getParsedConfig(against);
+    if (otherUser.found) {
+      return { found: true, config: otherUser.config, label: `user:${against}` };
+    }
+  }
+
+  const stored = profileService.getVersion(username, against);
+  if (stored.found && stored.config) {
+    return { found: true, config: stored.config, label: `${username}:${stored.version.filename}` };
+  }
+
+  const settingsFile = profileService.getUserSettingsFile(username, against);
+  if (!settingsFile.found) {
+    const otherProfile = !mayReadOther && profileService.isValidUsername(against) &&
+      fs.existsSync(profileService.getUserProfileDir(against));
+    return { found: false, forbidden: Boolean(otherProfile) };
+  }
+
+  const parseResult = await settingsParser.parseSettings(settingsFile.path);
+  if (parseResult.tempDir) {
+    await settingsParser.cleanup(parseResult.tempDir);
+  }
+
+  if (!parseResult.success) {
+    return { found: false, error: parseResult.error };
+  }
+
+  return { found: true, config: parseResult.config, label: `${username}:${settingsFile.filename}` };
+}
+
+/**
+ * GET /api/profiles/:username/diff
+ * Compare a user's parsed configuration with another user or an older settings file
+ * Query: ?against=<otherUser|version>&format=json|text
+ * Entries are reported as changes from `against` to :username
+ */
+router.get('/:username/diff', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { against, format = 'json' } = req.query;
+
+    if (!against) {
+      return res.status(400).json({
+        error: 'against query parameter is required (username or settings version)'
+      });
+    }
+
+    if (typeof against !== 'string' || /[\\/]/.test(against) || against.includes('..')) {
+      return res.status(400).json({
+        error: `Invalid against value: ${against}`
+      });
+    }
+
+    const current = profileService.getParsedConfig(username);
+
+    if (!current.found) {
+      return res.status(404).json({
+        error: 'Parsed configuration not found'
+      });
+    }
+
+    const comparison = await resolveComparisonConfig(req, username, against);
+
+    if (comparison.forbidden) {
+      await audit(req, { action: 'access.denied', outcome: 'denied', targetType: 'profile', target: against });
+      return res.status(403).json({
+        error: `Not allowed to access profile of ${against}`
+      });
+    }
+
+    if (!comparison.found) {
+      return res.status(404).json({
+        error: comparison.error || `No user or settings version found for: ${against}`
+      });
+    }
+
+    const diff = diffService.compare(comparison.config, current.config);
+
+    if (format === 'text') {
+      return res
+        .type('text/plain')
+        .send(diffService.formatAsText(diff, comparison.label, `user:${username}`));
+    }
+
+    res.json({
+      success: true,
+      username,
+      against: comparison.label,
+      diff
+    });
+  } catch (error) {
+    console.error('Error comparing configs:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Load a settings version, parsing it on demand if it was stored before parsing was tracked
+ */
+async function getParsedVersion(username, versionId) {
+  const result = profileService.getVersion(username, versionId);
+
+  if (!result.found || result.config || !result.fileExists) {
+    return result;
+  }
+
+  const parseResult = await settingsParser.parseSettings(result.settingsPath);
+
+  if (parseResult.tempDir) {
+    await settingsParser.cleanup(parseResult.tempDir);
+  }
+
+  if (!parseResult.success) {
+    return { ...result, parseError: parseResult };
+  }
+
+  profileService.saveParsedConfig(username, parseResult.config, versionId);
+  return profileService.getVersion(username, versionId);
+}
+
+/**
+ * GET /api/profiles/:username/versions
+ * List stored settings versions (newest first)
+ */
+router.get('/:username/versions', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { username } = req.params;
+    const result = profileService.listVersions(username);
+
+    if (!result.found) {
+      return res.status(404).json({
+        error: result.error || 'Profile not found'
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing versions:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/profiles/:username/versions/:id
+ * Get metadata and parsed configuration of a settings version
+ * Versions that were never parsed are parsed on demand
+ */
+router.get('/:username/versions/:id', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
+  try {
+    const { username, id } = req.params;
+    const result = await getParsedVersion(username, id);
+
+    if (!result.found) {
+      return res.status(404).json({
+        error: result.error || `Version not found: ${id}`
+      });
+    }
+
+    if (result.parseError) {
+      return res.status(400).json(result.parseError);
+    }
+
+    res.json({
+      found: true,
+      version: result.version,
+      config: result.config
+    });
+  } catch (error) {
+    console.error('Error getting version:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/profiles/:username/versions/:id/restore
+ * Promote an older settings version back to latest
+ */
+router.post('/:username/versions/:id/restore', requireSelfOrRole(ROLES.SERVICE), async (req, res) => {
+  try {
+    const { username, id } = req.params;
+    const version = await getParsedVersion(username, id);
+
+    if (!version.found) {
+      return res.status(404).json({
+        error: version.error || `Version not found: ${id}`
+      });
+    }
+
+    if (version.parseError) {
+      return res.status(400).json(version.parseError);
+    }
+
+    const before = profileService.getProfileState(username);
+    const result = profileService.restoreVersion(username, id);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    await audit(req, {
+      action: 'settings.restore',
+      targetType: 'profile',
+      target: username,
+      before,
+      after: { ...profileService.getProfileState(username), restoredVersionId: id }
+    });
+
+    res.json({
+      message: `Version ${id} restored as latest`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/profiles
  * List all user profiles
  */
-router.get('/', (req, res) => {
+router.get('/', requireRole(ROLES.SERVICE), (req, res) => {
   try {
     const result = profileService.listProfiles();
     res.json(result);
@@ -277,15 +645,24 @@ router.get('/', (req, res) => {
  * DELETE /api/profiles/:username
  * Delete user profile
  */
-router.delete('/:username', (req, res) => {
+router.delete('/:username', requireSelfOrRole(), async (req, res) => {
   try {
     const { username } = req.params;
+    const before = profileService.getProfileState(username);
     const result = profileService.deleteProfile(username);
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await audit(req, {
+      action: 'profile.delete',
+      targetType: 'profile',
+      target: username,
+      before,
+      after: null
+    });
+
     res.json(result);
   } catch (error) {
     console.error('Error deleting profile:', error);
@@ -1,8 +1,176 @@
 const express = require('express');
 const router = express.Router();
 
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Scan endpoint working' });
+const ScanJobService = require('../services/ScanJobService');
+const UserProfileService = require('../services/UserProfileService');
+const { ROLES, requireSelfOrRole, canActFor, currentUsername } = require('../middleware/auth');
+const { eventBus } = require('../middleware/events');
+
+const scanJobs = new ScanJobService({ profileService: new UserProfileService(), eventBus });
+
+/**
+ * Can the caller see or cancel a scan job?
+ * PC scans (no username) belong to CAM admins and services
+ */
+function canAccessJob(req, jobId) {
+  const result = scanJobs.getJob(jobId);
+  return !result.found || canActFor(req.user, result.job.username, [ROLES.SERVICE]);
+}
+
+/**
+ * GET /api/scan
+ * List running and saved scans (newest first)
+ * Query: ?username=szborok&type=pc|user
+ */
+router.get('/', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { type } = req.query;
+    const username = canActFor(req.user, null, [ROLES.SERVICE]) ? req.query.username : currentUsername(req);
+    const result = scanJobs.listScans({ username, type });
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing scans:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan
+ * Start a scan job
+ * Body: { type: "pc" } or { type: "user", username: "szborok" } (uses the user's scan-paths.json)
+ */
+router.post('/', requireSelfOrRole(ROLES.SERVICE), (req, res) => {
+  try {
+    const { type } = req.body || {};
+
+    if (type === 'pc' && !canActFor(req.user, null, [ROLES.SERVICE])) {
+      return res.status(403).json({
+        error: 'PC scans require role: cam-admin or service'
+      });
+    }
+
+    // PC scans belong to no user
+    const username = type === 'user' ? req.targetUsername : undefined;
+    const result = scanJobs.startScan({ type, username });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Scan started',
+      jobId: result.job.id,
+      job: result.job
+    });
+  } catch (error) {
+    console.error('Error starting scan:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/compare
+ * Compare the files found by two saved scans
+ * Query: ?from=scan-123&to=scan-456
+ */
+router.get('/compare', (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Both from and to query parameters are required'
+      });
+    }
+
+    if (!canAccessJob(req, from) || !canAccessJob(req, to)) {
+      return res.status(403).json({
+        error: 'Not allowed to access these scans'
+      });
+    }
+
+    const result = scanJobs.compareScans(from, to);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error comparing scans:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/:jobId
+ * Get progress and (when finished) results of a scan job
+ */
+router.get('/:jobId', (req, res) => {
+  try {
+    const result = scanJobs.getJob(req.params.jobId);
+
+    if (result.found && !canActFor(req.user, result.job.username, [ROLES.SERVICE])) {
+      return res.status(403).json({
+        error: `Not allowed to access scan ${req.params.jobId}`
+      });
+    }
+
+    if (!result.found) {
+      return res.status(404).json({
+        error: `Scan job not found: ${req.params.jobId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      job: result.job
+    });
+  } catch (error) {
+    console.error('Error getting scan:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scan/:jobId
+ * Cancel a running scan job
+ */
+router.delete('/:jobId', (req, res) => {
+  try {
+    if (!canAccessJob(req, req.params.jobId)) {
+      return res.status(403).json({
+        error: `Not allowed to cancel scan ${req.params.jobId}`
+      });
+    }
+
+    const result = scanJobs.cancelScan(req.params.jobId);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Scan job not found') ? 404 : 409).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error cancelling scan:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
 });
 
 module.exports = router;
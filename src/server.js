@@ -6,6 +6,15 @@ const app = express();
 
 // Middleware
 app.use(cors());
+
+// Every error response becomes { success: false, error, code, details }
+const { errorEnvelope, validateRequest, serveDocs } = require('./middleware/openapi');
+app.use(errorEnvelope);
+
+// Failed configuration changes are audited too (successful ones are recorded by the handlers)
+const { auditFailures } = require('./middleware/audit');
+app.use(auditFailures);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -19,10 +28,18 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/scan', require('./routes/scanRoutes'));
-app.use('/api/profiles', require('./routes/profileRoutes'));
-app.use('/api/discover', require('./routes/discoveryRoutes'));
+// OpenAPI document
+app.get('/api/docs', serveDocs);
+
+// API Routes (everything except /api/auth/login needs a session or API token)
+// Requests are validated against the OpenAPI document after authentication
+const { authenticate } = require('./middleware/auth');
+app.use('/api/auth', validateRequest, require('./routes/authRoutes'));
+app.use('/api/scan', authenticate, validateRequest, require('./routes/scanRoutes'));
+app.use('/api/profiles', authenticate, validateRequest, require('./routes/profileRoutes'));
+app.use('/api/discover', authenticate, validateRequest, require('./routes/discoveryRoutes'));
+app.use('/api/audit', authenticate, validateRequest, require('./routes/auditRoutes'));
+app.use('/api/events', authenticate, validateRequest, require('./routes/eventRoutes'));
 // app.use('/api/v1/pool', require('./routes/pool'));
 // app.use('/api/v1/company', require('./routes/company'));
 // app.use('/api/v1/tracking', require('./routes/tracking'));
@@ -31,23 +48,32 @@ app.use('/api/discover', require('./routes/discoveryRoutes'));
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
-    error: 'Not Found',
-    message: `Cannot ${req.method} ${req.path}`
+    error: `Cannot ${req.method} ${req.path}`
   });
 });
 
 // Error handler
 app.use((err, req, res, next) => {
   console.error('Error:', err.message);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error'
+
+  // Body parser errors carry their own status; multer file limits are 413
+  let status = err.status || err.statusCode || 500;
+  if (err.code === 'LIMIT_FILE_SIZE') status = 413;
+
+  res.status(status).json({
+    error: err.message || 'Internal Server Error',
+    ...(err.type === 'entity.parse.failed' ? { code: 'VALIDATION_ERROR' } : {})
   });
 });
 
 // Start server
 const PORT = config.port;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✅ hyperMILL Config Service started on port ${PORT}`);
 });
 
+// Live events over WebSocket (/api/events/ws), next to the SSE stream at /api/events
+const { attachEventSocket } = require('./routes/eventSocket');
+attachEventSocket(server);
+
 module.exports = app;
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const config = require('../../config');
+const logger = require('../utils/Logger');
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'actor', 'actorRole', 'clientIp', 'action', 'targetType', 'target',
+  'outcome', 'before', 'after', 'method', 'path'
+];
+
+/**
+ * AuditLogService - Append-only trail of configuration-changing operations
+ *
+ * Entries live in the audit_log table of the configured SQLite database (config.database.path):
+ * { id, timestamp, actor, actorRole, clientIp, action, targetType, target, outcome, before, after, method, path }
+ * before / after are short JSON summaries of the changed object, not full copies.
+ * UPDATE and DELETE on the table are rejected by triggers, so rows can only be added.
+ * Every entry is also written to the application log.
+ */
+class AuditLogService {
+  /**
+   * @param {Object} options
+   * @param {string} options.dbPath - SQLite file (default: config.database.path)
+   * @param {Object} options.logger - Logger with info/error (default: src/utils/Logger)
+   */
+  constructor(options = {}) {
+    this.dbPath = path.resolve(options.dbPath || config.database.path);
+    this.logger = options.logger || logger;
+    this.ready = null;
+  }
+
+  /**
+   * Open the database and create the table on first use
+   * @returns {Promise<sqlite3.Database>}
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = new Promise((resolve, reject) => {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const db = new sqlite3.Database(this.dbPath, error => {
+          if (error) return reject(error);
+
+          db.exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              timestamp TEXT NOT NULL,
+              actor TEXT NOT NULL,
+              actor_role TEXT,
+              client_ip TEXT,
+              action TEXT NOT NULL,
+              target_type TEXT,
+              target TEXT,
+              outcome TEXT NOT NULL,
+              before_summary TEXT,
+              after_summary TEXT,
+              method TEXT,
+              path TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target);
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+              BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+              BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+          `, execError => (execError ? reject(execError) : resolve(db)));
+        });
+      });
+
+      // Allow a retry after a failed open
+      this.ready.catch(() => { this.ready = null; });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Close the database (tests, shutdown)
+   */
+  async close() {
+    if (!this.ready) return;
+    const db = await this.ready;
+    this.ready = null;
+    await new Promise(resolve => db.close(() => resolve()));
+  }
+
+  /**
+   * Serialise a before/after summary for storage
+   */
+  summarize(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Append an entry - never throws, a failed write is reported in the application log
+   * @param {Object} entry - { actor, actorRole, clientIp, action, targetType, target, outcome, before, after, method, path }
+   * @returns {Promise<Object>} - { success, id } or { success: false, error }
+   */
+  async record(entry) {
+    const row = {
+      timestamp: new Date().toISOString(),
+      actor: entry.actor || 'unknown',
+      actorRole: entry.actorRole || null,
+      clientIp: entry.clientIp || null,
+      action: entry.action,
+      targetType: entry.targetType || null,
+      target: entry.target !== undefined && entry.target !== null ? String(entry.target) : null,
+      outcome: entry.outcome || 'success',
+      before: this.summarize(entry.before),
+      after: this.summarize(entry.after),
+      method: entry.method || null,
+      path: entry.path || null
+    };
+
+    this.logger.info(`Audit: ${row.actor} ${row.action} ${row.targetType || ''} ${row.target || ''}`.trim(), {
+      audit: row
+    });
+
+    try {
+      const db = await this.open();
+      const id = await new Promise((resolve, reject) => {
+        db.run(
+          `INSERT INTO audit_log (timestamp, actor, actor_role, client_ip, action, target_type, target,
+             outcome, before_summary, after_summary, method, path)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [row.timestamp, row.actor, row.actorRole, row.clientIp, row.action, row.targetType, row.target,
+            row.outcome, row.before, row.after, row.method, row.path],
+          function onInsert(error) {
+            return error ? reject(error) : resolve(this.lastID);
+          }
+        );
+      });
+      return { success: true, id };
+    } catch (error) {
+      this.logger.error('Could not write audit entry', { error: error.message, audit: row });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * WHERE clause for a filter
+   * @param {Object} filter - { actor, action (exact or "prefix.*"), targetType, target, outcome, from, to, beforeId }
+   * @returns {Object} - { whereSql, params } or { error } for invalid dates
+   */
+  buildWhere(filter = {}) {
+    const where = [];
+    const params = [];
+
+    const equals = (column, value) => {
+      if (value) {
+        where.push(`${column} = ?`);
+        params.push(value);
+      }
+    };
+
+    equals('actor', filter.actor);
+    equals('target_type', filter.targetType);
+    equals('target', filter.target);
+    equals('outcome', filter.outcome);
+
+    if (filter.action) {
+      if (filter.action.endsWith('*')) {
+        where.push('action LIKE ?');
+        params.push(`${filter.action.slice(0, -1).replace(/[%_]/g, '')}%`);
+      } else {
+        equals('action', filter.action);
+      }
+    }
+
+    for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+      if (filter[key]) {
+        const date = new Date(filter[key]);
+        if (isNaN(date.getTime())) {
+          return { error: `Invalid ${key} date: ${filter[key]}` };
+        }
+        where.push(`timestamp ${operator} ?`);
+        params.push(date.toISOString());
+      }
+    }
+
+    if (filter.beforeId) {
+      where.push('id < ?');
+      params.push(filter.beforeId);
+    }
+
+    return { whereSql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Run a SELECT and return all rows
+   */
+  async all(sql, values) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      db.all(sql, values, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Filter entries (newest first)
+   * @param {Object} filter - { actor, action (exact or "prefix.*"), targetType, target, outcome, from, to, limit, offset }
+   * @returns {Promise<Object>} - { success, total, count, entries }
+   */
+  async query(filter = {}) {
+    const { whereSql, params, error } = this.buildWhere(filter);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const limit = Math.min(Math.max(parseInt(filter.limit, 10) || 100, 1), 10000);
+    const offset = Math.max(parseInt(filter.offset, 10) || 0, 0);
+
+    const [{ total }] = await this.all(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`, params);
+    const rows = await this.all(
+      `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      success: true,
+      total,
+      count: rows.length,
+      limit,
+      offset,
+      entries: rows.map(row => this.fromRow(row))
+    };
+  }
+
+  fromRow(row) {
+    const parse = value => {
+      if (value === null) return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    };
+
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      actor: row.actor,
+      actorRole: row.actor_role,
+      clientIp: row.client_ip,
+      action: row.action,
+      targetType: row.target_type,
+      target: row.target,
+      outcome: row.outcome,
+      before: parse(row.before_summary),
+      after: parse(row.after_summary),
+      method: row.method,
+      path: row.path
+    };
+  }
+
+  /**
+   * Write every matching entry as CSV, page by page (newest first)
+   * Pages continue below the last id written, so entries added during the export do not shift them
+   * @param {Object} filter - Same as query(); limit caps the export, without it every entry is written
+   * @param {Function} write - async (chunk) => void
+   * @param {number} pageSize - Rows read per query
+   * @returns {Promise<Object>} - { success, count }, or { success: false, error } before anything was written
+   */
+  async exportCsv(filter, write, pageSize = 1000) {
+    const { error } = this.buildWhere(filter);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const max = filter.limit ? Math.max(parseInt(filter.limit, 10) || 1, 1) : Infinity;
+    let count = 0;
+    let beforeId = null;
+
+    await write(this.toCsv([]));
+
+    while (count < max) {
+      const { whereSql, params } = this.buildWhere({ ...filter, beforeId });
+      const rows = await this.all(
+        `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ?`,
+        [...params, Math.min(pageSize, max - count)]
+      );
+      if (rows.length === 0) break;
+
+      await write(this.toCsv(rows.map(row => this.fromRow(row)), { header: false }));
+      count += rows.length;
+      beforeId = rows[rows.length - 1].id;
+    }
+
+    return { success: true, count };
+  }
+
+  /**
+   * Render entries as CSV (RFC 4180 quoting, before/after as JSON)
+   * Cells starting with = + - @ tab or CR get a leading ' so spreadsheets do not run them as formulas
+   * @param {Array} entries - Entries from query()
+   * @param {Object} options - { header: false } for the rows only
+   */
+  toCsv(entries, { header = true } = {}) {
+    const cell = value => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = header ? [CSV_COLUMNS.join(',')] : [];
+    entries.forEach(entry => lines.push(CSV_COLUMNS.map(column => cell(entry[column])).join(',')));
+    return lines.length > 0 ? lines.join('\r\n') + '\r\n' : '';
+  }
+}
+
+module.exports = AuditLogService;
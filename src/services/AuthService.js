@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+const ROLES = {
+  PROGRAMMER: 'programmer',
+  CAM_ADMIN: 'cam-admin',
+  SERVICE: 'service'
+};
+
+const TOKEN_PREFIX = 'hmc_';
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * AuthService - Local user store, password login and API tokens
+ *
+ * Users are stored in data/users.json:
+ * - users: { username, role, displayName, passwordHash, disabled, createdAt, updatedAt }
+ *   passwordHash is "scrypt$<salt>$<hash>"; service accounts have no password and use API tokens only
+ * - tokens: { id, username, type: 'session' | 'api', name, tokenHash, createdAt, expiresAt, lastUsedAt }
+ *   Only the SHA-256 of a token is kept - the plain token is returned once, when it is issued
+ *
+ * Roles:
+ * - programmer: own profile only
+ * - cam-admin: everything, including manifests, mappings and other users
+ * - service: other BRK CNC services - read every profile, run imports and scans
+ */
+class AuthService {
+  /**
+   * @param {Object} options
+   * @param {string} options.usersFile - JSON store (default: data/users.json)
+   * @param {number} options.sessionHours - Lifetime of login sessions
+   */
+  constructor(options = {}) {
+    const authConfig = config.auth || {};
+    this.usersFile = options.usersFile || path.join(__dirname, '../../data/users.json');
+    this.sessionHours = options.sessionHours || authConfig.sessionHours || 12;
+    this.userApiTokenDays = options.userApiTokenDays || authConfig.userApiTokenDays || 90;
+  }
+
+  /**
+   * Load users and tokens
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.usersFile)) {
+        const data = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+        return {
+          users: data.users || [],
+          tokens: data.tokens || []
+        };
+      }
+    } catch (error) {
+      console.warn('Could not load user store:', error.message);
+    }
+    return { users: [], tokens: [] };
+  }
+
+  /**
+   * Save users and tokens (owner-readable only, the file holds password hashes)
+   */
+  save(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.usersFile), { recursive: true });
+      fs.writeFileSync(this.usersFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error saving user store:', error.message);
+    }
+  }
+
+  /**
+   * Create the first CAM admin from the environment when the store is empty
+   * (HYPERMILL_ADMIN_USER / HYPERMILL_ADMIN_PASSWORD)
+   */
+  ensureBootstrapAdmin(username, password) {
+    if (!username || !password || this.load().users.length > 0) {
+      return { success: false, skipped: true };
+    }
+
+    const result = this.createUser({ username, password, role: ROLES.CAM_ADMIN });
+    if (result.success) {
+      console.log(`🔐 Created initial CAM admin: ${username}`);
+    }
+    return result;
+  }
+
+  isValidRole(role) {
+    return Object.values(ROLES).includes(role);
+  }
+
+  /**
+   * Hash a password with scrypt and a random salt
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Check a password against a stored hash (constant-time compare)
+   */
+  verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string' || typeof passwordHash !== 'string') {
+      return false;
+    }
+
+    const [scheme, salt, hash] = passwordHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * User without secrets, safe to return from the API
+   */
+  describeUser(user) {
+    const { passwordHash, ...rest } = user;
+    return { ...rest, hasPassword: Boolean(passwordHash) };
+  }
+
+  describeToken(token) {
+    const { tokenHash, ...rest } = token;
+    return rest;
+  }
+
+  findUser(data, username) {
+    const wanted = String(username || '').toLowerCase();
+    return data.users.find(u => u.username.toLowerCase() === wanted);
+  }
+
+  /**
+   * Create a user
+   * @param {Object} user - { username, password, role, displayName }
+   */
+  createUser({ username, password, role = ROLES.PROGRAMMER, displayName } = {}) {
+    if (!username || !/^[A-Za-z0-9._-]+$/.test(username)) {
+      return { success: false, error: 'username is required (letters, digits, ".", "_" and "-")' };
+    }
+    if (!this.isValidRole(role)) {
+      return { success: false, error: `Invalid role: ${role} (${Object.values(ROLES).join(', ')})` };
+    }
+    if (role !== ROLES.SERVICE && !password) {
+      return { success: false, error: 'password is required' };
+    }
+
+    const data = this.load();
+    if (this.findUser(data, username)) {
+      return { success: false, conflict: true, error: `User already exists: ${username}` };
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      username,
+      role,
+      displayName: displayName || username,
+      passwordHash: password ? this.hashPassword(password) : null,
+      disabled: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    data.users.push(user);
+    this.save(data);
+    return { success: true, user: this.describeUser(user) };
+  }
+
+  /**
+   * Update role, display name, password or disabled flag
+   * Changing the password or disabling the user revokes all their tokens (sessions and API tokens),
+   * so a leaked token does not outlive a password reset
+   */
+  updateUser(username, changes = {}) {
+    const data = this.load();
+    const user = this.findUser(data, username);
+
+    if (!user) {
+      return { success: false, notFound: true, error: `User not found: ${username}` };
+    }
+    if (changes.role !== undefined && !this.isValidRole(changes.role)) {
+      return { success: false, error: `Invalid role: ${changes.role}` };
+    }
+
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.displayName !== undefined) user.displayName = changes.displayName;
+    if (changes.disabled !== undefined) user.disabled = Boolean(changes.disabled);
+    if (changes.password) user.passwordHash = this.hashPassword(changes.password);
+    user.updatedAt = new Date().toISOString();
+
+    if (changes.password || user.disabled) {
+      data.tokens = data.tokens.filter(t => t.username !== user.username);
+    }
+
+    this.save(data);
+    return { success: true, user: this.describeUser(user) };
+  }
+
+  /**
+   * Delete a user and every token they own
+   */
+  deleteUser(username) {
+    const data = this.load();
+    const user = this.findUser(data, username);
+
+    if (!user) {
+      return { success: false, notFound: true, error: `User not found: ${username}` };
+    }
+
+    data.users = data.users.filter(u => u !== user);
+    data.tokens = data.tokens.filter(t => t.username !== user.username);
+    this.save(data);
+    return { success: true, deleted: user.username };
+  }
+
+  getUser(username) {
+    const user = this.findUser(this.load(), username);
+    return user
+      ? { success: true, user: this.describeUser(user) }
+      : { success: false, notFound: true, error: `User not found: ${username}` };
+  }
+
+  listUsers() {
+    const users = this.load().users.map(u => this.describeUser(u));
+    return { success: true, count: users.length, users };
+  }
+
+  /**
+   * Issue a token for a user
+   * @returns {Object} - { token (plain, shown once), entry }
+   */
+  issueToken(data, username, type, options = {}) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const entry = {
+      id: `token-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      username,
+      type,
+      name: options.name || (type === 'session' ? 'login' : 'api token'),
+      tokenHash: this.hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt: options.expiresAt || null,
+      lastUsedAt: null
+    };
+
+    data.tokens.push(entry);
+    return { token, entry };
+  }
+
+  /**
+   * Check a username / password pair without creating a session
+   */
+  checkCredentials(username, password) {
+    const user = this.findUser(this.load(), username);
+    return Boolean(user && !user.disabled && this.verifyPassword(password, user.passwordHash));
+  }
+
+  /**
+   * Password login - returns a session token
+   */
+  login(username, password) {
+    const data = this.load();
+    const user = this.findUser(data, username);
+
+    // Same answer for unknown users and wrong passwords
+    if (!user || user.disabled || !this.verifyPassword(password, user.passwordHash)) {
+      return { success: false, error: 'Invalid username or password' };
+    }
+
+    const now = Date.now();
+    data.tokens = data.tokens.filter(t => !t.expiresAt || new Date(t.expiresAt).getTime() > now);
+
+    const expiresAt = new Date(now + this.sessionHours * 60 * 60 * 1000).toISOString();
+    const { token, entry } = this.issueToken(data, user.username, 'session', { expiresAt });
+    this.save(data);
+
+    return {
+      success: true,
+      token,
+      tokenType: 'Bearer',
+      expiresAt: entry.expiresAt,
+      user: this.describeUser(user)
+    };
+  }
+
+  /**
+   * End the session belonging to a token
+   */
+  logout(token) {
+    const data = this.load();
+    const hash = this.hashToken(token || '');
+    const remaining = data.tokens.filter(t => !(t.type === 'session' && t.tokenHash === hash));
+
+    if (remaining.length === data.tokens.length) {
+      return { success: false, error: 'Session not found' };
+    }
+
+    data.tokens = remaining;
+    this.save(data);
+    return { success: true };
+  }
+
+  /**
+   * Create a long-lived API token (for BRK CNC services and scripts)
+   * Tokens of service accounts may live forever; everyone else's expire after at most
+   * userApiTokenDays (the default when expiresInDays is left out)
+   * @param {string} username - Token owner; the token acts with the owner's role
+   * @param {Object} options - { name, expiresInDays }
+   */
+  createApiToken(username, options = {}) {
+    const data = this.load();
+    const user = this.findUser(data, username);
+
+    if (!user) {
+      return { success: false, notFound: true, error: `User not found: ${username}` };
+    }
+
+    const maxDays = user.role === ROLES.SERVICE ? null : this.userApiTokenDays;
+    let days = maxDays;
+
+    if (options.expiresInDays !== undefined && options.expiresInDays !== null) {
+      days = Number(options.expiresInDays);
+      if (!(days > 0)) {
+        return { success: false, error: `Invalid expiresInDays: ${options.expiresInDays}` };
+      }
+      if (maxDays !== null && days > maxDays) {
+        return { success: false, error: `expiresInDays can be at most ${maxDays} for role ${user.role}` };
+      }
+    }
+
+    const expiresAt = days === null ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { token, entry } = this.issueToken(data, user.username, 'api', { name: options.name, expiresAt });
+    this.save(data);
+
+    return {
+      success: true,
+      token,
+      note: 'Store this token now - it cannot be shown again',
+      apiToken: this.describeToken(entry)
+    };
+  }
+
+  /**
+   * List tokens (optionally one user's), without hashes
+   */
+  listTokens(username) {
+    const wanted = username && username.toLowerCase();
+    const tokens = this.load().tokens
+      .filter(t => !wanted || t.username.toLowerCase() === wanted)
+      .map(t => this.describeToken(t));
+
+    return { success: true, count: tokens.length, tokens };
+  }
+
+  getToken(tokenId) {
+    return this.load().tokens.find(t => t.id === tokenId) || null;
+  }
+
+  revokeToken(tokenId) {
+    const data = this.load();
+    const remaining = data.tokens.filter(t => t.id !== tokenId);
+
+    if (remaining.length === data.tokens.length) {
+      return { success: false, notFound: true, error: `Token not found: ${tokenId}` };
+    }
+
+    data.tokens = remaining;
+    this.save(data);
+    return { success: true, revoked: tokenId };
+  }
+
+  /**
+   * Resolve a bearer token / API key to its user
+   * @returns {Object|null} - { username, role, displayName, tokenId, tokenType } or null
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const data = this.load();
+    const hash = this.hashToken(token);
+    const entry = data.tokens.find(t => t.tokenHash === hash);
+
+    if (!entry || (entry.expiresAt && new Date(entry.expiresAt).getTime() <= Date.now())) {
+      return null;
+    }
+
+    const user = this.findUser(data, entry.username);
+    if (!user || user.disabled) {
+      return null;
+    }
+
+    // Track usage, at most once a minute per token
+    const now = Date.now();
+    if (!entry.lastUsedAt || now - new Date(entry.lastUsedAt).getTime() > 60000) {
+      entry.lastUsedAt = new Date(now).toISOString();
+      this.save(data);
+    }
+
+    return {
+      username: user.username,
+      role: user.role,
+      displayName: user.displayName,
+      tokenId: entry.id,
+      tokenType: entry.type
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
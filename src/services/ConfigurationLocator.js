@@ -1,17 +1,22 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const LocatorConfig = require('./LocatorConfig');
+const NetworkAccessService = require('./NetworkAccessService');
+const DriveMap = require('./DriveMap');
 
 /**
  * ConfigurationLocator - Automatically finds .omSettings files on the system
  * Searches common HyperMILL configuration locations
- * SAFETY: Asks user permission before accessing server drives
+ * SAFETY: Network roots are only searched after the user approved them (NetworkAccessService)
  */
 class ConfigurationLocator {
-  constructor() {
+  constructor(options = {}) {
+    this.locatorConfig = options.locatorConfig || new LocatorConfig();
+    this.driveMap = options.driveMap || new DriveMap();
+    this.networkAccess = options.networkAccess || new NetworkAccessService({ driveMap: this.driveMap });
+    this.username = options.username || os.userInfo().username;
     this.commonSearchPaths = this.buildSearchPaths();
-    this.blockedNetworkPaths = [];
-    this.userPermissions = {}; // Track what user has approved
     this.strictLocalOnly = false; // Set to true to never access network without asking
   }
 
@@ -25,106 +30,95 @@ class ConfigurationLocator {
 
   /**
    * Get list of blocked network paths that were attempted
+   * @param {string} username - Only this user's attempts (all users when omitted)
    */
-  getBlockedNetworkPaths() {
-    return this.blockedNetworkPaths;
+  getBlockedNetworkPaths(username) {
+    return this.networkAccess.getBlockedNetworkPaths(username);
   }
 
   /**
-   * User grants permission to access a specific network path
+   * User grants permission to access a network path (recursive share prefix by default)
+   * @param {string} networkPath - Path or share prefix, e.g. \\srv\cam\
+   * @param {Object} options - { username, recursive, expiresInHours, expiresAt }
    */
-  grantNetworkAccess(networkPath) {
-    this.userPermissions[networkPath] = true;
-    console.log(`✓ User approved network access to: ${networkPath}`);
-    return true;
+  grantNetworkAccess(networkPath, options = {}) {
+    const result = this.networkAccess.approve(options.username || this.username, networkPath, options);
+    if (result.success) {
+      console.log(`✓ User approved network access to: ${networkPath}`);
+    }
+    return result;
   }
 
   /**
-   * User denies permission to access a specific network path
+   * User denies permission to access a network path
+   * @param {string} networkPath - Path or share prefix
+   * @param {Object} options - { username, recursive, expiresInHours, expiresAt }
    */
-  denyNetworkAccess(networkPath) {
-    this.userPermissions[networkPath] = false;
-    console.log(`✗ User denied network access to: ${networkPath}`);
-    return false;
+  denyNetworkAccess(networkPath, options = {}) {
+    const result = this.networkAccess.deny(options.username || this.username, networkPath, options);
+    if (result.success) {
+      console.log(`✗ User denied network access to: ${networkPath}`);
+    }
+    return result;
   }
 
   /**
-   * Build list of common search paths for .omSettings files
-   * ONLY LOCAL PC DISKS - NO NETWORK DRIVES (P, Y, etc.)
+   * Build list of search roots for .omSettings files from the locator config
+   * Defaults are LOCAL PC DISKS only - network roots are still skipped by isNetworkPath
+   * @param {Object} options - { username } whose profile folders are searched (default: this.username)
+   * @returns {Array<string>} - Expanded root paths (enabled roots only)
    */
-  buildSearchPaths() {
-    const username = os.userInfo().username;
-    const userHome = os.homedir();
-    const publicDocs = 'C:\\Users\\Public\\Documents';
-
-    return [
-      // User's Documents folder (most common manual export location) - LOCAL ONLY
-      path.join(userHome, 'Documents'),
-      path.join(userHome, 'Downloads'),
-
-      // OPEN MIND shared locations - LOCAL ONLY
-      path.join(publicDocs, 'OPEN MIND'),
-      path.join(publicDocs, 'OPEN MIND', 'backup'),
-
-      // AppData locations - LOCAL ONLY
-      path.join(userHome, 'AppData\\Roaming\\OPEN MIND'),
-      path.join(userHome, 'AppData\\Local\\OPEN MIND'),
-
-      // Program Data - LOCAL ONLY
-      'C:\\ProgramData\\OPEN MIND',
-
-      // HyperMILL installation paths - LOCAL ONLY
-      'C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0',
-      'C:\\Program Files\\OPEN MIND\\hyperMILL\\34.0',
-
-      // Temp locations - LOCAL ONLY
-      path.join(userHome, 'AppData\\Local\\Temp')
+  buildSearchPaths(options = {}) {
+    this.searchRoots = this.getSearchRoots(options);
+    return this.searchRoots.filter(root => root.enabled).map(root => root.path);
+  }
 
-      // NO NETWORK DRIVES: Company server drives (P:, Y:, etc.) are intentionally excluded
-    ];
+  /**
+   * Resolved search roots with depth and unresolved %ENV% tokens
+   * When running on a non-Windows host (mounted workstation image), backslashes become path separators
+   * @param {Object} options - { username } whose profile the per-user roots point into (default: this.username)
+   */
+  getSearchRoots(options = {}) {
+    const username = options.username || this.username;
+    return this.locatorConfig.resolveRoots(undefined, { username }).map(root => ({
+      ...root,
+      path: path.sep === '/' && !root.path.startsWith('\\\\')
+        ? root.path.replace(/\\/g, '/')
+        : root.path
+    }));
   }
 
   /**
    * Check if a path is on a network drive
-   * Returns true if path is on a mapped network drive
+   * UNC paths and letters mapped as 'server' in the workstation drive map
    */
   isNetworkPath(filePath) {
-    // Check for UNC paths (\\server\share)
-    if (filePath.startsWith('\\\\')) {
-      return true;
-    }
-
-    // Check for drive letters that are commonly network mapped
-    // Get the drive letter
-    const match = filePath.match(/^([A-Z]):/i);
-    if (match) {
-      const driveLetter = match[1].toUpperCase();
-      
-      // Local drives: C, D, E, F (typical local PC disks)
-      // Block: P, Y, Z, S, Q, X, V, U, T, R and others often used for network
-      const localDrives = ['C', 'D', 'E', 'F'];
-      
-      if (!localDrives.includes(driveLetter)) {
-        console.warn(`⚠️ Skipping network drive ${driveLetter}: (not a local PC disk)`);
-        return true;
-      }
-    }
-
-    return false;
+    return this.driveMap.isNetworkPath(filePath);
   }
 
   /**
    * Search for all .omSettings files on the system
-   * SAFETY: Only searches LOCAL PC disks, skips all network drives
+   * SAFETY: Network roots are skipped (and recorded as blocked) unless approved for the user
+   * @param {Object} options - { username } whose profile folders are searched and whose
+   *   network approvals apply (default: this.username)
    * @returns {Promise<Array>} - Array of found settings files with metadata
    */
-  async searchForSettings() {
+  async searchForSettings(options = {}) {
+    const username = options.username || this.username;
     const found = [];
+    const settings = this.locatorConfig.load();
+    const matchesFile = this.locatorConfig.createMatcher(settings.fileGlobs);
+    const skipDirectory = this.locatorConfig.createMatcher(settings.skipPatterns);
+
+    this.commonSearchPaths = this.buildSearchPaths({ username });
+
+    for (const root of this.searchRoots.filter(r => r.enabled)) {
+      const searchPath = root.path;
 
-    for (const searchPath of this.commonSearchPaths) {
       try {
-        // SAFETY CHECK: Skip network paths entirely
-        if (this.isNetworkPath(searchPath)) {
+        // SAFETY CHECK: Network paths need an approval
+        if (this.isNetworkPath(searchPath) &&
+            !this.networkAccess.checkAccess(username, searchPath, 'locator').allowed) {
           continue;
         }
 
@@ -134,10 +128,10 @@ class ConfigurationLocator {
         }
 
         // Search recursively
-        const files = this.walkDirectory(searchPath);
+        const files = this.walkDirectory(searchPath, root.maxDepth, 0, skipDirectory);
         
         files.forEach(file => {
-          if (file.endsWith('.omSettings')) {
+          if (matchesFile(path.basename(file))) {
             const stats = fs.statSync(file);
             found.push({
               path: file,
@@ -145,7 +139,8 @@ class ConfigurationLocator {
               modified: stats.mtime,
               modifiedIso: stats.mtime.toISOString(),
               sizeReadable: this.formatBytes(stats.size),
-              source: this.classifySource(file)
+              source: this.classifySource(file),
+              hyperMillVersion: this.detectHyperMillVersion(file)
             });
           }
         });
@@ -162,10 +157,11 @@ class ConfigurationLocator {
 
   /**
    * Find the most recent .omSettings file
+   * @param {Object} options - { username } (see searchForSettings)
    * @returns {Promise<Object>} - Most recent settings file or null
    */
-  async findLatestSettings() {
-    const allFiles = await this.searchForSettings();
+  async findLatestSettings(options = {}) {
+    const allFiles = await this.searchForSettings(options);
     
     if (allFiles.length === 0) {
       return null;
@@ -176,8 +172,9 @@ class ConfigurationLocator {
 
   /**
    * Search directory recursively for files (with depth limit)
+   * @param {Function} skipDirectory - (dirName) => boolean, defaults to shouldSkipDirectory
    */
-  walkDirectory(dir, maxDepth = 3, currentDepth = 0) {
+  walkDirectory(dir, maxDepth = 3, currentDepth = 0, skipDirectory = name => this.shouldSkipDirectory(name)) {
     const files = [];
 
     if (currentDepth >= maxDepth) {
@@ -193,10 +190,10 @@ class ConfigurationLocator {
         try {
           if (entry.isDirectory()) {
             // Skip system and cache directories
-            if (this.shouldSkipDirectory(entry.name)) {
+            if (skipDirectory(entry.name)) {
               return;
             }
-            files.push(...this.walkDirectory(fullPath, maxDepth, currentDepth + 1));
+            files.push(...this.walkDirectory(fullPath, maxDepth, currentDepth + 1, skipDirectory));
           } else if (entry.isFile()) {
             files.push(fullPath);
           }
@@ -213,24 +210,20 @@ class ConfigurationLocator {
 
   /**
    * Check if directory should be skipped to avoid deep recursion in system dirs
+   * Uses the skipPatterns of the locator config
    */
   shouldSkipDirectory(dirName) {
-    const skipDirs = [
-      'node_modules',
-      '.git',
-      'System Volume Information',
-      '$RECYCLE.BIN',
-      'Recovery',
-      'boot',
-      'System32',
-      'cache',
-      'Cache',
-      'temp',
-      'Temp',
-      'AppData' // Don't recurse too deep in AppData
-    ];
+    const skipPatterns = this.locatorConfig.load().skipPatterns;
+    return this.locatorConfig.createMatcher(skipPatterns)(dirName);
+  }
 
-    return skipDirs.includes(dirName);
+  /**
+   * hyperMILL version folder a file lives in (...\hyperMILL\34.0\... → '34.0')
+   * @returns {string|null} - null outside a version folder (the parsed file tells the version)
+   */
+  detectHyperMillVersion(filePath) {
+    const match = filePath.match(/[\\/]hyperMILL[\\/](\d+)\.(\d+)(?:[\\/]|$)/i);
+    return match ? `${match[1]}.${match[2]}` : null;
   }
 
   /**
@@ -272,12 +265,21 @@ class ConfigurationLocator {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   }
 
+  /**
+   * Profile folder of a user (%USERPROFILE% resolved for that user)
+   * @param {string} username - Default: this.username
+   */
+  getUserHome(username = this.username) {
+    const settings = this.locatorConfig.load();
+    return this.locatorConfig.expandPath('%USERPROFILE%', settings.variables, { username }).path;
+  }
+
   /**
    * Get configuration file paths where HyperMILL stores export history
+   * @param {string} username - Whose profile folders (default: this.username)
    */
-  getConfigurationCenterPaths() {
-    const username = os.userInfo().username;
-    const userHome = os.homedir();
+  getConfigurationCenterPaths(username = this.username) {
+    const userHome = this.getUserHome(username);
 
     return {
       userAppData: path.join(userHome, 'AppData\\Roaming\\OPEN MIND'),
@@ -289,16 +291,25 @@ class ConfigurationLocator {
     };
   }
 
+  /**
+   * Folders where hyperMILL exports usually land
+   * @param {string} username - Whose Documents and Downloads (default: this.username)
+   */
+  getDefaultWatchPaths(username = this.username) {
+    const userHome = this.getUserHome(username);
+    return [
+      path.join(userHome, 'Documents'),
+      path.join(userHome, 'Downloads'),
+      'C:\\Users\\Public\\Documents\\OPEN MIND\\backup'
+    ];
+  }
+
   /**
    * Watch for new .omSettings files (for auto-discovery)
    * @param {Function} callback - Called when new file is found
    */
   watchForNewSettings(callback) {
-    const watchPaths = [
-      path.join(os.homedir(), 'Documents'),
-      path.join(os.homedir(), 'Downloads'),
-      'C:\\Users\\Public\\Documents\\OPEN MIND\\backup'
-    ];
+    const watchPaths = this.getDefaultWatchPaths();
 
     const watchers = [];
 
@@ -348,17 +359,18 @@ class ConfigurationLocator {
 
   /**
    * Get information about detected .omSettings files
+   * @param {Object} options - { username } (see searchForSettings)
    */
-  async getSettingsInfo() {
-    const latest = await this.findLatestSettings();
-    const all = await this.searchForSettings();
+  async getSettingsInfo(options = {}) {
+    const all = await this.searchForSettings(options);
 
     return {
       found: all.length,
-      latest: latest,
+      latest: all[0] || null,
       all: all,
-      configurationCenterPaths: this.getConfigurationCenterPaths(),
-      searchPaths: this.commonSearchPaths
+      configurationCenterPaths: this.getConfigurationCenterPaths(options.username),
+      searchPaths: this.commonSearchPaths,
+      searchRoots: this.searchRoots
     };
   }
 }
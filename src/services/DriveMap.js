@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+
+const DRIVE_TYPES = ['local', 'server', 'removable'];
+
+/**
+ * DriveMap - Workstation drive-letter registry shared by all services
+ * Decides whether a path is on a local disk, a server share or a removable drive,
+ * and which UNC root a mapped letter points to (P: → \\srv\cam)
+ *
+ * Saved in data/drive-map.json so every workstation can describe its own mapping:
+ * { defaultType: 'server', drives: { C: { type: 'local' }, P: { type: 'server', uncRoot: '\\\\srv\\cam' } } }
+ * Letters that are not listed get defaultType.
+ */
+class DriveMap {
+  constructor(mapFile) {
+    this.mapFile = mapFile || path.join(__dirname, '../../data/drive-map.json');
+    this.cache = null;
+    this.cacheMtimeMs = null;
+  }
+
+  /**
+   * Default map - C: to F: local, every other letter a server drive
+   */
+  getDefaults() {
+    return {
+      defaultType: 'server',
+      drives: {
+        C: { type: 'local' },
+        D: { type: 'local' },
+        E: { type: 'local' },
+        F: { type: 'local' }
+      }
+    };
+  }
+
+  /**
+   * Load the map (re-read only when the file changed)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.mapFile)) {
+        const mtimeMs = fs.statSync(this.mapFile).mtimeMs;
+        if (!this.cache || this.cacheMtimeMs !== mtimeMs) {
+          const saved = JSON.parse(fs.readFileSync(this.mapFile, 'utf8'));
+          this.cache = { ...this.getDefaults(), ...saved };
+          this.cacheMtimeMs = mtimeMs;
+        }
+        return this.cache;
+      }
+    } catch (error) {
+      console.warn('Could not load drive map:', error.message);
+    }
+
+    this.cache = null;
+    return this.getDefaults();
+  }
+
+  /**
+   * Save the map
+   */
+  save(driveMap) {
+    fs.mkdirSync(path.dirname(this.mapFile), { recursive: true });
+    fs.writeFileSync(this.mapFile, JSON.stringify({
+      ...driveMap,
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+    this.cache = null;
+  }
+
+  /**
+   * Normalise "p", "P:" or "P:\" to "P"
+   * @returns {string|null}
+   */
+  normalizeLetter(letter) {
+    const match = String(letter || '').match(/^([A-Z]):?\\?$/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Mapping for one drive letter
+   * @returns {Object} - { letter, type, uncRoot, label, configured }
+   */
+  getDrive(letter) {
+    const driveLetter = this.normalizeLetter(letter);
+    const driveMap = this.load();
+    const entry = driveMap.drives[driveLetter];
+
+    return {
+      letter: driveLetter,
+      type: entry ? entry.type : driveMap.defaultType,
+      uncRoot: entry && entry.uncRoot ? entry.uncRoot : null,
+      label: entry && entry.label ? entry.label : null,
+      configured: Boolean(entry)
+    };
+  }
+
+  /**
+   * Add or change a drive letter
+   * @param {string} letter - "P" or "P:"
+   * @param {Object} drive - { type: 'local' | 'server' | 'removable', uncRoot?, label? }
+   */
+  setDrive(letter, drive = {}) {
+    const driveLetter = this.normalizeLetter(letter);
+
+    if (!driveLetter) {
+      return { success: false, error: `Invalid drive letter: ${letter}` };
+    }
+    if (!DRIVE_TYPES.includes(drive.type)) {
+      return { success: false, error: `Invalid drive type: ${drive.type} (expected ${DRIVE_TYPES.join(', ')})` };
+    }
+    if (drive.uncRoot && !drive.uncRoot.startsWith('\\\\')) {
+      return { success: false, error: `uncRoot must be a UNC path (\\\\server\\share): ${drive.uncRoot}` };
+    }
+
+    const driveMap = this.load();
+    driveMap.drives = {
+      ...driveMap.drives,
+      [driveLetter]: {
+        type: drive.type,
+        ...(drive.uncRoot ? { uncRoot: drive.uncRoot.replace(/\\+$/, '') } : {}),
+        ...(drive.label ? { label: drive.label } : {})
+      }
+    };
+    this.save(driveMap);
+
+    return { success: true, drive: this.getDrive(driveLetter) };
+  }
+
+  /**
+   * Remove a letter from the map (it falls back to defaultType)
+   */
+  removeDrive(letter) {
+    const driveLetter = this.normalizeLetter(letter);
+    const driveMap = this.load();
+
+    if (!driveLetter || !driveMap.drives[driveLetter]) {
+      return { success: false, error: `Drive letter not configured: ${letter}` };
+    }
+
+    const { [driveLetter]: removed, ...remaining } = driveMap.drives;
+    driveMap.drives = remaining;
+    this.save(driveMap);
+
+    return { success: true, drive: this.getDrive(driveLetter) };
+  }
+
+  /**
+   * Type used for letters that are not listed
+   */
+  setDefaultType(type) {
+    if (!DRIVE_TYPES.includes(type)) {
+      return { success: false, error: `Invalid drive type: ${type} (expected ${DRIVE_TYPES.join(', ')})` };
+    }
+
+    const driveMap = this.load();
+    driveMap.defaultType = type;
+    this.save(driveMap);
+
+    return { success: true, defaultType: type };
+  }
+
+  /**
+   * Drop the saved map and go back to the defaults
+   */
+  reset() {
+    if (fs.existsSync(this.mapFile)) {
+      fs.unlinkSync(this.mapFile);
+    }
+    this.cache = null;
+    return { success: true, driveMap: this.load() };
+  }
+
+  /**
+   * Classify a path as server, local, removable or unclear
+   * @returns {Object} - { type, drive, isUNC, uncRoot, category, note }
+   */
+  classifyPath(pathStr) {
+    if (typeof pathStr !== 'string' || pathStr.length === 0) {
+      return { type: 'unclear', drive: 'unknown', note: 'Empty path' };
+    }
+
+    // UNC network path
+    if (pathStr.startsWith('\\\\')) {
+      return {
+        type: 'server',
+        isUNC: true,
+        drive: 'network-share',
+        category: 'UNC-network-share'
+      };
+    }
+
+    // Drive letter paths ("P:\..." or a bare "P:")
+    const match = pathStr.match(/^([A-Z]):/i);
+    if (match) {
+      const drive = this.getDrive(match[1]);
+      return {
+        type: drive.type,
+        isUNC: false,
+        drive: drive.letter,
+        uncRoot: drive.uncRoot,
+        category: `${drive.type}-drive-${drive.letter}`
+      };
+    }
+
+    // Unix paths
+    if (pathStr.startsWith('/')) {
+      return {
+        type: 'unclear',
+        drive: 'unix-path',
+        note: 'Unix-style path - context dependent'
+      };
+    }
+
+    // Can't determine
+    return {
+      type: 'unclear',
+      drive: 'unknown',
+      note: 'Path format not recognized'
+    };
+  }
+
+  /**
+   * Is the path on a server drive or share?
+   */
+  isNetworkPath(pathStr) {
+    return this.classifyPath(pathStr).type === 'server';
+  }
+
+  /**
+   * Is the path on a removable drive?
+   */
+  isRemovablePath(pathStr) {
+    return this.classifyPath(pathStr).type === 'removable';
+  }
+
+  /**
+   * Rewrite a mapped-letter path to its UNC form (P:\Post\x.pp → \\srv\cam\Post\x.pp)
+   * @returns {string|null} - UNC path, the path itself when already UNC, null when the letter has no UNC root
+   */
+  toUncPath(pathStr) {
+    if (typeof pathStr !== 'string') return null;
+    if (pathStr.startsWith('\\\\')) return pathStr;
+
+    const match = pathStr.match(/^([A-Z]):\\?(.*)$/i);
+    if (!match) return null;
+
+    const drive = this.getDrive(match[1]);
+    if (!drive.uncRoot) return null;
+
+    return match[2] ? `${drive.uncRoot}\\${match[2]}` : drive.uncRoot;
+  }
+
+  /**
+   * Every letter A-Z with its effective mapping
+   */
+  listDrives() {
+    const driveMap = this.load();
+    const drives = [];
+
+    for (let code = 'A'.charCodeAt(0); code <= 'Z'.charCodeAt(0); code++) {
+      drives.push(this.getDrive(String.fromCharCode(code)));
+    }
+
+    return {
+      success: true,
+      mapFile: this.mapFile,
+      defaultType: driveMap.defaultType,
+      updatedAt: driveMap.updatedAt || null,
+      drives
+    };
+  }
+}
+
+DriveMap.DRIVE_TYPES = DRIVE_TYPES;
+
+module.exports = DriveMap;
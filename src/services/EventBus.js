@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const config = require('../../config');
+
+/**
+ * EventBus - In-process publish/subscribe for live notifications (SSE and WebSocket clients)
+ *
+ * Services publish { topic, type, username, roles, ...data }; the bus adds id and timestamp,
+ * keeps the last `historySize` events for replay after a reconnect and emits 'event'.
+ * - topic: area of the event - watcher, scan, file-sync, sync
+ * - type: what happened - settings-detected, scan-progress, update-available, sync-completed, ...
+ * - username: user the event belongs to; null for events every user may see
+ * - roles: optional, restricts the event to these roles (CAM admins always see it)
+ *
+ * Ids increase by one per event and start at the boot time in ms, so a Last-Event-ID
+ * from before a restart is lower than every new id and shows up as a gap in the replay.
+ */
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.historySize - Events kept for replay (default: config.events.historySize)
+   */
+  constructor(options = {}) {
+    super();
+    const eventsConfig = config.events || {};
+    this.historySize = options.historySize || eventsConfig.historySize || 500;
+    this.history = [];
+    this.lastId = Date.now();
+
+    // One listener per connected client
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event
+   * @param {Object} entry - { topic, type, username, roles, ...data }
+   * @returns {Object} - The published event
+   */
+  publish(entry) {
+    const event = {
+      ...entry,
+      id: ++this.lastId,
+      username: entry.username || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Does an event pass a topic / user filter
+   * @param {Object} filter - { topics: ['scan', 'watcher.settings-detected'], username }
+   *   topics match the topic or "topic.type" ('*' or none: everything);
+   *   username keeps that user's events and events without a user
+   */
+  matches(event, filter = {}) {
+    const topics = filter.topics || [];
+    if (topics.length > 0 &&
+        !topics.some(topic => topic === '*' || topic === event.topic || topic === `${event.topic}.${event.type}`)) {
+      return false;
+    }
+
+    return !filter.username || !event.username ||
+      event.username.toLowerCase() === String(filter.username).toLowerCase();
+  }
+
+  /**
+   * Subscribe to new events
+   * @param {Function} accept - (event) => boolean
+   * @param {Function} listener - (event) => void
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(accept, listener) {
+    const onEvent = event => {
+      if (accept(event)) listener(event);
+    };
+
+    this.on('event', onEvent);
+    return () => this.off('event', onEvent);
+  }
+
+  /**
+   * Buffered events after an id (oldest first)
+   * @param {number} afterId - Last id the client received
+   * @param {Function} accept - (event) => boolean
+   * @returns {Object} - { events, truncated, oldestId } - truncated: events after afterId were
+   *   dropped from the buffer (or published before a restart) and cannot be replayed
+   */
+  replay(afterId, accept = () => true) {
+    const oldestId = this.history.length > 0 ? this.history[0].id : this.lastId + 1;
+
+    return {
+      events: this.history.filter(event => event.id > afterId && accept(event)),
+      truncated: afterId < oldestId - 1,
+      oldestId
+    };
+  }
+}
+
+module.exports = EventBus;
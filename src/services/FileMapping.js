@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const PATHS_CONFIG = require('../config/PATHS_CONFIG');
+const FileHasher = require('../utils/FileHasher');
+const NetworkAccessService = require('./NetworkAccessService');
+const DriveMap = require('./DriveMap');
 
 /**
  * FileMapping - Persistent storage of server ↔ local file mappings
@@ -11,12 +14,19 @@ const PATHS_CONFIG = require('../config/PATHS_CONFIG');
  * Stores all files in: D:\Borok\Private\_CODING\BRK_CNC_System\hyperMill_ServerFile_Copies\
  */
 class FileMapping {
-  constructor() {
+  /**
+   * @param {Object} options - { driveMap, networkAccess, username }
+   *   username: user whose network approvals apply when a call names none (the sync scheduler)
+   */
+  constructor(options = {}) {
+    this.driveMap = options.driveMap || new DriveMap();
+    this.networkAccess = options.networkAccess || new NetworkAccessService({ driveMap: this.driveMap });
+    this.username = options.username || os.userInfo().username;
     this.mapDir = PATHS_CONFIG.getMetadataDir();
     this.mapFile = PATHS_CONFIG.getFileMappingPath();
     this.currentFilesDir = PATHS_CONFIG.getCurrentFilesDir();
     this.backupsDir = PATHS_CONFIG.getBackupsDir();
-    this.mappings = {}; // { localPath: { serverPath, status, lastChecked, lastServerModified, lastLocalModified } }
+    this.mappings = {}; // { localPath: { serverPath, status, lastChecked, lastServerModified, lastServerHash, lastLocalModified } }
     
     // Load existing mappings if available
     this.loadMappings();
@@ -74,13 +84,31 @@ class FileMapping {
     }
   }
 
+  /**
+   * Network access gate for a server path
+   * @param {string} serverPath - Server file about to be read
+   * @param {string} username - Requesting user (default: this.username)
+   * @returns {Object|null} - Error result when the path is not approved, otherwise null
+   */
+  checkServerAccess(serverPath, username = this.username) {
+    const access = this.networkAccess.checkAccess(username || this.username, serverPath, 'sync');
+    if (access.allowed) return null;
+
+    return {
+      success: false,
+      status: 'network-access-not-approved',
+      error: `Network access not approved: ${serverPath}`
+    };
+  }
+
   /**
    * Add a new file mapping
    * @param {string} serverPath - Where file lives on server (P:\, Y:\, etc.)
    * @param {string} localPath - Where file is cached locally (C:\cache\)
    * @param {string} fileType - Type: 'config', 'tool-db', 'automation', etc.
+   * @param {string} username - Requesting user, whose network approvals apply
    */
-  addMapping(serverPath, localPath, fileType = 'other') {
+  async addMapping(serverPath, localPath, fileType = 'other', username) {
     try {
       if (!this.isServerPath(serverPath)) {
         return {
@@ -89,6 +117,11 @@ class FileMapping {
         };
       }
 
+      const accessError = this.checkServerAccess(serverPath, username);
+      if (accessError) {
+        return accessError;
+      }
+
       // Check if server file exists
       if (!fs.existsSync(serverPath)) {
         return {
@@ -107,8 +140,13 @@ class FileMapping {
         lastChecked: null,
         lastServerModified: serverStats.mtime.toISOString(),
         lastServerSize: serverStats.size,
+        lastServerHash: await FileHasher.hashFile(serverPath),
+        hashAlgorithm: FileHasher.algorithm,
+        changeState: 'unchanged',
         lastLocalModified: null,
         lastLocalSize: null,
+        lastLocalHash: null,
+        autoApprove: false, // Sync scheduler copies new versions without asking
         syncHistory: [],
         checkCount: 0,
         syncCount: 0
@@ -132,8 +170,9 @@ class FileMapping {
   /**
    * Check if server file has been updated since last check
    * @param {string} localPath - Local path key
+   * @param {string} username - Requesting user, whose network approvals apply
    */
-  checkForServerUpdate(localPath) {
+  async checkForServerUpdate(localPath, username) {
     try {
       const mapping = this.mappings[localPath];
 
@@ -144,6 +183,11 @@ class FileMapping {
         };
       }
 
+      const accessError = this.checkServerAccess(mapping.serverPath, username);
+      if (accessError) {
+        return accessError;
+      }
+
       if (!fs.existsSync(mapping.serverPath)) {
         return {
           success: true,
@@ -156,12 +200,33 @@ class FileMapping {
       const serverStats = fs.statSync(mapping.serverPath);
       const currentServerModified = serverStats.mtime.getTime();
       const lastServerModified = new Date(mapping.lastServerModified).getTime();
-
-      const hasUpdate = currentServerModified > lastServerModified;
+      const mtimeChanged = currentServerModified !== lastServerModified;
+
+      // Content decides, mtime is only informational (clock skew, copies keeping old timestamps)
+      const serverHash = await FileHasher.hashFile(mapping.serverPath);
+      let hasUpdate;
+      let changeState;
+
+      if (mapping.lastServerHash) {
+        hasUpdate = serverHash !== mapping.lastServerHash;
+        changeState = hasUpdate
+          ? 'content-changed'
+          : (mtimeChanged ? 'mtime-changed-content-identical' : 'unchanged');
+      } else {
+        // Mapping created before hashing - fall back to mtime once, then keep the hash as baseline
+        hasUpdate = currentServerModified > lastServerModified;
+        changeState = hasUpdate ? 'content-changed' : 'unchanged';
+        if (!hasUpdate) {
+          mapping.lastServerHash = serverHash;
+          mapping.hashAlgorithm = FileHasher.algorithm;
+        }
+      }
 
       // Update check info
       mapping.lastChecked = new Date().toISOString();
       mapping.checkCount = (mapping.checkCount || 0) + 1;
+      mapping.changeState = changeState;
+      mapping.currentServerHash = serverHash;
 
       if (hasUpdate) {
         mapping.status = 'outdated';
@@ -176,15 +241,20 @@ class FileMapping {
         success: true,
         hasUpdate: hasUpdate,
         status: mapping.status,
+        changeState: changeState,
         serverPath: mapping.serverPath,
         localPath: localPath,
         serverModified: serverStats.mtime.toISOString(),
         lastKnownModified: mapping.lastServerModified,
+        mtimeChanged: mtimeChanged,
         diffMs: currentServerModified - lastServerModified,
         diffDays: Math.round((currentServerModified - lastServerModified) / (1000 * 60 * 60 * 24)),
         serverSize: this.formatBytes(serverStats.size),
         lastKnownSize: this.formatBytes(mapping.lastServerSize),
-        sizeChanged: serverStats.size !== mapping.lastServerSize
+        sizeChanged: serverStats.size !== mapping.lastServerSize,
+        serverHash: serverHash,
+        lastKnownHash: mapping.lastServerHash,
+        hashAlgorithm: FileHasher.algorithm
       };
     } catch (error) {
       return {
@@ -197,8 +267,9 @@ class FileMapping {
   /**
    * Mark file as synced (after copying from server to local)
    * @param {string} localPath - Local path key
+   * @param {string} username - Requesting user, whose network approvals apply
    */
-  markAsSynced(localPath) {
+  async markAsSynced(localPath, username) {
     try {
       const mapping = this.mappings[localPath];
 
@@ -209,6 +280,11 @@ class FileMapping {
         };
       }
 
+      const accessError = this.checkServerAccess(mapping.serverPath, username);
+      if (accessError) {
+        return accessError;
+      }
+
       if (!fs.existsSync(mapping.serverPath)) {
         return {
           success: false,
@@ -218,9 +294,22 @@ class FileMapping {
 
       const serverStats = fs.statSync(mapping.serverPath);
 
+      const serverHash = await FileHasher.hashFile(mapping.serverPath);
+
       mapping.status = 'synced';
+      mapping.changeState = 'unchanged';
       mapping.lastServerModified = serverStats.mtime.toISOString();
       mapping.lastServerSize = serverStats.size;
+      mapping.lastServerHash = serverHash;
+      mapping.currentServerHash = serverHash;
+      mapping.hashAlgorithm = FileHasher.algorithm;
+
+      if (fs.existsSync(localPath)) {
+        const localStats = fs.statSync(localPath);
+        mapping.lastLocalModified = localStats.mtime.toISOString();
+        mapping.lastLocalSize = localStats.size;
+        mapping.lastLocalHash = await FileHasher.hashFile(localPath);
+      }
       mapping.lastSyncedAt = new Date().toISOString();
       mapping.syncCount = (mapping.syncCount || 0) + 1;
 
@@ -231,7 +320,8 @@ class FileMapping {
       mapping.syncHistory.push({
         syncedAt: new Date().toISOString(),
         serverModified: mapping.lastServerModified,
-        serverSize: serverStats.size
+        serverSize: serverStats.size,
+        serverHash: serverHash
       });
       if (mapping.syncHistory.length > 10) {
         mapping.syncHistory = mapping.syncHistory.slice(-10);
@@ -252,6 +342,38 @@ class FileMapping {
     }
   }
 
+  /**
+   * Record that a backup was restored over the local copy
+   * The server baseline is kept, so the next server change is still detected
+   * @param {string} localPath - Local path key
+   * @param {string} backupPath - Backup that was restored
+   */
+  async markAsRestored(localPath, backupPath) {
+    const mapping = this.mappings[localPath];
+
+    if (!mapping) {
+      return { success: false, error: `No mapping found: ${localPath}` };
+    }
+
+    if (fs.existsSync(localPath)) {
+      const localStats = fs.statSync(localPath);
+      mapping.lastLocalModified = localStats.mtime.toISOString();
+      mapping.lastLocalSize = localStats.size;
+      mapping.lastLocalHash = await FileHasher.hashFile(localPath);
+    }
+    mapping.lastRestoredAt = new Date().toISOString();
+
+    mapping.syncHistory = [...(mapping.syncHistory || []), {
+      restoredAt: mapping.lastRestoredAt,
+      restoredFrom: backupPath,
+      localHash: mapping.lastLocalHash
+    }].slice(-10);
+
+    this.saveMappings();
+
+    return { success: true, mapping };
+  }
+
   /**
    * Get all mappings with a specific status
    * @param {string} status - 'synced', 'outdated', 'unmapped', 'error'
@@ -337,6 +459,24 @@ class FileMapping {
     return mapping ? { success: true, mapping } : { success: false, error: 'Not found' };
   }
 
+  /**
+   * Mark a mapping for automatic approval of server updates
+   * @param {string} localPath - Local path key
+   * @param {boolean} autoApprove - true: sync scheduler copies new versions (with backup)
+   */
+  setAutoApprove(localPath, autoApprove) {
+    const mapping = this.mappings[localPath];
+
+    if (!mapping) {
+      return { success: false, error: `No mapping found: ${localPath}` };
+    }
+
+    mapping.autoApprove = Boolean(autoApprove);
+    this.saveMappings();
+
+    return { success: true, localPath, autoApprove: mapping.autoApprove };
+  }
+
   /**
    * Remove a mapping
    */
@@ -350,17 +490,10 @@ class FileMapping {
   }
 
   /**
-   * Check if path is on server drive
+   * Check if path is on server drive (workstation drive map)
    */
   isServerPath(filePath) {
-    if (filePath.startsWith('\\\\')) return true;
-    const match = filePath.match(/^([A-Z]):/i);
-    if (match) {
-      const drive = match[1].toUpperCase();
-      const localDrives = ['C', 'D', 'E', 'F'];
-      return !localDrives.includes(drive);
-    }
-    return false;
+    return this.driveMap.isNetworkPath(filePath);
   }
 
   /**
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * LocatorConfig - Persisted search settings for ConfigurationLocator
+ * Search roots, recursion depth, skipped directory patterns and file globs
+ * live in data/locator-config.json instead of code, so new hyperMILL versions
+ * or a mounted workstation image only need a config change
+ *
+ * Roots may contain %ENV% tokens (%USERPROFILE%, %APPDATA%, ...). Values from
+ * `variables` win over the process environment; Windows defaults are used
+ * when neither defines the token. Resolved for another user than the one running
+ * the service, the per-user tokens point into that user's profile instead.
+ */
+class LocatorConfig {
+  constructor(configFile) {
+    this.configFile = configFile || path.join(__dirname, '../../data/locator-config.json');
+  }
+
+  /**
+   * Default configuration - same locations the locator always searched
+   */
+  getDefaults() {
+    return {
+      maxDepth: 3,
+      fileGlobs: ['*.omSettings'],
+      skipPatterns: [
+        'node_modules',
+        '.git',
+        'System Volume Information',
+        '$RECYCLE.BIN',
+        'Recovery',
+        'boot',
+        'System32',
+        'cache',
+        'temp',
+        'AppData' // Don't recurse too deep in AppData
+      ],
+      variables: {},
+      roots: [
+        // User's Documents folder (most common manual export location) - LOCAL ONLY
+        { id: 'user-documents', path: '%USERPROFILE%\\Documents', enabled: true },
+        { id: 'user-downloads', path: '%USERPROFILE%\\Downloads', enabled: true },
+
+        // OPEN MIND shared locations - LOCAL ONLY
+        { id: 'public-openmind', path: '%PUBLIC%\\Documents\\OPEN MIND', enabled: true },
+        { id: 'public-backup', path: '%PUBLIC%\\Documents\\OPEN MIND\\backup', enabled: true },
+
+        // AppData locations - LOCAL ONLY
+        { id: 'appdata-roaming', path: '%APPDATA%\\OPEN MIND', enabled: true },
+        { id: 'appdata-local', path: '%LOCALAPPDATA%\\OPEN MIND', enabled: true },
+
+        // Program Data - LOCAL ONLY
+        { id: 'program-data', path: '%PROGRAMDATA%\\OPEN MIND', enabled: true },
+
+        // HyperMILL installation folder - one level deeper so every version folder (33.0, 34.0, ...) is covered
+        { id: 'hypermill-install', path: '%PROGRAMFILES%\\OPEN MIND\\hyperMILL', maxDepth: 4, enabled: true },
+
+        // Temp locations - LOCAL ONLY
+        { id: 'temp', path: '%LOCALAPPDATA%\\Temp', enabled: true }
+
+        // NO NETWORK DRIVES: Company server drives (P:, Y:, etc.) are intentionally excluded
+      ]
+    };
+  }
+
+  /**
+   * Load the persisted config (defaults when none saved yet)
+   */
+  load() {
+    const defaults = this.getDefaults();
+
+    try {
+      if (fs.existsSync(this.configFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        return { ...defaults, ...saved };
+      }
+    } catch (error) {
+      console.warn('Could not load locator config:', error.message);
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Save the config
+   */
+  save(locatorConfig) {
+    fs.mkdirSync(path.dirname(this.configFile), { recursive: true });
+    fs.writeFileSync(this.configFile, JSON.stringify({
+      ...locatorConfig,
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  /**
+   * Update general settings (maxDepth, fileGlobs, skipPatterns, variables)
+   * @param {Object} changes - Any subset of the settings
+   */
+  updateSettings(changes = {}) {
+    const locatorConfig = this.load();
+    const error = this.validateSettings(changes);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    ['maxDepth', 'fileGlobs', 'skipPatterns', 'variables'].forEach(key => {
+      if (changes[key] !== undefined) {
+        locatorConfig[key] = changes[key];
+      }
+    });
+
+    this.save(locatorConfig);
+    return { success: true, config: this.load() };
+  }
+
+  /**
+   * Add a search root
+   * @param {Object} root - { id?, path, maxDepth?, enabled?, label? }
+   */
+  addRoot(root = {}) {
+    const locatorConfig = this.load();
+    const error = this.validateRoot(root);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    const id = root.id || `root-${Date.now()}`;
+    if (locatorConfig.roots.some(r => r.id === id)) {
+      return { success: false, error: `Search root already exists: ${id}` };
+    }
+
+    const newRoot = {
+      id,
+      path: root.path,
+      enabled: root.enabled !== false,
+      ...(root.maxDepth !== undefined ? { maxDepth: root.maxDepth } : {}),
+      ...(root.label ? { label: root.label } : {})
+    };
+
+    locatorConfig.roots.push(newRoot);
+    this.save(locatorConfig);
+
+    return { success: true, root: newRoot };
+  }
+
+  /**
+   * Update a search root
+   * @param {string} id - Root id
+   * @param {Object} changes - { path?, maxDepth?, enabled?, label? }
+   */
+  updateRoot(id, changes = {}) {
+    const locatorConfig = this.load();
+    const root = locatorConfig.roots.find(r => r.id === id);
+
+    if (!root) {
+      return { success: false, notFound: true, error: `Search root not found: ${id}` };
+    }
+
+    const updated = { ...root, ...changes, id };
+    const error = this.validateRoot(updated);
+    if (error) {
+      return { success: false, error };
+    }
+
+    locatorConfig.roots = locatorConfig.roots.map(r => (r.id === id ? updated : r));
+    this.save(locatorConfig);
+
+    return { success: true, root: updated };
+  }
+
+  /**
+   * Remove a search root
+   */
+  removeRoot(id) {
+    const locatorConfig = this.load();
+    const remaining = locatorConfig.roots.filter(r => r.id !== id);
+
+    if (remaining.length === locatorConfig.roots.length) {
+      return { success: false, notFound: true, error: `Search root not found: ${id}` };
+    }
+
+    locatorConfig.roots = remaining;
+    this.save(locatorConfig);
+
+    return { success: true, removed: id };
+  }
+
+  /**
+   * Drop the saved config and go back to the defaults
+   */
+  reset() {
+    if (fs.existsSync(this.configFile)) {
+      fs.unlinkSync(this.configFile);
+    }
+    return { success: true, config: this.load() };
+  }
+
+  /**
+   * Validate a root definition
+   * @returns {string|null} - Error message
+   */
+  validateRoot(root) {
+    if (!root.path || typeof root.path !== 'string') {
+      return 'Search root path is required';
+    }
+    if (root.maxDepth !== undefined && !(Number.isInteger(root.maxDepth) && root.maxDepth >= 0)) {
+      return `Invalid maxDepth: ${root.maxDepth}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate general settings
+   * @returns {string|null} - Error message
+   */
+  validateSettings(changes) {
+    if (changes.maxDepth !== undefined && !(Number.isInteger(changes.maxDepth) && changes.maxDepth >= 0)) {
+      return `Invalid maxDepth: ${changes.maxDepth}`;
+    }
+    for (const key of ['fileGlobs', 'skipPatterns']) {
+      if (changes[key] !== undefined &&
+          !(Array.isArray(changes[key]) && changes[key].every(p => typeof p === 'string'))) {
+        return `${key} must be an array of strings`;
+      }
+    }
+    if (changes.variables !== undefined &&
+        (typeof changes.variables !== 'object' || Array.isArray(changes.variables))) {
+      return 'variables must be an object of NAME: value';
+    }
+    return null;
+  }
+
+  /**
+   * Windows defaults for environment tokens missing from the environment
+   */
+  getDefaultVariables(variables) {
+    const userProfile = variables.USERPROFILE || os.homedir();
+    const localAppData = variables.LOCALAPPDATA || `${userProfile}\\AppData\\Local`;
+
+    return {
+      USERNAME: os.userInfo().username,
+      USERPROFILE: userProfile,
+      PUBLIC: 'C:\\Users\\Public',
+      APPDATA: `${userProfile}\\AppData\\Roaming`,
+      LOCALAPPDATA: localAppData,
+      TEMP: `${localAppData}\\Temp`,
+      PROGRAMDATA: 'C:\\ProgramData',
+      PROGRAMFILES: 'C:\\Program Files'
+    };
+  }
+
+  /**
+   * Per-user tokens of another user
+   * The profile is a sibling of the resolved %USERPROFILE% (C:\Users\svc-cam → C:\Users\alice);
+   * APPDATA, LOCALAPPDATA and TEMP move along when they are inside that profile
+   * @param {Object} lookup - Resolved tokens (upper-case names)
+   * @returns {Object} - Tokens to override, empty for the profile's own user
+   */
+  getUserVariables(lookup, username) {
+    const hostProfile = String(lookup.USERPROFILE || '').replace(/[\\/]+$/, '');
+    const cut = Math.max(hostProfile.lastIndexOf('\\'), hostProfile.lastIndexOf('/'));
+
+    if (cut === -1 || hostProfile.slice(cut + 1).toLowerCase() === username.toLowerCase()) {
+      return {};
+    }
+
+    const userProfile = `${hostProfile.slice(0, cut + 1)}${username}`;
+    const variables = { USERNAME: username, USERPROFILE: userProfile };
+
+    ['APPDATA', 'LOCALAPPDATA', 'TEMP', 'TMP'].forEach(name => {
+      const value = lookup[name];
+      if (typeof value === 'string' && value.toLowerCase().startsWith(hostProfile.toLowerCase())) {
+        variables[name] = `${userProfile}${value.slice(hostProfile.length)}`;
+      }
+    });
+
+    return variables;
+  }
+
+  /**
+   * Expand %NAME% tokens (case-insensitive)
+   * Lookup order: config variables → process environment → Windows defaults
+   * @param {Object} options - { username } to resolve the per-user tokens for that user
+   * @returns {Object} - { path, unresolved: [NAME] }
+   */
+  expandPath(rawPath, variables = {}, options = {}) {
+    const upper = obj => Object.fromEntries(
+      Object.entries(obj).map(([key, value]) => [key.toUpperCase(), value])
+    );
+    const configured = upper(variables);
+    const env = upper(process.env);
+    const lookup = { ...this.getDefaultVariables({ ...env, ...configured }), ...env, ...configured };
+    const unresolved = [];
+
+    if (options.username) {
+      Object.assign(lookup, this.getUserVariables(lookup, options.username));
+    }
+
+    const expanded = rawPath.replace(/%([^%\\/]+)%/g, (token, name) => {
+      const value = lookup[name.toUpperCase()];
+      if (value === undefined) {
+        unresolved.push(name);
+        return token;
+      }
+      return value;
+    });
+
+    return { path: expanded, unresolved };
+  }
+
+  /**
+   * Resolve all roots for a search
+   * @param {Object} options - { username } whose profile the per-user roots point into
+   * @returns {Array} - [{ id, rawPath, path, maxDepth, enabled, unresolved }]
+   */
+  resolveRoots(locatorConfig = this.load(), options = {}) {
+    return locatorConfig.roots.map(root => {
+      const expanded = this.expandPath(root.path, locatorConfig.variables, options);
+      return {
+        id: root.id,
+        label: root.label,
+        rawPath: root.path,
+        path: expanded.path,
+        maxDepth: root.maxDepth !== undefined ? root.maxDepth : locatorConfig.maxDepth,
+        enabled: root.enabled !== false,
+        unresolved: expanded.unresolved
+      };
+    });
+  }
+
+  /**
+   * Convert a simple glob (* and ?) to a case-insensitive RegExp
+   */
+  globToRegExp(glob) {
+    const escaped = glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  /**
+   * Build a name matcher from a list of globs
+   * @returns {Function} - (name) => boolean
+   */
+  createMatcher(globs) {
+    const patterns = (globs || []).map(glob => this.globToRegExp(glob));
+    return name => patterns.some(pattern => pattern.test(name));
+  }
+}
+
+module.exports = LocatorConfig;
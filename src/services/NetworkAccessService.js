@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const DriveMap = require('./DriveMap');
+
+/**
+ * NetworkAccessService - Persisted per-user decisions about server drive / share access
+ * SAFETY: nothing on a network path is read until the user approved it
+ *
+ * Decisions are stored in data/network-access.json:
+ * - approvals: { id, username, prefix, decision: 'approved' | 'denied', recursive, decidedAt, expiresAt }
+ *   A recursive decision on "\\srv\cam\" covers everything below it; the most specific prefix wins
+ * - blockedNetworkPaths: attempts that were refused, so the user can review and approve them
+ *   Scans can be refused thousands of times in a row, so attempts are collected in memory
+ *   and written at most once per blockedFlushMs (decisions are written immediately)
+ */
+class NetworkAccessService {
+  constructor(options = {}) {
+    this.accessFile = options.accessFile || path.join(__dirname, '../../data/network-access.json');
+    this.driveMap = options.driveMap || new DriveMap();
+    this.maxBlockedEntries = options.maxBlockedEntries || 500;
+    this.blockedFlushMs = options.blockedFlushMs !== undefined ? options.blockedFlushMs : 2000;
+    this.pendingBlocked = new Map(); // { key: { username, path, context, reason, attempts, firstAttemptAt, lastAttemptAt } }
+    this.flushTimer = null;
+  }
+
+  /**
+   * Load persisted decisions and blocked attempts (including attempts not written yet)
+   */
+  load() {
+    const data = this.readFile();
+    data.blockedNetworkPaths = this.mergeBlocked(data.blockedNetworkPaths, [...this.pendingBlocked.values()]);
+    return data;
+  }
+
+  /**
+   * Decisions and blocked attempts as stored in the file
+   */
+  readFile() {
+    try {
+      if (fs.existsSync(this.accessFile)) {
+        const data = JSON.parse(fs.readFileSync(this.accessFile, 'utf8'));
+        return {
+          approvals: data.approvals || [],
+          blockedNetworkPaths: data.blockedNetworkPaths || []
+        };
+      }
+    } catch (error) {
+      console.warn('Could not load network access decisions:', error.message);
+    }
+    return { approvals: [], blockedNetworkPaths: [] };
+  }
+
+  /**
+   * Save decisions and blocked attempts
+   * `data` comes from load(), so pending blocked attempts are part of it
+   */
+  save(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.accessFile), { recursive: true });
+      fs.writeFileSync(this.accessFile, JSON.stringify(data, null, 2));
+      this.pendingBlocked.clear();
+    } catch (error) {
+      console.error('Error saving network access decisions:', error.message);
+    }
+  }
+
+  /**
+   * Write collected blocked attempts now
+   * The file is re-read first, so decisions saved by other instances are kept
+   */
+  flushBlocked() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.pendingBlocked.size > 0) {
+      this.save(this.load());
+    }
+  }
+
+  /**
+   * Check if a path is on a network drive (UNC path or server letter in the drive map)
+   */
+  isNetworkPath(filePath) {
+    return this.driveMap.isNetworkPath(filePath);
+  }
+
+  /**
+   * Normalise a path for prefix comparison: backslashes, lower case, no trailing separator
+   */
+  normalizePath(filePath) {
+    return filePath.replace(/\//g, '\\').replace(/\\+$/, '').toLowerCase();
+  }
+
+  /**
+   * Does a decision cover a path?
+   */
+  matches(approval, normalizedPath) {
+    const prefix = this.normalizePath(approval.prefix);
+
+    if (normalizedPath === prefix) return true;
+    if (!normalizedPath.startsWith(`${prefix}\\`)) return false;
+
+    // Non-recursive: the folder itself and its direct children only
+    return approval.recursive || !normalizedPath.slice(prefix.length + 1).includes('\\');
+  }
+
+  /**
+   * Decisions that have not expired
+   */
+  isActive(approval, now = Date.now()) {
+    return !approval.expiresAt || new Date(approval.expiresAt).getTime() > now;
+  }
+
+  /**
+   * Record a decision for a user
+   * @param {string} username - User the decision applies to
+   * @param {string} prefix - Network path or share prefix (e.g. "\\\\srv\\cam\\")
+   * @param {string} decision - 'approved' | 'denied'
+   * @param {Object} options - { recursive = true, expiresInHours, expiresAt, decidedBy }
+   */
+  setDecision(username, prefix, decision, options = {}) {
+    if (!username || !prefix) {
+      return { success: false, error: 'username and networkPath are required' };
+    }
+
+    let expiresAt = options.expiresAt || null;
+    if (options.expiresInHours !== undefined && options.expiresInHours !== null) {
+      const hours = Number(options.expiresInHours);
+      if (!(hours > 0)) {
+        return { success: false, error: `Invalid expiresInHours: ${options.expiresInHours}` };
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return { success: false, error: `Invalid expiresAt: ${expiresAt}` };
+    }
+
+    const data = this.load();
+    const normalized = this.normalizePath(prefix);
+    const approval = {
+      id: `access-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      username,
+      prefix,
+      decision,
+      recursive: options.recursive !== false,
+      decidedBy: options.decidedBy || username,
+      decidedAt: new Date().toISOString(),
+      expiresAt
+    };
+
+    // One decision per user and prefix - the new one replaces the old
+    data.approvals = data.approvals.filter(a =>
+      !(a.username === username && this.normalizePath(a.prefix) === normalized)
+    );
+    data.approvals.push(approval);
+
+    // Approved paths are no longer blocked
+    if (decision === 'approved') {
+      data.blockedNetworkPaths = data.blockedNetworkPaths.filter(b =>
+        !(b.username === username && this.matches(approval, this.normalizePath(b.path)))
+      );
+    }
+
+    this.save(data);
+    return { success: true, approval };
+  }
+
+  /**
+   * Approve a network path / share prefix for a user
+   */
+  approve(username, prefix, options = {}) {
+    return this.setDecision(username, prefix, 'approved', options);
+  }
+
+  /**
+   * Deny a network path / share prefix for a user
+   */
+  deny(username, prefix, options = {}) {
+    return this.setDecision(username, prefix, 'denied', options);
+  }
+
+  /**
+   * Remove a decision
+   */
+  revoke(approvalId) {
+    const data = this.load();
+    const remaining = data.approvals.filter(a => a.id !== approvalId);
+
+    if (remaining.length === data.approvals.length) {
+      return { success: false, error: `Approval not found: ${approvalId}` };
+    }
+
+    data.approvals = remaining;
+    this.save(data);
+    return { success: true, revoked: approvalId };
+  }
+
+  /**
+   * List decisions (optionally one user's), marking expired ones
+   */
+  listApprovals(username) {
+    const now = Date.now();
+    const approvals = this.load().approvals
+      .filter(a => !username || a.username === username)
+      .map(a => ({ ...a, expired: !this.isActive(a, now) }));
+
+    return { success: true, count: approvals.length, approvals };
+  }
+
+  /**
+   * Gate for every network access: local paths always pass, network paths need an approval
+   * Refused attempts are recorded in blockedNetworkPaths
+   * @param {string} username - User on whose behalf the path is accessed
+   * @param {string} filePath - Path about to be accessed
+   * @param {string} context - Who is asking ('locator', 'scanner', 'sync', ...)
+   * @returns {Object} - { allowed, networkPath, reason, approval }
+   */
+  checkAccess(username, filePath, context = 'unknown') {
+    if (!this.isNetworkPath(filePath)) {
+      return { allowed: true, networkPath: false };
+    }
+
+    const normalized = this.normalizePath(filePath);
+    const now = Date.now();
+    const data = this.readFile();
+
+    // Most specific prefix wins; a denial wins over an approval on the same prefix
+    const decision = data.approvals
+      .filter(a => a.username === username && this.isActive(a, now) && this.matches(a, normalized))
+      .sort((a, b) =>
+        this.normalizePath(b.prefix).length - this.normalizePath(a.prefix).length ||
+        (a.decision === 'denied' ? 0 : 1) - (b.decision === 'denied' ? 0 : 1)
+      )[0];
+
+    if (decision && decision.decision === 'approved') {
+      return { allowed: true, networkPath: true, approval: decision };
+    }
+
+    const reason = decision ? 'denied' : 'not-approved';
+    this.recordBlocked(username, filePath, context, reason);
+
+    return { allowed: false, networkPath: true, reason, approval: decision || null };
+  }
+
+  /**
+   * Collect a blocked attempt; written with the next flush
+   */
+  recordBlocked(username, filePath, context, reason) {
+    const now = new Date().toISOString();
+    const key = JSON.stringify([username, filePath, context]);
+    const pending = this.pendingBlocked.get(key);
+
+    if (pending) {
+      pending.attempts++;
+      pending.lastAttemptAt = now;
+      pending.reason = reason;
+    } else {
+      this.pendingBlocked.set(key, {
+        username, path: filePath, context, reason, attempts: 1, firstAttemptAt: now, lastAttemptAt: now
+      });
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushBlocked(), this.blockedFlushMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Add collected attempts to the stored ones (same user, path and context → one entry)
+   * @returns {Array} - New list, at most maxBlockedEntries long
+   */
+  mergeBlocked(blockedNetworkPaths, attempts) {
+    const merged = blockedNetworkPaths.map(b => ({ ...b }));
+
+    attempts.forEach(attempt => {
+      const existing = merged.find(b =>
+        b.username === attempt.username && b.path === attempt.path && b.context === attempt.context
+      );
+
+      if (existing) {
+        existing.attempts = (existing.attempts || 1) + attempt.attempts;
+        existing.lastAttemptAt = attempt.lastAttemptAt;
+        existing.reason = attempt.reason;
+      } else {
+        merged.push({ ...attempt, workstation: os.hostname() });
+      }
+    });
+
+    return merged.slice(-this.maxBlockedEntries);
+  }
+
+  /**
+   * Blocked attempts (optionally one user's), most recent first
+   */
+  getBlockedNetworkPaths(username) {
+    return this.load().blockedNetworkPaths
+      .filter(b => !username || b.username === username)
+      .sort((a, b) => new Date(b.lastAttemptAt) - new Date(a.lastAttemptAt));
+  }
+}
+
+module.exports = NetworkAccessService;
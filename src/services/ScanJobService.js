@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const ScannerService = require('./ScannerService');
+const { ROLES } = require('./AuthService');
+
+/**
+ * ScanJobService - Runs ScannerService scans as asynchronous jobs
+ * Jobs are tracked in memory while running; finished jobs (with results) are
+ * saved to data/scans/<jobId>.json so earlier scans can be compared, next to a
+ * <jobId>.summary.json without results that listings read instead.
+ * Saved jobs are dropped from memory - only jobs that could not be saved stay,
+ * at most maxFinishedJobs of them
+ * With an event bus, jobs publish scan-started, scan-progress and scan-finished (topic 'scan')
+ */
+class ScanJobService {
+  /**
+   * @param {Object} options - { scansDir, scanner, profileService, eventBus, progressIntervalMs, maxFinishedJobs }
+   */
+  constructor(options = {}) {
+    this.scansDir = options.scansDir || path.join(__dirname, '../../data/scans');
+    this.scanner = options.scanner || new ScannerService();
+    this.profileService = options.profileService || null;
+    this.eventBus = options.eventBus || null;
+    this.progressIntervalMs = options.progressIntervalMs || config.events.scanProgressIntervalMs;
+    this.maxFinishedJobs = options.maxFinishedJobs || 20;
+    this.jobs = {}; // { jobId: job } - running jobs and finished jobs that could not be saved
+
+    if (!fs.existsSync(this.scansDir)) {
+      fs.mkdirSync(this.scansDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Start a scan job
+   * @param {Object} request - { type: 'pc' | 'user', username }
+   * @returns {Object} - { success, job }
+   */
+  startScan(request = {}) {
+    const type = request.type || 'pc';
+
+    if (!['pc', 'user'].includes(type)) {
+      return { success: false, error: `Unknown scan type: ${type} (expected pc or user)` };
+    }
+
+    let scanConfig = null;
+    if (type === 'user') {
+      if (!request.username) {
+        return { success: false, error: 'username is required for user scans' };
+      }
+      if (!this.profileService) {
+        return { success: false, error: 'User scans are not available (no profile service)' };
+      }
+
+      const configResult = this.profileService.getScannerConfig(request.username);
+      if (!configResult.found) {
+        return {
+          success: false,
+          error: `No scanner configuration found for ${request.username}. Generate it first.`
+        };
+      }
+      scanConfig = configResult.config;
+    }
+
+    const job = {
+      id: `scan-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      username: request.username || null,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { phase: 'starting', completed: 0, total: null, percent: 0 },
+      cancelRequested: false,
+      results: null,
+      error: null
+    };
+
+    this.jobs[job.id] = job;
+    this.publishJobEvent(job, 'scan-started', { job: this.summarizeJob(job) });
+
+    // Run in background - callers poll getJob()
+    this.runJob(job, scanConfig).catch(error => {
+      console.error(`Scan job ${job.id} failed:`, error);
+    });
+
+    return { success: true, job: this.summarizeJob(job) };
+  }
+
+  /**
+   * Execute a job and persist its outcome
+   */
+  async runJob(job, scanConfig) {
+    let lastPublished = { phase: null, at: 0 };
+
+    const options = {
+      onProgress: ({ phase, completed, total, path: currentPath }) => {
+        job.progress = {
+          phase,
+          completed,
+          total,
+          percent: total ? Math.round((completed / total) * 100) : 0,
+          currentPath: currentPath || null
+        };
+
+        // Throttled - scanners report every file
+        const now = Date.now();
+        if (phase !== lastPublished.phase || now - lastPublished.at >= this.progressIntervalMs) {
+          lastPublished = { phase, at: now };
+          this.publishJobEvent(job, 'scan-progress', { progress: job.progress });
+        }
+      },
+      isCancelled: () => job.cancelRequested
+    };
+
+    try {
+      job.results = job.type === 'user'
+        ? await this.scanner.scanUserConfig(scanConfig, options)
+        : await this.scanner.scanPC(options);
+
+      job.status = job.results.cancelled ? 'cancelled' : 'completed';
+
+      if (job.type === 'user' && job.status === 'completed') {
+        this.recordShareAccessibility(job.username, scanConfig, job.results);
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    if (this.saveJob(job)) {
+      delete this.jobs[job.id];
+    } else {
+      this.pruneFinishedJobs();
+    }
+    this.publishJobEvent(job, 'scan-finished', { job: this.summarizeJob(job) });
+  }
+
+  /**
+   * Drop the oldest unsaved finished jobs beyond maxFinishedJobs
+   */
+  pruneFinishedJobs() {
+    Object.values(this.jobs)
+      .filter(job => job.finishedAt)
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+      .slice(this.maxFinishedJobs)
+      .forEach(job => {
+        delete this.jobs[job.id];
+      });
+  }
+
+  /**
+   * Publish a job event; PC scans (no username) only reach CAM admins and services
+   */
+  publishJobEvent(job, type, data) {
+    if (!this.eventBus) return;
+
+    this.eventBus.publish({
+      topic: 'scan',
+      type,
+      username: job.username,
+      ...(job.username ? {} : { roles: [ROLES.SERVICE] }),
+      jobId: job.id,
+      scanType: job.type,
+      ...data
+    });
+  }
+
+  /**
+   * Write the network share reachability found by a user scan back into scan-paths.json
+   */
+  recordShareAccessibility(username, scanConfig, results) {
+    if (!this.profileService || !Array.isArray(scanConfig.networkShares)) return;
+
+    const byPath = {};
+    (results.networkShares || []).forEach(share => {
+      byPath[share.path] = share;
+    });
+
+    scanConfig.networkShares = scanConfig.networkShares.map(share => {
+      const checked = byPath[share.path];
+      return checked
+        ? { ...share, isAccessible: checked.isAccessible, lastCheckedAt: checked.checkedAt }
+        : share;
+    });
+
+    this.profileService.saveScannerConfig(username, scanConfig);
+  }
+
+  /**
+   * Request cancellation of a running job
+   */
+  cancelScan(jobId) {
+    const job = this.jobs[jobId];
+
+    if (!job) {
+      const saved = this.loadJob(jobId);
+      if (saved) {
+        return { success: false, error: `Scan already finished with status: ${saved.status}` };
+      }
+      return { success: false, error: `Scan job not found: ${jobId}` };
+    }
+
+    if (job.status !== 'running') {
+      return { success: false, error: `Scan already finished with status: ${job.status}` };
+    }
+
+    job.cancelRequested = true;
+    job.status = 'cancelling';
+
+    return { success: true, message: 'Cancellation requested', job: this.summarizeJob(job) };
+  }
+
+  /**
+   * Get a job (running or saved) including results
+   */
+  getJob(jobId) {
+    const job = this.jobs[jobId] || this.loadJob(jobId);
+    return job ? { found: true, job: this.publicJob(job) } : { found: false };
+  }
+
+  /**
+   * List saved scans (newest first), optionally for one user
+   * Usernames match case-insensitively, like canActFor
+   */
+  listScans(filter = {}) {
+    try {
+      const saved = fs.readdirSync(this.scansDir)
+        .filter(f => f.endsWith('.json') && !f.endsWith('.summary.json'))
+        .map(f => this.loadSummary(path.basename(f, '.json')))
+        .filter(Boolean);
+
+      const running = Object.values(this.jobs)
+        .filter(j => !j.finishedAt)
+        .map(j => this.summarizeJob(j));
+
+      const wanted = filter.username && filter.username.toLowerCase();
+      const scans = [...running, ...saved]
+        .filter(j => !wanted || (j.username || '').toLowerCase() === wanted)
+        .filter(j => !filter.type || j.type === filter.type)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      return { success: true, count: scans.length, scans };
+    } catch (error) {
+      return { success: false, error: error.message, scans: [] };
+    }
+  }
+
+  /**
+   * Compare the files found by two saved scans
+   * @returns {Object} - { success, added, removed, changed, summary }
+   */
+  compareScans(fromJobId, toJobId) {
+    const from = this.loadJob(fromJobId);
+    const to = this.loadJob(toJobId);
+
+    if (!from || !to) {
+      return {
+        success: false,
+        error: `Saved scan not found: ${!from ? fromJobId : toJobId}`
+      };
+    }
+
+    const before = this.indexFiles(from.results);
+    const after = this.indexFiles(to.results);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    Object.entries(after).forEach(([filePath, file]) => {
+      const old = before[filePath];
+      if (!old) {
+        added.push(file);
+      } else if (old.size !== file.size || String(old.modified) !== String(file.modified)) {
+        changed.push({
+          path: filePath,
+          before: { size: old.size, modified: old.modified },
+          after: { size: file.size, modified: file.modified }
+        });
+      }
+    });
+
+    Object.entries(before).forEach(([filePath, file]) => {
+      if (!after[filePath]) removed.push(file);
+    });
+
+    return {
+      success: true,
+      from: this.summarizeJob(from),
+      to: this.summarizeJob(to),
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged: Object.keys(after).length - added.length - changed.length
+      },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  /**
+   * Flatten the files of a scan result into { path: fileInfo }
+   */
+  indexFiles(results) {
+    const index = {};
+    if (!results) return index;
+
+    const add = file => {
+      if (file && file.path) index[file.path] = file;
+    };
+
+    if (results.inventory) {
+      Object.values(results.inventory).forEach(list => (list || []).forEach(add));
+    }
+    if (results.userFiles) {
+      Object.values(results.userFiles).forEach(list => (list || []).forEach(add));
+    }
+    if (results.userPreferences && Array.isArray(results.userPreferences.files)) {
+      results.userPreferences.files.forEach(add);
+    }
+    if (Array.isArray(results.databases)) {
+      results.databases.forEach(add);
+    }
+
+    return index;
+  }
+
+  /**
+   * Persist a finished job and its summary
+   * @returns {boolean} - Whether the job was written
+   */
+  saveJob(job) {
+    try {
+      fs.writeFileSync(
+        path.join(this.scansDir, `${job.id}.json`),
+        JSON.stringify(this.publicJob(job), null, 2),
+        'utf-8'
+      );
+      this.saveSummary(this.summarizeJob(job));
+      return true;
+    } catch (error) {
+      console.error(`Error saving scan ${job.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load a saved job
+   */
+  loadJob(jobId) {
+    // Job ids are plain names - never follow path separators
+    if (!/^[\w-]+$/.test(jobId)) return null;
+
+    try {
+      const jobPath = path.join(this.scansDir, `${jobId}.json`);
+      if (!fs.existsSync(jobPath)) return null;
+      return JSON.parse(fs.readFileSync(jobPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`Could not load scan ${jobId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write the listing summary of a saved job
+   */
+  saveSummary(summary) {
+    fs.writeFileSync(
+      path.join(this.scansDir, `${summary.id}.summary.json`),
+      JSON.stringify(summary, null, 2),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Load the listing summary of a saved job
+   * Scans saved before summaries existed are loaded in full once and get one written
+   */
+  loadSummary(jobId) {
+    if (!/^[\w-]+$/.test(jobId)) return null;
+
+    const summaryPath = path.join(this.scansDir, `${jobId}.summary.json`);
+    try {
+      if (fs.existsSync(summaryPath)) {
+        return JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
+      }
+    } catch (error) {
+      console.warn(`Could not load scan summary ${jobId}:`, error.message);
+    }
+
+    const job = this.loadJob(jobId);
+    if (!job) return null;
+
+    const summary = this.summarizeJob(job);
+    try {
+      this.saveSummary(summary);
+    } catch (error) {
+      console.warn(`Could not save scan summary ${jobId}:`, error.message);
+    }
+    return summary;
+  }
+
+  /**
+   * Job as returned by the API (no internal flags)
+   */
+  publicJob(job) {
+    const { cancelRequested, ...rest } = job;
+    return rest;
+  }
+
+  /**
+   * Job without results, for listings
+   */
+  summarizeJob(job) {
+    const { results, cancelRequested, ...rest } = job;
+    return {
+      ...rest,
+      summary: results ? results.summary : null
+    };
+  }
+}
+
+module.exports = ScanJobService;
@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const NetworkAccessService = require('./NetworkAccessService');
 
 const execPromise = promisify(exec);
 
@@ -15,7 +16,8 @@ const execPromise = promisify(exec);
  * - User preferences
  */
 class ScannerService {
-  constructor() {
+  constructor(options = {}) {
+    this.networkAccess = options.networkAccess || new NetworkAccessService();
     this.commonPaths = {
       programFiles: 'C:\\Program Files',
       programFilesX86: 'C:\\Program Files (x86)',
@@ -28,9 +30,13 @@ class ScannerService {
 
   /**
    * Main scan function - scans the entire PC for HyperMill files
+   * isCancelled is checked between phases and inside the directory walks of each phase
+   * @param {Object} options - { onProgress({ phase, completed, total }), isCancelled() }
    */
-  async scanPC() {
+  async scanPC(options = {}) {
     console.log('🔍 Starting HyperMill PC scan...');
+    const onProgress = options.onProgress || (() => {});
+    const isCancelled = options.isCancelled || (() => false);
     
     const scanResults = {
       timestamp: new Date().toISOString(),
@@ -48,24 +54,52 @@ class ScannerService {
       errors: []
     };
 
-    try {
+    const phases = [
       // 1. Find HyperMill installation
-      scanResults.hyperMillInstallation = await this.findHyperMillInstallation();
-
+      ['hyperMillInstallation', async () => {
+        scanResults.hyperMillInstallation = await this.findHyperMillInstallation();
+      }],
       // 2. Find AUTOMATION Center paths
-      scanResults.automationCenterPaths = await this.findAutomationCenterPaths();
-
+      ['automationCenterPaths', async () => {
+        scanResults.automationCenterPaths = await this.findAutomationCenterPaths(isCancelled);
+      }],
       // 3. Scan user files
-      scanResults.userFiles = await this.scanUserFiles();
-
+      ['userFiles', async () => {
+        scanResults.userFiles = await this.scanUserFiles(isCancelled);
+      }],
       // 4. Find user preferences
-      scanResults.userPreferences = await this.findUserPreferences();
-
+      ['userPreferences', async () => {
+        scanResults.userPreferences = await this.findUserPreferences(isCancelled);
+      }],
       // 5. Find databases
-      scanResults.databases = await this.findDatabases();
+      ['databases', async () => {
+        scanResults.databases = await this.findDatabases(isCancelled);
+      }]
+    ];
+
+    const cancelled = () => {
+      if (!isCancelled()) return false;
+      console.log('⏹ PC scan cancelled');
+      scanResults.cancelled = true;
+      return true;
+    };
+
+    try {
+      for (let i = 0; i < phases.length; i++) {
+        const [phase, run] = phases[i];
+
+        if (cancelled()) return scanResults;
+
+        onProgress({ phase, completed: i, total: phases.length });
+        await run();
+      }
+
+      // The last phase may have stopped early
+      if (cancelled()) return scanResults;
 
       // Generate summary
       scanResults.summary = this.generateSummary(scanResults);
+      onProgress({ phase: 'done', completed: phases.length, total: phases.length });
 
       console.log('✅ PC scan completed successfully');
       return scanResults;
@@ -81,6 +115,243 @@ class ScannerService {
     }
   }
 
+  /**
+   * Scan exactly the paths listed in a user's generated scanner config (scan-paths.json)
+   * Checks every configured path, machine file, database and network share and sorts
+   * the files found into an inventory of the user's hyperMILL environment
+   * @param {Object} scanConfig - Result of UserProfileService.generateScannerConfig
+   * @param {Object} options - { onProgress({ phase, completed, total, path }), isCancelled(), accessTimeoutMs }
+   */
+  async scanUserConfig(scanConfig, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const isCancelled = options.isCancelled || (() => false);
+    const accessTimeoutMs = options.accessTimeoutMs || 5000;
+    const pathsToScan = (scanConfig && scanConfig.pathsToScan) || [];
+    const machines = (scanConfig && scanConfig.machines) || [];
+    const toolDatabases = (scanConfig && scanConfig.databases && scanConfig.databases.toolDatabases) || [];
+    const macroDatabases = (scanConfig && scanConfig.databases && scanConfig.databases.macroDatabases) || [];
+    const networkShares = (scanConfig && scanConfig.networkShares) || [];
+
+    console.log(`🔍 Starting scan of ${pathsToScan.length} configured paths for ${scanConfig.username}...`);
+
+    const scanResults = {
+      timestamp: new Date().toISOString(),
+      username: scanConfig.username,
+      source: 'scan-config',
+      scanConfigGeneratedAt: scanConfig.generatedAt || null,
+      paths: [],
+      inventory: {
+        automation: [],
+        'tool-database': [],
+        configuration: [],
+        other: []
+      },
+      machines: [],
+      databases: {
+        toolDatabases: [],
+        macroDatabases: []
+      },
+      networkShares: [],
+      summary: {},
+      errors: []
+    };
+
+    const total = pathsToScan.length + machines.length + toolDatabases.length +
+      macroDatabases.length + networkShares.length;
+    let completed = 0;
+
+    const step = (phase, currentPath) => {
+      onProgress({ phase, completed: completed++, total, path: currentPath });
+    };
+
+    const cancelled = () => {
+      if (!isCancelled()) return false;
+      if (!scanResults.cancelled) console.log('⏹ User config scan cancelled');
+      scanResults.cancelled = true;
+      return true;
+    };
+
+    // Network paths are only touched when approved for this user
+    const probe = filePath => {
+      const access = this.networkAccess.checkAccess(scanConfig.username, filePath, 'scanner');
+      if (!access.allowed) {
+        return { exists: false, isFile: false, size: 0, modified: null, error: 'NETWORK_ACCESS_NOT_APPROVED' };
+      }
+      return this.probePath(filePath, accessTimeoutMs);
+    };
+
+    // 1. Configured directories and files
+    for (const entry of pathsToScan) {
+      if (cancelled()) return scanResults;
+      step('paths', entry.path);
+
+      const info = await probe(entry.path);
+      const pathResult = {
+        path: entry.path,
+        pathTemplate: entry.pathTemplate,
+        key: entry.key,
+        type: entry.type,
+        exists: info.exists,
+        isFile: info.isFile,
+        filesFound: 0
+      };
+
+      try {
+        if (info.exists) {
+          const files = info.isFile ? [entry.path] : await this.getAllFiles(entry.path, [], isCancelled);
+
+          for (const file of files) {
+            if (cancelled()) break;
+            const category = this.categorizeInventoryFile(file, entry.type);
+            scanResults.inventory[category].push({
+              name: path.basename(file),
+              path: file,
+              category,
+              sourceKey: entry.key,
+              size: await this.getFileSize(file),
+              modified: await this.getFileModified(file)
+            });
+          }
+          pathResult.filesFound = files.length;
+        }
+      } catch (error) {
+        scanResults.errors.push({ phase: 'paths', path: entry.path, message: error.message });
+      }
+
+      scanResults.paths.push(pathResult);
+    }
+
+    if (cancelled()) return scanResults;
+
+    // 2. Machine definitions and post processors
+    for (const machine of machines) {
+      if (cancelled()) return scanResults;
+      step('machines', machine.mdfPath);
+
+      const mdf = machine.mdfPath ? await probe(machine.mdfPath) : null;
+      const post = machine.postProcessor ? await probe(machine.postProcessor) : null;
+
+      scanResults.machines.push({
+        name: machine.name,
+        mdfPath: machine.mdfPath,
+        mdfExists: mdf ? mdf.exists : false,
+        postProcessor: machine.postProcessor,
+        postProcessorExists: post ? post.exists : false,
+        isNetworkPath: machine.isNetworkPath || false
+      });
+    }
+
+    // 3. Tool and macro databases
+    const checkDatabases = async (list, target) => {
+      for (const db of list) {
+        if (cancelled()) return false;
+        step('databases', db.path);
+
+        const info = await probe(db.path);
+        target.push({
+          path: db.path,
+          type: db.type,
+          isNetworkPath: db.isNetworkPath || false,
+          exists: info.exists,
+          size: info.size,
+          modified: info.modified
+        });
+      }
+      return true;
+    };
+
+    if (!await checkDatabases(toolDatabases, scanResults.databases.toolDatabases)) return scanResults;
+    if (!await checkDatabases(macroDatabases, scanResults.databases.macroDatabases)) return scanResults;
+
+    // 4. Network shares - only reachability, never walked
+    for (const share of networkShares) {
+      if (cancelled()) return scanResults;
+      step('networkShares', share.path);
+
+      const info = await probe(share.path);
+      scanResults.networkShares.push({
+        name: share.name,
+        path: share.path,
+        isAccessible: info.exists,
+        error: info.error || null,
+        checkedAt: new Date().toISOString()
+      });
+    }
+
+    const inventoryFiles = Object.values(scanResults.inventory).flat();
+    const totalSize = inventoryFiles.reduce((sum, f) => sum + (f.size || 0), 0);
+    scanResults.summary = {
+      pathsScanned: scanResults.paths.length,
+      pathsMissing: scanResults.paths.filter(p => !p.exists).length,
+      totalFilesFound: inventoryFiles.length,
+      filesByCategory: Object.fromEntries(
+        Object.entries(scanResults.inventory).map(([category, files]) => [category, files.length])
+      ),
+      totalSizeBytes: totalSize,
+      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
+      machinesChecked: scanResults.machines.length,
+      machinesMissingFiles: scanResults.machines.filter(m => !m.mdfExists || (m.postProcessor && !m.postProcessorExists)).length,
+      databasesMissing: [...scanResults.databases.toolDatabases, ...scanResults.databases.macroDatabases]
+        .filter(db => !db.exists).length,
+      networkSharesAccessible: scanResults.networkShares.filter(s => s.isAccessible).length,
+      networkSharesInaccessible: scanResults.networkShares.filter(s => !s.isAccessible).length,
+      scanCompletedAt: new Date().toISOString()
+    };
+
+    onProgress({ phase: 'done', completed: total, total });
+    console.log(`✅ User config scan completed: ${inventoryFiles.length} files`);
+    return scanResults;
+  }
+
+  /**
+   * Sort a file into an inventory category
+   * File extension decides first, the configured path type is the fallback
+   */
+  categorizeInventoryFile(filePath, pathType) {
+    const ext = path.extname(filePath).toLowerCase();
+    const name = path.basename(filePath).toLowerCase();
+
+    if (['.hma', '.vbs', '.py', '.mac', '.mcr'].includes(ext)) return 'automation';
+    if (['.db', '.vtx'].includes(ext) || name.includes('tooldb')) return 'tool-database';
+    if (['.cfg', '.xml', '.ini', '.omsettings'].includes(ext)) return 'configuration';
+
+    if (pathType === 'automation-center') return 'automation';
+    if (pathType === 'tool-database' || pathType === 'database') return 'tool-database';
+    if (pathType === 'configuration' || pathType === 'user-config-file') return 'configuration';
+    return 'other';
+  }
+
+  /**
+   * Stat a path with a timeout so unreachable network shares do not hang the scan
+   * @returns {Promise<Object>} - { exists, isFile, size, modified, error }
+   */
+  async probePath(filePath, timeoutMs = 5000) {
+    if (!filePath) {
+      return { exists: false, isFile: false, size: 0, modified: null, error: 'EMPTY_PATH' };
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve({ exists: false, isFile: false, size: 0, modified: null, error: 'ETIMEDOUT' }), timeoutMs);
+    });
+
+    const stat = fs.stat(filePath)
+      .then(stats => ({
+        exists: true,
+        isFile: stats.isFile(),
+        size: stats.size,
+        modified: stats.mtime,
+        error: null
+      }))
+      .catch(error => ({ exists: false, isFile: false, size: 0, modified: null, error: error.code || error.message }));
+
+    try {
+      return await Promise.race([stat, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Find HyperMill installation directory
    */
@@ -124,8 +395,9 @@ class ScannerService {
 
   /**
    * Find all AUTOMATION Center paths
+   * @param {Function} isCancelled - Stops the search early when it returns true
    */
-  async findAutomationCenterPaths() {
+  async findAutomationCenterPaths(isCancelled = () => false) {
     console.log('Searching for AUTOMATION Center paths...');
     
     const paths = [];
@@ -142,6 +414,7 @@ class ScannerService {
 
         const entries = await fs.readdir(location, { withFileTypes: true });
         for (const entry of entries) {
+          if (isCancelled()) return paths;
           if (entry.isDirectory()) {
             const fullPath = path.join(location, entry.name);
             // Look for AUTOMATION Center or variants directory
@@ -212,8 +485,9 @@ class ScannerService {
 
   /**
    * Scan user files (macros, automations, configs)
+   * @param {Function} isCancelled - Stops the scan early when it returns true
    */
-  async scanUserFiles() {
+  async scanUserFiles(isCancelled = () => false) {
     console.log('Scanning user HyperMill files...');
     
     const userFiles = {
@@ -232,9 +506,10 @@ class ScannerService {
         return userFiles;
       }
 
-      const allFiles = await this.getAllFiles(userPath);
+      const allFiles = await this.getAllFiles(userPath, [], isCancelled);
       
       for (const file of allFiles) {
+        if (isCancelled()) break;
         const ext = path.extname(file).toLowerCase();
         const relPath = path.relative(userPath, file);
         
@@ -265,8 +540,9 @@ class ScannerService {
 
   /**
    * Find user preferences and settings
+   * @param {Function} isCancelled - Stops the scan early when it returns true
    */
-  async findUserPreferences() {
+  async findUserPreferences(isCancelled = () => false) {
     console.log('Scanning user preferences...');
     
     const appDataPath = this.commonPaths.appData;
@@ -284,9 +560,10 @@ class ScannerService {
       }
 
       prefs.exists = true;
-      const files = await this.getAllFiles(appDataPath);
+      const files = await this.getAllFiles(appDataPath, [], isCancelled);
       
       for (const file of files) {
+        if (isCancelled()) break;
         const size = await this.getFileSize(file);
         prefs.files.push({
           name: path.basename(file),
@@ -307,8 +584,9 @@ class ScannerService {
 
   /**
    * Find HyperMill databases
+   * @param {Function} isCancelled - Stops the search early when it returns true
    */
-  async findDatabases() {
+  async findDatabases(isCancelled = () => false) {
     console.log('Searching for HyperMill databases...');
     
     const databases = [];
@@ -319,16 +597,19 @@ class ScannerService {
     ];
 
     for (const searchPath of searchPaths) {
+      if (isCancelled()) break;
+
       try {
         if (!await this.pathExists(searchPath)) continue;
 
-        const files = await this.getAllFiles(searchPath);
+        const files = await this.getAllFiles(searchPath, [], isCancelled);
         const dbFiles = files.filter(f => 
           path.basename(f).toLowerCase().includes('db') && 
           (path.extname(f) === '.db' || path.extname(f) === '')
         );
 
         for (const dbFile of dbFiles) {
+          if (isCancelled()) break;
           databases.push({
             name: path.basename(dbFile),
             path: dbFile,
@@ -359,19 +640,23 @@ class ScannerService {
 
   /**
    * Helper: Get all files in directory recursively
+   * @param {Function} isCancelled - Stops the walk when it returns true (files found so far are kept)
    */
-  async getAllFiles(dir, files = []) {
+  async getAllFiles(dir, files = [], isCancelled = () => false) {
+    if (isCancelled()) return files;
+
     try {
       const entries = await fs.readdir(dir, { withFileTypes: true });
       
       for (const entry of entries) {
+        if (isCancelled()) break;
         const fullPath = path.join(dir, entry.name);
         
         try {
           if (entry.isDirectory()) {
             // Skip system directories
             if (!entry.name.startsWith('.')) {
-              await this.getAllFiles(fullPath, files);
+              await this.getAllFiles(fullPath, files, isCancelled);
             }
           } else if (entry.isFile()) {
             files.push(fullPath);
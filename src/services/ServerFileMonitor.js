@@ -1,25 +1,116 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const config = require('../../config');
 const PATHS_CONFIG = require('../config/PATHS_CONFIG');
+const FileHasher = require('../utils/FileHasher');
+const NetworkAccessService = require('./NetworkAccessService');
+const DriveMap = require('./DriveMap');
+
+// "<name>.backup.2025-01-15T10-30-00-000Z", "-<n>" for backups within the same millisecond
+const BACKUP_SUFFIX = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:-\d+)?$/;
 
 /**
  * ServerFileMonitor - Tracks server file versions and notifies of updates
  * STRATEGY: Copy server files to local → use local → monitor for updates
  * User approves before syncing newer versions
+ * Notification changes are published on the event bus (topic 'file-sync'):
+ * update-available, update-approved, update-rejected, update-auto-synced
  * 
  * All files stored in: D:\Borok\Private\_CODING\BRK_CNC_System\hyperMill_ServerFile_Copies\
  */
 class ServerFileMonitor {
-  constructor() {
+  /**
+   * @param {Object} options - { driveMap, networkAccess, username, eventBus }
+   *   username: user whose network approvals apply when a call names none (the sync scheduler)
+   */
+  constructor(options = {}) {
+    this.driveMap = options.driveMap || new DriveMap();
+    this.networkAccess = options.networkAccess || new NetworkAccessService({ driveMap: this.driveMap });
+    this.username = options.username || os.userInfo().username;
+    this.eventBus = options.eventBus || null;
     this.localCacheDir = PATHS_CONFIG.getCurrentFilesDir();
     this.backupsDir = PATHS_CONFIG.getBackupsDir();
     this.versionFile = path.join(PATHS_CONFIG.getMetadataDir(), 'file-versions.json');
+    this.notificationsFile = path.join(PATHS_CONFIG.getMetadataDir(), 'update-notifications.json');
     this.updateNotifications = [];
     this.serverFileMap = {}; // Maps local files to their server origins
     
-    // Load existing version history if available
+    // Load existing version history and notifications if available
     this.loadVersionHistory();
+    this.loadNotifications();
+  }
+
+  /**
+   * Load persisted update notifications
+   * Notifications saved before status tracking get their status derived from the flags
+   */
+  loadNotifications() {
+    try {
+      if (fs.existsSync(this.notificationsFile)) {
+        const data = fs.readFileSync(this.notificationsFile, 'utf8');
+        this.updateNotifications = JSON.parse(data).map(n => ({
+          ...n,
+          status: n.status || (n.synced ? 'synced' : n.rejectedAt ? 'rejected' : 'pending'),
+          history: n.history || []
+        }));
+      }
+    } catch (error) {
+      console.warn('Could not load update notifications:', error.message);
+      this.updateNotifications = [];
+    }
+  }
+
+  /**
+   * Save update notifications
+   */
+  saveNotifications() {
+    try {
+      fs.mkdirSync(path.dirname(this.notificationsFile), { recursive: true });
+      fs.writeFileSync(this.notificationsFile, JSON.stringify(this.updateNotifications, null, 2));
+    } catch (error) {
+      console.error('Error saving update notifications:', error);
+    }
+  }
+
+  /**
+   * Record a state change on a notification (who, when, from which workstation)
+   * @param {object} notification - Notification to update
+   * @param {string} status - 'pending' | 'rejected' | 'synced'
+   * @param {string} actedBy - Username (or service name) that acted
+   */
+  setNotificationStatus(notification, status, actedBy) {
+    const entry = {
+      status: status,
+      actedBy: actedBy || os.userInfo().username,
+      workstation: os.hostname(),
+      at: new Date().toISOString()
+    };
+
+    notification.status = status;
+    notification.actedBy = entry.actedBy;
+    notification.actedAt = entry.at;
+    notification.workstation = entry.workstation;
+    notification.updatedAt = entry.at;
+    notification.history = [...(notification.history || []), entry];
+  }
+
+  /**
+   * Publish a notification change (server files are shared, so every user receives it)
+   */
+  publishNotification(type, notification) {
+    if (!this.eventBus) return;
+
+    this.eventBus.publish({
+      topic: 'file-sync',
+      type,
+      notificationId: notification.id,
+      serverPath: notification.serverPath,
+      localPath: notification.localPath,
+      status: notification.status,
+      actedBy: notification.actedBy,
+      message: notification.message
+    });
   }
 
   /**
@@ -48,13 +139,24 @@ class ServerFileMonitor {
     }
   }
 
+  /**
+   * Network access gate for a server path
+   * @param {string} serverPath - Server file about to be read
+   * @param {string} username - Requesting user (default: this.username)
+   * @returns {boolean} - true when the path is local or approved for this user
+   */
+  isServerAccessAllowed(serverPath, username = this.username) {
+    return this.networkAccess.checkAccess(username || this.username, serverPath, 'sync').allowed;
+  }
+
   /**
    * Copy file from server path to local cache
    * @param {string} serverPath - Original server path (P:\, Y:\, etc.)
    * @param {string} filename - Filename to cache
-   * @returns {object} - { success, localPath, cached, size, sourceServer }
+   * @param {string} username - Requesting user, whose network approvals apply
+   * @returns {Promise<object>} - { success, localPath, cached, size, sourceServer }
    */
-  copyFromServerToLocal(serverPath, filename) {
+  async copyFromServerToLocal(serverPath, filename, username) {
     try {
       // Validate it's a server path
       if (!this.isServerPath(serverPath)) {
@@ -64,6 +166,13 @@ class ServerFileMonitor {
         };
       }
 
+      if (!this.isServerAccessAllowed(serverPath, username)) {
+        return {
+          success: false,
+          error: `Network access not approved: ${serverPath}`
+        };
+      }
+
       // Verify source file exists
       if (!fs.existsSync(serverPath)) {
         return {
@@ -83,6 +192,8 @@ class ServerFileMonitor {
       fs.copyFileSync(serverPath, localPath);
       const stats = fs.statSync(localPath);
 
+      const contentHash = await FileHasher.hashFile(localPath);
+
       // Track the mapping
       this.serverFileMap[localPath] = {
         filename: filename,
@@ -90,6 +201,8 @@ class ServerFileMonitor {
         cachedAt: new Date().toISOString(),
         size: stats.size,
         serverModified: fs.statSync(serverPath).mtime.toISOString(),
+        contentHash: contentHash,
+        hashAlgorithm: FileHasher.algorithm,
         cached: true,
         approved: true
       };
@@ -103,6 +216,7 @@ class ServerFileMonitor {
         filename: filename,
         size: this.formatBytes(stats.size),
         originalServer: serverPath,
+        contentHash: contentHash,
         cachedAt: new Date().toISOString(),
         message: `✓ Copied from server to local cache`
       };
@@ -115,13 +229,22 @@ class ServerFileMonitor {
   }
 
   /**
-   * Check if a file on server is newer than our local cached version
+   * Check if a file on server differs from our local cached version
+   * Content hashes decide; mtimes are reported but not trusted (clock skew on shares)
    * @param {string} serverPath - Server file path
    * @param {string} localPath - Local cached file path
-   * @returns {object} - { hasUpdate, serverNewer, serverModified, localModified, diffTime }
+   * @param {string} username - Requesting user, whose network approvals apply
+   * @returns {Promise<object>} - { hasUpdate, changeState, serverHash, localHash, serverNewer, serverModified, localModified, ... }
    */
-  checkForUpdates(serverPath, localPath) {
+  async checkForUpdates(serverPath, localPath, username) {
     try {
+      if (!this.isServerAccessAllowed(serverPath, username)) {
+        return {
+          hasUpdate: false,
+          error: `Network access not approved: ${serverPath}`
+        };
+      }
+
       // Verify paths
       if (!fs.existsSync(serverPath)) {
         return {
@@ -144,8 +267,24 @@ class ServerFileMonitor {
       const localModified = localStats.mtime.getTime();
       const diffTime = serverModified - localModified;
 
+      const serverHash = await FileHasher.hashFile(serverPath);
+      const localHash = await FileHasher.hashFile(localPath);
+      const contentChanged = serverHash !== localHash;
+
+      let changeState = 'unchanged';
+      if (contentChanged) {
+        changeState = 'content-changed';
+      } else if (diffTime > 0) {
+        changeState = 'mtime-changed-content-identical';
+      }
+
       return {
-        hasUpdate: diffTime > 0,
+        hasUpdate: contentChanged,
+        changeState: changeState,
+        contentChanged: contentChanged,
+        serverHash: serverHash,
+        localHash: localHash,
+        hashAlgorithm: FileHasher.algorithm,
         serverNewer: diffTime > 0,
         serverModified: serverStats.mtime.toISOString(),
         localModified: localStats.mtime.toISOString(),
@@ -167,20 +306,22 @@ class ServerFileMonitor {
    * Create an update notification
    * @param {string} serverPath - Server file path
    * @param {string} localPath - Local cached file path
+   * @param {string} username - Requesting user, whose network approvals apply
    */
-  createUpdateNotification(serverPath, localPath) {
+  async createUpdateNotification(serverPath, localPath, username) {
     try {
-      const updateInfo = this.checkForUpdates(serverPath, localPath);
+      const updateInfo = await this.checkForUpdates(serverPath, localPath, username);
 
       if (!updateInfo.hasUpdate) {
         return {
           success: false,
-          message: 'Server file is not newer than local cache'
+          changeState: updateInfo.changeState,
+          message: updateInfo.error || 'Server file content is identical to local cache'
         };
       }
 
       const notification = {
-        id: `update-${Date.now()}`,
+        id: this.createNotificationId(),
         createdAt: new Date().toISOString(),
         type: 'server-update-available',
         serverPath: serverPath,
@@ -191,12 +332,21 @@ class ServerFileMonitor {
         serverSize: updateInfo.serverSize,
         localSize: updateInfo.localSize,
         sizeChanged: updateInfo.sizeChanged,
+        serverHash: updateInfo.serverHash,
+        localHash: updateInfo.localHash,
+        status: 'pending',
         approved: false,
         synced: false,
-        message: `⚠️ Server file is ${updateInfo.diffDays} day(s) newer`
+        history: [],
+        message: updateInfo.serverNewer
+          ? `⚠️ Server file is ${updateInfo.diffDays} day(s) newer`
+          : '⚠️ Server file content differs from local cache'
       };
 
+      this.setNotificationStatus(notification, 'pending', 'system');
       this.updateNotifications.push(notification);
+      this.saveNotifications();
+      this.publishNotification('update-available', notification);
 
       return {
         success: true,
@@ -211,11 +361,51 @@ class ServerFileMonitor {
     }
   }
 
+  /**
+   * Unique notification id (the sync scheduler can create several per millisecond)
+   */
+  createNotificationId() {
+    let timestamp = Date.now();
+    while (this.getNotification(`update-${timestamp}`)) {
+      timestamp++;
+    }
+    return `update-${timestamp}`;
+  }
+
   /**
    * Get all pending update notifications
    */
   getPendingUpdates() {
-    return this.updateNotifications.filter(n => !n.approved && !n.synced);
+    return this.updateNotifications.filter(n => n.status === 'pending');
+  }
+
+  /**
+   * Query notification history (newest first)
+   * @param {object} filter - { status, since, serverPath, localPath }
+   *   status: 'pending' | 'rejected' | 'synced'
+   *   since: ISO date - only notifications created or acted on at/after this time
+   */
+  queryNotifications(filter = {}) {
+    let sinceTime = null;
+    if (filter.since) {
+      sinceTime = new Date(filter.since).getTime();
+      if (isNaN(sinceTime)) {
+        return { success: false, error: `Invalid since date: ${filter.since}` };
+      }
+    }
+
+    const notifications = this.updateNotifications
+      .filter(n => !filter.status || n.status === filter.status)
+      .filter(n => !filter.serverPath || n.serverPath === filter.serverPath)
+      .filter(n => !filter.localPath || n.localPath === filter.localPath)
+      .filter(n => sinceTime === null || new Date(n.updatedAt || n.createdAt).getTime() >= sinceTime)
+      .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
+
+    return {
+      success: true,
+      count: notifications.length,
+      notifications: notifications
+    };
   }
 
   /**
@@ -228,8 +418,9 @@ class ServerFileMonitor {
   /**
    * User approves an update - sync the newer server file to local
    * @param {string} notificationId - Notification ID to approve
+   * @param {string} actedBy - Username approving (defaults to the OS user)
    */
-  approveUpdate(notificationId) {
+  async approveUpdate(notificationId, actedBy) {
     try {
       const notification = this.getNotification(notificationId);
 
@@ -240,6 +431,13 @@ class ServerFileMonitor {
         };
       }
 
+      if (notification.status !== 'pending') {
+        return {
+          success: false,
+          error: `Notification already ${notification.status}: ${notificationId}`
+        };
+      }
+
       if (!fs.existsSync(notification.serverPath)) {
         return {
           success: false,
@@ -247,26 +445,16 @@ class ServerFileMonitor {
         };
       }
 
-      // Backup the old local file
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = `${notification.localPath}.backup.${timestamp}`;
-      fs.copyFileSync(notification.localPath, backupPath);
-
-      // Copy new version from server
-      fs.copyFileSync(notification.serverPath, notification.localPath);
+      const backupPath = await this.replaceLocalWithServer(notification.serverPath, notification.localPath, actedBy);
 
       // Update notification
       notification.approved = true;
       notification.synced = true;
       notification.syncedAt = new Date().toISOString();
       notification.backupPath = backupPath;
-
-      // Update version tracking
-      if (this.serverFileMap[notification.localPath]) {
-        this.serverFileMap[notification.localPath].lastSyncedAt = new Date().toISOString();
-        this.serverFileMap[notification.localPath].lastBackup = backupPath;
-        this.saveVersionHistory();
-      }
+      this.setNotificationStatus(notification, 'synced', actedBy);
+      this.saveNotifications();
+      this.publishNotification('update-approved', notification);
 
       return {
         success: true,
@@ -282,11 +470,315 @@ class ServerFileMonitor {
     }
   }
 
+  /**
+   * Copy the server version over the local cached file, backing up the old local copy first
+   * @param {string} serverPath - Server file path
+   * @param {string} localPath - Local cached file path
+   * @param {string} username - Requesting user, whose network approvals apply
+   * @returns {Promise<string|null>} - Backup path (null when there was no local file yet)
+   */
+  async replaceLocalWithServer(serverPath, localPath, username) {
+    if (!this.isServerAccessAllowed(serverPath, username)) {
+      throw new Error(`Network access not approved: ${serverPath}`);
+    }
+
+    let backupPath = null;
+
+    // Backup the old local file
+    if (fs.existsSync(localPath)) {
+      backupPath = this.createBackup(localPath);
+    } else {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+    }
+
+    // Copy new version from server
+    fs.copyFileSync(serverPath, localPath);
+
+    // Update version tracking
+    if (this.serverFileMap[localPath]) {
+      this.serverFileMap[localPath].lastSyncedAt = new Date().toISOString();
+      this.serverFileMap[localPath].lastBackup = backupPath;
+      this.serverFileMap[localPath].contentHash = await FileHasher.hashFile(localPath);
+      this.serverFileMap[localPath].hashAlgorithm = FileHasher.algorithm;
+      this.saveVersionHistory();
+    }
+
+    await this.pruneBackups(localPath);
+
+    return backupPath;
+  }
+
+  /**
+   * Copy the current local file to <localPath>.backup.<timestamp>
+   * @returns {string} - Backup path
+   */
+  createBackup(localPath) {
+    let timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let backupPath = `${localPath}.backup.${timestamp}`;
+
+    // Two backups within the same millisecond (restore right after a sync)
+    for (let n = 1; fs.existsSync(backupPath); n++) {
+      backupPath = `${localPath}.backup.${timestamp}-${n}`;
+    }
+
+    fs.copyFileSync(localPath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Is the path inside the server file cache? Backups are only managed there
+   */
+  isInCache(filePath) {
+    const relative = path.relative(path.resolve(PATHS_CONFIG.serverFilesCacheDir), path.resolve(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Is backupPath a backup of localPath itself?
+   * The whole suffix must be a backup timestamp, so backups of backups
+   * ("<name>.backup.<timestamp>.backup.<timestamp>") do not count
+   */
+  isBackupOf(backupPath, localPath) {
+    const prefix = `${path.basename(localPath)}.backup.`;
+    const name = path.basename(backupPath);
+
+    return path.dirname(backupPath) === path.dirname(localPath) &&
+      name.startsWith(prefix) &&
+      BACKUP_SUFFIX.test(name.slice(prefix.length));
+  }
+
+  /**
+   * Parse the creation time from a backup filename
+   * "<localPath>.backup.2025-01-15T10-30-00-000Z" → "2025-01-15T10:30:00.000Z"
+   */
+  parseBackupTimestamp(backupPath, localPath) {
+    const suffix = path.basename(backupPath).slice(`${path.basename(localPath)}.backup.`.length);
+    const match = suffix.match(BACKUP_SUFFIX);
+
+    if (!match) return null;
+    return `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`;
+  }
+
+  /**
+   * Backup catalogue for one cached file (newest first)
+   * Backups are not hashed here - listing runs before every prune
+   * @param {string} localPath - Local cached file path (inside the server file cache)
+   * @returns {Promise<object>} - { success, localPath, count, backups: [{ backupPath, createdAt, size }] }
+   */
+  async listBackups(localPath) {
+    try {
+      if (!this.isInCache(localPath)) {
+        return {
+          success: false,
+          error: `Not inside the server file cache: ${localPath}`
+        };
+      }
+
+      const dir = path.dirname(localPath);
+
+      if (!fs.existsSync(dir)) {
+        return { success: true, localPath, count: 0, backups: [] };
+      }
+
+      const backups = (await fs.promises.readdir(dir))
+        .map(name => path.join(dir, name))
+        .filter(backupPath => this.isBackupOf(backupPath, localPath))
+        .map(backupPath => {
+          const stats = fs.statSync(backupPath);
+
+          return {
+            backupPath: backupPath,
+            createdAt: this.parseBackupTimestamp(backupPath, localPath),
+            size: stats.size,
+            sizeFormatted: this.formatBytes(stats.size)
+          };
+        })
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      return {
+        success: true,
+        localPath: localPath,
+        count: backups.length,
+        backups: backups
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to list backups: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Swap a backup back in as the current local copy
+   * The current copy is backed up first, so a restore can itself be rolled back
+   * @param {string} localPath - Local cached file path
+   * @param {string} backupPath - Backup from listBackups()
+   * @param {string} actedBy - Username restoring (defaults to the OS user)
+   * @returns {Promise<object>} - { success, localPath, restoredFrom, previousBackup, contentHash }
+   */
+  async restoreBackup(localPath, backupPath, actedBy) {
+    try {
+      if (!this.isInCache(localPath)) {
+        return {
+          success: false,
+          error: `Not inside the server file cache: ${localPath}`
+        };
+      }
+
+      // Only backups of this file - never an arbitrary path
+      if (!this.isBackupOf(backupPath, localPath)) {
+        return {
+          success: false,
+          error: `Not a backup of ${localPath}: ${backupPath}`
+        };
+      }
+
+      if (!fs.existsSync(backupPath)) {
+        return {
+          success: false,
+          error: `Backup not found: ${backupPath}`
+        };
+      }
+
+      const previousBackup = fs.existsSync(localPath) ? this.createBackup(localPath) : null;
+      fs.copyFileSync(backupPath, localPath);
+
+      const restoredAt = new Date().toISOString();
+      const contentHash = await FileHasher.hashFile(localPath);
+      const restore = {
+        restoredAt: restoredAt,
+        restoredFrom: backupPath,
+        backupCreatedAt: this.parseBackupTimestamp(backupPath, localPath),
+        previousBackup: previousBackup,
+        contentHash: contentHash,
+        actedBy: actedBy || os.userInfo().username
+      };
+
+      // Update version tracking
+      if (this.serverFileMap[localPath]) {
+        const tracked = this.serverFileMap[localPath];
+        tracked.contentHash = contentHash;
+        tracked.hashAlgorithm = FileHasher.algorithm;
+        tracked.lastBackup = previousBackup;
+        tracked.lastRestoredAt = restoredAt;
+        tracked.restoredFrom = backupPath;
+        tracked.restoreHistory = [...(tracked.restoreHistory || []), restore].slice(-10);
+        this.saveVersionHistory();
+      }
+
+      await this.pruneBackups(localPath);
+
+      return {
+        success: true,
+        message: `✓ Restored backup as current local copy`,
+        localPath: localPath,
+        ...restore
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to restore backup: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Delete backups outside the retention policy (config.backup.retention)
+   * Backups older than `days` are removed, then only the newest `maxCount` are kept
+   * @param {string} localPath - Local cached file path (inside the server file cache)
+   * @param {object} retention - { days, maxCount } override
+   * @returns {Promise<object>} - { success, localPath, kept, removed: [backupPath] }
+   */
+  async pruneBackups(localPath, retention = config.backup.retention) {
+    const catalogue = await this.listBackups(localPath);
+
+    if (!catalogue.success) {
+      return catalogue;
+    }
+
+    const cutoff = Date.now() - retention.days * 24 * 60 * 60 * 1000;
+    const removed = [];
+    const errors = [];
+
+    catalogue.backups.forEach((backup, index) => {
+      const expired = new Date(backup.createdAt).getTime() < cutoff;
+      const overCount = index >= retention.maxCount;
+
+      if (expired || overCount) {
+        try {
+          fs.unlinkSync(backup.backupPath);
+          removed.push(backup.backupPath);
+        } catch (error) {
+          errors.push({ backupPath: backup.backupPath, error: error.message });
+        }
+      }
+    });
+
+    return {
+      success: errors.length === 0,
+      localPath: localPath,
+      retention: retention,
+      kept: catalogue.count - removed.length,
+      removed: removed,
+      errors: errors
+    };
+  }
+
+  /**
+   * Find a pending notification for a server/local pair
+   */
+  findPendingNotification(serverPath, localPath) {
+    return this.getPendingUpdates().find(n =>
+      n.serverPath === serverPath && n.localPath === localPath
+    );
+  }
+
+  /**
+   * Record a sync done without user approval (auto-approved mapping)
+   * A pending notification for the pair is closed; otherwise a synced entry is added to the history
+   * @param {string} serverPath - Server file path
+   * @param {string} localPath - Local cached file path
+   * @param {string|null} backupPath - Backup of the replaced local copy
+   * @param {string} actedBy - Service that synced
+   */
+  async recordAutoSync(serverPath, localPath, backupPath, actedBy = 'sync-scheduler') {
+    let notification = this.findPendingNotification(serverPath, localPath);
+
+    if (!notification) {
+      notification = {
+        id: this.createNotificationId(),
+        createdAt: new Date().toISOString(),
+        type: 'server-update-available',
+        serverPath: serverPath,
+        localPath: localPath,
+        approved: false,
+        synced: false,
+        history: [],
+        message: 'Server file synced automatically'
+      };
+      this.updateNotifications.push(notification);
+    }
+
+    notification.serverHash = await FileHasher.hashFile(localPath);
+    notification.approved = true;
+    notification.synced = true;
+    notification.autoApproved = true;
+    notification.syncedAt = new Date().toISOString();
+    notification.backupPath = backupPath;
+    this.setNotificationStatus(notification, 'synced', actedBy);
+    this.saveNotifications();
+    this.publishNotification('update-auto-synced', notification);
+
+    return notification;
+  }
+
   /**
    * User rejects an update
    * @param {string} notificationId - Notification ID to reject
+   * @param {string} actedBy - Username rejecting (defaults to the OS user)
    */
-  rejectUpdate(notificationId) {
+  rejectUpdate(notificationId, actedBy) {
     try {
       const notification = this.getNotification(notificationId);
 
@@ -297,9 +789,19 @@ class ServerFileMonitor {
         };
       }
 
+      if (notification.status !== 'pending') {
+        return {
+          success: false,
+          error: `Notification already ${notification.status}: ${notificationId}`
+        };
+      }
+
       notification.approved = false;
       notification.synced = false;
       notification.rejectedAt = new Date().toISOString();
+      this.setNotificationStatus(notification, 'rejected', actedBy);
+      this.saveNotifications();
+      this.publishNotification('update-rejected', notification);
 
       return {
         success: true,
@@ -315,17 +817,10 @@ class ServerFileMonitor {
   }
 
   /**
-   * Check if path is a server drive
+   * Check if path is a server drive (workstation drive map)
    */
   isServerPath(filePath) {
-    if (filePath.startsWith('\\\\')) return true; // UNC path
-    const match = filePath.match(/^([A-Z]):/i);
-    if (match) {
-      const drive = match[1].toUpperCase();
-      const localDrives = ['C', 'D', 'E', 'F'];
-      return !localDrives.includes(drive);
-    }
-    return false;
+    return this.driveMap.isNetworkPath(filePath);
   }
 
   /**
@@ -1,16 +1,36 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const DriveMap = require('./DriveMap');
+
+// Usernames become file and folder names - no separators, no "." / ".."
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]+$/;
 
 /**
  * ServerPathsManifest - Tracks which paths in omSettings are server-based
  * This file lives on the server and is synced locally for reference
  * Helps identify which files must be accessed from server vs local copy
+ *
+ * Every createManifest() is kept as a numbered generation under history/<username>/
+ * (the <username>-omSettings-server-paths.json file is always the latest one).
+ * Each new generation is compared with the previous one; server paths that vanished
+ * or became unreachable are raised as alerts in manifest-alerts.json.
+ *
+ * probeAnalysis() checks every server and local path (with a timeout) and fills
+ * unreachablePaths; network paths are only probed when approved for the user.
+ * probeManifest() updates the probe results of the latest generation in place, and a
+ * re-analysis without probing keeps the previous probe results of the paths it still has.
  */
 class ServerPathsManifest {
-  constructor() {
+  constructor(options = {}) {
+    this.driveMap = options.driveMap || new DriveMap();
+    this.networkAccess = options.networkAccess || null;
+    this.probeTimeoutMs = options.probeTimeoutMs || 5000;
+    this.probeConcurrency = options.probeConcurrency || 8;
     this.manifestFileName = 'omSettings-server-paths.json';
-    this.localManifestDir = path.join(os.homedir(), 'AppData\\Local\\BRK_CNC_hyperMillConfig\\manifests');
+    this.localManifestDir = options.manifestDir || path.join(os.homedir(), 'AppData\\Local\\BRK_CNC_hyperMillConfig\\manifests');
+    this.historyDir = path.join(this.localManifestDir, 'history');
+    this.alertsFile = path.join(this.localManifestDir, 'manifest-alerts.json');
     
     // Ensure manifest directory exists
     if (!fs.existsSync(this.localManifestDir)) {
@@ -53,11 +73,12 @@ class ServerPathsManifest {
               isUNC: classification.isUNC,
               category: classification.category
             });
-          } else if (classification.type === 'local') {
+          } else if (classification.type === 'local' || classification.type === 'removable') {
             analysis.localPaths.push({
               path: obj,
               drive: classification.drive,
-              category: classification.category
+              category: classification.category,
+              removable: classification.type === 'removable'
             });
           } else if (classification.type === 'unreachable') {
             analysis.unreachablePaths.push({
@@ -79,9 +100,332 @@ class ServerPathsManifest {
     };
 
     extractPaths(parsedConfig);
+    analysis.serverPaths = this.canonicalizeServerPaths(analysis.serverPaths);
     return analysis;
   }
 
+  /**
+   * Normalise server paths to their canonical UNC form (drive map letter → UNC root)
+   * "Y:\ToolDB\a.db" and "\\cam-srv\data\ToolDB\a.db" become one entry that keeps both spellings.
+   * Everything is sorted and the displayed spelling does not depend on config order,
+   * so re-analysing the same config gives an identical, comparable list.
+   * @param {Array} serverPaths - [{ path, drive, isUNC, category }]
+   * @returns {Array} - [{ path, canonicalKey, share, resolved, originalPaths, drives, drive, isUNC, category, occurrences }]
+   */
+  canonicalizeServerPaths(serverPaths) {
+    const groups = {};
+
+    serverPaths.forEach(entry => {
+      const key = this.toCanonicalPath(entry.path).key;
+      if (!groups[key]) {
+        groups[key] = { originals: {}, occurrences: 0 };
+      }
+      groups[key].originals[entry.path] = entry;
+      groups[key].occurrences++;
+    });
+
+    return Object.keys(groups).sort().map(key => {
+      const group = groups[key];
+      const originalPaths = Object.keys(group.originals).sort();
+
+      // Mapped-letter spelling first: its UNC form uses the drive map's uncRoot casing
+      const primary = group.originals[originalPaths.find(p => !p.startsWith('\\\\')) || originalPaths[0]];
+      const canonical = this.toCanonicalPath(primary.path);
+
+      return {
+        path: canonical.path,
+        canonicalKey: key,
+        share: canonical.share,
+        resolved: canonical.resolved,
+        originalPaths,
+        drives: [...new Set(originalPaths.map(p => group.originals[p].drive))].sort(),
+        drive: primary.drive,
+        isUNC: primary.isUNC,
+        category: primary.category,
+        occurrences: group.occurrences
+      };
+    });
+  }
+
+  /**
+   * Canonical form of one server path
+   * @returns {Object} - { path, key, share, resolved }
+   *   resolved is false for a letter without a UNC root in the drive map (path stays letter-based)
+   */
+  toCanonicalPath(pathStr) {
+    const uncPath = this.driveMap.toUncPath(pathStr);
+    const canonicalPath = (uncPath || pathStr).replace(/\//g, '\\').replace(/\\+$/, '');
+    const uncMatch = canonicalPath.match(/^(\\\\[^\\]+\\[^\\]+)/);
+
+    return {
+      path: canonicalPath,
+      key: canonicalPath.toLowerCase(),
+      share: uncMatch ? uncMatch[1] : canonicalPath.slice(0, 2).toUpperCase(),
+      resolved: Boolean(uncMatch)
+    };
+  }
+
+  /**
+   * Group canonical server paths by share
+   * @returns {Array} - [{ share, resolved, count, paths: [canonical path] }]
+   */
+  groupByShare(serverPaths) {
+    const groups = {};
+
+    serverPaths.forEach(entry => {
+      const key = entry.share.toLowerCase();
+      if (!groups[key]) {
+        groups[key] = { share: entry.share, resolved: entry.resolved, count: 0, paths: [] };
+      }
+      groups[key].count++;
+      groups[key].paths.push(entry.path);
+    });
+
+    return Object.values(groups).sort((a, b) => a.share.toLowerCase().localeCompare(b.share.toLowerCase()));
+  }
+
+  /**
+   * Check one path: exists, file or directory, readable, size/mtime, error code
+   * A path that does not answer within timeoutMs (dead server share) gets errorCode ETIMEDOUT
+   * @returns {Promise<Object>} - { exists, type, readable, size, modified, errorCode, durationMs, probedAt }
+   */
+  async probePath(pathStr, timeoutMs = this.probeTimeoutMs) {
+    const startedAt = Date.now();
+    const result = fields => ({
+      exists: false,
+      type: null,
+      readable: false,
+      size: null,
+      modified: null,
+      errorCode: null,
+      ...fields,
+      durationMs: Date.now() - startedAt,
+      probedAt: new Date(startedAt).toISOString()
+    });
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(result({ errorCode: 'ETIMEDOUT' })), timeoutMs);
+    });
+
+    const check = (async () => {
+      let stats;
+      try {
+        stats = await fs.promises.stat(pathStr);
+      } catch (error) {
+        return result({ errorCode: error.code || error.message });
+      }
+
+      let readable = true;
+      let errorCode = null;
+      try {
+        await fs.promises.access(pathStr, fs.constants.R_OK);
+      } catch (error) {
+        readable = false;
+        errorCode = error.code || error.message;
+      }
+
+      return result({
+        exists: true,
+        type: stats.isFile() ? 'file' : stats.isDirectory() ? 'directory' : 'other',
+        readable,
+        size: stats.isFile() ? stats.size : null,
+        modified: stats.mtime.toISOString(),
+        errorCode
+      });
+    })();
+
+    try {
+      return await Promise.race([check, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Probe every server and local path of an analysis and fill unreachablePaths
+   * Each entry gets a `probe` result; network paths the user has not approved are
+   * skipped (errorCode NETWORK_ACCESS_NOT_APPROVED) and not counted as unreachable
+   * @param {object} pathAnalysis - Result from analyzePathsFromConfig() (changed in place)
+   * @param {object} options - { username, timeoutMs }
+   * @returns {Promise<object>} - The same analysis with lastProbed and probeSummary
+   */
+  async probeAnalysis(pathAnalysis, options = {}) {
+    const timeoutMs = options.timeoutMs || this.probeTimeoutMs;
+    const targets = [
+      ...pathAnalysis.serverPaths.map(entry => ({ entry, source: 'server' })),
+      ...pathAnalysis.localPaths.map(entry => ({ entry, source: 'local' }))
+    ];
+
+    const probeTarget = async ({ entry, source }) => {
+      // Probe the spelling from the config (mapped letter first) - that is what approvals are given for
+      const originals = entry.originalPaths || [entry.path];
+      const probePath = originals.find(p => !p.startsWith('\\\\')) || originals[0];
+
+      if (source === 'server' && this.networkAccess) {
+        const access = this.networkAccess.checkAccess(options.username, probePath, 'manifest-probe');
+        if (!access.allowed) {
+          entry.probe = {
+            exists: null,
+            skipped: true,
+            errorCode: 'NETWORK_ACCESS_NOT_APPROVED',
+            probedAt: new Date().toISOString()
+          };
+          return;
+        }
+      }
+      entry.probe = { path: probePath, ...(await this.probePath(probePath, timeoutMs)) };
+    };
+
+    // A few at a time - dead shares each hold a slot until their timeout
+    for (let i = 0; i < targets.length; i += this.probeConcurrency) {
+      await Promise.all(targets.slice(i, i + this.probeConcurrency).map(probeTarget));
+    }
+
+    pathAnalysis.unreachablePaths = targets
+      .filter(({ entry }) => !entry.probe.skipped && (!entry.probe.exists || !entry.probe.readable))
+      .map(({ entry, source }) => ({
+        path: entry.path,
+        source,
+        reason: entry.probe.exists ? 'not readable' : entry.probe.errorCode === 'ETIMEDOUT' ? 'timed out' : 'not found',
+        errorCode: entry.probe.errorCode
+      }));
+
+    pathAnalysis.lastProbed = new Date().toISOString();
+    pathAnalysis.probeSummary = this.summarizeProbe(pathAnalysis, timeoutMs);
+
+    return pathAnalysis;
+  }
+
+  /**
+   * Counts of the probe results in an analysis
+   * Paths without a probe result (added since the last probe) count as notProbed
+   */
+  summarizeProbe(pathAnalysis, timeoutMs) {
+    const probes = [...pathAnalysis.serverPaths, ...pathAnalysis.localPaths].map(entry => entry.probe);
+
+    return {
+      timeoutMs,
+      probed: probes.filter(probe => probe && !probe.skipped).length,
+      reachable: probes.filter(probe => probe && probe.exists && probe.readable).length,
+      unreachable: pathAnalysis.unreachablePaths.filter(entry => entry.source).length,
+      skipped: probes.filter(probe => probe && probe.skipped).length,
+      notProbed: probes.filter(probe => !probe).length
+    };
+  }
+
+  /**
+   * Copy the probe results of a previous manifest into an analysis that was not probed
+   * Only paths that are still in the analysis keep their result; lastProbed stays the
+   * time of that probe
+   * @param {object} pathAnalysis - Result from analyzePathsFromConfig() (changed in place)
+   * @param {object} previous - Stored manifest
+   */
+  carryOverProbe(pathAnalysis, previous) {
+    if (pathAnalysis.lastProbed || !previous || !previous.lastProbed) {
+      return pathAnalysis;
+    }
+
+    const serverKey = entry => entry.canonicalKey || this.toCanonicalPath(entry.path).key;
+    const localKey = entry => entry.path.toLowerCase();
+    const previousServer = new Map(previous.serverPaths.paths.map(entry => [serverKey(entry), entry]));
+    const previousLocal = new Map(previous.localPaths.paths.map(entry => [localKey(entry), entry]));
+
+    const copyProbe = (entries, index, keyOf) => {
+      entries.forEach(entry => {
+        const before = index.get(keyOf(entry));
+        if (before && before.probe) entry.probe = before.probe;
+      });
+    };
+    copyProbe(pathAnalysis.serverPaths, previousServer, serverKey);
+    copyProbe(pathAnalysis.localPaths, previousLocal, localKey);
+
+    // Probed unreachable paths carry their source; the analysis' own entries stay
+    const current = {
+      server: new Set(pathAnalysis.serverPaths.map(serverKey)),
+      local: new Set(pathAnalysis.localPaths.map(localKey))
+    };
+    const stillUnreachable = (previous.unreachablePaths.paths || []).filter(entry =>
+      (entry.source === 'server' && current.server.has(serverKey(entry))) ||
+      (entry.source === 'local' && current.local.has(localKey(entry)))
+    );
+    pathAnalysis.unreachablePaths = [...pathAnalysis.unreachablePaths, ...stillUnreachable];
+
+    pathAnalysis.lastProbed = previous.lastProbed;
+    pathAnalysis.probeSummary = this.summarizeProbe(pathAnalysis, previous.probe ? previous.probe.timeoutMs : null);
+    return pathAnalysis;
+  }
+
+  /**
+   * Re-probe the paths of a user's latest manifest and update its probe results in place
+   * The paths did not change, so no new generation is created; paths that became
+   * unreachable since the last probe raise drift alerts
+   * @param {string} username
+   * @param {object} options - { timeoutMs }
+   * @returns {Promise<object>} - { success, manifestPath, manifestContent, generation, diff, alerts }
+   */
+  async probeManifest(username = 'all-users', options = {}) {
+    const loaded = this.loadManifest(username);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    try {
+      const previous = loaded.manifest;
+      const pathAnalysis = {
+        generatedAt: previous.generatedAt,
+        totalPaths: previous.summary.totalPaths,
+        serverPaths: previous.serverPaths.paths.map(entry => ({ ...entry })),
+        localPaths: previous.localPaths.paths.map(entry => ({ ...entry })),
+        unreachablePaths: [],
+        unclearPaths: previous.unclearPaths.paths
+      };
+
+      await this.probeAnalysis(pathAnalysis, { ...options, username });
+
+      const manifest = {
+        ...this.buildManifest(pathAnalysis, username, previous.generation || 1),
+        generatedAt: previous.generatedAt,
+        generatedBy: previous.generatedBy,
+        machineHostname: previous.machineHostname
+      };
+      const manifestPath = this.writeManifest(username, manifest);
+
+      const diff = this.diffManifests(previous, manifest);
+      const alerts = this.raiseDriftAlerts(username, diff);
+
+      return {
+        success: true,
+        manifestPath,
+        manifestContent: manifest,
+        generation: manifest.generation,
+        diff,
+        alerts,
+        message: `✓ Manifest generation ${manifest.generation} probed: ${pathAnalysis.unreachablePaths.length} unreachable path(s)` +
+          (alerts.length > 0 ? ` - ${alerts.length} drift alert(s) raised` : '')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to probe manifest: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Check a username before it is used in file names
+   * @returns {object|null} - Error result, or null when the username is valid
+   */
+  validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username) || /^\.+$/.test(username)) {
+      return {
+        success: false,
+        error: `Invalid username: ${username} (letters, digits, ".", "_" and "-")`
+      };
+    }
+    return null;
+  }
+
   /**
    * Check if a string looks like a file path
    */
@@ -101,70 +445,10 @@ class ServerPathsManifest {
   }
 
   /**
-   * Classify a path as server, local, unreachable, or unclear
+   * Classify a path as server, local, removable, or unclear (workstation drive map)
    */
   classifyPath(pathStr) {
-    // UNC network path
-    if (pathStr.startsWith('\\\\')) {
-      return {
-        type: 'server',
-        isUNC: true,
-        drive: 'network-share',
-        category: 'UNC-network-share'
-      };
-    }
-
-    // Drive letter paths
-    const match = pathStr.match(/^([A-Z]):/i);
-    if (match) {
-      const drive = match[1].toUpperCase();
-      const localDrives = ['C', 'D', 'E', 'F'];
-
-      if (localDrives.includes(drive)) {
-        return {
-          type: 'local',
-          drive: drive,
-          category: `local-drive-${drive}`
-        };
-      } else {
-        // Server drives: P, Y, Z, S, Q, X, V, U, T, R, etc.
-        return {
-          type: 'server',
-          drive: drive,
-          category: `server-drive-${drive}`
-        };
-      }
-    }
-
-    // Network drive letters sometimes show as paths
-    if (/^[A-Z]:$/.test(pathStr)) {
-      const drive = pathStr[0].toUpperCase();
-      const localDrives = ['C', 'D', 'E', 'F'];
-      
-      if (!localDrives.includes(drive)) {
-        return {
-          type: 'server',
-          drive: drive,
-          category: `server-drive-${drive}`
-        };
-      }
-    }
-
-    // Unix paths
-    if (pathStr.startsWith('/')) {
-      return {
-        type: 'unclear',
-        drive: 'unix-path',
-        note: 'Unix-style path - context dependent'
-      };
-    }
-
-    // Can't determine
-    return {
-      type: 'unclear',
-      drive: 'unknown',
-      note: 'Path format not recognized'
-    };
+    return this.driveMap.classifyPath(pathStr);
   }
 
   /**
@@ -174,69 +458,42 @@ class ServerPathsManifest {
    * @returns {object} - { success, manifestPath, manifestContent }
    */
   createManifest(pathAnalysis, username = 'all-users') {
+    const invalid = this.validateUsername(username);
+    if (invalid) {
+      return invalid;
+    }
+
     try {
-      const manifest = {
-        formatVersion: '1.0',
-        description: 'Server paths manifest - lists which omSettings paths must be accessed from server',
-        generatedAt: new Date().toISOString(),
-        generatedFor: username,
-        generatedBy: os.userInfo().username,
-        machineHostname: os.hostname(),
-        
-        summary: {
-          totalPaths: pathAnalysis.totalPaths,
-          serverPaths: pathAnalysis.serverPaths.length,
-          localPaths: pathAnalysis.localPaths.length,
-          unreachablePaths: pathAnalysis.unreachablePaths.length,
-          unclearPaths: pathAnalysis.unclearPaths.length
-        },
-
-        serverPaths: {
-          description: 'These paths MUST be accessed from server drives (P:, Y:, Z:, etc.)',
-          count: pathAnalysis.serverPaths.length,
-          paths: pathAnalysis.serverPaths,
-          serverDrivesUsed: [...new Set(pathAnalysis.serverPaths.map(p => p.drive))]
-        },
-
-        localPaths: {
-          description: 'These paths are on local PC drives (C:, D:, etc.)',
-          count: pathAnalysis.localPaths.length,
-          paths: pathAnalysis.localPaths,
-          localDrivesUsed: [...new Set(pathAnalysis.localPaths.map(p => p.drive))]
-        },
-
-        unreachablePaths: {
-          description: 'These paths cannot be reached or are invalid',
-          count: pathAnalysis.unreachablePaths.length,
-          paths: pathAnalysis.unreachablePaths
-        },
-
-        unclearPaths: {
-          description: 'These paths format is unclear - may need manual review',
-          count: pathAnalysis.unclearPaths.length,
-          paths: pathAnalysis.unclearPaths
-        },
-
-        instructions: {
-          'sync-strategy': 'Copy server paths locally for faster access, but sync from server if file is updated',
-          'cache-priority': 'Server paths should be cached locally when possible',
-          'update-check': 'Check server periodically for updates to these paths',
-          'read-only': 'Server paths are read-only - modifications must be done on server'
-        }
-      };
+      const previous = this.loadGeneration(username, this.getLatestGeneration(username));
 
-      const manifestPath = path.join(
-        this.localManifestDir,
-        `${username}-${this.manifestFileName}`
-      );
+      if (previous.success) {
+        this.carryOverProbe(pathAnalysis, previous.manifest);
+      }
 
-      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+      const manifest = this.buildManifest(
+        pathAnalysis,
+        username,
+        previous.success ? previous.manifest.generation + 1 : 1
+      );
+      const manifestPath = this.writeManifest(username, manifest);
+
+      // Compare with the previous generation and raise drift alerts
+      let diff = null;
+      let alerts = [];
+      if (previous.success) {
+        diff = this.diffManifests(previous.manifest, manifest);
+        alerts = this.raiseDriftAlerts(username, diff);
+      }
 
       return {
         success: true,
         manifestPath: manifestPath,
         manifestContent: manifest,
-        message: `✓ Manifest created: ${pathAnalysis.serverPaths.length} server paths identified`
+        generation: manifest.generation,
+        diff,
+        alerts,
+        message: `✓ Manifest created: ${pathAnalysis.serverPaths.length} server paths identified` +
+          (alerts.length > 0 ? ` - ${alerts.length} drift alert(s) raised` : '')
       };
     } catch (error) {
       return {
@@ -246,10 +503,96 @@ class ServerPathsManifest {
     }
   }
 
+  /**
+   * Manifest content for an analysis
+   * @param {object} pathAnalysis - Result from analyzePathsFromConfig()
+   * @param {string} username
+   * @param {number} generation
+   */
+  buildManifest(pathAnalysis, username, generation) {
+    return {
+      formatVersion: '2.0',
+      generation,
+      description: 'Server paths manifest - lists which omSettings paths must be accessed from server',
+      generatedAt: new Date().toISOString(),
+      generatedFor: username,
+      generatedBy: os.userInfo().username,
+      machineHostname: os.hostname(),
+      lastProbed: pathAnalysis.lastProbed || null,
+      probe: pathAnalysis.probeSummary || null,
+      
+      summary: {
+        totalPaths: pathAnalysis.totalPaths,
+        serverPaths: pathAnalysis.serverPaths.length,
+        localPaths: pathAnalysis.localPaths.length,
+        unreachablePaths: pathAnalysis.unreachablePaths.length,
+        unclearPaths: pathAnalysis.unclearPaths.length
+      },
+
+      serverPaths: {
+        description: 'These paths MUST be accessed from server drives (P:, Y:, Z:, etc.) - canonical UNC form, original spellings in originalPaths',
+        count: pathAnalysis.serverPaths.length,
+        paths: pathAnalysis.serverPaths,
+        serverDrivesUsed: [...new Set(pathAnalysis.serverPaths.flatMap(p => p.drives || [p.drive]))],
+        byShare: this.groupByShare(pathAnalysis.serverPaths),
+        unresolvedDrives: [...new Set(pathAnalysis.serverPaths.filter(p => !p.resolved).map(p => p.share))]
+      },
+
+      localPaths: {
+        description: 'These paths are on local PC drives (C:, D:, etc.)',
+        count: pathAnalysis.localPaths.length,
+        paths: pathAnalysis.localPaths,
+        localDrivesUsed: [...new Set(pathAnalysis.localPaths.map(p => p.drive))]
+      },
+
+      unreachablePaths: {
+        description: 'These paths cannot be reached or are invalid',
+        count: pathAnalysis.unreachablePaths.length,
+        paths: pathAnalysis.unreachablePaths
+      },
+
+      unclearPaths: {
+        description: 'These paths format is unclear - may need manual review',
+        count: pathAnalysis.unclearPaths.length,
+        paths: pathAnalysis.unclearPaths
+      },
+
+      instructions: {
+        'sync-strategy': 'Copy server paths locally for faster access, but sync from server if file is updated',
+        'cache-priority': 'Server paths should be cached locally when possible',
+        'update-check': 'Check server periodically for updates to these paths',
+        'read-only': 'Server paths are read-only - modifications must be done on server'
+      }
+    };
+  }
+
+  /**
+   * Write a manifest as its generation file and as the user's latest manifest
+   * @returns {string} - Path of the latest manifest file
+   */
+  writeManifest(username, manifest) {
+    const manifestPath = path.join(
+      this.localManifestDir,
+      `${username}-${this.manifestFileName}`
+    );
+
+    const generationPath = this.getGenerationPath(username, manifest.generation);
+    fs.mkdirSync(path.dirname(generationPath), { recursive: true });
+    fs.writeFileSync(generationPath, JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    return manifestPath;
+  }
+
   /**
    * Load manifest for a user
    */
   loadManifest(username = 'all-users') {
+    const invalid = this.validateUsername(username);
+    if (invalid) {
+      return invalid;
+    }
+
     try {
       const manifestPath = path.join(
         this.localManifestDir,
@@ -259,6 +602,7 @@ class ServerPathsManifest {
       if (!fs.existsSync(manifestPath)) {
         return {
           success: false,
+          notFound: true,
           error: `Manifest not found for user: ${username}`,
           manifestPath: manifestPath
         };
@@ -298,7 +642,8 @@ class ServerPathsManifest {
         success: true,
         serverPaths: result.manifest.serverPaths.paths,
         count: result.manifest.serverPaths.count,
-        serverDrives: result.manifest.serverPaths.serverDrivesUsed
+        serverDrives: result.manifest.serverPaths.serverDrivesUsed,
+        byShare: result.manifest.serverPaths.byShare || []
       };
     } catch (error) {
       return {
@@ -309,6 +654,312 @@ class ServerPathsManifest {
     }
   }
 
+  /**
+   * Path of one stored generation
+   */
+  getGenerationPath(username, generation) {
+    return path.join(
+      this.historyDir,
+      username,
+      `${username}-${String(generation).padStart(4, '0')}-${this.manifestFileName}`
+    );
+  }
+
+  /**
+   * Stored generations for a user, oldest first
+   * @returns {Object} - { success, generations: [{ generation, generatedAt, serverPaths, path }] }
+   */
+  listGenerations(username = 'all-users') {
+    const invalid = this.validateUsername(username);
+    if (invalid) {
+      return { ...invalid, generations: [] };
+    }
+
+    try {
+      const userHistoryDir = path.join(this.historyDir, username);
+      if (!fs.existsSync(userHistoryDir)) {
+        return { success: true, generations: [], count: 0 };
+      }
+
+      const pattern = new RegExp(`-(\\d+)-${this.manifestFileName.replace(/\./g, '\\.')}$`);
+      const generations = fs.readdirSync(userHistoryDir)
+        .map(f => ({ filename: f, match: f.match(pattern) }))
+        .filter(f => f.match)
+        .map(f => {
+          const manifestPath = path.join(userHistoryDir, f.filename);
+          const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+          return {
+            generation: parseInt(f.match[1], 10),
+            generatedAt: manifest.generatedAt,
+            generatedBy: manifest.generatedBy,
+            machineHostname: manifest.machineHostname,
+            summary: manifest.summary,
+            path: manifestPath
+          };
+        })
+        .sort((a, b) => a.generation - b.generation);
+
+      return { success: true, generations, count: generations.length };
+    } catch (error) {
+      return { success: false, error: error.message, generations: [] };
+    }
+  }
+
+  /**
+   * Highest stored generation number (0 when none)
+   */
+  getLatestGeneration(username = 'all-users') {
+    const result = this.listGenerations(username);
+    return result.generations.length > 0
+      ? result.generations[result.generations.length - 1].generation
+      : 0;
+  }
+
+  /**
+   * Load one stored generation
+   */
+  loadGeneration(username, generation) {
+    const invalid = this.validateUsername(username);
+    if (invalid) {
+      return invalid;
+    }
+
+    const generationPath = this.getGenerationPath(username, generation);
+
+    if (!fs.existsSync(generationPath)) {
+      return { success: false, error: `Manifest generation ${generation} not found for user: ${username}` };
+    }
+
+    try {
+      return {
+        success: true,
+        manifest: JSON.parse(fs.readFileSync(generationPath, 'utf8')),
+        manifestPath: generationPath
+      };
+    } catch (error) {
+      return { success: false, error: `Failed to load manifest generation ${generation}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Compare two manifests
+   * Server paths are matched on their canonical key, so a path that only changed
+   * spelling (Y:\x vs \\srv\share\x) is not reported at all. Neither is a path whose canonical
+   * form changed while the config spelling stayed (a drive map letter resolved differently).
+   * A path that moved to another drive/share with the same folder below it (P:\post\x.pp → Q:\post\x.pp)
+   * is reported as driveChanged.
+   * @returns {Object} - { appeared, vanished, driveChanged, newlyUnreachable, summary }
+   */
+  diffManifests(older, newer) {
+    const keyOf = entry => entry.canonicalKey || this.toCanonicalPath(entry.path).key;
+    const indexPaths = entries => new Map((entries || []).map(entry => [keyOf(entry), entry]));
+    const drivesOf = entry => [...(entry.drives || [entry.drive])].sort();
+
+    const olderServer = indexPaths(older.serverPaths && older.serverPaths.paths);
+    const newerServer = indexPaths(newer.serverPaths && newer.serverPaths.paths);
+    const olderUnreachable = indexPaths(older.unreachablePaths && older.unreachablePaths.paths);
+    const newerUnreachable = indexPaths(newer.unreachablePaths && newer.unreachablePaths.paths);
+
+    const appeared = [];
+    const vanished = [];
+    const driveChanged = [];
+    const newlyUnreachable = [];
+
+    const spellingsOf = entry => new Set((entry.originalPaths || [entry.path]).map(p => p.toLowerCase()));
+    const sameSpelling = (a, b) => [...spellingsOf(a)].some(p => spellingsOf(b).has(p));
+
+    const newerOnly = [...newerServer].filter(([key]) => !olderServer.has(key)).map(([, entry]) => entry);
+    const olderOnly = [...olderServer].filter(([key]) => !newerServer.has(key)).map(([, entry]) => entry);
+
+    newerOnly
+      .filter(entry => !olderOnly.some(before => sameSpelling(before, entry)))
+      .forEach(entry => appeared.push({ path: entry.path, share: entry.share, drives: drivesOf(entry) }));
+    olderOnly
+      .filter(entry => !newerOnly.some(after => sameSpelling(entry, after)))
+      .forEach(entry => vanished.push({ path: entry.path, share: entry.share, drives: drivesOf(entry) }));
+
+    // Same path below a different drive/share → moved, not vanished + appeared
+    const relativeOf = entry => entry.path.slice(entry.share.length).toLowerCase();
+    for (let i = vanished.length - 1; i >= 0; i--) {
+      const before = vanished[i];
+      const movedTo = appeared.findIndex(entry => entry.share && before.share &&
+        relativeOf(entry) === relativeOf(before));
+      if (movedTo === -1) continue;
+
+      const after = appeared.splice(movedTo, 1)[0];
+      vanished.splice(i, 1);
+      driveChanged.push({
+        path: after.path,
+        previousPath: before.path,
+        share: after.share,
+        fromShare: before.share,
+        toShare: after.share,
+        fromDrives: before.drives,
+        toDrives: after.drives
+      });
+    }
+
+    newerUnreachable.forEach((entry, key) => {
+      if (!olderUnreachable.has(key)) {
+        newlyUnreachable.push({ path: entry.path, reason: entry.reason, errorCode: entry.errorCode || null });
+      }
+    });
+
+    return {
+      fromGeneration: older.generation || null,
+      toGeneration: newer.generation || null,
+      fromGeneratedAt: older.generatedAt,
+      toGeneratedAt: newer.generatedAt,
+      appeared,
+      vanished,
+      driveChanged,
+      newlyUnreachable,
+      summary: {
+        appeared: appeared.length,
+        vanished: vanished.length,
+        driveChanged: driveChanged.length,
+        newlyUnreachable: newlyUnreachable.length,
+        unchanged: appeared.length + vanished.length + driveChanged.length + newlyUnreachable.length === 0
+      }
+    };
+  }
+
+  /**
+   * Compare two generations of a user's manifest (default: the latest two)
+   * @param {string} username
+   * @param {number} fromGeneration - Older generation (default: latest - 1)
+   * @param {number} toGeneration - Newer generation (default: latest)
+   */
+  compareGenerations(username = 'all-users', fromGeneration, toGeneration) {
+    const invalid = this.validateUsername(username);
+    if (invalid) {
+      return invalid;
+    }
+
+    const latest = this.getLatestGeneration(username);
+    const to = toGeneration !== undefined ? parseInt(toGeneration, 10) : latest;
+    const from = fromGeneration !== undefined ? parseInt(fromGeneration, 10) : to - 1;
+
+    if (isNaN(from) || isNaN(to)) {
+      return { success: false, error: 'from and to must be generation numbers' };
+    }
+    if (from < 1) {
+      return { success: false, error: `Need at least two manifest generations to compare (user ${username} has ${latest})` };
+    }
+
+    const older = this.loadGeneration(username, from);
+    if (!older.success) return older;
+    const newer = this.loadGeneration(username, to);
+    if (!newer.success) return newer;
+
+    return { success: true, username, diff: this.diffManifests(older.manifest, newer.manifest) };
+  }
+
+  /**
+   * Load persisted drift alerts
+   */
+  loadAlerts() {
+    try {
+      if (fs.existsSync(this.alertsFile)) {
+        return JSON.parse(fs.readFileSync(this.alertsFile, 'utf8'));
+      }
+    } catch (error) {
+      console.warn('Could not load manifest alerts:', error.message);
+    }
+    return [];
+  }
+
+  /**
+   * Save drift alerts
+   */
+  saveAlerts(alerts) {
+    try {
+      fs.mkdirSync(path.dirname(this.alertsFile), { recursive: true });
+      fs.writeFileSync(this.alertsFile, JSON.stringify(alerts, null, 2));
+    } catch (error) {
+      console.error('Error saving manifest alerts:', error.message);
+    }
+  }
+
+  /**
+   * Turn vanished / newly unreachable paths of a diff into alerts
+   * A path that already has an open alert of the same type is not raised again
+   * @returns {Array} - Alerts created
+   */
+  raiseDriftAlerts(username, diff) {
+    const alerts = this.loadAlerts();
+    const created = [];
+    let counter = Date.now();
+
+    const raise = (type, entry) => {
+      const duplicate = alerts.some(a =>
+        a.status === 'open' && a.username === username && a.type === type &&
+        a.path.toLowerCase() === entry.path.toLowerCase()
+      );
+      if (duplicate) return;
+
+      const alert = {
+        id: `manifest-alert-${counter++}`,
+        type,
+        username,
+        path: entry.path,
+        share: entry.share || null,
+        reason: entry.reason || null,
+        errorCode: entry.errorCode || null,
+        fromGeneration: diff.fromGeneration,
+        toGeneration: diff.toGeneration,
+        createdAt: new Date().toISOString(),
+        status: 'open'
+      };
+      alerts.push(alert);
+      created.push(alert);
+    };
+
+    diff.vanished.forEach(entry => raise('path-vanished', entry));
+    diff.newlyUnreachable.forEach(entry => raise('path-unreachable', entry));
+
+    if (created.length > 0) {
+      this.saveAlerts(alerts);
+    }
+    return created;
+  }
+
+  /**
+   * Drift alerts, newest first
+   * @param {Object} filter - { username, status: 'open' | 'acknowledged', type: 'path-vanished' | 'path-unreachable' }
+   */
+  getAlerts(filter = {}) {
+    const alerts = this.loadAlerts()
+      .filter(a => !filter.username || a.username === filter.username)
+      .filter(a => !filter.status || a.status === filter.status)
+      .filter(a => !filter.type || a.type === filter.type)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return { success: true, count: alerts.length, alerts };
+  }
+
+  /**
+   * Mark an alert as seen
+   */
+  acknowledgeAlert(alertId, acknowledgedBy) {
+    const alerts = this.loadAlerts();
+    const alert = alerts.find(a => a.id === alertId);
+
+    if (!alert) {
+      return { success: false, error: `Alert not found: ${alertId}` };
+    }
+    if (alert.status !== 'open') {
+      return { success: false, error: `Alert already ${alert.status}: ${alertId}` };
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = acknowledgedBy;
+    alert.acknowledgedAt = new Date().toISOString();
+    this.saveAlerts(alerts);
+
+    return { success: true, alert };
+  }
+
   /**
    * Get manifest directory
    */
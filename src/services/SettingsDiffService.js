@@ -0,0 +1,250 @@
+/**
+ * SettingsDiffService - Structural comparison of two parsed .omSettings configurations
+ * Works on the objects produced by SettingsParser.extractConfiguration
+ * Used to explain why one programmer's hyperMILL behaves differently from another's
+ */
+class SettingsDiffService {
+  constructor() {
+    // Section name -> function returning { key: comparableValue } for a config
+    this.sections = {
+      'paths.shared': config => this.indexObject(config.paths && config.paths.shared),
+      'userSettings': config => this.indexObject(
+        config.userSettings,
+        value => value && typeof value === 'object' && !Array.isArray(value)
+      ),
+      'userSettings.userDirectories': config => this.indexList(
+        config.userSettings && config.userSettings.userDirectories,
+        dir => dir.key,
+        dir => dir.path
+      ),
+      'userSettings.userFiles': config => this.indexList(
+        config.userSettings && config.userSettings.userFiles,
+        file => file.key,
+        file => file.path
+      ),
+      'machines': config => this.indexList(config.machines, machine => machine.name),
+      'databases.tool': config => this.indexList(
+        config.databases && config.databases.tool,
+        db => db.path
+      ),
+      'databases.macro': config => this.indexList(
+        config.databases && config.databases.macro,
+        db => db.path
+      ),
+      'networkShares': config => this.indexList(
+        config.networkShares,
+        share => share.name,
+        share => share.path
+      ),
+      'toolbars': config => this.indexList(
+        config.toolbars,
+        toolbar => `${toolbar.scope}:${toolbar.name}`,
+        toolbar => ({ visible: toolbar.visible, items: toolbar.items, text: toolbar.text })
+      ),
+      'reportTemplates': config => this.indexList(
+        config.reportTemplates,
+        template => `${template.source}:${template.name}`,
+        template => template.path
+      ),
+      'other.settings': config => this.indexObject(config.other && config.other.settings)
+    };
+  }
+
+  /**
+   * Compare two parsed configurations
+   * @param {Object} baseConfig - Reference configuration ("before")
+   * @param {Object} targetConfig - Configuration being compared ("after")
+   * @returns {Object} - { identical, summary, added, removed, changed }
+   */
+  compare(baseConfig, targetConfig) {
+    const result = {
+      identical: true,
+      summary: {},
+      added: [],
+      removed: [],
+      changed: []
+    };
+
+    const base = baseConfig || {};
+    const target = targetConfig || {};
+
+    Object.entries(this.sections).forEach(([section, indexer]) => {
+      const before = indexer(base);
+      const after = indexer(target);
+      const counts = { added: 0, removed: 0, changed: 0 };
+
+      Object.keys(after).forEach(key => {
+        if (!(key in before)) {
+          result.added.push({ section, key, value: after[key] });
+          counts.added++;
+        } else if (!this.isEqual(before[key], after[key])) {
+          result.changed.push({
+            section,
+            key,
+            before: before[key],
+            after: after[key],
+            fields: this.changedFields(before[key], after[key])
+          });
+          counts.changed++;
+        }
+      });
+
+      Object.keys(before).forEach(key => {
+        if (!(key in after)) {
+          result.removed.push({ section, key, value: before[key] });
+          counts.removed++;
+        }
+      });
+
+      result.summary[section] = counts;
+    });
+
+    result.identical = result.added.length === 0 &&
+      result.removed.length === 0 &&
+      result.changed.length === 0;
+
+    result.version = {
+      base: this.formatVersion(base.version),
+      target: this.formatVersion(target.version)
+    };
+
+    return result;
+  }
+
+  /**
+   * Render a diff result as human-readable text
+   * @param {Object} diff - Result from compare()
+   * @param {string} baseLabel - Name shown for the base configuration
+   * @param {string} targetLabel - Name shown for the target configuration
+   */
+  formatAsText(diff, baseLabel = 'base', targetLabel = 'target') {
+    const lines = [
+      `--- ${baseLabel}${diff.version && diff.version.base ? ` (${diff.version.base})` : ''}`,
+      `+++ ${targetLabel}${diff.version && diff.version.target ? ` (${diff.version.target})` : ''}`,
+      ''
+    ];
+
+    if (diff.identical) {
+      lines.push('No differences found');
+      return lines.join('\n');
+    }
+
+    Object.keys(this.sections).forEach(section => {
+      const added = diff.added.filter(e => e.section === section);
+      const removed = diff.removed.filter(e => e.section === section);
+      const changed = diff.changed.filter(e => e.section === section);
+
+      if (added.length + removed.length + changed.length === 0) return;
+
+      lines.push(`[${section}]`);
+      removed.forEach(e => lines.push(`  - ${e.key}: ${this.formatValue(e.value)}`));
+      added.forEach(e => lines.push(`  + ${e.key}: ${this.formatValue(e.value)}`));
+      changed.forEach(e => {
+        if (e.fields) {
+          e.fields.forEach(field => {
+            lines.push(`  ~ ${e.key}.${field}: ${this.formatValue(e.before[field])} -> ${this.formatValue(e.after[field])}`);
+          });
+        } else {
+          lines.push(`  ~ ${e.key}: ${this.formatValue(e.before)} -> ${this.formatValue(e.after)}`);
+        }
+      });
+      lines.push('');
+    });
+
+    lines.push(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Index a plain object section by its own keys
+   */
+  indexObject(obj, filter = () => true) {
+    const index = {};
+    if (!obj || typeof obj !== 'object') return index;
+
+    Object.entries(obj).forEach(([key, value]) => {
+      if (filter(value)) {
+        index[key] = value;
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Index an array section by a key function
+   * Duplicate keys get a #n suffix so no entry is lost
+   */
+  indexList(list, keyFn, valueFn = item => item) {
+    const index = {};
+    if (!Array.isArray(list)) return index;
+
+    list.forEach(item => {
+      if (!item) return;
+      const baseKey = String(keyFn(item));
+      let key = baseKey;
+      let n = 2;
+      while (key in index) {
+        key = `${baseKey}#${n++}`;
+      }
+      index[key] = valueFn(item);
+    });
+
+    return index;
+  }
+
+  /**
+   * Deep equality for JSON-like values
+   */
+  isEqual(a, b) {
+    return JSON.stringify(this.sortKeys(a)) === JSON.stringify(this.sortKeys(b));
+  }
+
+  /**
+   * Return names of differing fields when both values are objects
+   */
+  changedFields(before, after) {
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+      return null;
+    }
+
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.filter(key => !this.isEqual(before[key], after[key]));
+  }
+
+  /**
+   * Sort object keys recursively so key order does not affect comparison
+   */
+  sortKeys(value) {
+    if (Array.isArray(value)) return value.map(v => this.sortKeys(v));
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = this.sortKeys(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * Format a value for text output
+   */
+  formatValue(value) {
+    if (value === undefined) return '(none)';
+    if (value && typeof value === 'object') {
+      if ('value' in value) return JSON.stringify(value.value);
+      return JSON.stringify(value);
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Format config.version for display
+   */
+  formatVersion(version) {
+    if (!version || !version.name) return null;
+    return `${version.name} ${version.major || ''}.${version.minor || ''}`.trim();
+  }
+}
+
+module.exports = SettingsDiffService;
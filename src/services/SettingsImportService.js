@@ -0,0 +1,187 @@
+const fs = require('fs');
+const UserProfileService = require('./UserProfileService');
+const SettingsParser = require('./SettingsParser');
+
+/**
+ * SettingsImportService - The pipeline that turns an .omSettings file into a user profile
+ *
+ * Steps, usable on their own (uploads run store and parse as separate requests):
+ * 1. store              - copy the file into the profile as a new settings version
+ * 2. parse              - parse a stored settings file and save the configuration for its version
+ * 3. generateScanConfig - build and save the scanner config from a parsed configuration
+ * importFile() runs all three for discovery imports (auto-import, import-file, watchers).
+ * It stores the file without making it current and promotes it only after it parsed;
+ * a file that fails to parse is discarded, so the previous settings stay current.
+ */
+class SettingsImportService {
+  /**
+   * @param {Object} options
+   * @param {UserProfileService} options.profileService
+   * @param {SettingsParser} options.parser
+   * @param {ConfigurationLocator} options.locator - Optional, detects the hyperMILL version from version folders
+   */
+  constructor(options = {}) {
+    this.profileService = options.profileService || new UserProfileService();
+    this.parser = options.parser || new SettingsParser();
+    this.locator = options.locator || null;
+  }
+
+  /**
+   * Check that a path names an existing .omSettings file
+   * @returns {Object} - { success, size } or { success: false, notFound?, error }
+   */
+  checkFile(filePath) {
+    if (!filePath) {
+      return { success: false, error: 'filePath is required' };
+    }
+    if (!filePath.endsWith('.omSettings')) {
+      return { success: false, error: 'File must be a .omSettings file' };
+    }
+    if (!fs.existsSync(filePath)) {
+      return { success: false, notFound: true, error: `File not found: ${filePath}` };
+    }
+    return { success: true, size: fs.statSync(filePath).size };
+  }
+
+  /**
+   * Step 1: store a settings file as the user's new current version
+   * @param {Object} options - { source, originalName, current: false to store it without making it current }
+   * @returns {Object} - UserProfileService.saveUserSettings result
+   */
+  store(username, filePath, options = {}) {
+    return this.profileService.saveUserSettings(username, filePath, {
+      source: options.source,
+      originalName: options.originalName,
+      current: options.current,
+      hyperMillVersion: this.locator ? this.locator.detectHyperMillVersion(filePath) : null
+    });
+  }
+
+  /**
+   * Step 2: parse a stored settings file and save the configuration
+   * The extraction directory is always removed, also when parsing fails
+   * @param {Object} options - { filePath (default: latest stored file), versionId, streaming: true|false|'auto' }
+   * @returns {Promise<Object>} - { success, config, savedAt, versionId, hyperMillVersion, mode, stats }
+   */
+  async parse(username, options = {}) {
+    const settingsFile = options.filePath
+      ? { found: true, path: options.filePath }
+      : this.profileService.getLatestUserSettings(username);
+
+    if (!settingsFile.found) {
+      return {
+        success: false,
+        notFound: true,
+        error: 'No settings file found for this user. Please upload a settings file first.'
+      };
+    }
+
+    const parseResult = await this.parser.parseSettings(settingsFile.path, {
+      streaming: options.streaming === undefined ? 'auto' : options.streaming
+    });
+
+    try {
+      if (!parseResult.success) {
+        return parseResult;
+      }
+
+      const saveResult = this.profileService.saveParsedConfig(username, parseResult.config, options.versionId);
+
+      if (!saveResult.success) {
+        return saveResult;
+      }
+
+      return {
+        success: true,
+        config: parseResult.config,
+        savedAt: saveResult.path,
+        versionId: saveResult.versionId,
+        hyperMillVersion: saveResult.hyperMillVersion,
+        mode: parseResult.mode || 'extract',
+        stats: parseResult.stats
+      };
+    } finally {
+      if (parseResult.tempDir) {
+        await this.parser.cleanup(parseResult.tempDir);
+      }
+    }
+  }
+
+  /**
+   * Step 3: generate and save the scanner config
+   * @param {Object} options - { current: false } keeps it from replacing the current scanner config
+   * @returns {Object} - { success, scanConfig, savedAt }
+   */
+  generateScanConfig(username, parsedConfig, options = {}) {
+    const scanConfig = this.profileService.generateScannerConfig(username, parsedConfig);
+    const saveResult = this.profileService.saveScannerConfig(username, scanConfig, options);
+
+    if (!saveResult.success) {
+      return saveResult;
+    }
+
+    return { success: true, scanConfig, savedAt: saveResult.path };
+  }
+
+  /**
+   * Full import: check, store, parse, promote, generate
+   * @param {Object} options - { source: 'auto-import'|'import-file'|'watcher'|..., streaming }
+   * @returns {Promise<Object>} - { success, versionId, fileSize, hyperMillVersion, scanConfig, before, after }
+   *   before / after are UserProfileService.getProfileState snapshots for audit entries
+   */
+  async importFile(username, filePath, options = {}) {
+    const check = this.checkFile(filePath);
+
+    if (!check.success) {
+      return check;
+    }
+
+    const before = this.profileService.getProfileState(username);
+    const stored = this.store(username, filePath, { source: options.source, current: false });
+
+    if (!stored.success) {
+      return stored;
+    }
+
+    // Parse the stored copy, so a concurrent import cannot swap the file underneath
+    let parsed;
+    try {
+      parsed = await this.parse(username, {
+        filePath: stored.savedPath,
+        versionId: stored.versionId,
+        streaming: options.streaming
+      });
+    } catch (error) {
+      parsed = { success: false, error: error.message };
+    }
+
+    if (!parsed.success) {
+      this.profileService.discardVersion(username, stored.versionId);
+      return parsed;
+    }
+
+    const promoted = this.profileService.promoteVersion(username, stored.versionId);
+
+    if (!promoted.success) {
+      return promoted;
+    }
+
+    const generated = this.generateScanConfig(username, parsed.config);
+
+    if (!generated.success) {
+      return generated;
+    }
+
+    return {
+      success: true,
+      versionId: stored.versionId,
+      fileSize: check.size,
+      hyperMillVersion: parsed.hyperMillVersion,
+      scanConfig: generated.scanConfig,
+      before,
+      after: this.profileService.getProfileState(username)
+    };
+  }
+}
+
+module.exports = SettingsImportService;
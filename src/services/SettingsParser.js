@@ -2,23 +2,31 @@ const fs = require('fs');
 const path = require('path');
 const xml2js = require('xml2js');
 const extract = require('extract-zip');
+const archiver = require('archiver');
+const sax = require('sax');
+const yauzl = require('yauzl');
+const { StringDecoder } = require('string_decoder');
+const DriveMap = require('./DriveMap');
 
 /**
  * SettingsParser - Extracts configuration from .omSettings export file
  * .omSettings is a ZIP archive containing XSREGISTER.XML with all user HyperMILL settings
  */
 class SettingsParser {
-  constructor() {
+  constructor(options = {}) {
     this.xmlParser = new xml2js.Parser({ explicitArray: false });
-    this.xmlBuilder = new xml2js.Builder();
+    this.driveMap = options.driveMap || new DriveMap();
+    // Archives at or above this size are parsed in streaming mode by default
+    this.streamingThresholdBytes = 100 * 1024 * 1024;
   }
 
   /**
    * Parse .omSettings file and extract critical configuration
    * @param {string} omSettingsPath - Path to .omSettings file
+   * @param {Object} options - { streaming: true|false|'auto', onProgress }
    * @returns {Promise<Object>} - Parsed configuration object
    */
-  async parseSettings(omSettingsPath) {
+  async parseSettings(omSettingsPath, options = {}) {
     try {
       // Check if file exists
       if (!fs.existsSync(omSettingsPath)) {
@@ -26,11 +34,18 @@ class SettingsParser {
       }
 
       // Verify it's a ZIP file
-      const header = fs.readFileSync(omSettingsPath, { flag: 'r' }).slice(0, 4);
-      if (header[0] !== 0x50 || header[1] !== 0x4b) {
+      if (!this.isZipArchive(omSettingsPath)) {
         throw new Error('File is not a valid ZIP archive');
       }
 
+      const streaming = options.streaming === undefined || options.streaming === 'auto'
+        ? fs.statSync(omSettingsPath).size >= this.streamingThresholdBytes
+        : Boolean(options.streaming);
+
+      if (streaming) {
+        return await this.parseSettingsStream(omSettingsPath, options);
+      }
+
       // Create temporary extraction directory
       const tmpDir = path.join(path.dirname(omSettingsPath), `.tmp_${Date.now()}`);
       fs.mkdirSync(tmpDir, { recursive: true });
@@ -74,6 +89,276 @@ class SettingsParser {
     }
   }
 
+  /**
+   * Parse .omSettings file without extracting it
+   * Reads the ZIP central directory, then streams only XSREGISTER.XML through a SAX parser
+   * No temp directory is created, so memory and disk use stay flat for very large exports
+   * @param {string} omSettingsPath - Path to .omSettings file
+   * @param {Object} options - { onProgress: ({ phase, bytesProcessed, totalBytes, percent }) => void }
+   * @returns {Promise<Object>} - Same shape as parseSettings plus stats
+   */
+  async parseSettingsStream(omSettingsPath, options = {}) {
+    const startedAt = Date.now();
+    const memory = this.createMemoryTracker();
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+    let zipfile = null;
+
+    try {
+      if (!fs.existsSync(omSettingsPath)) {
+        throw new Error(`Settings file not found: ${omSettingsPath}`);
+      }
+
+      if (!this.isZipArchive(omSettingsPath)) {
+        throw new Error('File is not a valid ZIP archive');
+      }
+
+      zipfile = await new Promise((resolve, reject) => {
+        yauzl.open(omSettingsPath, { lazyEntries: true, autoClose: false }, (err, zf) => {
+          if (err) reject(err);
+          else resolve(zf);
+        });
+      });
+
+      onProgress({ phase: 'scanning', entriesTotal: zipfile.entryCount });
+
+      const entry = await this.findZipEntry(zipfile, 'XSREGISTER.XML');
+      if (!entry) {
+        throw new Error('XSREGISTER.XML not found in archive');
+      }
+      memory.sample();
+
+      const readStream = await new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) reject(err);
+          else resolve(stream);
+        });
+      });
+
+      const parsedXml = await this.parseXmlStream(readStream, {
+        totalBytes: entry.uncompressedSize,
+        onProgress,
+        memory
+      });
+
+      const config = this.extractConfiguration(parsedXml);
+      memory.sample();
+
+      onProgress({
+        phase: 'done',
+        bytesProcessed: entry.uncompressedSize,
+        totalBytes: entry.uncompressedSize,
+        percent: 100
+      });
+
+      return {
+        success: true,
+        config,
+        source: omSettingsPath,
+        extractedAt: new Date().toISOString(),
+        mode: 'stream',
+        stats: {
+          archiveSize: fs.statSync(omSettingsPath).size,
+          entryCount: zipfile.entryCount,
+          entryName: entry.fileName,
+          compressedSize: entry.compressedSize,
+          uncompressedSize: entry.uncompressedSize,
+          durationMs: Date.now() - startedAt,
+          ...memory.report()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        source: omSettingsPath
+      };
+    } finally {
+      if (zipfile) {
+        zipfile.close();
+      }
+    }
+  }
+
+  /**
+   * Walk the ZIP central directory until an entry with the given name is found
+   * @returns {Promise<Object|null>} - yauzl entry or null
+   */
+  findZipEntry(zipfile, entryName) {
+    const wanted = entryName.toUpperCase();
+
+    return new Promise((resolve, reject) => {
+      const onEntry = entry => {
+        if (entry.fileName.replace(/\\/g, '/').toUpperCase() === wanted) {
+          cleanupListeners();
+          resolve(entry);
+        } else {
+          zipfile.readEntry();
+        }
+      };
+      const onEnd = () => {
+        cleanupListeners();
+        resolve(null);
+      };
+      const onError = error => {
+        cleanupListeners();
+        reject(error);
+      };
+      const cleanupListeners = () => {
+        zipfile.removeListener('entry', onEntry);
+        zipfile.removeListener('end', onEnd);
+        zipfile.removeListener('error', onError);
+      };
+
+      zipfile.on('entry', onEntry);
+      zipfile.on('end', onEnd);
+      zipfile.on('error', onError);
+      zipfile.readEntry();
+    });
+  }
+
+  /**
+   * SAX-parse an XML stream into the same object shape xml2js produces
+   * (explicitArray: false - attributes under $, text under _, repeated children become arrays)
+   * @returns {Promise<Object>} - { rootName: rootObject }
+   */
+  parseXmlStream(readStream, { totalBytes = 0, onProgress = () => {}, memory } = {}) {
+    return new Promise((resolve, reject) => {
+      const parser = sax.parser(true);
+      const decoder = new StringDecoder('utf8');
+      const stack = [];
+      let root = null;
+      let bytesProcessed = 0;
+      let lastPercent = -1;
+      let failed = false;
+
+      const fail = error => {
+        if (failed) return;
+        failed = true;
+        readStream.destroy();
+        reject(error);
+      };
+
+      parser.onopentag = node => {
+        const obj = {};
+        if (Object.keys(node.attributes).length > 0) {
+          obj.$ = { ...node.attributes };
+        }
+        stack.push({ name: node.name, obj, text: '' });
+      };
+
+      parser.ontext = text => {
+        if (stack.length > 0) stack[stack.length - 1].text += text;
+      };
+      parser.oncdata = parser.ontext;
+
+      parser.onclosetag = () => {
+        const node = stack.pop();
+        let value = node.obj;
+
+        if (/^\s*$/.test(node.text)) {
+          if (Object.keys(value).length === 0) value = node.text;
+        } else if (Object.keys(value).length === 0) {
+          value = node.text;
+        } else {
+          value._ = node.text;
+        }
+
+        if (stack.length === 0) {
+          root = { [node.name]: value };
+          return;
+        }
+
+        const parent = stack[stack.length - 1].obj;
+        if (!(node.name in parent)) {
+          parent[node.name] = value;
+        } else if (Array.isArray(parent[node.name])) {
+          parent[node.name].push(value);
+        } else {
+          parent[node.name] = [parent[node.name], value];
+        }
+      };
+
+      parser.onerror = error => fail(new Error(`Invalid XSREGISTER.XML: ${error.message}`));
+
+      readStream.on('data', chunk => {
+        if (failed) return;
+        bytesProcessed += chunk.length;
+
+        try {
+          parser.write(decoder.write(chunk));
+        } catch (error) {
+          fail(error);
+          return;
+        }
+
+        if (memory) memory.sample();
+
+        const percent = totalBytes > 0 ? Math.floor((bytesProcessed / totalBytes) * 100) : null;
+        if (percent !== lastPercent) {
+          lastPercent = percent;
+          onProgress({ phase: 'parsing', bytesProcessed, totalBytes, percent });
+        }
+      });
+
+      readStream.on('error', fail);
+
+      readStream.on('end', () => {
+        if (failed) return;
+        try {
+          parser.write(decoder.end());
+          parser.close();
+        } catch (error) {
+          fail(error);
+          return;
+        }
+
+        if (!root) {
+          fail(new Error('Invalid XSREGISTER.XML: no root element'));
+          return;
+        }
+        resolve(root);
+      });
+    });
+  }
+
+  /**
+   * Track peak process memory while a parse is running
+   */
+  createMemoryTracker() {
+    const baseline = process.memoryUsage();
+    const peak = { rss: baseline.rss, heapUsed: baseline.heapUsed };
+
+    return {
+      sample() {
+        const usage = process.memoryUsage();
+        if (usage.rss > peak.rss) peak.rss = usage.rss;
+        if (usage.heapUsed > peak.heapUsed) peak.heapUsed = usage.heapUsed;
+      },
+      report() {
+        return {
+          baselineRssBytes: baseline.rss,
+          peakRssBytes: peak.rss,
+          peakHeapUsedBytes: peak.heapUsed,
+          peakRssMB: (peak.rss / 1024 / 1024).toFixed(1)
+        };
+      }
+    };
+  }
+
+  /**
+   * Check ZIP magic bytes without reading the whole file
+   */
+  isZipArchive(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const header = Buffer.alloc(4);
+      const bytesRead = fs.readSync(fd, header, 0, 4, 0);
+      return bytesRead >= 2 && header[0] === 0x50 && header[1] === 0x4b;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
   /**
    * Extract configuration from parsed XML structure
    */
@@ -93,7 +378,14 @@ class SettingsParser {
       },
       userSettings: {},
       automationPaths: [],
-      networkShares: []
+      networkShares: [],
+      toolbars: [],
+      reportTemplates: [],
+      // Settings keys and XML sections the extractors above do not understand, kept typed/raw
+      other: {
+        settings: {},
+        sections: {}
+      }
     };
 
     try {
@@ -111,19 +403,27 @@ class SettingsParser {
       if (settingsObj && settingsObj.Settings) {
         const settingsArray = Array.isArray(settingsObj.Settings) ? settingsObj.Settings : [settingsObj.Settings];
         
-        settingsArray.forEach(settings => {
+        settingsArray.forEach((settings, i) => {
           if (settings['Settings.AdminSettings']) {
             const adminSettings = settings['Settings.AdminSettings'];
-            this.extractPathsRecursively(adminSettings, config);
+            this.extractPathsRecursively(adminSettings, config, `Settings[${i}]`);
           }
           
           if (settings['Settings.UserSettings']) {
             const userSettings = settings['Settings.UserSettings'];
-            this.extractUserSettingsRecursively(userSettings, config);
+            this.extractUserSettingsRecursively(userSettings, config, `Settings[${i}]`);
           }
+
+          this.captureOtherSections(settings, ['Settings.AdminSettings', 'Settings.UserSettings'], config);
         });
       }
 
+      // Top-level sections next to hyperMILL.Settings (toolbars, recent items, ...)
+      this.captureOtherSections(hm, ['hyperMILL.Settings'], config);
+
+      this.extractToolbars(hm, config);
+      this.extractReportTemplates(config);
+
       return config;
     } catch (error) {
       console.error('Error extracting configuration:', error);
@@ -133,21 +433,22 @@ class SettingsParser {
 
   /**
    * Recursively extract all paths from admin settings
+   * @param {string} sectionPath - Position of the enclosing Settings block, e.g. "Settings[0]"
    */
-  extractPathsRecursively(obj, config) {
+  extractPathsRecursively(obj, config, sectionPath = 'Settings[0]') {
     if (!obj) return;
 
     // Handle AdminSettings
     if (obj.AdminSettings) {
       const adminSettings = Array.isArray(obj.AdminSettings) ? obj.AdminSettings : [obj.AdminSettings];
-      adminSettings.forEach(as => {
+      adminSettings.forEach((as, i) => {
         if (as.AdminSettings && as.AdminSettings.Settings) {
           const settings = Array.isArray(as.AdminSettings.Settings)
             ? as.AdminSettings.Settings
             : [as.AdminSettings.Settings];
           
           settings.forEach(setting => {
-            this.extractSettingPath(setting, config);
+            this.extractSettingPath(setting, config, `${sectionPath}.AdminSettings[${i}]`);
           });
         }
       });
@@ -157,10 +458,14 @@ class SettingsParser {
   /**
    * Extract individual setting path
    */
-  extractSettingPath(setting, config) {
+  extractSettingPath(setting, config, sectionPath = 'Settings[0].AdminSettings[0]') {
     if (!setting.$ || !setting.$.Key) return;
 
     const key = setting.$.Key;
+    const handled = ['ConfigRegistry'];
+    if (key === 'MDF') handled.push('ConfigMDF');
+    if (key === 'DBProjects') handled.push('ConfigGlobalDatabaseProjectsPath');
+    this.captureOtherSetting(setting, 'admin', sectionPath, handled, config);
 
     // Extract registry values
     if (setting.ConfigRegistry) {
@@ -206,6 +511,7 @@ class SettingsParser {
           if (mdFile.MachineDefinition) {
             const machDef = mdFile.MachineDefinition;
             config.machines.push({
+              id: machDef.$.Name,
               name: machDef.$.Name,
               mdfPath: machDef.$.Path,
               postProcessor: machDef.$.PostProcessor,
@@ -213,13 +519,13 @@ class SettingsParser {
             });
 
             // Extract network paths from machine definitions
-            if (machDef.$.Path && machDef.$.Path.startsWith('\\\\')) {
+            if (machDef.$.Path && this.driveMap.isNetworkPath(machDef.$.Path)) {
               config.networkShares.push({
                 name: `MDF-${machDef.$.Name}`,
                 path: machDef.$.Path
               });
             }
-            if (machDef.$.PostProcessor && machDef.$.PostProcessor.startsWith('Y:\\')) {
+            if (machDef.$.PostProcessor && this.driveMap.isNetworkPath(machDef.$.PostProcessor)) {
               config.networkShares.push({
                 name: `PostProcessor-${machDef.$.Name}`,
                 path: machDef.$.PostProcessor
@@ -250,12 +556,13 @@ class SettingsParser {
               toolDbs.forEach(td => {
                 if (td && td.$.Path) {
                   config.databases.tool.push({
+                    id: td.$.Path,
                     path: td.$.Path,
                     type: 'global'
                   });
 
                   // Extract network paths
-                  if (td.$.Path.startsWith('Y:\\') || td.$.Path.startsWith('\\\\')) {
+                  if (this.driveMap.isNetworkPath(td.$.Path)) {
                     config.networkShares.push({
                       name: `ToolDB-${td.$.Path.split('\\').pop()}`,
                       path: td.$.Path
@@ -273,12 +580,13 @@ class SettingsParser {
               macroDbs.forEach(md => {
                 if (md && md.$.Path) {
                   config.databases.macro.push({
+                    id: md.$.Path,
                     path: md.$.Path,
                     type: 'global'
                   });
 
                   // Extract network paths
-                  if (md.$.Path.startsWith('Y:\\') || md.$.Path.startsWith('\\\\')) {
+                  if (this.driveMap.isNetworkPath(md.$.Path)) {
                     config.networkShares.push({
                       name: `MacroDB-${md.$.Path.split('\\').pop()}`,
                       path: md.$.Path
@@ -295,14 +603,15 @@ class SettingsParser {
 
   /**
    * Extract user settings recursively
+   * @param {string} sectionPath - Position of the enclosing Settings block, e.g. "Settings[0]"
    */
-  extractUserSettingsRecursively(obj, config) {
+  extractUserSettingsRecursively(obj, config, sectionPath = 'Settings[0]') {
     if (!obj) return;
 
     if (obj.UserSettings) {
       const userSettings = Array.isArray(obj.UserSettings) ? obj.UserSettings : [obj.UserSettings];
       
-      userSettings.forEach(us => {
+      userSettings.forEach((us, i) => {
         // Extract user working directories
         if (us.UserSettings && us.UserSettings.Settings) {
           const settings = Array.isArray(us.UserSettings.Settings)
@@ -320,9 +629,15 @@ class SettingsParser {
                 default: cfgReg.$.Default
               };
             }
+
+            if (setting.$ && setting.$.Key) {
+              this.captureOtherSetting(setting, 'user', `${sectionPath}.UserSettings[${i}]`, ['ConfigRegistry'], config);
+            }
           });
         }
 
+        this.captureOtherSections(us, ['UserSettings', 'UserSettings.UserDirectories', 'UserSettings.UserFiles'], config);
+
         // Extract user directories
         if (us['UserSettings.UserDirectories']) {
           const udirs = us['UserSettings.UserDirectories'].UserDirectories;
@@ -373,37 +688,474 @@ class SettingsParser {
   }
 
   /**
-   * Map token placeholders to actual paths
-   * Tokens: [HYPERMILL], [APPDATA], [USER_CFG], [TOOLDB], [VERSION], [USER]
+   * Keep a Settings entry's unknown value elements (ConfigBool, ConfigInt, ...) in config.other.settings
+   * Stored under "<scope>.<sectionPath>.<Key>.<Element>" so the same key in another section,
+   * or another element of the same key, never overwrites an entry
+   * @param {Object} setting - xml2js Settings node
+   * @param {string} scope - 'admin' | 'user'
+   * @param {string} sectionPath - Position of the setting's group, e.g. "Settings[0].AdminSettings[1]"
+   * @param {Array} handled - Element names already extracted for this key
    */
-  mapPathTokens(path, tokenMap) {
-    let mapped = path;
-    
-    Object.entries(tokenMap).forEach(([token, value]) => {
-      mapped = mapped.replace(`[${token}]`, value);
+  captureOtherSetting(setting, scope, sectionPath, handled, config) {
+    const key = setting.$.Key;
+    const elements = Object.keys(setting).filter(name => name !== '$' && name !== '_' && !handled.includes(name));
+
+    elements.forEach(element => {
+      const nodes = Array.isArray(setting[element]) ? setting[element] : [setting[element]];
+      const type = this.describeSettingType(element, nodes[0]);
+
+      config.other.settings[`${scope}.${sectionPath}.${key}.${element}`] = {
+        scope,
+        section: sectionPath,
+        key,
+        element,
+        type,
+        value: nodes.length === 1 ? this.typedSettingValue(type, nodes[0]) : nodes.map(n => this.typedSettingValue(type, n)),
+        attributes: { ...(setting.$ || {}) },
+        ...(type === 'object' ? { content: setting[element] } : {})
+      };
     });
+  }
 
-    return mapped;
+  /**
+   * Value type of a Settings element, from its name (ConfigBool → boolean) or shape
+   * @returns {string} - 'boolean' | 'integer' | 'number' | 'string' | 'object'
+   */
+  describeSettingType(element, node) {
+    const hasValue = node && typeof node === 'object' && node.$ && node.$.Value !== undefined;
+
+    if (/Bool/.test(element)) return 'boolean';
+    if (/(Int|Integer|Long|Short)(16|32|64)?$/.test(element)) return 'integer';
+    if (/(Double|Float|Real|Decimal)$/.test(element)) return 'number';
+    if (typeof node === 'string' || hasValue) return 'string';
+    return 'object';
   }
 
   /**
-   * Generate token map for a user based on extracted config
+   * Convert a Settings element to its typed value (Value attribute, else the element text)
    */
-  generateTokenMap(config, username) {
-    const hyperMillInstall = config.paths.shared.hyperMillInstall?.value || 
-                             'C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0\\';
-    
-    return {
-      HYPERMILL: hyperMillInstall,
-      TOOLDB: 'C:\\Program Files\\OPEN MIND\\Tool Database\\33.0',
-      APPDATA: `C:\\Users\\${username}\\AppData\\Roaming`,
-      USER_CFG: `C:\\Users\\${username}\\AppData\\Roaming`,
-      VERSION: '33.0',
-      USER: username,
-      GWS: 'C:\\Users\\Public\\Documents\\OPEN MIND',
-      PUBLICDOCUMENTS: 'C:\\Users\\Public\\Documents',
-      COMMON_APPDATA: 'C:\\ProgramData'
+  typedSettingValue(type, node) {
+    if (type === 'object') return null;
+
+    const raw = typeof node === 'string'
+      ? node
+      : node && node.$ && node.$.Value !== undefined ? node.$.Value : node && node._;
+
+    if (raw === undefined || raw === null) return null;
+
+    switch (type) {
+      case 'boolean':
+        return /^(1|true|yes|on)$/i.test(String(raw).trim());
+      case 'integer': {
+        const value = parseInt(raw, 10);
+        return isNaN(value) ? raw : value;
+      }
+      case 'number': {
+        const value = parseFloat(String(raw).replace(',', '.'));
+        return isNaN(value) ? raw : value;
+      }
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Keep child sections no extractor reads in config.other.sections (raw xml2js objects)
+   * @param {Object} parent - xml2js node
+   * @param {Array} known - Child names that are extracted elsewhere
+   */
+  captureOtherSections(parent, known, config) {
+    Object.keys(parent || {})
+      .filter(name => name !== '$' && name !== '_' && !known.includes(name))
+      .forEach(name => {
+        const existing = config.other.sections[name];
+        config.other.sections[name] = existing === undefined
+          ? parent[name]
+          : [].concat(existing, parent[name]);
+      });
+  }
+
+  /**
+   * Visit every element below a node
+   * @param {Function} visit - (name, node, trail) => false to skip the node's children
+   */
+  walkXmlNodes(node, visit, trail = []) {
+    if (!node || typeof node !== 'object') return;
+
+    Object.keys(node)
+      .filter(name => name !== '$' && name !== '_')
+      .forEach(name => {
+        const children = Array.isArray(node[name]) ? node[name] : [node[name]];
+        children.forEach(child => {
+          if (visit(name, child, trail) !== false) {
+            this.walkXmlNodes(child, visit, trail.concat(name));
+          }
+        });
+      });
+  }
+
+  /**
+   * Scope of an element from its position in XSREGISTER.XML
+   */
+  scopeFromTrail(trail) {
+    if (trail.some(name => name.includes('UserSettings'))) return 'user';
+    if (trail.some(name => name.includes('AdminSettings'))) return 'admin';
+    return 'export';
+  }
+
+  /**
+   * Custom toolbars - every <Toolbar> element, wherever it is in the export
+   * Buttons/commands are the toolbar's child elements with their attributes,
+   * grouped by element name (the parsed XML object does not keep sibling order)
+   */
+  extractToolbars(hm, config) {
+    this.walkXmlNodes(hm, (name, node, trail) => {
+      if (name.split('.').pop().toLowerCase() !== 'toolbar') return true;
+
+      const attributes = (node && node.$) || {};
+      const items = [];
+      this.walkXmlNodes(typeof node === 'object' ? node : null, (itemName, itemNode) => {
+        items.push({
+          type: itemName,
+          ...((itemNode && itemNode.$) || {}),
+          ...(typeof itemNode === 'string' && itemNode ? { text: itemNode } : itemNode && itemNode._ ? { text: itemNode._ } : {})
+        });
+        return false;
+      });
+
+      config.toolbars.push({
+        name: attributes.Name || attributes.Key || null,
+        scope: this.scopeFromTrail(trail),
+        source: trail.concat(name).join('/'),
+        visible: attributes.Visible !== undefined ? /^(1|true)$/i.test(attributes.Visible) : null,
+        attributes,
+        text: typeof node === 'string' ? node : (node && node._) || null,
+        items
+      });
+      return false;
+    });
+  }
+
+  /**
+   * Report templates - <ReportTemplate> elements plus report paths in settings,
+   * user directories and user files (e.g. Key="tooldbReport")
+   */
+  extractReportTemplates(config) {
+    const add = (entry) => {
+      if (!entry.path && !entry.name) return;
+      if (entry.path && config.reportTemplates.some(t => t.path === entry.path && t.key === entry.key)) return;
+      config.reportTemplates.push({
+        ...entry,
+        type: entry.path ? (path.win32.extname(entry.path).slice(1).toLowerCase() || 'directory') : null
+      });
     };
+    const isReport = key => /report|hmrep/i.test(key || '');
+
+    Object.entries(config.paths.shared).forEach(([key, setting]) => {
+      if (isReport(key)) add({ name: key, key, scope: 'admin', source: 'paths.shared', path: setting.value || null });
+    });
+    Object.entries(config.userSettings).forEach(([key, setting]) => {
+      if (isReport(key) && setting && !Array.isArray(setting)) {
+        add({ name: key, key, scope: 'user', source: 'userSettings', path: setting.value || null });
+      }
+    });
+    (config.userSettings.userDirectories || []).forEach(dir => {
+      if (isReport(dir.key)) add({ name: dir.key, key: dir.key, scope: 'user', source: 'userDirectories', path: dir.path });
+    });
+    (config.userSettings.userFiles || []).forEach(file => {
+      if (isReport(file.key)) add({ name: file.key, key: file.key, scope: 'user', source: 'userFiles', path: file.path });
+    });
+
+    // Template elements in any section that was kept in config.other
+    this.walkXmlNodes(config.other.sections, (name, node, trail) => {
+      if (!/reporttemplate$/i.test(name.split('.').pop())) return true;
+
+      const attributes = (node && node.$) || {};
+      add({
+        name: attributes.Name || attributes.Key || null,
+        key: attributes.Key || null,
+        scope: this.scopeFromTrail(trail),
+        source: trail.concat(name).join('/'),
+        path: attributes.Path || attributes.File || attributes.Value || (typeof node === 'string' ? node : (node && node._) || null)
+      });
+      return false;
+    });
+  }
+
+  /**
+   * Write an edited configuration back into a .omSettings archive
+   * Uses an existing export as template: every archive entry and every XML node
+   * the parser does not extract is copied unchanged, only the attribute values
+   * that differ from the config object are rewritten in XSREGISTER.XML
+   * @param {Object} config - Configuration object (as returned by extractConfiguration)
+   * @param {string} templatePath - Path to the .omSettings file the config was parsed from
+   * @param {string} outputPath - Where to write the new archive (default: <template>.edited.omSettings)
+   * @returns {Promise<Object>} - { success, outputPath, changes }
+   */
+  async buildSettings(config, templatePath, outputPath) {
+    try {
+      if (!config || typeof config !== 'object') {
+        throw new Error('config object is required');
+      }
+
+      if (!fs.existsSync(templatePath)) {
+        throw new Error(`Template settings file not found: ${templatePath}`);
+      }
+
+      if (!this.isZipArchive(templatePath)) {
+        throw new Error('Template is not a valid ZIP archive');
+      }
+
+      const targetPath = outputPath ||
+        path.join(path.dirname(templatePath), `${path.basename(templatePath, '.omSettings')}.edited.omSettings`);
+
+      const tmpDir = path.join(path.dirname(templatePath), `.tmp_build_${Date.now()}`);
+      fs.mkdirSync(tmpDir, { recursive: true });
+
+      try {
+        await extract(templatePath, { dir: tmpDir });
+
+        const xsRegisterPath = path.join(tmpDir, 'XSREGISTER.XML');
+        if (!fs.existsSync(xsRegisterPath)) {
+          throw new Error('XSREGISTER.XML not found in template archive');
+        }
+
+        const xmlContent = fs.readFileSync(xsRegisterPath, 'utf-8');
+        const { xml, changes } = this.applyConfigToXml(xmlContent, config);
+        fs.writeFileSync(xsRegisterPath, xml, 'utf-8');
+
+        await this.writeArchive(tmpDir, targetPath);
+
+        return {
+          success: true,
+          outputPath: targetPath,
+          template: templatePath,
+          changes,
+          builtAt: new Date().toISOString()
+        };
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        template: templatePath
+      };
+    }
+  }
+
+  /**
+   * Patch XSREGISTER.XML text with values from a config object
+   * Walks the raw XML so that untouched bytes (formatting, comments, unknown nodes) are kept as-is
+   * Mirrors the element paths read by extractSettingPath/extractUserSettingsRecursively
+   * List entries are matched to elements by key, not position: machines and databases by the
+   * id the parser gave them (the exported Name/Path), user directories and files by Key.
+   * Entries without an id (configs parsed before ids existed) match on their current name/path.
+   * @returns {Object} - { xml, changes: [{ section, key, attribute, from, to }] }
+   */
+  applyConfigToXml(xmlContent, config) {
+    const edits = [];
+    const changes = [];
+    const claimed = new Set();
+
+    const userDirectories = (config.userSettings && config.userSettings.userDirectories) || [];
+    const userFiles = (config.userSettings && config.userSettings.userFiles) || [];
+
+    // First entry not yet matched whose key equals the element's exported value
+    const claim = (entries, value, entryKey) => {
+      if (value === undefined) return null;
+      const entry = (entries || []).find(e => e && !claimed.has(e) && entryKey(e) === value);
+      if (entry) claimed.add(entry);
+      return entry || null;
+    };
+    const idOr = field => e => (e.id !== undefined ? e.id : e[field]);
+
+    const patch = (attr, newValue, change) => {
+      if (!attr || newValue === undefined || newValue === null) return;
+      if (String(newValue) === this.decodeXmlEntities(attr.raw)) return;
+
+      edits.push({ start: attr.start, end: attr.end, text: this.escapeXmlAttribute(String(newValue)) });
+      changes.push({ ...change, from: this.decodeXmlEntities(attr.raw), to: String(newValue) });
+    };
+
+    this.walkXmlElements(xmlContent, (element, stack) => {
+      const parent = stack[stack.length - 1];
+      const names = stack.map(e => e.name).concat(element.name);
+      const endsWith = (...tail) => tail.every((n, i) => names[names.length - tail.length + i] === n);
+
+      // AdminSettings / UserSettings registry values (first ConfigRegistry only, like the parser)
+      if (element.name === 'ConfigRegistry' && parent && parent.name === 'Settings' &&
+          parent.attrs.Key && parent.seen.ConfigRegistry === 1) {
+        const key = parent.attrs.Key.value;
+
+        if (endsWith('Settings.AdminSettings', 'AdminSettings', 'AdminSettings', 'Settings', 'ConfigRegistry')) {
+          const entry = config.paths && config.paths.shared && config.paths.shared[key];
+          if (entry) {
+            patch(element.attrs.Value, entry.value, { section: 'paths.shared', key, attribute: 'Value' });
+            patch(element.attrs.Default, entry.default, { section: 'paths.shared', key, attribute: 'Default' });
+            patch(element.attrs.Path, entry.registryPath, { section: 'paths.shared', key, attribute: 'Path' });
+          }
+        } else if (endsWith('Settings.UserSettings', 'UserSettings', 'UserSettings', 'Settings', 'ConfigRegistry')) {
+          const entry = config.userSettings && config.userSettings[key];
+          if (entry) {
+            patch(element.attrs.Value, entry.value, { section: 'userSettings', key, attribute: 'Value' });
+            patch(element.attrs.Default, entry.default, { section: 'userSettings', key, attribute: 'Default' });
+          }
+        }
+        return;
+      }
+
+      // Machine definitions (Settings Key="MDF")
+      if (element.name === 'MachineDefinition' &&
+          endsWith('Settings', 'ConfigMDF', 'ConfigMDF.MDFiles', 'MDFiles', 'MachineDefinition') &&
+          stack[stack.length - 4].attrs.Key && stack[stack.length - 4].attrs.Key.value === 'MDF') {
+        const machine = claim(config.machines, element.attrs.Name && element.attrs.Name.value, idOr('name'));
+        if (machine) {
+          const key = machine.name;
+          patch(element.attrs.Name, machine.name, { section: 'machines', key, attribute: 'Name' });
+          patch(element.attrs.Path, machine.mdfPath, { section: 'machines', key, attribute: 'Path' });
+          patch(element.attrs.PostProcessor, machine.postProcessor, { section: 'machines', key, attribute: 'PostProcessor' });
+          patch(element.attrs.MachineModel, machine.machineModel, { section: 'machines', key, attribute: 'MachineModel' });
+        }
+        return;
+      }
+
+      // Global tool/macro databases (Settings Key="DBProjects")
+      if (endsWith('DatabaseProject', 'DatabaseProject.ToolDatabase', 'ToolDatabase') && element.attrs.Path) {
+        const db = claim(config.databases && config.databases.tool, element.attrs.Path.value, idOr('path'));
+        if (db) patch(element.attrs.Path, db.path, { section: 'databases.tool', key: db.path, attribute: 'Path' });
+        return;
+      }
+
+      if (endsWith('DatabaseProject', 'DatabaseProject.MacroDatabase', 'MacroDatabase') && element.attrs.Path) {
+        const db = claim(config.databases && config.databases.macro, element.attrs.Path.value, idOr('path'));
+        if (db) patch(element.attrs.Path, db.path, { section: 'databases.macro', key: db.path, attribute: 'Path' });
+        return;
+      }
+
+      // User directories and files (first child element only, like the parser)
+      if (element.name === 'PackageDirectory' && parent && parent.seen.PackageDirectory === 1 &&
+          endsWith('UserSettings', 'UserSettings.UserDirectories', 'UserDirectories', 'PackageDirectory')) {
+        const dir = claim(userDirectories, parent.attrs.Key && parent.attrs.Key.value, d => d.key);
+        if (dir) patch(element.attrs.Path, dir.path, { section: 'userSettings.userDirectories', key: dir.key, attribute: 'Path' });
+        return;
+      }
+
+      if (element.name === 'FilePath' && parent && parent.seen.FilePath === 1 &&
+          endsWith('UserSettings', 'UserSettings.UserFiles', 'UserFiles', 'FilePath')) {
+        const file = claim(userFiles, parent.attrs.Key && parent.attrs.Key.value, f => f.key);
+        if (file) patch(element.attrs.Path, file.path, { section: 'userSettings.userFiles', key: file.key, attribute: 'Path' });
+      }
+    });
+
+    // Apply edits back to front so earlier offsets stay valid
+    let xml = xmlContent;
+    edits
+      .sort((a, b) => b.start - a.start)
+      .forEach(edit => {
+        xml = xml.slice(0, edit.start) + edit.text + xml.slice(edit.end);
+      });
+
+    return { xml, changes };
+  }
+
+  /**
+   * Minimal XML walker that reports every opening tag with its ancestor stack
+   * Attribute values carry their offsets in the source text so they can be patched in place
+   * @param {string} xmlContent - Raw XML text
+   * @param {Function} onElement - Called with (element, stack) for every start tag
+   */
+  walkXmlElements(xmlContent, onElement) {
+    const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const attrRegex = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const stack = [];
+    let match;
+
+    while ((match = tokenRegex.exec(xmlContent)) !== null) {
+      if (match[1]) {
+        // Closing tag
+        while (stack.length > 0 && stack.pop().name !== match[1]) { /* tolerate unbalanced input */ }
+        continue;
+      }
+
+      if (!match[2]) continue; // Comment, CDATA, processing instruction, doctype
+
+      const attrs = {};
+      const attrText = match[3] || '';
+      const attrOffset = match.index + 1 + match[2].length;
+      let attrMatch;
+      attrRegex.lastIndex = 0;
+
+      while ((attrMatch = attrRegex.exec(attrText)) !== null) {
+        const raw = attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3];
+        const end = attrOffset + attrMatch.index + attrMatch[0].length - 1;
+        attrs[attrMatch[1]] = {
+          value: this.decodeXmlEntities(raw),
+          raw,
+          start: end - raw.length,
+          end
+        };
+      }
+
+      const element = { name: match[2], attrs, seen: {} };
+      const parent = stack[stack.length - 1];
+      if (parent) {
+        parent.seen[element.name] = (parent.seen[element.name] || 0) + 1;
+      }
+
+      onElement(element, stack);
+
+      if (match[4] !== '/') {
+        stack.push(element);
+      }
+    }
+  }
+
+  /**
+   * Decode the predefined XML entities and character references
+   */
+  decodeXmlEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+      const lower = code.toLowerCase();
+      if (lower === 'amp') return '&';
+      if (lower === 'lt') return '<';
+      if (lower === 'gt') return '>';
+      if (lower === 'quot') return '"';
+      if (lower === 'apos') return "'";
+      if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+      return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    });
+  }
+
+  /**
+   * Escape a value for use inside a double- or single-quoted XML attribute
+   */
+  escapeXmlAttribute(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Zip an extracted .omSettings directory back into an archive
+   */
+  writeArchive(sourceDir, outputPath) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(outputPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve({ path: outputPath, size: archive.pointer() }));
+      archive.on('error', reject);
+      output.on('error', reject);
+
+      archive.pipe(output);
+      archive.directory(sourceDir, false);
+      archive.finalize();
+    });
   }
 
   /**
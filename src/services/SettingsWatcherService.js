@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * SettingsWatcherService - Managed registry of .omSettings folder watchers
+ * - start/stop/list watchers; definitions are saved to data/watchers.json and restarted with the server
+ * - a detected file is reported only once it has stopped growing (size + mtime stable),
+ *   and only once per size + mtime (editors and copies fire several change events per save)
+ * - optional auto-import through the importer passed in by the caller
+ *
+ * Every event is emitted as 'event' ({ id, type, watcherId, username, path, ... })
+ * and, when an event bus is passed in, published on it under the topic 'watcher'
+ * Types: watcher-started, watcher-stopped, settings-detected, settings-imported, import-failed, watcher-error
+ */
+class SettingsWatcherService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {ConfigurationLocator} options.locator - Default watch paths and file globs
+   * @param {Function} options.importer - async (username, filePath) => { success, error, ... }
+   * @param {string} options.watchersFile - Where watcher definitions are persisted
+   * @param {number} options.stableIntervalMs - Time between size checks
+   * @param {number} options.stableChecks - Consecutive identical checks before a file counts as complete
+   * @param {EventBus} options.eventBus - Optional, receives every event (topic 'watcher')
+   * @param {NetworkAccessService} options.networkAccess - Optional, network paths are only watched once approved for the user
+   */
+  constructor(options = {}) {
+    super();
+    this.locator = options.locator;
+    this.importer = options.importer || null;
+    this.watchersFile = options.watchersFile || path.join(__dirname, '../../data/watchers.json');
+    this.stableIntervalMs = options.stableIntervalMs || 1000;
+    this.stableChecks = options.stableChecks || 2;
+    this.eventBus = options.eventBus || null;
+    this.networkAccess = options.networkAccess || null;
+
+    this.watchers = {}; // { watcherId: { definition, handles, pending } }
+    this.eventCounter = 0;
+  }
+
+  /**
+   * Restart watchers saved by a previous run
+   */
+  restoreWatchers() {
+    const definitions = this.loadDefinitions();
+
+    definitions.forEach(definition => {
+      const result = this.startWatcher(definition, { persist: false });
+      if (!result.success) {
+        console.warn(`Could not restore watcher ${definition.id}:`, result.error);
+      }
+    });
+
+    return { restored: Object.keys(this.watchers).length };
+  }
+
+  /**
+   * Start a watcher
+   * @param {Object} request - { username, paths?, autoImport? }
+   * @returns {Object} - { success, watcher }
+   */
+  startWatcher(request = {}, options = { persist: true }) {
+    if (!request.username) {
+      return { success: false, error: 'username is required' };
+    }
+
+    const requestedPaths = Array.isArray(request.paths) && request.paths.length > 0
+      ? request.paths
+      : this.locator.getDefaultWatchPaths(request.username);
+
+    const definition = {
+      id: request.id || `watch-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      username: request.username,
+      paths: requestedPaths,
+      autoImport: Boolean(request.autoImport),
+      createdAt: request.createdAt || new Date().toISOString()
+    };
+
+    if (this.watchers[definition.id]) {
+      return { success: false, error: `Watcher already running: ${definition.id}` };
+    }
+
+    const entry = {
+      definition,
+      handles: [],
+      watchedPaths: [],
+      skippedPaths: [],
+      pending: {}, // { filePath: timer } - files waiting to stop growing
+      handled: {}, // { filePath: { size, mtimeMs } } - last reported version of each file
+      startedAt: new Date().toISOString(),
+      detectedCount: 0,
+      importedCount: 0,
+      lastEvent: null
+    };
+
+    definition.paths.forEach(watchPath => {
+      try {
+        if (this.networkAccess && !this.networkAccess.checkAccess(definition.username, watchPath, 'watcher').allowed) {
+          entry.skippedPaths.push({ path: watchPath, reason: 'network access not approved' });
+          return;
+        }
+
+        if (!fs.existsSync(watchPath)) {
+          entry.skippedPaths.push({ path: watchPath, reason: 'not found' });
+          return;
+        }
+
+        const handle = fs.watch(watchPath, (eventType, filename) => {
+          if (filename) {
+            this.handleChange(entry, path.join(watchPath, filename.toString()));
+          }
+        });
+
+        handle.on('error', error => {
+          this.emitEvent(entry, 'watcher-error', { path: watchPath, error: error.message });
+        });
+
+        entry.handles.push(handle);
+        entry.watchedPaths.push(watchPath);
+      } catch (error) {
+        entry.skippedPaths.push({ path: watchPath, reason: error.message });
+      }
+    });
+
+    if (entry.handles.length === 0) {
+      return {
+        success: false,
+        error: 'None of the requested paths can be watched',
+        skippedPaths: entry.skippedPaths
+      };
+    }
+
+    this.watchers[definition.id] = entry;
+
+    if (options.persist) {
+      this.saveDefinitions();
+    }
+
+    this.emitEvent(entry, 'watcher-started', {
+      watchedPaths: entry.watchedPaths,
+      autoImport: definition.autoImport
+    });
+
+    return { success: true, watcher: this.describeWatcher(entry) };
+  }
+
+  /**
+   * Stop a watcher and forget its definition
+   */
+  stopWatcher(watcherId) {
+    const entry = this.watchers[watcherId];
+
+    if (!entry) {
+      return { success: false, error: `Watcher not found: ${watcherId}` };
+    }
+
+    this.closeWatcher(entry);
+    delete this.watchers[watcherId];
+    this.saveDefinitions();
+
+    this.emitEvent(entry, 'watcher-stopped', {});
+
+    return { success: true, watcher: this.describeWatcher(entry) };
+  }
+
+  /**
+   * Close all handles without changing the saved definitions (server shutdown)
+   */
+  closeAll() {
+    Object.values(this.watchers).forEach(entry => this.closeWatcher(entry));
+    this.watchers = {};
+  }
+
+  /**
+   * Close a watcher's fs handles and pending stability checks
+   */
+  closeWatcher(entry) {
+    entry.handles.forEach(handle => handle.close());
+    Object.values(entry.pending).forEach(timer => clearTimeout(timer));
+    entry.pending = {};
+  }
+
+  /**
+   * List running watchers (optionally for one user)
+   */
+  listWatchers(username) {
+    const watchers = Object.values(this.watchers)
+      .filter(entry => !username || entry.definition.username === username)
+      .map(entry => this.describeWatcher(entry));
+
+    return { success: true, count: watchers.length, watchers };
+  }
+
+  /**
+   * A file in a watched folder changed - wait until it has stopped growing
+   */
+  handleChange(entry, filePath) {
+    const matchesFile = this.locator.locatorConfig.createMatcher(
+      this.locator.locatorConfig.load().fileGlobs
+    );
+
+    if (!matchesFile(path.basename(filePath))) {
+      return;
+    }
+
+    // Already waiting for this file - the running check picks up the new size
+    if (entry.pending[filePath]) {
+      return;
+    }
+
+    this.waitUntilStable(entry, filePath, null, 0);
+  }
+
+  /**
+   * Poll size/mtime until they stay the same for `stableChecks` consecutive checks
+   */
+  waitUntilStable(entry, filePath, previous, stableCount) {
+    entry.pending[filePath] = setTimeout(() => {
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        // Deleted or renamed away before it finished
+        delete entry.pending[filePath];
+        return;
+      }
+
+      const current = { size: stats.size, mtimeMs: stats.mtimeMs };
+      const unchanged = previous &&
+        previous.size === current.size &&
+        previous.mtimeMs === current.mtimeMs;
+      const count = unchanged ? stableCount + 1 : 0;
+
+      if (count >= this.stableChecks) {
+        delete entry.pending[filePath];
+
+        // Further events for a version that was already reported (and imported)
+        const handled = entry.handled[filePath];
+        if (handled && handled.size === current.size && handled.mtimeMs === current.mtimeMs) {
+          return;
+        }
+        entry.handled[filePath] = current;
+
+        this.fileReady(entry, filePath, stats).catch(error => {
+          this.emitEvent(entry, 'import-failed', { path: filePath, error: error.message });
+        });
+        return;
+      }
+
+      this.waitUntilStable(entry, filePath, current, count);
+    }, this.stableIntervalMs);
+  }
+
+  /**
+   * A settings file is complete - report it and optionally import it
+   */
+  async fileReady(entry, filePath, stats) {
+    entry.detectedCount++;
+    this.emitEvent(entry, 'settings-detected', {
+      path: filePath,
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    });
+
+    if (!entry.definition.autoImport || !this.importer) {
+      return;
+    }
+
+    const result = await this.importer(entry.definition.username, filePath);
+
+    if (result.success) {
+      entry.importedCount++;
+      this.emitEvent(entry, 'settings-imported', {
+        path: filePath,
+        versionId: result.versionId || null
+      });
+    } else {
+      this.emitEvent(entry, 'import-failed', { path: filePath, error: result.error });
+    }
+  }
+
+  /**
+   * Build and emit an event (with the event bus id when publishing to a bus)
+   */
+  emitEvent(entry, type, data) {
+    const fields = {
+      type,
+      watcherId: entry.definition.id,
+      username: entry.definition.username,
+      ...data
+    };
+    const event = this.eventBus
+      ? this.eventBus.publish({ topic: 'watcher', ...fields })
+      : { id: ++this.eventCounter, timestamp: new Date().toISOString(), ...fields };
+
+    entry.lastEvent = event;
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Watcher as returned by the API
+   */
+  describeWatcher(entry) {
+    return {
+      ...entry.definition,
+      watchedPaths: entry.watchedPaths,
+      skippedPaths: entry.skippedPaths,
+      startedAt: entry.startedAt,
+      pendingFiles: Object.keys(entry.pending),
+      detectedCount: entry.detectedCount,
+      importedCount: entry.importedCount,
+      lastEvent: entry.lastEvent
+    };
+  }
+
+  /**
+   * Load saved watcher definitions
+   */
+  loadDefinitions() {
+    try {
+      if (fs.existsSync(this.watchersFile)) {
+        return JSON.parse(fs.readFileSync(this.watchersFile, 'utf8'));
+      }
+    } catch (error) {
+      console.warn('Could not load watcher definitions:', error.message);
+    }
+    return [];
+  }
+
+  /**
+   * Save definitions of running watchers
+   */
+  saveDefinitions() {
+    try {
+      fs.mkdirSync(path.dirname(this.watchersFile), { recursive: true });
+      fs.writeFileSync(
+        this.watchersFile,
+        JSON.stringify(Object.values(this.watchers).map(entry => entry.definition), null, 2)
+      );
+    } catch (error) {
+      console.error('Error saving watcher definitions:', error.message);
+    }
+  }
+}
+
+module.exports = SettingsWatcherService;
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const PATHS_CONFIG = require('../config/PATHS_CONFIG');
+
+// setTimeout fires at once for delays above 2^31-1 ms (~24.8 days) - longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const MAX_INTERVAL_HOURS = 24 * 365;
+
+/**
+ * SyncScheduler - Periodically walks all FileMapping entries and syncs server files
+ * For each mapping: check the server copy for changes, then either
+ * - copy the new version right away (mapping.autoApprove, old copy backed up), or
+ * - raise a ServerFileMonitor update notification for the user to approve
+ * Every run is appended to a JSON run log in the logs directory and, with an event bus,
+ * announced as sync-started / sync-completed (topic 'sync')
+ */
+class SyncScheduler {
+  /**
+   * @param {FileMapping} fileMapping
+   * @param {ServerFileMonitor} fileMonitor
+   * @param {Object} options - { intervalHours, runLogFile, maxLoggedRuns, eventBus, auditLog }
+   *   auditLog: AuditLogService that records every auto-sync (as system:sync-scheduler)
+   */
+  constructor(fileMapping, fileMonitor, options = {}) {
+    this.fileMapping = fileMapping;
+    this.fileMonitor = fileMonitor;
+    this.intervalHours = options.intervalHours || config.backup.autoBackup.intervalHours;
+    this.runLogFile = options.runLogFile || path.join(PATHS_CONFIG.getLogsDir(), 'sync-runs.json');
+    this.maxLoggedRuns = options.maxLoggedRuns || 200;
+    this.eventBus = options.eventBus || null;
+    this.auditLog = options.auditLog || null;
+
+    this.timer = null;
+    this.generation = 0; // Bumped by start/stop - timers of an older schedule never reschedule
+    this.running = false; // A run is in progress
+    this.startedAt = null;
+    this.nextRunAt = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the schedule (first run happens after one interval)
+   * @param {number} intervalHours - Optional override of the configured interval
+   */
+  start(intervalHours) {
+    if (intervalHours !== undefined && intervalHours !== null) {
+      const hours = Number(intervalHours);
+      if (!(hours > 0) || hours > MAX_INTERVAL_HOURS) {
+        return { success: false, error: `Invalid intervalHours: ${intervalHours} (0 < intervalHours <= ${MAX_INTERVAL_HOURS})` };
+      }
+      this.intervalHours = hours;
+    }
+
+    if (this.timer) {
+      return { success: false, error: 'Sync scheduler is already started', status: this.getStatus() };
+    }
+
+    this.generation++;
+    this.startedAt = new Date().toISOString();
+    this.scheduleNext();
+    console.log(`✓ Sync scheduler started (every ${this.intervalHours}h)`);
+
+    return { success: true, message: 'Sync scheduler started', status: this.getStatus() };
+  }
+
+  /**
+   * Stop the schedule (a run in progress finishes normally)
+   */
+  stop() {
+    if (!this.timer) {
+      return { success: false, error: 'Sync scheduler is not started', status: this.getStatus() };
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.generation++;
+    this.startedAt = null;
+    this.nextRunAt = null;
+    console.log('✓ Sync scheduler stopped');
+
+    return { success: true, message: 'Sync scheduler stopped', status: this.getStatus() };
+  }
+
+  /**
+   * Schedule the next run
+   */
+  scheduleNext() {
+    const runAt = Date.now() + this.intervalHours * 60 * 60 * 1000;
+    this.nextRunAt = new Date(runAt).toISOString();
+    this.waitUntil(runAt, this.generation);
+  }
+
+  /**
+   * Wait for the run time in steps setTimeout can handle, then run and reschedule
+   * Nothing happens once the schedule was stopped or restarted (generation changed)
+   */
+  waitUntil(runAt, generation) {
+    this.timer = setTimeout(async () => {
+      if (generation !== this.generation) return;
+
+      if (Date.now() < runAt) {
+        return this.waitUntil(runAt, generation);
+      }
+
+      await this.runOnce('schedule');
+      if (generation === this.generation) {
+        this.scheduleNext();
+      }
+    }, Math.min(Math.max(runAt - Date.now(), 0), MAX_TIMEOUT_MS));
+  }
+
+  /**
+   * Walk all mappings once
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} - Run record
+   */
+  async runOnce(trigger = 'manual') {
+    if (this.running) {
+      return { success: false, error: 'A sync run is already in progress' };
+    }
+
+    this.running = true;
+    const run = {
+      id: `sync-${Date.now()}`,
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      checked: 0,
+      updatesFound: 0,
+      autoSynced: 0,
+      notificationsCreated: 0,
+      errors: 0,
+      entries: []
+    };
+
+    if (this.eventBus) {
+      this.eventBus.publish({ topic: 'sync', type: 'sync-started', runId: run.id, trigger });
+    }
+
+    try {
+      const localPaths = Object.keys(this.fileMapping.mappings);
+
+      for (const localPath of localPaths) {
+        run.entries.push(await this.syncMapping(localPath));
+        run.checked++;
+      }
+    } finally {
+      run.entries.forEach(entry => {
+        if (entry.hasUpdate) run.updatesFound++;
+        if (entry.action === 'auto-synced') run.autoSynced++;
+        if (entry.action === 'notified') run.notificationsCreated++;
+        if (entry.action === 'error') run.errors++;
+      });
+
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+      this.lastRun = run;
+      this.running = false;
+      this.appendRunLog(run);
+
+      if (this.eventBus) {
+        const { id, ...summary } = this.summarizeRun(run);
+        this.eventBus.publish({ topic: 'sync', type: 'sync-completed', runId: id, ...summary, durationMs: run.durationMs });
+      }
+    }
+
+    console.log(`✓ Sync run ${run.id}: ${run.checked} checked, ${run.autoSynced} auto-synced, ${run.notificationsCreated} notified`);
+    return { success: true, run };
+  }
+
+  /**
+   * Check and sync a single mapping
+   * @returns {Promise<Object>} - Run log entry
+   */
+  async syncMapping(localPath) {
+    const mapping = this.fileMapping.mappings[localPath];
+    const entry = {
+      localPath,
+      serverPath: mapping.serverPath,
+      autoApprove: Boolean(mapping.autoApprove),
+      hasUpdate: false,
+      changeState: null,
+      action: 'none'
+    };
+
+    try {
+      const check = await this.fileMapping.checkForServerUpdate(localPath);
+
+      if (!check.success) {
+        return { ...entry, action: 'error', error: check.error };
+      }
+
+      entry.changeState = check.changeState || check.status;
+      entry.hasUpdate = Boolean(check.hasUpdate);
+
+      if (check.status === 'server-file-missing') {
+        return { ...entry, action: 'error', error: check.error };
+      }
+
+      if (!check.hasUpdate) {
+        return entry;
+      }
+
+      if (mapping.autoApprove) {
+        const before = { serverHash: mapping.lastServerHash || null, localHash: mapping.lastLocalHash || null };
+        const backupPath = await this.fileMonitor.replaceLocalWithServer(mapping.serverPath, localPath);
+        const synced = await this.fileMapping.markAsSynced(localPath);
+
+        if (!synced.success) {
+          return { ...entry, action: 'error', error: synced.error };
+        }
+
+        const notification = await this.fileMonitor.recordAutoSync(mapping.serverPath, localPath, backupPath);
+
+        if (this.auditLog) {
+          // markAsSynced stored the new hashes - read them from the mapping as it is now
+          const syncedMapping = this.fileMapping.mappings[localPath] || {};
+          await this.auditLog.record({
+            actor: 'system:sync-scheduler',
+            action: 'file-sync.auto-sync',
+            targetType: 'local-file',
+            target: localPath,
+            before,
+            after: {
+              serverPath: mapping.serverPath,
+              serverHash: syncedMapping.lastServerHash || null,
+              localHash: syncedMapping.lastLocalHash || null,
+              backupPath,
+              notificationId: notification ? notification.id : null
+            }
+          });
+        }
+        return { ...entry, action: 'auto-synced', backupPath };
+      }
+
+      if (this.fileMonitor.findPendingNotification(mapping.serverPath, localPath)) {
+        return { ...entry, action: 'already-notified' };
+      }
+
+      if (!fs.existsSync(localPath)) {
+        return { ...entry, action: 'error', error: `Local copy missing: ${localPath}` };
+      }
+
+      const notification = await this.fileMonitor.createUpdateNotification(mapping.serverPath, localPath);
+
+      if (!notification.success) {
+        // Local copy already matches the server content
+        return { ...entry, action: 'none', note: notification.message };
+      }
+
+      return { ...entry, action: 'notified', notificationId: notification.notification.id };
+    } catch (error) {
+      return { ...entry, action: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Append a run to the persisted run log
+   */
+  appendRunLog(run) {
+    try {
+      const runs = this.loadRunLog();
+      runs.push(run);
+
+      fs.mkdirSync(path.dirname(this.runLogFile), { recursive: true });
+      fs.writeFileSync(
+        this.runLogFile,
+        JSON.stringify(runs.slice(-this.maxLoggedRuns), null, 2)
+      );
+    } catch (error) {
+      console.error('Error writing sync run log:', error.message);
+    }
+  }
+
+  /**
+   * Load persisted run log (oldest first)
+   */
+  loadRunLog() {
+    try {
+      if (fs.existsSync(this.runLogFile)) {
+        return JSON.parse(fs.readFileSync(this.runLogFile, 'utf8'));
+      }
+    } catch (error) {
+      console.warn('Could not load sync run log:', error.message);
+    }
+    return [];
+  }
+
+  /**
+   * Get recent runs (newest first)
+   */
+  getRunLog(limit = 20) {
+    const runs = this.loadRunLog().reverse();
+    return {
+      success: true,
+      logFile: this.runLogFile,
+      count: Math.min(runs.length, limit),
+      total: runs.length,
+      runs: runs.slice(0, limit)
+    };
+  }
+
+  /**
+   * Run record without the per-mapping entries
+   */
+  summarizeRun(run) {
+    return {
+      id: run.id,
+      trigger: run.trigger,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      checked: run.checked,
+      updatesFound: run.updatesFound,
+      autoSynced: run.autoSynced,
+      notificationsCreated: run.notificationsCreated,
+      errors: run.errors
+    };
+  }
+
+  /**
+   * Current scheduler state
+   */
+  getStatus() {
+    return {
+      started: Boolean(this.timer),
+      runInProgress: this.running,
+      intervalHours: this.intervalHours,
+      startedAt: this.startedAt,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun ? this.summarizeRun(this.lastRun) : null,
+      runLogFile: this.runLogFile,
+      mappingsCount: Object.keys(this.fileMapping.mappings).length
+    };
+  }
+}
+
+SyncScheduler.MAX_INTERVAL_HOURS = MAX_INTERVAL_HOURS;
+
+module.exports = SyncScheduler;
@@ -0,0 +1,176 @@
+const path = require('path');
+const config = require('../../config');
+
+const TOKEN_PATTERN = /\[([A-Za-z0-9_]+)\]/g;
+const MAX_NESTING = 10;
+
+// Tokens defined by hyperMILL itself; settings keys with these names cannot replace them
+const RESERVED_TOKENS = [
+  'USER', 'APPDATA', 'USER_CFG', 'SWTEMPPATH', 'GWS', 'PUBLICDOCUMENTS', 'COMMON_APPDATA',
+  'VERSION', 'MAJOR_VERSION', 'HYPERMILL', 'TOOLDB'
+];
+
+/**
+ * TokenResolver - Resolves hyperMILL path placeholders ([HYPERMILL], [USER_CFG], [VERSION], ...)
+ * Token values come from the parsed .omSettings config itself:
+ * - version from config.version (33.0, 34.0, ...)
+ * - install path from the shared hyperMillInstall setting (falls back to config.hyperMill.installPath\<version>)
+ * - user directories and user settings (each key usable as [KEY])
+ *
+ * Token names are case-insensitive, values may contain other tokens ([SWTEMPPATH] → [USER_CFG]\...),
+ * and tokens without a value are reported instead of being left silently in the path.
+ */
+class TokenResolver {
+  /**
+   * @param {Object} options
+   * @param {string} options.installRoot - Folder holding the hyperMILL version folders
+   * @param {string} options.usersRoot - Windows profile root (C:\Users)
+   */
+  constructor(options = {}) {
+    this.installRoot = (options.installRoot || config.hyperMill.installPath).replace(/\\+$/, '');
+    this.usersRoot = options.usersRoot || 'C:\\Users';
+  }
+
+  /**
+   * hyperMILL version of a parsed config
+   * @returns {Object|null} - { version: '33.0', major: '33' } or null when the config has none
+   */
+  getVersion(parsedConfig) {
+    const version = parsedConfig && parsedConfig.version;
+    if (!version || !version.major) {
+      return null;
+    }
+
+    const major = String(version.major);
+    const minor = version.minor !== undefined && version.minor !== null ? String(version.minor) : '0';
+    return { version: `${major}.${minor}`, major };
+  }
+
+  /**
+   * Build the token map for a user from a parsed config
+   * Later sources win: defaults → user settings → user directories → overrides,
+   * except that user settings and directories never replace a reserved token (USER_CFG, HYPERMILL, ...)
+   * @param {Object} parsedConfig - Result of SettingsParser.extractConfiguration
+   * @param {string} username - User whose profile folders are used
+   * @param {Object} overrides - Extra or replacement tokens ({ TOOLDB: 'D:\\ToolDB' })
+   * @returns {Object} - { TOKEN: value } with upper-case names
+   */
+  buildTokenMap(parsedConfig, username, overrides = {}) {
+    const tokens = {};
+    const set = (name, value) => {
+      if (typeof value === 'string' && value.length > 0) {
+        tokens[name.toUpperCase()] = value;
+      }
+    };
+
+    const version = this.getVersion(parsedConfig);
+    const shared = (parsedConfig && parsedConfig.paths && parsedConfig.paths.shared) || {};
+    const userSettings = (parsedConfig && parsedConfig.userSettings) || {};
+    const installSetting = shared.hyperMillInstall && shared.hyperMillInstall.value;
+    const appData = `${this.usersRoot}\\${username}\\AppData\\Roaming`;
+
+    set('USER', username);
+    set('APPDATA', appData);
+    set('USER_CFG', '[APPDATA]');
+    set('SWTEMPPATH', '[USER_CFG]\\OPEN MIND\\temp\\');
+    set('GWS', 'C:\\Users\\Public\\Documents\\OPEN MIND');
+    set('PUBLICDOCUMENTS', 'C:\\Users\\Public\\Documents');
+    set('COMMON_APPDATA', 'C:\\ProgramData');
+
+    if (version) {
+      set('VERSION', version.version);
+      set('MAJOR_VERSION', version.major);
+      set('HYPERMILL', `${this.installRoot}\\[VERSION]`);
+      set('TOOLDB', `${path.win32.dirname(this.installRoot)}\\Tool Database\\[VERSION]`);
+    }
+
+    if (installSetting) {
+      set('HYPERMILL', installSetting.replace(/\\+$/, ''));
+    }
+
+    // Scalar user settings and user directories can be referenced by their key
+    const setUserKey = (key, value) => {
+      if (typeof key === 'string' && !RESERVED_TOKENS.includes(key.toUpperCase())) {
+        set(key, value);
+      }
+    };
+    Object.entries(userSettings).forEach(([key, setting]) => {
+      if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+        setUserKey(key, setting.value);
+      }
+    });
+    (userSettings.userDirectories || []).forEach(dir => setUserKey(dir.key, dir.path));
+
+    Object.entries(overrides).forEach(([name, value]) => set(name, value));
+
+    return tokens;
+  }
+
+  /**
+   * Replace every token in a path (case-insensitive, nested values resolved)
+   * @param {string} pathString - Path with [TOKEN] placeholders
+   * @param {Object} tokenMap - From buildTokenMap()
+   * @returns {Object} - { path, template, resolved, unresolved: [TOKEN], tokens: [TOKEN] }
+   */
+  resolve(pathString, tokenMap) {
+    if (typeof pathString !== 'string' || pathString.length === 0) {
+      return { path: pathString, template: pathString, resolved: true, unresolved: [], tokens: [] };
+    }
+
+    const lookup = Object.fromEntries(
+      Object.entries(tokenMap || {}).map(([name, value]) => [name.toUpperCase(), value])
+    );
+    const used = new Set();
+    const unresolved = new Set();
+
+    const expand = (text, chain) => text.replace(TOKEN_PATTERN, (token, rawName) => {
+      const name = rawName.toUpperCase();
+      const value = lookup[name];
+
+      if (value === undefined) {
+        unresolved.add(name);
+        return token;
+      }
+
+      // Self-referencing or too deeply nested values stay as they are
+      if (chain.includes(name) || chain.length >= MAX_NESTING) {
+        unresolved.add(name);
+        return token;
+      }
+
+      used.add(name);
+      return expand(value, [...chain, name]);
+    });
+
+    const resolvedPath = expand(pathString, []);
+
+    return {
+      path: resolvedPath,
+      template: pathString,
+      resolved: unresolved.size === 0,
+      unresolved: [...unresolved],
+      tokens: [...used]
+    };
+  }
+
+  /**
+   * Resolve every value of a token map, so callers see final paths
+   * @returns {Object} - { tokens: { TOKEN: resolvedValue }, unresolved: { TOKEN: [missing] } }
+   */
+  resolveTokenMap(tokenMap) {
+    const tokens = {};
+    const unresolved = {};
+
+    Object.entries(tokenMap).forEach(([name, value]) => {
+      const result = this.resolve(value, tokenMap);
+      tokens[name] = result.path;
+      if (!result.resolved) {
+        unresolved[name] = result.unresolved;
+      }
+    });
+
+    return { tokens, unresolved };
+  }
+}
+
+module.exports = TokenResolver;
@@ -1,13 +1,23 @@
 const fs = require('fs');
 const path = require('path');
+const DriveMap = require('./DriveMap');
+const TokenResolver = require('./TokenResolver');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]+$/;
 
 /**
  * UserProfileService - Manages per-user HyperMILL profiles and settings
  * Stores .omSettings files and parsed configuration per user
+ *
+ * Users can run several hyperMILL versions side by side: every settings version records
+ * the hyperMILL version it belongs to, and the latest parsed config / scanner config of each
+ * hyperMILL version is kept under parsed/hypermill/<33.0>/ and scanner-config/hypermill/<33.0>/
  */
 class UserProfileService {
   constructor(profilesDir) {
     this.profilesDir = profilesDir || path.join(__dirname, '../../data/user-profiles');
+    this.driveMap = new DriveMap();
+    this.tokenResolver = new TokenResolver();
     this.ensureProfilesDir();
   }
 
@@ -20,10 +30,21 @@ class UserProfileService {
     }
   }
 
+  /**
+   * Whether a username can name a profile folder (no separators, not "." or "..")
+   */
+  isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username) && !/^\.+$/.test(username);
+  }
+
   /**
    * Get user profile directory
+   * @throws {Error} - For usernames that would leave the profiles folder
    */
   getUserProfileDir(username) {
+    if (!this.isValidUsername(username)) {
+      throw new Error(`Invalid username: ${username}`);
+    }
     return path.join(this.profilesDir, username);
   }
 
@@ -51,31 +72,55 @@ class UserProfileService {
 
   /**
    * Save .omSettings file for user
+   * Every save becomes a new version; latest.omSettings always holds the current one
+   * @param {string} username - Profile owner
+   * @param {string} settingsFilePath - File to store
+   * @param {Object} options - { source: 'upload'|'auto-import'|'import-file'|..., originalName,
+   *   hyperMillVersion: '34.0' when known before parsing (e.g. found in a version folder),
+   *   current: false to store the version without making it current (see promoteVersion) }
    */
-  saveUserSettings(username, settingsFilePath) {
+  saveUserSettings(username, settingsFilePath, options = {}) {
     try {
       if (!fs.existsSync(settingsFilePath)) {
         throw new Error(`Settings file not found: ${settingsFilePath}`);
       }
 
       const userDir = this.createUserProfile(username);
-      const fileName = `user-settings-${Date.now()}.omSettings`;
-      const destPath = path.join(userDir, 'settings', fileName);
-
-      fs.copyFileSync(settingsFilePath, destPath);
+      const index = this.loadVersionIndex(username);
+      const { versionId, fileName, destPath } = this.copyNewVersionFile(userDir, index, settingsFilePath);
 
       // Update symlink to latest
       const latestLink = path.join(userDir, 'settings', 'latest.omSettings');
-      if (fs.existsSync(latestLink)) {
-        fs.unlinkSync(latestLink);
+      if (options.current !== false) {
+        if (fs.existsSync(latestLink)) {
+          fs.unlinkSync(latestLink);
+        }
+        fs.copyFileSync(settingsFilePath, latestLink);
       }
-      fs.copyFileSync(settingsFilePath, latestLink);
+
+      // Record version metadata
+      index.versions.push({
+        id: versionId,
+        filename: fileName,
+        savedAt: new Date().toISOString(),
+        size: fs.statSync(destPath).size,
+        source: options.source || 'unknown',
+        originalName: options.originalName || path.basename(settingsFilePath),
+        hyperMillVersion: this.describeHyperMillVersion(options.hyperMillVersion),
+        machineCount: null,
+        hasParsedConfig: false
+      });
+      if (options.current !== false) {
+        index.currentVersionId = versionId;
+      }
+      this.saveVersionIndex(username, index);
 
       return {
         success: true,
         savedPath: destPath,
-        latestPath: latestLink,
-        filename: fileName
+        latestPath: options.current !== false ? latestLink : null,
+        filename: fileName,
+        versionId
       };
     } catch (error) {
       return {
@@ -108,23 +153,91 @@ class UserProfileService {
     return { found: false };
   }
 
+  /**
+   * Get a specific stored settings file for user
+   * @param {string} username - Profile owner
+   * @param {string} fileId - Timestamp or filename (user-settings-<ts>.omSettings)
+   */
+  getUserSettingsFile(username, fileId) {
+    if (!fileId) return { found: false };
+
+    const settingsDir = path.join(this.getUserProfileDir(username), 'settings');
+    const candidates = [
+      fileId,
+      `${fileId}.omSettings`,
+      `user-settings-${fileId}.omSettings`
+    ];
+
+    for (const candidate of candidates) {
+      // Only plain .omSettings filenames inside the settings directory
+      if (path.basename(candidate) !== candidate || !candidate.endsWith('.omSettings')) continue;
+
+      const filePath = path.join(settingsDir, candidate);
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        const stats = fs.statSync(filePath);
+        return {
+          found: true,
+          path: filePath,
+          filename: candidate,
+          size: stats.size,
+          modifiedAt: stats.mtime.toISOString()
+        };
+      }
+    }
+
+    return { found: false };
+  }
+
   /**
    * Save parsed configuration for user
+   * @param {string} username - Profile owner
+   * @param {Object} configObject - Parsed configuration
+   * @param {string} versionId - Settings version the config belongs to (default: current version)
    */
-  saveParsedConfig(username, configObject) {
+  saveParsedConfig(username, configObject, versionId) {
     try {
       const userDir = this.createUserProfile(username);
       const configPath = path.join(userDir, 'parsed', 'config.json');
-      
-      fs.writeFileSync(
-        configPath,
-        JSON.stringify(configObject, null, 2),
-        'utf-8'
-      );
+      const index = this.loadVersionIndex(username);
+      const targetVersionId = versionId || index.currentVersionId;
+
+      // Only the current version is mirrored to parsed/config.json
+      if (!targetVersionId || targetVersionId === index.currentVersionId) {
+        fs.writeFileSync(
+          configPath,
+          JSON.stringify(configObject, null, 2),
+          'utf-8'
+        );
+      }
+
+      const version = index.versions.find(v => v.id === targetVersionId);
+      if (version) {
+        const versionConfigPath = this.getVersionConfigPath(username, version.id);
+        fs.mkdirSync(path.dirname(versionConfigPath), { recursive: true });
+        fs.writeFileSync(versionConfigPath, JSON.stringify(configObject, null, 2), 'utf-8');
+
+        version.hasParsedConfig = true;
+        version.parsedAt = new Date().toISOString();
+        version.hyperMillVersion = this.describeHyperMillVersion(configObject.version) || version.hyperMillVersion;
+        version.machineCount = Array.isArray(configObject.machines) ? configObject.machines.length : 0;
+        this.saveVersionIndex(username, index);
+      }
+
+      // Newest parsed config of each hyperMILL version, side by side
+      const hyperMill = this.describeHyperMillVersion(configObject.version);
+      let hyperMillConfigPath = null;
+      if (hyperMill && this.isLatestForHyperMillVersion(index, version, hyperMill.label)) {
+        hyperMillConfigPath = this.getHyperMillConfigPath(username, hyperMill.label);
+        fs.mkdirSync(path.dirname(hyperMillConfigPath), { recursive: true });
+        fs.writeFileSync(hyperMillConfigPath, JSON.stringify(configObject, null, 2), 'utf-8');
+      }
 
       return {
         success: true,
         path: configPath,
+        versionId: version ? version.id : null,
+        hyperMillVersion: hyperMill ? hyperMill.label : null,
+        hyperMillConfigPath,
         savedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -137,14 +250,14 @@ class UserProfileService {
 
   /**
    * Get parsed configuration for user
+   * @param {string} username - Profile owner
+   * @param {string} hyperMillVersion - Optional '34.0': that version's config instead of the current one
    */
-  getParsedConfig(username) {
+  getParsedConfig(username, hyperMillVersion) {
     try {
-      const configPath = path.join(
-        this.getUserProfileDir(username),
-        'parsed',
-        'config.json'
-      );
+      const configPath = hyperMillVersion
+        ? this.getHyperMillConfigPath(username, this.normalizeHyperMillLabel(hyperMillVersion))
+        : path.join(this.getUserProfileDir(username), 'parsed', 'config.json');
 
       if (!fs.existsSync(configPath)) {
         return { found: false };
@@ -164,23 +277,416 @@ class UserProfileService {
     }
   }
 
+  /**
+   * Path of the version index file
+   */
+  getVersionIndexPath(username) {
+    return path.join(this.getUserProfileDir(username), 'settings', 'versions.json');
+  }
+
+  /**
+   * Path of the parsed config stored for a settings version
+   */
+  getVersionConfigPath(username, versionId) {
+    return path.join(this.getUserProfileDir(username), 'parsed', 'versions', `${versionId}.json`);
+  }
+
+  /**
+   * Path of the newest parsed config of a hyperMILL version
+   */
+  getHyperMillConfigPath(username, label) {
+    return path.join(this.getUserProfileDir(username), 'parsed', 'hypermill', label, 'config.json');
+  }
+
+  /**
+   * Path of the scanner config generated for a hyperMILL version
+   */
+  getHyperMillScannerConfigPath(username, label) {
+    return path.join(this.getUserProfileDir(username), 'scanner-config', 'hypermill', label, 'scan-paths.json');
+  }
+
+  /**
+   * Normalise '34', 'v34.0' or '34.0' to the '34.0' label used for folders
+   */
+  normalizeHyperMillLabel(hyperMillVersion) {
+    const match = String(hyperMillVersion).match(/(\d+)(?:\.(\d+))?/);
+    if (!match) {
+      throw new Error(`Invalid hyperMILL version: ${hyperMillVersion}`);
+    }
+    return `${match[1]}.${match[2] || 0}`;
+  }
+
+  /**
+   * Is a settings version the newest one of its hyperMILL version?
+   * Configs parsed without a settings version (no index yet) always count as newest
+   */
+  isLatestForHyperMillVersion(index, version, label) {
+    if (!version) return true;
+
+    const newer = index.versions.filter(v =>
+      Number(v.id) > Number(version.id) &&
+      v.hasParsedConfig &&
+      v.hyperMillVersion && v.hyperMillVersion.label === label
+    );
+    return newer.length === 0;
+  }
+
+  /**
+   * hyperMILL versions this user has settings for, newest version first
+   * @returns {Object} - { found, versions: [{ label, major, latestVersionId, settingsVersions, hasParsedConfig, hasScannerConfig }] }
+   */
+  listHyperMillVersions(username) {
+    if (!fs.existsSync(this.getUserProfileDir(username))) {
+      return { found: false, versions: [] };
+    }
+
+    const index = this.loadVersionIndex(username);
+    const byLabel = {};
+
+    index.versions.forEach(v => {
+      const label = v.hyperMillVersion ? v.hyperMillVersion.label : 'unknown';
+      if (!byLabel[label]) {
+        byLabel[label] = {
+          label,
+          major: v.hyperMillVersion ? v.hyperMillVersion.major : null,
+          settingsVersions: 0,
+          latestVersionId: null,
+          latestSavedAt: null
+        };
+      }
+      byLabel[label].settingsVersions++;
+      byLabel[label].latestVersionId = v.id;
+      byLabel[label].latestSavedAt = v.savedAt;
+    });
+
+    const current = index.versions.find(v => v.id === index.currentVersionId);
+    const versions = Object.values(byLabel)
+      .map(entry => ({
+        ...entry,
+        isCurrent: Boolean(current && (current.hyperMillVersion ? current.hyperMillVersion.label : 'unknown') === entry.label),
+        hasParsedConfig: entry.label !== 'unknown' && fs.existsSync(this.getHyperMillConfigPath(username, entry.label)),
+        hasScannerConfig: entry.label !== 'unknown' && fs.existsSync(this.getHyperMillScannerConfigPath(username, entry.label))
+      }))
+      .sort((a, b) => (parseFloat(b.label) || 0) - (parseFloat(a.label) || 0));
+
+    return { found: true, username, count: versions.length, versions };
+  }
+
+  /**
+   * Copy a settings file in as a new version
+   * Ids are millisecond timestamps, bumped past the newest known id so two saves within
+   * the same millisecond (or after a clock step back) never share a file
+   * @returns {Object} - { versionId, fileName, destPath }
+   */
+  copyNewVersionFile(userDir, index, settingsFilePath) {
+    const newest = index.versions.reduce((max, v) => Math.max(max, Number(v.id) || 0), 0);
+    let id = Math.max(Date.now(), newest + 1);
+
+    for (;;) {
+      const fileName = `user-settings-${id}.omSettings`;
+      const destPath = path.join(userDir, 'settings', fileName);
+      try {
+        fs.copyFileSync(settingsFilePath, destPath, fs.constants.COPYFILE_EXCL);
+        return { versionId: String(id), fileName, destPath };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        id++;
+      }
+    }
+  }
+
+  /**
+   * Load version index, adding settings files saved before versions were tracked
+   */
+  loadVersionIndex(username) {
+    const index = { currentVersionId: null, versions: [] };
+
+    try {
+      const indexPath = this.getVersionIndexPath(username);
+      if (fs.existsSync(indexPath)) {
+        Object.assign(index, JSON.parse(fs.readFileSync(indexPath, 'utf-8')));
+      }
+    } catch (error) {
+      console.warn(`Could not load version index for ${username}:`, error.message);
+    }
+
+    const settingsDir = path.join(this.getUserProfileDir(username), 'settings');
+    if (fs.existsSync(settingsDir)) {
+      fs.readdirSync(settingsDir).forEach(file => {
+        const match = file.match(/^user-settings-(\d+)\.omSettings$/);
+        if (match && !index.versions.some(v => v.id === match[1])) {
+          const stats = fs.statSync(path.join(settingsDir, file));
+          index.versions.push({
+            id: match[1],
+            filename: file,
+            savedAt: new Date(Number(match[1])).toISOString(),
+            size: stats.size,
+            source: 'unknown',
+            originalName: null,
+            hyperMillVersion: null,
+            machineCount: null,
+            hasParsedConfig: fs.existsSync(this.getVersionConfigPath(username, match[1]))
+          });
+        }
+      });
+    }
+
+    index.versions.sort((a, b) => Number(a.id) - Number(b.id));
+
+    if (!index.currentVersionId && index.versions.length > 0) {
+      index.currentVersionId = index.versions[index.versions.length - 1].id;
+    }
+
+    return index;
+  }
+
+  /**
+   * Save version index
+   */
+  saveVersionIndex(username, index) {
+    fs.writeFileSync(
+      this.getVersionIndexPath(username),
+      JSON.stringify(index, null, 2),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Describe a hyperMILL version
+   * @param {Object|string} version - config.version ({ name, major, minor }) or a label such as '34.0'
+   */
+  describeHyperMillVersion(version) {
+    if (typeof version === 'string' || typeof version === 'number') {
+      const label = this.normalizeHyperMillLabel(version);
+      const [major, minor] = label.split('.');
+      return { name: null, major, minor, label };
+    }
+    if (!version || !version.major) return null;
+    return {
+      name: version.name || null,
+      major: version.major,
+      minor: version.minor || null,
+      label: `${version.major}.${version.minor || 0}`
+    };
+  }
+
+  /**
+   * List all stored settings versions for user (newest first)
+   */
+  listVersions(username) {
+    try {
+      if (!fs.existsSync(this.getUserProfileDir(username))) {
+        return { found: false, versions: [] };
+      }
+
+      const index = this.loadVersionIndex(username);
+      const versions = index.versions
+        .map(v => ({ ...v, isCurrent: v.id === index.currentVersionId }))
+        .reverse();
+
+      return {
+        found: true,
+        username,
+        currentVersionId: index.currentVersionId,
+        count: versions.length,
+        versions
+      };
+    } catch (error) {
+      return {
+        found: false,
+        error: error.message,
+        versions: []
+      };
+    }
+  }
+
+  /**
+   * Get a single settings version with its parsed config (if parsed)
+   */
+  getVersion(username, versionId) {
+    try {
+      const index = this.loadVersionIndex(username);
+      const version = index.versions.find(v => v.id === versionId);
+
+      if (!version) {
+        return { found: false };
+      }
+
+      const settingsPath = path.join(this.getUserProfileDir(username), 'settings', version.filename);
+      const configPath = this.getVersionConfigPath(username, version.id);
+      const config = fs.existsSync(configPath)
+        ? JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+        : null;
+
+      return {
+        found: true,
+        version: { ...version, isCurrent: version.id === index.currentVersionId },
+        settingsPath,
+        fileExists: fs.existsSync(settingsPath),
+        config
+      };
+    } catch (error) {
+      return {
+        found: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Make a stored version the current one
+   * Copies its .omSettings over latest.omSettings and its parsed config (when parsed) over parsed/config.json
+   * @param {Object} changes - Extra fields recorded on the version (e.g. restoredAt)
+   * @returns {Object} - { success, versionId, previousVersionId, version }
+   */
+  promoteVersion(username, versionId, changes = {}) {
+    try {
+      const result = this.getVersion(username, versionId);
+
+      if (!result.found) {
+        return { success: false, error: `Version not found: ${versionId}` };
+      }
+
+      if (!result.fileExists) {
+        return { success: false, error: `Settings file missing for version: ${versionId}` };
+      }
+
+      const userDir = this.createUserProfile(username);
+      const index = this.loadVersionIndex(username);
+      const previousVersionId = index.currentVersionId;
+
+      fs.copyFileSync(result.settingsPath, path.join(userDir, 'settings', 'latest.omSettings'));
+      if (result.config) {
+        fs.writeFileSync(
+          path.join(userDir, 'parsed', 'config.json'),
+          JSON.stringify(result.config, null, 2),
+          'utf-8'
+        );
+      }
+
+      const version = index.versions.find(v => v.id === versionId);
+      Object.assign(version, changes);
+      index.currentVersionId = versionId;
+      this.saveVersionIndex(username, index);
+
+      return { success: true, versionId, previousVersionId, version };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove a version that was stored but never became current (a failed import)
+   * The current version cannot be removed
+   */
+  discardVersion(username, versionId) {
+    try {
+      const indexPath = this.getVersionIndexPath(username);
+      const stored = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf-8')) : {};
+
+      if (stored.currentVersionId === versionId) {
+        return { success: false, error: `Version ${versionId} is the current version` };
+      }
+
+      const index = this.loadVersionIndex(username);
+      const version = index.versions.find(v => v.id === versionId);
+
+      if (!version) {
+        return { success: false, error: `Version not found: ${versionId}` };
+      }
+
+      fs.rmSync(path.join(this.getUserProfileDir(username), 'settings', version.filename), { force: true });
+      fs.rmSync(this.getVersionConfigPath(username, versionId), { force: true });
+
+      index.versions = index.versions.filter(v => v.id !== versionId);
+      index.currentVersionId = stored.currentVersionId || null;
+      this.saveVersionIndex(username, index);
+
+      return { success: true, versionId };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Promote an older version back to latest
+   * Copies its .omSettings over latest.omSettings and its parsed config over parsed/config.json
+   */
+  restoreVersion(username, versionId) {
+    try {
+      const result = this.getVersion(username, versionId);
+
+      if (!result.found) {
+        return { success: false, error: `Version not found: ${versionId}` };
+      }
+
+      if (!result.fileExists) {
+        return { success: false, error: `Settings file missing for version: ${versionId}` };
+      }
+
+      if (!result.config) {
+        return { success: false, error: `Version ${versionId} has not been parsed yet` };
+      }
+
+      const promoted = this.promoteVersion(username, versionId, { restoredAt: new Date().toISOString() });
+
+      if (!promoted.success) {
+        return promoted;
+      }
+
+      return {
+        success: true,
+        username,
+        restoredVersionId: versionId,
+        previousVersionId: promoted.previousVersionId,
+        restoredAt: promoted.version.restoredAt
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Save scanner configuration (paths to scan for this user)
+   * @param {Object} options - { current: false } to store only the hyperMILL version copy
+   *   (used when generating for a version that is not the user's current one)
    */
-  saveScannerConfig(username, scannerConfig) {
+  saveScannerConfig(username, scannerConfig, options = {}) {
     try {
       const userDir = this.createUserProfile(username);
       const configPath = path.join(userDir, 'scanner-config', 'scan-paths.json');
       
-      fs.writeFileSync(
-        configPath,
-        JSON.stringify(scannerConfig, null, 2),
-        'utf-8'
-      );
+      if (options.current !== false) {
+        fs.writeFileSync(
+          configPath,
+          JSON.stringify(scannerConfig, null, 2),
+          'utf-8'
+        );
+      }
+
+      let hyperMillConfigPath = null;
+      if (scannerConfig.hyperMillVersion) {
+        hyperMillConfigPath = this.getHyperMillScannerConfigPath(
+          username,
+          this.normalizeHyperMillLabel(scannerConfig.hyperMillVersion)
+        );
+        fs.mkdirSync(path.dirname(hyperMillConfigPath), { recursive: true });
+        fs.writeFileSync(hyperMillConfigPath, JSON.stringify(scannerConfig, null, 2), 'utf-8');
+      }
 
       return {
         success: true,
-        path: configPath,
+        path: options.current !== false ? configPath : hyperMillConfigPath,
+        hyperMillConfigPath,
         savedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -193,14 +699,13 @@ class UserProfileService {
 
   /**
    * Get scanner configuration for user
+   * @param {string} hyperMillVersion - Optional '34.0': the scanner config of that version
    */
-  getScannerConfig(username) {
+  getScannerConfig(username, hyperMillVersion) {
     try {
-      const configPath = path.join(
-        this.getUserProfileDir(username),
-        'scanner-config',
-        'scan-paths.json'
-      );
+      const configPath = hyperMillVersion
+        ? this.getHyperMillScannerConfigPath(username, this.normalizeHyperMillLabel(hyperMillVersion))
+        : path.join(this.getUserProfileDir(username), 'scanner-config', 'scan-paths.json');
 
       if (!fs.existsSync(configPath)) {
         return { found: false };
@@ -225,33 +730,40 @@ class UserProfileService {
    */
   generateScannerConfig(username, parsedConfig) {
     try {
-      // Generate token map for this user
-      const tokenMap = this.generateTokenMap(username);
+      // Token values come from the parsed config (version, install path, user directories)
+      const tokenMap = this.tokenResolver.buildTokenMap(parsedConfig, username);
+      const unresolvedTokens = new Set();
+      const mapPath = template => {
+        const result = this.tokenResolver.resolve(template, tokenMap);
+        result.unresolved.forEach(token => unresolvedTokens.add(token));
+        return result;
+      };
 
       const scanConfig = {
         username,
         generatedAt: new Date().toISOString(),
         sourceScan: 'hyperMILL-omSettings',
-        tokenMap,
+        hyperMillVersion: tokenMap.VERSION || null,
+        tokenMap: this.tokenResolver.resolveTokenMap(tokenMap).tokens,
         pathsToScan: []
       };
 
       // Add user-specific directories with mapped paths
       if (parsedConfig.userSettings && parsedConfig.userSettings.userDirectories) {
         parsedConfig.userSettings.userDirectories.forEach(dir => {
-          const mappedPath = this.mapPathTokens(dir.path, tokenMap);
-          
           // Skip company-wide configs for now (they're templates)
           if (dir.key.includes('company')) {
             return;
           }
 
+          const mapped = mapPath(dir.path);
           scanConfig.pathsToScan.push({
-            path: mappedPath,
+            path: mapped.path,
             pathTemplate: dir.path,
             type: this.categorizePathType(dir.key),
             description: `HyperMILL ${dir.key}`,
-            key: dir.key
+            key: dir.key,
+            ...(mapped.resolved ? {} : { unresolvedTokens: mapped.unresolved })
           });
         });
       }
@@ -259,17 +771,17 @@ class UserProfileService {
       // Add user files
       if (parsedConfig.userSettings && parsedConfig.userSettings.userFiles) {
         parsedConfig.userSettings.userFiles.forEach(file => {
-          const mappedPath = this.mapPathTokens(file.path, tokenMap);
-          
           // Skip company files and focus on user-specific files
           if (!file.key.includes('company')) {
+            const mapped = mapPath(file.path);
             scanConfig.pathsToScan.push({
-              path: mappedPath,
+              path: mapped.path,
               pathTemplate: file.path,
               type: 'user-config-file',
               description: `HyperMILL user file: ${file.key}`,
               key: file.key,
-              isFile: true
+              isFile: true,
+              ...(mapped.resolved ? {} : { unresolvedTokens: mapped.unresolved })
             });
           }
         });
@@ -281,7 +793,7 @@ class UserProfileService {
           name: m.name,
           mdfPath: m.mdfPath,
           postProcessor: m.postProcessor,
-          isNetworkPath: m.mdfPath && (m.mdfPath.startsWith('\\\\') || m.mdfPath.startsWith('Y:\\'))
+          isNetworkPath: this.driveMap.isNetworkPath(m.mdfPath)
         }));
       }
 
@@ -291,12 +803,12 @@ class UserProfileService {
           toolDatabases: (parsedConfig.databases.tool || []).map(db => ({
             path: db.path,
             type: db.type,
-            isNetworkPath: db.path && (db.path.startsWith('\\\\') || db.path.startsWith('Y:\\'))
+            isNetworkPath: this.driveMap.isNetworkPath(db.path)
           })),
           macroDatabases: (parsedConfig.databases.macro || []).map(db => ({
             path: db.path,
             type: db.type,
-            isNetworkPath: db.path && (db.path.startsWith('\\\\') || db.path.startsWith('Y:\\'))
+            isNetworkPath: this.driveMap.isNetworkPath(db.path)
           }))
         };
       }
@@ -310,6 +822,8 @@ class UserProfileService {
         }));
       }
 
+      scanConfig.unresolvedTokens = [...unresolvedTokens];
+
       return scanConfig;
     } catch (error) {
       throw new Error(`Failed to generate scanner config: ${error.message}`);
@@ -327,44 +841,6 @@ class UserProfileService {
     return 'other';
   }
 
-  /**
-   * Map token placeholders to actual paths
-   * Tokens: [HYPERMILL], [APPDATA], [USER_CFG], [TOOLDB], [VERSION], [USER]
-   */
-  mapPathTokens(pathString, tokenMap) {
-    if (!pathString) return pathString;
-
-    let mapped = pathString;
-    Object.entries(tokenMap).forEach(([token, value]) => {
-      const regex = new RegExp(`\\[${token}\\]`, 'g');
-      mapped = mapped.replace(regex, value);
-    });
-
-    return mapped;
-  }
-
-  /**
-   * Generate token map for a user based on system information
-   */
-  generateTokenMap(username) {
-    // These are the default token mappings based on HyperMILL installation
-    const userAppDataPath = `C:\\Users\\${username}\\AppData\\Roaming`;
-    
-    return {
-      HYPERMILL: 'C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0',
-      TOOLDB: 'C:\\Program Files\\OPEN MIND\\Tool Database\\33.0',
-      APPDATA: userAppDataPath,
-      USER_CFG: userAppDataPath,
-      VERSION: '33.0',
-      USER: username,
-      MAJOR_VERSION: '33',
-      GWS: 'C:\\Users\\Public\\Documents\\OPEN MIND',
-      PUBLICDOCUMENTS: 'C:\\Users\\Public\\Documents',
-      COMMON_APPDATA: 'C:\\ProgramData',
-      SWTEMPPATH: `${userAppDataPath}\\OPEN MIND\\temp\\`
-    };
-  }
-
   /**
    * Get user profile summary
    */
@@ -388,6 +864,7 @@ class UserProfileService {
         settingsFile: settingsResult.found ? settingsResult.path : null,
         hasParsedConfig: parsedResult.found,
         hasAutomationPaths: scannerResult.found,
+        currentVersionId: this.loadVersionIndex(username).currentVersionId,
         createdAt: this.getProfileCreatedAt(userDir),
         lastModified: this.getProfileLastModified(userDir)
       };
@@ -399,6 +876,19 @@ class UserProfileService {
     }
   }
 
+  /**
+   * Compact profile state: current version and which stages exist (used in change summaries)
+   */
+  getProfileState(username) {
+    const summary = this.getUserProfileSummary(username);
+    if (!summary.found) {
+      return null;
+    }
+
+    const { currentVersionId, hasSettings, hasParsedConfig, hasAutomationPaths } = summary;
+    return { currentVersionId, hasSettings, hasParsedConfig, hasAutomationPaths };
+  }
+
   /**
    * Get profile creation date
    */
@@ -434,7 +924,7 @@ class UserProfileService {
 
       const dirs = fs.readdirSync(this.profilesDir);
       const profiles = dirs
-        .filter(d => fs.statSync(path.join(this.profilesDir, d)).isDirectory())
+        .filter(d => this.isValidUsername(d) && fs.statSync(path.join(this.profilesDir, d)).isDirectory())
         .map(username => this.getUserProfileSummary(username))
         .filter(p => p.found);
 
@@ -0,0 +1,204 @@
+const UserProfileService = require('./UserProfileService');
+const SettingsDiffService = require('./SettingsDiffService');
+
+/**
+ * VersionMigrationService - What changes for a user when moving between hyperMILL versions
+ * Both versions' scanner paths are resolved with their own token map ([HYPERMILL], [TOOLDB],
+ * [VERSION], ...) and compared key by key. When the user has no settings for the target
+ * version yet, the source config is projected onto it (same settings, new version tokens).
+ */
+class VersionMigrationService {
+  constructor(options = {}) {
+    this.profileService = options.profileService || new UserProfileService();
+    this.diffService = options.diffService || new SettingsDiffService();
+  }
+
+  /**
+   * Build the migration report
+   * @param {string} username - Profile owner
+   * @param {string} fromVersion - Source hyperMILL version (default: second newest the user has)
+   * @param {string} toVersion - Target hyperMILL version (default: newest the user has)
+   * @returns {Object} - { success, from, to, projected, paths: { changed, added, removed, unchanged }, tokens, settingsChanges }
+   */
+  createReport(username, fromVersion, toVersion) {
+    const known = this.profileService.listHyperMillVersions(username);
+    if (!known.found) {
+      return { success: false, notFound: true, error: `Profile not found: ${username}` };
+    }
+
+    const labels = known.versions.filter(v => v.hasParsedConfig).map(v => v.label);
+    let from;
+    let to;
+    try {
+      to = toVersion ? this.profileService.normalizeHyperMillLabel(toVersion) : labels[0];
+      from = fromVersion
+        ? this.profileService.normalizeHyperMillLabel(fromVersion)
+        : labels.find(label => label !== to);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    if (!from || !to) {
+      return {
+        success: false,
+        error: 'from and to hyperMILL versions are required (the profile has parsed settings for ' +
+          `${labels.length > 0 ? labels.join(', ') : 'no version'})`
+      };
+    }
+
+    const source = this.profileService.getParsedConfig(username, from);
+    if (!source.found) {
+      return { success: false, notFound: true, error: `No parsed settings for hyperMILL ${from}` };
+    }
+
+    const target = this.profileService.getParsedConfig(username, to);
+    const projected = !target.found;
+    const targetConfig = projected ? this.projectConfig(source.config, from, to) : target.config;
+
+    const fromScan = this.profileService.generateScannerConfig(username, source.config);
+    const toScan = this.profileService.generateScannerConfig(username, targetConfig);
+
+    return {
+      success: true,
+      username,
+      from,
+      to,
+      projected,
+      generatedAt: new Date().toISOString(),
+      paths: this.comparePaths(fromScan.pathsToScan, toScan.pathsToScan),
+      tokens: this.compareTokens(fromScan.tokenMap, toScan.tokenMap),
+      unresolvedTokens: {
+        from: fromScan.unresolvedTokens,
+        to: toScan.unresolvedTokens
+      },
+      // Settings differences only exist between two real exports
+      settingsChanges: projected ? null : this.diffService.compare(source.config, targetConfig)
+    };
+  }
+
+  /**
+   * Copy of a parsed config as if it came from another hyperMILL version
+   * The install path setting points into the version folder ("...\hyperMILL\33.0"),
+   * so its version segment moves along; other paths are kept as they are
+   * @param {Object} config - Parsed config of the source version
+   * @param {string} fromLabel - Source hyperMILL version ('33.0')
+   * @param {string} toLabel - Target hyperMILL version ('34.0')
+   */
+  projectConfig(config, fromLabel, toLabel) {
+    const [major, minor] = toLabel.split('.');
+    const projected = {
+      ...config,
+      version: { ...(config.version || {}), major, minor }
+    };
+
+    const shared = (config.paths && config.paths.shared) || {};
+    const install = shared.hyperMillInstall;
+    if (install && typeof install.value === 'string') {
+      projected.paths = {
+        ...config.paths,
+        shared: {
+          ...shared,
+          hyperMillInstall: { ...install, value: this.replaceVersionSegment(install.value, fromLabel, toLabel) }
+        }
+      };
+    }
+
+    return projected;
+  }
+
+  /**
+   * Replace whole path segments equal to a version ("C:\...\hyperMILL\33.0\" → "C:\...\hyperMILL\34.0\")
+   */
+  replaceVersionSegment(pathString, fromLabel, toLabel) {
+    return pathString
+      .split(/([\\/])/)
+      .map(segment => (segment === fromLabel ? toLabel : segment))
+      .join('');
+  }
+
+  /**
+   * Compare resolved scanner paths by key
+   */
+  comparePaths(fromPaths, toPaths) {
+    const index = list => new Map((list || []).map(entry => [entry.key, entry]));
+    const before = index(fromPaths);
+    const after = index(toPaths);
+    const result = { changed: [], added: [], removed: [], unchanged: 0 };
+
+    after.forEach((entry, key) => {
+      const previous = before.get(key);
+      if (!previous) {
+        result.added.push({ key, type: entry.type, path: entry.path, pathTemplate: entry.pathTemplate });
+      } else if (previous.path.toLowerCase() !== entry.path.toLowerCase()) {
+        result.changed.push({
+          key,
+          type: entry.type,
+          fromPath: previous.path,
+          toPath: entry.path,
+          // Same template → the path only moved because a token value changed
+          cause: previous.pathTemplate === entry.pathTemplate ? 'token' : 'setting',
+          fromTemplate: previous.pathTemplate,
+          toTemplate: entry.pathTemplate
+        });
+      } else {
+        result.unchanged++;
+      }
+    });
+
+    before.forEach((entry, key) => {
+      if (!after.has(key)) {
+        result.removed.push({ key, type: entry.type, path: entry.path, pathTemplate: entry.pathTemplate });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Tokens whose resolved value differs between the versions
+   */
+  compareTokens(fromTokens, toTokens) {
+    const names = [...new Set([...Object.keys(fromTokens || {}), ...Object.keys(toTokens || {})])].sort();
+
+    return names
+      .filter(name => (fromTokens[name] || null) !== (toTokens[name] || null))
+      .map(name => ({ token: name, from: fromTokens[name] || null, to: toTokens[name] || null }));
+  }
+
+  /**
+   * Render a report as human-readable text
+   */
+  formatAsText(report) {
+    const lines = [
+      `hyperMILL ${report.from} -> ${report.to} for ${report.username}` +
+        (report.projected ? ` (projected - no ${report.to} settings imported yet)` : ''),
+      ''
+    ];
+
+    if (report.tokens.length > 0) {
+      lines.push('[tokens]');
+      report.tokens.forEach(t => lines.push(`  ~ ${t.token}: ${t.from} -> ${t.to}`));
+      lines.push('');
+    }
+
+    const { changed, added, removed, unchanged } = report.paths;
+    if (changed.length + added.length + removed.length > 0) {
+      lines.push('[paths]');
+      removed.forEach(p => lines.push(`  - ${p.key}: ${p.path}`));
+      added.forEach(p => lines.push(`  + ${p.key}: ${p.path}`));
+      changed.forEach(p => lines.push(`  ~ ${p.key}: ${p.fromPath} -> ${p.toPath} (${p.cause})`));
+      lines.push('');
+    }
+
+    ['from', 'to'].forEach(side => {
+      if (report.unresolvedTokens[side].length > 0) {
+        lines.push(`Unresolved tokens in ${report[side]}: ${report.unresolvedTokens[side].join(', ')}`);
+      }
+    });
+
+    lines.push(`${changed.length} changed, ${added.length} added, ${removed.length} removed, ${unchanged} unchanged paths`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = VersionMigrationService;
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * FileHasher - SHA-256 content hashes for change detection
+ * Files are streamed in fixed-size chunks, so large files (ToolDB.db, etc.)
+ * on slow shares neither load into memory nor block the event loop
+ */
+class FileHasher {
+  constructor(algorithm = 'sha256', chunkSize = 1024 * 1024) {
+    this.algorithm = algorithm;
+    this.chunkSize = chunkSize;
+  }
+
+  /**
+   * Hash a file incrementally
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} - Hex digest
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(this.algorithm);
+      const stream = fs.createReadStream(filePath, { highWaterMark: this.chunkSize });
+
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+}
+
+module.exports = new FileHasher();
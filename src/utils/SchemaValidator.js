@@ -0,0 +1,170 @@
+/**
+ * SchemaValidator - Validates values against the OpenAPI 3.0 schema subset used in src/openapi/document.js
+ *
+ * Supported keywords: $ref (#/components/schemas/...), type, nullable, enum, required, properties,
+ * additionalProperties, items, minItems, minimum, maximum, minLength, maxLength, pattern,
+ * format (date-time), oneOf, anyOf, allOf
+ *
+ * Query and path parameters arrive as strings; coerce() converts them to the schema type first.
+ */
+class SchemaValidator {
+  /**
+   * @param {Object} document - OpenAPI document whose components.schemas $refs point into
+   */
+  constructor(document) {
+    this.document = document;
+  }
+
+  /**
+   * Follow a local $ref
+   */
+  resolve(schema) {
+    let current = schema;
+    const seen = new Set();
+
+    while (current && current.$ref) {
+      if (seen.has(current.$ref)) {
+        throw new Error(`Circular $ref: ${current.$ref}`);
+      }
+      seen.add(current.$ref);
+
+      const parts = current.$ref.replace(/^#\//, '').split('/');
+      current = parts.reduce((node, key) => (node ? node[key] : undefined), this.document);
+      if (!current) {
+        throw new Error(`Unknown $ref: ${[...seen].pop()}`);
+      }
+    }
+    return current;
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  matchesType(type, value) {
+    const actual = this.typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  /**
+   * Validate a value
+   * @returns {Array} - [{ path, message }] (empty when valid)
+   */
+  validate(schema, value, path = '') {
+    const errors = [];
+    this.check(this.resolve(schema || {}), value, path || '(root)', errors);
+    return errors;
+  }
+
+  check(schema, value, path, errors) {
+    const fail = message => errors.push({ path, message });
+
+    if (value === null || value === undefined) {
+      if (value === null && !schema.nullable && schema.type) {
+        fail(`must be ${schema.type}, got null`);
+      }
+      return;
+    }
+
+    if (schema.allOf) {
+      schema.allOf.forEach(part => this.check(this.resolve(part), value, path, errors));
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (schema[keyword]) {
+        const matching = schema[keyword].filter(option => this.validate(option, value, path).length === 0);
+        if (matching.length === 0 || (keyword === 'oneOf' && matching.length > 1)) {
+          fail(`must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the allowed schemas`);
+          return;
+        }
+      }
+    }
+
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      fail(`must be ${schema.type}, got ${this.typeOf(value)}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`must match ${schema.pattern}`);
+      }
+      if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+        fail('must be a date-time');
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.items) {
+        const items = this.resolve(schema.items);
+        value.forEach((item, index) => this.check(items, item, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (this.typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+      });
+
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          this.check(this.resolve(properties[key]), child, `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.check(this.resolve(schema.additionalProperties), child, `${path}.${key}`, errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Convert a query / path string to the schema type ("5" → 5, "true" → true)
+   * Values that do not convert are returned unchanged so validation reports them
+   */
+  coerce(schema, value) {
+    const resolved = this.resolve(schema || {});
+    if (typeof value !== 'string') return value;
+
+    switch (resolved.type) {
+      case 'integer':
+      case 'number': {
+        const number = Number(value);
+        return value.trim() !== '' && !isNaN(number) ? number : value;
+      }
+      case 'boolean':
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return value;
+      case 'array':
+        return value.split(',').map(item => this.coerce(resolved.items, item));
+      default:
+        return value;
+    }
+  }
+}
+
+module.exports = SchemaValidator;
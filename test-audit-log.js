@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+
+// The shared audit log opens config.database.path relative to the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-audit-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const express = require('express');
+const AuditLogService = require(path.join(__dirname, 'src/services/AuditLogService'));
+const { audit, auditLog, auditFailures } = require(path.join(__dirname, 'src/middleware/audit'));
+
+/**
+ * Test script - audit trail: append-only table, filters, CSV export, failed requests
+ */
+const silentLogger = { info: () => {}, error: () => {} };
+
+/**
+ * Run SQL directly on the audit database
+ */
+function run(service, sql) {
+  return service.open().then(db => new Promise((resolve, reject) => {
+    db.run(sql, error => (error ? reject(error) : resolve()));
+  }));
+}
+
+/**
+ * Send a request to a local server and wait until the response has been handled
+ */
+function request(port, method, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testAuditLog() {
+  console.log('🧪 Testing audit log\n');
+  const log = new AuditLogService({ dbPath: path.join(workDir, 'audit.db'), logger: silentLogger });
+  let server = null;
+
+  try {
+    // 1. Entries can be added but not changed or removed
+    const first = await log.record({ actor: 'alice', action: 'settings.import', targetType: 'profile', target: 'alice' });
+    assert.ok(first.success);
+    await assert.rejects(run(log, 'UPDATE audit_log SET actor = \'mallory\''), /append-only/);
+    await assert.rejects(run(log, 'DELETE FROM audit_log'), /append-only/);
+    assert.strictEqual((await log.query()).entries[0].actor, 'alice');
+    console.log('✅ The audit table is append-only');
+
+    // 2. Filters: exact values, action prefixes, dates
+    await log.record({ actor: 'bob', action: 'settings.restore', outcome: 'denied', after: { versionId: '1' } });
+    await log.record({ actor: 'alice', action: 'drive.update', targetType: 'drive', target: 'P' });
+
+    assert.strictEqual((await log.query({ actor: 'alice' })).total, 2);
+    assert.strictEqual((await log.query({ action: 'settings.*' })).total, 2);
+    assert.strictEqual((await log.query({ outcome: 'denied' })).entries[0].after.versionId, '1');
+    assert.strictEqual((await log.query({ from: '2999-01-01' })).total, 0);
+    assert.ok(!(await log.query({ from: 'yesterday' })).success);
+
+    const page = await log.query({ limit: 1, offset: 1 });
+    assert.strictEqual(page.total, 3);
+    assert.strictEqual(page.entries[0].actor, 'bob');
+    console.log('✅ Entries can be filtered and paged');
+
+    // 3. CSV: quoting and formula neutralisation
+    const csv = log.toCsv([
+      { id: 1, actor: '=HYPERLINK("x")', target: '\t=1+1', action: '\r@SUM(A1)', outcome: '-2', after: { a: 1 } }
+    ]).split('\r\n');
+    assert.strictEqual(csv[0], 'id,timestamp,actor,actorRole,clientIp,action,targetType,target,outcome,before,after,method,path');
+    assert.ok(csv[1].startsWith('1,,"\'=HYPERLINK(""x"")",,,"\'\r@SUM(A1)",,\'\t=1+1,\'-2,,"{""a"":1}"'));
+    console.log('✅ CSV cells cannot start formulas');
+
+    // 4. CSV export is not capped: every entry is written, page by page, without duplicates
+    for (let i = 0; i < 22; i++) {
+      await log.record({ actor: 'svc-toolmanager', action: 'scan.start', target: `job-${i}` });
+    }
+    const chunks = [];
+    const exported = await log.exportCsv({ actor: 'svc-toolmanager' }, async chunk => {
+      chunks.push(chunk);
+      if (chunks.length === 2) {
+        await log.record({ actor: 'svc-toolmanager', action: 'scan.start', target: 'during-export' });
+      }
+    }, 10);
+    const rows = chunks.join('').trim().split('\r\n').slice(1);
+    assert.strictEqual(exported.count, 22);
+    assert.strictEqual(rows.length, 22);
+    assert.strictEqual(new Set(rows.map(row => row.split(',')[0])).size, 22);
+    assert.strictEqual(chunks.length, 4); // header + 3 pages
+
+    const capped = await log.exportCsv({ actor: 'svc-toolmanager', limit: 5 }, () => {}, 2);
+    assert.strictEqual(capped.count, 5);
+    assert.ok(!(await log.exportCsv({ to: 'never' }, () => assert.fail('written before validation'))).success);
+    console.log('✅ CSV export streams every matching entry');
+
+    // 5. Failed mutations are audited unless the handler already recorded them
+    const app = express();
+    app.use(auditFailures);
+    app.use((req, res, next) => {
+      if (req.headers['x-user']) req.user = { username: req.headers['x-user'], role: 'programmer' };
+      next();
+    });
+    app.post('/api/fail', (req, res) => res.status(400).json({ error: 'Invalid drive letter' }));
+    app.post('/api/denied', async (req, res) => {
+      await audit(req, { action: 'access.denied', outcome: 'denied' });
+      res.status(403).json({ error: 'denied' });
+    });
+    app.get('/api/fail', (req, res) => res.status(404).json({ error: 'not found' }));
+    app.post('/api/ok', (req, res) => res.json({ success: true }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    assert.strictEqual(await request(port, 'POST', '/api/fail?x=1', { 'x-user': 'alice' }), 400);
+    await request(port, 'POST', '/api/denied', { 'x-user': 'alice' });
+    await request(port, 'GET', '/api/fail', { 'x-user': 'alice' });
+    await request(port, 'POST', '/api/ok', { 'x-user': 'alice' });
+    await request(port, 'POST', '/api/fail');
+    await wait(200);
+
+    const failures = await auditLog.query({ outcome: 'failure' });
+    assert.strictEqual(failures.total, 1);
+    assert.strictEqual(failures.entries[0].actor, 'alice');
+    assert.strictEqual(failures.entries[0].action, 'request.failed');
+    assert.strictEqual(failures.entries[0].target, '/api/fail');
+    assert.deepStrictEqual(failures.entries[0].after, { status: 400, error: 'Invalid drive letter' });
+    assert.strictEqual((await auditLog.query()).total, 2);
+    console.log('✅ Failed changes are audited once, reads and anonymous requests are not');
+
+    console.log('\n✨ Audit log test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    await log.close();
+    await auditLog.close();
+  }
+}
+
+testAuditLog();
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+// Denied requests are audited - keep the audit database and logs out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-auth-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const AuthService = require(path.join(__dirname, 'src/services/AuthService'));
+const { ROLES, requireRole, requireSelfOrRole, canActFor } = require(path.join(__dirname, 'src/middleware/auth'));
+
+/**
+ * Test script - users, login and tokens; roles, self-vs-other checks and target user resolution
+ */
+const alice = { username: 'alice', role: ROLES.PROGRAMMER };
+const service = { username: 'svc-toolmanager', role: ROLES.SERVICE };
+const admin = { username: 'admin', role: ROLES.CAM_ADMIN };
+
+/**
+ * Run a middleware on a fake request
+ * @returns {Object} - { passed, status, body, req }
+ */
+function run(middleware, user, { params = {}, body = {}, query = {} } = {}) {
+  const req = {
+    user, params, body, query, ip: '127.0.0.1', method: 'POST', originalUrl: '/api/test'
+  };
+  const result = { passed: false, status: 200, body: null, req };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(data) {
+      result.body = data;
+      return this;
+    }
+  };
+
+  middleware(req, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+async function testAuth() {
+  console.log('🧪 Testing authentication, roles and target user checks\n');
+
+  try {
+    const auth = new AuthService({ usersFile: path.join(workDir, 'users.json'), userApiTokenDays: 30 });
+
+    // 1. Users: bootstrap admin only on an empty store, validated names and roles
+    assert.ok(auth.ensureBootstrapAdmin('admin', 'secret').success);
+    assert.ok(auth.ensureBootstrapAdmin('other', 'secret').skipped);
+    assert.ok(auth.createUser({ username: 'alice', password: 'pw-alice' }).success);
+    assert.ok(auth.createUser({ username: 'svc-toolmanager', role: ROLES.SERVICE }).success);
+    assert.ok(!auth.createUser({ username: '../evil', password: 'x' }).success);
+    assert.ok(!auth.createUser({ username: 'bob', password: 'x', role: 'root' }).success);
+    assert.ok(!auth.createUser({ username: 'bob' }).success);
+    assert.ok(auth.createUser({ username: 'ALICE', password: 'x' }).conflict);
+    assert.strictEqual(auth.getUser('alice').user.passwordHash, undefined);
+    console.log('✅ Users are validated and stored without exposing hashes');
+
+    // 2. Login: unknown users and wrong passwords get the same answer
+    const wrong = auth.login('alice', 'nope');
+    const unknown = auth.login('nobody', 'nope');
+    assert.ok(!wrong.success);
+    assert.strictEqual(wrong.error, unknown.error);
+
+    const session = auth.login('alice', 'pw-alice');
+    assert.ok(session.success);
+    const sessionUser = auth.authenticate(session.token);
+    assert.strictEqual(sessionUser.username, 'alice');
+    assert.strictEqual(sessionUser.role, ROLES.PROGRAMMER);
+    assert.strictEqual(auth.authenticate('hmc_not-a-token'), null);
+    assert.strictEqual(auth.authenticate(session.token.replace('hmc_', 'xyz_')), null);
+
+    const tokenCount = auth.listTokens('alice').count;
+    assert.ok(auth.checkCredentials('alice', 'pw-alice'));
+    assert.ok(!auth.checkCredentials('alice', 'nope'));
+    assert.strictEqual(auth.listTokens('alice').count, tokenCount);
+    console.log('✅ Login issues sessions; checkCredentials does not');
+
+    // 3. Logout and expiry
+    const second = auth.login('alice', 'pw-alice');
+    assert.ok(auth.logout(second.token).success);
+    assert.strictEqual(auth.authenticate(second.token), null);
+
+    const expiring = auth.login('alice', 'pw-alice');
+    const store = JSON.parse(fs.readFileSync(auth.usersFile, 'utf8'));
+    store.tokens.find(t => t.tokenHash === auth.hashToken(expiring.token)).expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(auth.usersFile, JSON.stringify(store));
+    assert.strictEqual(auth.authenticate(expiring.token), null);
+    console.log('✅ Logged-out and expired sessions are rejected');
+
+    // 4. API tokens: limited lifetime for people, unlimited for services
+    const userToken = auth.createApiToken('alice', { name: 'script' });
+    assert.ok(userToken.success);
+    const lifetimeDays = (new Date(userToken.apiToken.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(lifetimeDays > 29.9 && lifetimeDays <= 30);
+    assert.ok(!auth.createApiToken('alice', { expiresInDays: 365 }).success);
+    assert.ok(!auth.createApiToken('alice', { expiresInDays: -1 }).success);
+
+    const serviceToken = auth.createApiToken('svc-toolmanager', { name: 'toolManager' });
+    assert.strictEqual(serviceToken.apiToken.expiresAt, null);
+    assert.strictEqual(auth.authenticate(serviceToken.token).role, ROLES.SERVICE);
+    console.log('✅ API tokens of programmers expire, service tokens may not');
+
+    // 5. A password change or disabling revokes every token of the user
+    const beforeChange = auth.login('alice', 'pw-alice');
+    assert.ok(auth.updateUser('alice', { password: 'pw-new' }).success);
+    assert.strictEqual(auth.authenticate(beforeChange.token), null);
+    assert.strictEqual(auth.authenticate(userToken.token), null);
+    assert.strictEqual(auth.listTokens('alice').count, 0);
+    assert.ok(!auth.login('alice', 'pw-alice').success);
+    assert.ok(auth.login('alice', 'pw-new').success);
+
+    auth.updateUser('svc-toolmanager', { disabled: true });
+    assert.strictEqual(auth.authenticate(serviceToken.token), null);
+    console.log('✅ Password changes and disabling revoke sessions and API tokens');
+
+    // 6. canActFor: CAM admins and listed roles act for anyone, everyone else for themselves
+    assert.ok(canActFor(alice, 'ALICE'));
+    assert.ok(!canActFor(alice, 'bob'));
+    assert.ok(!canActFor(alice, null));
+    assert.ok(canActFor(service, 'bob', [ROLES.SERVICE]));
+    assert.ok(!canActFor(service, 'bob'));
+    assert.ok(canActFor(admin, 'bob'));
+    assert.ok(!canActFor(null, 'alice'));
+    console.log('✅ canActFor allows self, CAM admins and listed roles');
+
+    // 7. requireRole
+    assert.strictEqual(run(requireRole(), alice).status, 403);
+    assert.ok(run(requireRole(), admin).passed);
+    assert.ok(run(requireRole(ROLES.SERVICE), service).passed);
+    assert.ok(!run(requireRole(ROLES.SERVICE), alice).passed);
+    console.log('✅ requireRole admits only the listed roles and CAM admins');
+
+    // 8. requireSelfOrRole: own profile, other profiles, no username
+    const own = run(requireSelfOrRole(ROLES.SERVICE), alice, { params: { username: 'alice' } });
+    assert.ok(own.passed);
+    assert.strictEqual(own.req.targetUsername, 'alice');
+
+    assert.strictEqual(run(requireSelfOrRole(ROLES.SERVICE), alice, { query: { username: 'bob' } }).status, 403);
+    assert.strictEqual(run(requireSelfOrRole(), service, { body: { username: 'bob' } }).status, 403);
+    assert.ok(run(requireSelfOrRole(ROLES.SERVICE), service, { body: { username: 'bob' } }).passed);
+
+    const implicit = run(requireSelfOrRole(), alice);
+    assert.ok(implicit.passed);
+    assert.strictEqual(implicit.req.targetUsername, 'alice');
+    console.log('✅ requireSelfOrRole allows own profile and privileged roles only');
+
+    // 9. The check and the handler see the same user: disagreeing sources are refused
+    const mixed = run(requireSelfOrRole(ROLES.SERVICE), alice, {
+      body: { username: 'alice' },
+      query: { username: 'bob' }
+    });
+    assert.ok(!mixed.passed);
+    assert.strictEqual(mixed.status, 400);
+    assert.match(mixed.body.error, /Conflicting usernames/);
+
+    assert.strictEqual(run(requireSelfOrRole(), alice, {
+      params: { username: 'alice' },
+      query: { username: ['alice', 'bob'] }
+    }).status, 400);
+    assert.strictEqual(run(requireRole(), admin, { body: { username: 'a' }, query: { username: 'b' } }).status, 400);
+
+    const sameUser = run(requireSelfOrRole(), alice, { params: { username: 'alice' }, query: { username: 'Alice' } });
+    assert.ok(sameUser.passed);
+    assert.strictEqual(sameUser.req.targetUsername, 'alice');
+    console.log('✅ Conflicting usernames in params, body and query are rejected');
+
+    console.log('\n✨ Auth test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testAuth();
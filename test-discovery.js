@@ -55,26 +55,19 @@ async function testDiscovery() {
     // Simulate auto-import
     console.log('\n\n⏳ Simulating auto-import for user "szborok"...\n');
 
-    const SettingsParser = require('./src/services/SettingsParser');
-    const parser = new SettingsParser();
+    const SettingsImportService = require('./src/services/SettingsImportService');
+    const importer = new SettingsImportService({ profileService, locator });
 
-    const parseResult = await parser.parseSettings(latest.path);
+    const importResult = await importer.importFile('szborok', latest.path, { source: 'auto-import' });
 
-    if (!parseResult.success) {
-      console.log('❌ Parse failed:', parseResult.error);
+    if (!importResult.success) {
+      console.log('❌ Import failed:', importResult.error);
       return;
     }
 
-    // Save to profile
-    const saveResult = profileService.saveUserSettings('szborok', latest.path);
-    console.log('✅ Settings file saved:', saveResult.savedPath);
-
-    const configSave = profileService.saveParsedConfig('szborok', parseResult.config);
-    console.log('✅ Parsed config saved:', configSave.path);
-
-    const scanConfig = profileService.generateScannerConfig('szborok', parseResult.config);
-    const scanSave = profileService.saveScannerConfig('szborok', scanConfig);
-    console.log('✅ Scanner config saved:', scanSave.path);
+    const { scanConfig } = importResult;
+    console.log('✅ Settings file saved as version:', importResult.versionId);
+    console.log('✅ Parsed config and scanner config saved');
 
     // Get profile summary
     const summary = profileService.getUserProfileSummary('szborok');
@@ -95,12 +88,6 @@ async function testDiscovery() {
       console.log(`  ... and ${scanConfig.pathsToScan.length - 5} more paths`);
     }
 
-    // Cleanup
-    if (parseResult.tempDir) {
-      await parser.cleanup(parseResult.tempDir);
-      console.log('\n🧹 Cleaned up temporary extraction directory');
-    }
-
     console.log('\n✨ Discovery test completed successfully!');
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -0,0 +1,147 @@
+// Runs without user store: every connection acts as the OS user (CAM admin)
+process.env.AUTH_ENABLED = 'false';
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const assert = require('assert');
+const WebSocket = require('ws');
+const EventBus = require('./src/services/EventBus');
+const { eventBus, canSeeEvent, eventFilter } = require('./src/middleware/events');
+const { attachEventSocket, SOCKET_PATH } = require('./src/routes/eventSocket');
+
+/**
+ * Test script - event bus replay and filtering, WebSocket transport
+ */
+const programmer = { username: 'alice', role: 'programmer' };
+const service = { username: 'svc-toolmanager', role: 'service' };
+const admin = { username: 'admin', role: 'cam-admin' };
+
+/**
+ * Open a WebSocket and collect its messages
+ */
+function connect(port, query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${SOCKET_PATH}${query}`);
+    ws.messages = [];
+    ws.on('message', data => ws.messages.push(JSON.parse(data.toString())));
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+/**
+ * Handshake on a raw TCP socket, then write one frame with RSV2 set (invalid without an extension)
+ */
+function sendInvalidFrame(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.write(
+        `GET ${SOCKET_PATH} HTTP/1.1\r\nHost: 127.0.0.1\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n\r\n`
+      );
+    });
+    let upgraded = false;
+
+    socket.on('data', data => {
+      if (!upgraded && data.toString().startsWith('HTTP/1.1 101')) {
+        upgraded = true;
+        // FIN + RSV2 + text opcode, masked, empty payload
+        socket.write(Buffer.from([0xa1, 0x80, 0x01, 0x02, 0x03, 0x04]));
+      }
+    });
+    socket.on('close', () => (upgraded ? resolve() : reject(new Error('Upgrade failed'))));
+    socket.on('error', () => {});
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testEvents() {
+  console.log('🧪 Testing event bus and WebSocket transport\n');
+  const server = http.createServer((req, res) => res.end());
+
+  try {
+    // 1. Replay after an id, and truncation once the buffer has dropped events
+    const bus = new EventBus({ historySize: 3 });
+    const first = bus.publish({ topic: 'scan', type: 'scan-started', username: 'alice' });
+    ['a', 'b', 'c'].forEach(jobId => bus.publish({ topic: 'scan', type: 'scan-progress', jobId }));
+
+    assert.strictEqual(bus.history.length, 3);
+    const fromFirst = bus.replay(first.id);
+    assert.strictEqual(fromFirst.truncated, false);
+    assert.deepStrictEqual(fromFirst.events.map(e => e.jobId), ['a', 'b', 'c']);
+
+    const tooOld = bus.replay(first.id - 1);
+    assert.strictEqual(tooOld.truncated, true);
+    assert.strictEqual(tooOld.oldestId, first.id + 1);
+    assert.strictEqual(bus.replay(bus.lastId).events.length, 0);
+    console.log('✅ Replay returns missed events and flags dropped ones');
+
+    // 2. Topic filters: topic or topic.type
+    const detected = { topic: 'watcher', type: 'settings-detected', username: 'alice' };
+    assert.ok(bus.matches(detected, { topics: ['watcher'] }));
+    assert.ok(bus.matches(detected, { topics: ['watcher.settings-detected'] }));
+    assert.ok(!bus.matches(detected, { topics: ['scan', 'watcher.settings-imported'] }));
+    assert.ok(bus.matches(detected, { topics: ['*'], username: 'ALICE' }));
+    assert.ok(!bus.matches(detected, { username: 'bob' }));
+    assert.ok(bus.matches({ topic: 'sync', type: 'sync-completed', username: null }, { username: 'bob' }));
+    console.log('✅ Topic and user filters match');
+
+    // 3. Visibility: own events, shared events, role-restricted events
+    const bobScan = { topic: 'scan', type: 'scan-started', username: 'bob' };
+    const pcScan = { topic: 'scan', type: 'scan-started', username: null, roles: ['service'] };
+    const sync = { topic: 'sync', type: 'sync-completed', username: null };
+
+    assert.ok(canSeeEvent(programmer, detected));
+    assert.ok(!canSeeEvent(programmer, bobScan));
+    assert.ok(!canSeeEvent(programmer, pcScan));
+    assert.ok(canSeeEvent(programmer, sync));
+    assert.ok(canSeeEvent(service, bobScan) && canSeeEvent(service, pcScan));
+    assert.ok(canSeeEvent(admin, pcScan));
+
+    // Only CAM admins and services may pick another user's stream
+    assert.strictEqual(eventFilter(programmer, { username: 'bob' }).username, 'alice');
+    assert.strictEqual(eventFilter(service, { username: 'bob' }).username, 'bob');
+    assert.ok(!eventFilter(programmer, { username: 'bob', topics: 'scan' }).accept(bobScan));
+    assert.ok(eventFilter(admin, { topics: 'scan,sync' }).accept(pcScan));
+    console.log('✅ Users only receive the events they may see');
+
+    // 4. WebSocket: ready message, live events, replay on reconnect
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    attachEventSocket(server);
+    const { port } = server.address();
+
+    const live = await connect(port, '?topics=scan');
+    await wait(100);
+    assert.strictEqual(live.messages[0].type, 'ready');
+    const published = eventBus.publish({ topic: 'scan', type: 'scan-finished', jobId: 'ws-test' });
+    eventBus.publish({ topic: 'sync', type: 'sync-completed' });
+    await wait(100);
+    assert.deepStrictEqual(live.messages.slice(1).map(m => m.event.jobId), ['ws-test']);
+
+    const resumed = await connect(port, `?topics=scan&lastEventId=${published.id - 1}`);
+    await wait(100);
+    assert.deepStrictEqual(resumed.messages.map(m => m.type), ['ready', 'event']);
+    assert.strictEqual(resumed.messages[1].event.id, published.id);
+    console.log('✅ WebSocket delivers live and replayed events');
+
+    // 5. An invalid frame closes that connection only
+    await sendInvalidFrame(port);
+    const after = await connect(port);
+    after.send(JSON.stringify({ type: 'ping' }));
+    await wait(100);
+    assert.strictEqual(after.messages[after.messages.length - 1].type, 'pong');
+    console.log('✅ Invalid frames close the connection without stopping the server');
+
+    [live, resumed, after].forEach(ws => ws.terminate());
+    console.log('\n✨ Event test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+testEvents();
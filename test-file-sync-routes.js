@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+
+// The server file cache (D:\BRK_CNC_System_Server_Copy) and the audit database resolve against the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-file-sync-routes-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const PATHS_CONFIG = require(path.join(__dirname, 'src/config/PATHS_CONFIG'));
+
+// Server paths must be on a mapped drive, which a temp folder never is: start with one cached
+// copy already tracked, and a notification saved before targets were checked, pointing outside the cache
+const victim = path.join(workDir, 'victim.txt');
+const serverDir = path.join(workDir, 'server');
+const serverFile = path.join(serverDir, 'Color_table.xml');
+const localPath = path.join(PATHS_CONFIG.getCurrentFilesDir(), 'Color_table.xml');
+fs.mkdirSync(serverDir);
+fs.mkdirSync(PATHS_CONFIG.getCurrentFilesDir(), { recursive: true });
+fs.mkdirSync(PATHS_CONFIG.getMetadataDir(), { recursive: true });
+fs.writeFileSync(path.join(PATHS_CONFIG.getMetadataDir(), 'file-versions.json'), JSON.stringify({
+  [localPath]: { filename: 'Color_table.xml', originalServer: serverFile, cached: true, approved: true }
+}));
+fs.writeFileSync(path.join(PATHS_CONFIG.getMetadataDir(), 'update-notifications.json'), JSON.stringify([{
+  id: 'update-legacy',
+  createdAt: new Date().toISOString(),
+  serverPath: serverFile,
+  localPath: victim,
+  status: 'pending',
+  history: []
+}]));
+
+const express = require('express');
+const { auditLog } = require(path.join(__dirname, 'src/middleware/audit'));
+const discoveryRoutes = require(path.join(__dirname, 'src/routes/discoveryRoutes'));
+
+/**
+ * Test script - file sync routes only act on tracked files inside the server file cache
+ * A directory in the temp folder plays the server share where the routes accept local paths
+ */
+
+/**
+ * Send a JSON request as the given role
+ * @returns {Promise<Object>} - { status, body }
+ */
+function request(port, method, urlPath, body, role = 'cam-admin') {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        'x-test-role': role,
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+      }
+    }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function testFileSyncRoutes() {
+  console.log('🧪 Testing file sync routes\n');
+  let server = null;
+
+  try {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { username: 'alice', role: req.headers['x-test-role'] };
+      next();
+    });
+    app.use('/api/discover', discoveryRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    fs.writeFileSync(localPath, '<colors v="1"/>');
+    fs.writeFileSync(serverFile, '<colors v="2"/>');
+    fs.writeFileSync(victim, 'keep me');
+
+    // 1. Notifications can only target tracked files in the cache
+    const outside = await request(port, 'POST', '/api/discover/file-sync/create-update-notification',
+      { serverPath: serverFile, localPath: victim });
+    assert.strictEqual(outside.status, 400);
+    assert.match(outside.body.error, /Not a tracked cached file/);
+
+    const untracked = path.join(path.dirname(localPath), 'other.xml');
+    fs.writeFileSync(untracked, '<colors v="0"/>');
+    assert.strictEqual((await request(port, 'POST', '/api/discover/file-sync/create-update-notification',
+      { serverPath: serverFile, localPath: untracked })).status, 400);
+
+    const created = await request(port, 'POST', '/api/discover/file-sync/create-update-notification',
+      { serverPath: serverFile, localPath });
+    assert.strictEqual(created.status, 200);
+    console.log('✅ Update notifications only target tracked cached files');
+
+    // 2. Approving only overwrites tracked cached files
+    const legacy = await request(port, 'POST', '/api/discover/file-sync/approve-update', { notificationId: 'update-legacy' });
+    assert.strictEqual(legacy.status, 400);
+    assert.strictEqual(fs.readFileSync(victim, 'utf8'), 'keep me');
+
+    const approved = await request(port, 'POST', '/api/discover/file-sync/approve-update',
+      { notificationId: created.body.notification.id });
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(fs.readFileSync(localPath, 'utf8'), '<colors v="2"/>');
+    console.log('✅ Approvals never overwrite files outside the cache');
+
+    // 3. Update checks hash only tracked cached files against approved server paths
+    const checkUpdates = (serverPath, local) => request(port, 'GET',
+      `/api/discover/file-sync/check-updates?serverPath=${encodeURIComponent(serverPath)}&localPath=${encodeURIComponent(local)}`);
+
+    const hashOutside = await checkUpdates(serverFile, victim);
+    assert.strictEqual(hashOutside.status, 400);
+    assert.match(hashOutside.body.error, /Not a tracked cached file/);
+    assert.strictEqual((await checkUpdates(serverFile, untracked)).status, 400);
+
+    const localServer = await checkUpdates(serverFile, localPath);
+    assert.strictEqual(localServer.status, 400);
+    assert.match(localServer.body.error, /Not a server path/);
+
+    const unapproved = await checkUpdates('\\\\srv\\cam\\Color_table.xml', localPath);
+    assert.strictEqual(unapproved.status, 403);
+    assert.ok(!unapproved.body.updateInfo);
+    console.log('✅ Update checks are limited to the cache and approved shares');
+
+    console.log('\n✨ File sync routes test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    await auditLog.close();
+  }
+}
+
+testFileSyncRoutes();
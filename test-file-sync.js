@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const assert = require('assert');
+
+// The server file cache (D:\BRK_CNC_System_Server_Copy) resolves against the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-file-sync-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const FileHasher = require(path.join(__dirname, 'src/utils/FileHasher'));
+const FileMapping = require(path.join(__dirname, 'src/services/FileMapping'));
+const ServerFileMonitor = require(path.join(__dirname, 'src/services/ServerFileMonitor'));
+
+/**
+ * Test script - content hashes, server ↔ local mappings, update notifications and backups
+ * A directory in the temp folder plays the server share; every path in it counts as approved
+ */
+const driveMap = { isNetworkPath: filePath => filePath.startsWith(path.join(workDir, 'server')) };
+const networkAccess = { checkAccess: () => ({ allowed: true }) };
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+async function testFileSync() {
+  console.log('🧪 Testing file hashing and server file sync\n');
+
+  try {
+    const serverDir = path.join(workDir, 'server');
+    fs.mkdirSync(serverDir);
+
+    // 1. Hashes match a one-shot digest, also across chunk boundaries
+    const large = crypto.randomBytes(FileHasher.chunkSize * 2 + 123);
+    const largeFile = path.join(serverDir, 'ToolDB.db');
+    fs.writeFileSync(largeFile, large);
+
+    let timerFired = false;
+    setTimeout(() => {
+      timerFired = true;
+    }, 0);
+    const hash = await FileHasher.hashFile(largeFile);
+    assert.strictEqual(hash, sha256(large));
+    assert.ok(timerFired, 'event loop was blocked while hashing');
+
+    await assert.rejects(FileHasher.hashFile(path.join(serverDir, 'missing.db')), /ENOENT/);
+    console.log('✅ Files are hashed in chunks without blocking the event loop');
+
+    // 2. Mappings: content decides, mtime-only changes are not updates
+    const fileMapping = new FileMapping({ driveMap, networkAccess });
+    const fileMonitor = new ServerFileMonitor({ driveMap, networkAccess });
+    fileMapping.ensureDirectories();
+
+    const serverFile = path.join(serverDir, 'Color_table.xml');
+    fs.writeFileSync(serverFile, '<colors v="1"/>');
+    const cached = await fileMonitor.copyFromServerToLocal(serverFile, 'Color_table.xml');
+    assert.ok(cached.success);
+    assert.strictEqual(cached.contentHash, sha256('<colors v="1"/>'));
+
+    const added = await fileMapping.addMapping(serverFile, cached.localPath, 'config');
+    assert.ok(added.success);
+    assert.strictEqual(added.mapping.lastServerHash, sha256('<colors v="1"/>'));
+    assert.ok(!(await fileMapping.addMapping(path.join(workDir, 'local.xml'), cached.localPath)).success);
+
+    const later = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(serverFile, later, later);
+    const touched = await fileMapping.checkForServerUpdate(cached.localPath);
+    assert.strictEqual(touched.hasUpdate, false);
+    assert.strictEqual(touched.changeState, 'mtime-changed-content-identical');
+
+    fs.writeFileSync(serverFile, '<colors v="2"/>');
+    const changed = await fileMapping.checkForServerUpdate(cached.localPath);
+    assert.strictEqual(changed.hasUpdate, true);
+    assert.strictEqual(changed.changeState, 'content-changed');
+    console.log('✅ Server updates are detected by content');
+
+    // 3. Notification → approval backs up the old copy and syncs the new one
+    const notified = await fileMonitor.createUpdateNotification(serverFile, cached.localPath);
+    assert.ok(notified.success);
+    const approved = await fileMonitor.approveUpdate(notified.notification.id, 'alice');
+    assert.ok(approved.success);
+    assert.strictEqual(fs.readFileSync(cached.localPath, 'utf8'), '<colors v="2"/>');
+    assert.strictEqual(fs.readFileSync(approved.backupCreated, 'utf8'), '<colors v="1"/>');
+
+    const synced = await fileMapping.markAsSynced(cached.localPath);
+    assert.ok(synced.success);
+    assert.strictEqual(synced.mapping.lastLocalHash, sha256('<colors v="2"/>'));
+    assert.strictEqual((await fileMonitor.checkForUpdates(serverFile, cached.localPath)).hasUpdate, false);
+    console.log('✅ Approved updates replace the cached copy and keep a backup');
+
+    // 4. Backups can be listed and restored - only real backups of the file, only inside the cache
+    fs.writeFileSync(`${approved.backupCreated}.backup.2020-01-01T00-00-00-000Z`, 'backup of a backup');
+    fs.writeFileSync(`${cached.localPath}.backup.notes.txt`, 'not a backup');
+    const catalogue = await fileMonitor.listBackups(cached.localPath);
+    assert.strictEqual(catalogue.count, 1);
+    assert.strictEqual(catalogue.backups[0].backupPath, approved.backupCreated);
+    assert.strictEqual(catalogue.backups[0].contentHash, undefined);
+
+    assert.ok(!(await fileMonitor.restoreBackup(cached.localPath, `${cached.localPath}.backup.notes.txt`)).success);
+    const outside = path.join(workDir, 'elsewhere.txt');
+    fs.writeFileSync(outside, 'keep');
+    fs.writeFileSync(`${outside}.backup.2020-01-01T00-00-00-000Z`, 'overwrite');
+    assert.ok(!(await fileMonitor.restoreBackup(outside, `${outside}.backup.2020-01-01T00-00-00-000Z`)).success);
+    assert.ok(!(await fileMonitor.pruneBackups(outside, { days: 0, maxCount: 0 })).success);
+    assert.strictEqual(fs.readFileSync(outside, 'utf8'), 'keep');
+    assert.ok(fs.existsSync(`${outside}.backup.2020-01-01T00-00-00-000Z`));
+
+    const restored = await fileMonitor.restoreBackup(cached.localPath, approved.backupCreated, 'alice');
+    assert.ok(restored.success);
+    assert.strictEqual(fs.readFileSync(cached.localPath, 'utf8'), '<colors v="1"/>');
+    assert.strictEqual((await fileMapping.markAsRestored(cached.localPath, approved.backupCreated)).mapping.lastLocalHash,
+      sha256('<colors v="1"/>'));
+    assert.strictEqual((await fileMonitor.listBackups(cached.localPath)).count, 2);
+
+    const pruned = await fileMonitor.pruneBackups(cached.localPath, { days: 30, maxCount: 1 });
+    assert.deepStrictEqual(pruned.removed, [approved.backupCreated]);
+    assert.ok(fs.existsSync(`${approved.backupCreated}.backup.2020-01-01T00-00-00-000Z`));
+    assert.ok(fs.existsSync(`${cached.localPath}.backup.notes.txt`));
+    console.log('✅ Backups are listed, restored and pruned inside the cache only');
+
+    console.log('\n✨ File sync test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testFileSync();
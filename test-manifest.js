@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const ServerPathsManifest = require('./src/services/ServerPathsManifest');
+
+/**
+ * Test script - server paths manifest: usernames, probing, generations and drift
+ * Y: and Q: are mapped server drives; they do not exist here, so they probe as unreachable
+ */
+const createDriveMap = (uncRoots = { Y: '\\\\cam-srv\\data', Q: '\\\\cam-srv\\post' }) => ({
+  classifyPath: pathStr => {
+    if (pathStr.startsWith('\\\\')) {
+      return { type: 'server', isUNC: true, drive: 'network-share', category: 'UNC-network-share' };
+    }
+    const letter = pathStr[0].toUpperCase();
+    return letter === 'Y' || letter === 'Q'
+      ? { type: 'server', isUNC: false, drive: letter, category: `server-drive-${letter}` }
+      : { type: 'local', isUNC: false, drive: letter, category: `local-drive-${letter}` };
+  },
+  toUncPath: pathStr => {
+    if (pathStr.startsWith('\\\\')) return pathStr;
+    const root = uncRoots[pathStr[0].toUpperCase()];
+    return root ? `${root}${pathStr.slice(2)}` : null;
+  }
+});
+
+async function testManifest() {
+  console.log('🧪 Testing server paths manifest\n');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-manifest-'));
+  const manifestDir = path.join(workDir, 'manifests');
+  const localFile = path.join(workDir, 'Color_table.xml');
+  fs.writeFileSync(localFile, '<colors/>');
+
+  try {
+    const manifests = new ServerPathsManifest({ driveMap: createDriveMap(), manifestDir, probeTimeoutMs: 1000 });
+    const analyze = config => manifests.analyzePathsFromConfig(config);
+    const config = { toolDb: 'Y:\\ToolDB\\tools.db', colors: localFile };
+
+    // 1. Usernames cannot leave the manifest folder
+    ['..', '.', '../alice', 'a/b', 'a\\b', '', 'bob smith'].forEach(username => {
+      assert.match(manifests.createManifest(analyze(config), username).error, /Invalid username/);
+      assert.ok(!manifests.loadManifest(username).success);
+      assert.ok(!manifests.listGenerations(username).success);
+      assert.ok(!manifests.compareGenerations(username).success);
+    });
+    assert.deepStrictEqual(fs.readdirSync(workDir).sort(), ['Color_table.xml', 'manifests']);
+    assert.deepStrictEqual(fs.readdirSync(manifestDir), []);
+    assert.ok(manifests.loadManifest('alice').notFound);
+    console.log('✅ Invalid usernames are rejected before touching files');
+
+    // 2. Probing updates the latest generation instead of adding one
+    assert.strictEqual(manifests.createManifest(analyze(config), 'alice').generation, 1);
+    const probed = await manifests.probeManifest('alice');
+    assert.ok(probed.success);
+    assert.strictEqual(probed.generation, 1);
+    assert.strictEqual(manifests.listGenerations('alice').count, 1);
+    assert.deepStrictEqual(probed.manifestContent.unreachablePaths.paths.map(p => p.path),
+      ['\\\\cam-srv\\data\\ToolDB\\tools.db']);
+    assert.strictEqual(probed.manifestContent.probe.reachable, 1);
+    assert.deepStrictEqual(probed.alerts.map(a => a.type), ['path-unreachable']);
+    assert.strictEqual(manifests.loadGeneration('alice', 1).manifest.lastProbed, probed.manifestContent.lastProbed);
+
+    const reprobed = await manifests.probeManifest('alice');
+    assert.strictEqual(reprobed.generation, 1);
+    assert.strictEqual(reprobed.alerts.length, 0);
+    console.log('✅ Probes update the latest generation in place');
+
+    // 3. A re-analysis without probing keeps the probe results of the paths it still has
+    const reanalysed = manifests.createManifest(analyze(config), 'alice');
+    assert.strictEqual(reanalysed.generation, 2);
+    assert.strictEqual(reanalysed.manifestContent.lastProbed, reprobed.manifestContent.lastProbed);
+    assert.strictEqual(reanalysed.manifestContent.unreachablePaths.count, 1);
+    assert.ok(reanalysed.manifestContent.serverPaths.paths[0].probe);
+    assert.strictEqual(reanalysed.diff.summary.unchanged, true);
+
+    const withNewPath = manifests.createManifest(analyze({ colors: localFile, macros: 'Y:\\Macros' }), 'alice');
+    assert.strictEqual(withNewPath.manifestContent.unreachablePaths.count, 0);
+    assert.strictEqual(withNewPath.manifestContent.probe.notProbed, 1);
+    assert.strictEqual(withNewPath.manifestContent.probe.reachable, 1);
+    console.log('✅ Probe results survive a re-analysis');
+
+    // 4. Spelling changes are not drift; a move to another share is
+    manifests.createManifest(analyze(config), 'bob');
+    const respelled = manifests.createManifest(analyze({ toolDb: '\\\\cam-srv\\data\\ToolDB\\tools.db' }), 'bob');
+    assert.strictEqual(respelled.diff.summary.unchanged, true);
+
+    const unmapped = new ServerPathsManifest({ driveMap: createDriveMap({}), manifestDir });
+    const unresolved = unmapped.createManifest(unmapped.analyzePathsFromConfig({ toolDb: 'Y:\\ToolDB\\tools.db' }), 'carol');
+    assert.strictEqual(unresolved.manifestContent.serverPaths.paths[0].resolved, false);
+    const resolved = manifests.createManifest(analyze({ toolDb: 'Y:\\ToolDB\\tools.db' }), 'carol');
+    assert.strictEqual(resolved.diff.summary.unchanged, true);
+
+    const moved = manifests.createManifest(analyze({ toolDb: 'Q:\\ToolDB\\tools.db' }), 'bob');
+    assert.strictEqual(moved.diff.driveChanged.length, 1);
+    assert.strictEqual(moved.diff.driveChanged[0].fromShare, '\\\\cam-srv\\data');
+    assert.strictEqual(moved.diff.driveChanged[0].toShare, '\\\\cam-srv\\post');
+    assert.strictEqual(moved.diff.vanished.length, 0);
+    console.log('✅ Only real moves are reported as drive changes');
+
+    console.log('\n✨ Manifest test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testManifest();
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+
+// The server file cache (D:\BRK_CNC_System_Server_Copy) resolves against the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-network-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const NetworkAccessService = require(path.join(__dirname, 'src/services/NetworkAccessService'));
+const SettingsWatcherService = require(path.join(__dirname, 'src/services/SettingsWatcherService'));
+const FileMapping = require(path.join(__dirname, 'src/services/FileMapping'));
+
+/**
+ * Test script - network access decisions, blocked attempts and the gates that use them
+ * UNC paths and the "share" folder in the temp directory count as network paths
+ */
+const shareDir = path.join(workDir, 'share');
+const driveMap = {
+  isNetworkPath: filePath => filePath.startsWith('\\\\') || filePath.startsWith(shareDir)
+};
+
+async function testNetworkAccess() {
+  console.log('🧪 Testing network access decisions\n');
+  const accessFile = path.join(workDir, 'network-access.json');
+  const readStored = () => JSON.parse(fs.readFileSync(accessFile, 'utf8'));
+  let watchers = null;
+
+  try {
+    const access = new NetworkAccessService({ accessFile, driveMap, blockedFlushMs: 60 * 1000 });
+
+    // 1. Decisions: most specific prefix wins, non-recursive covers direct children only, expiry
+    assert.ok(access.checkAccess('alice', 'C:\\local\\file.txt').allowed);
+    access.approve('alice', '\\\\srv\\cam\\');
+    access.deny('alice', '\\\\srv\\cam\\private');
+    access.approve('alice', '\\\\srv\\post', { recursive: false });
+    access.approve('alice', '\\\\srv\\old', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.ok(access.checkAccess('alice', '\\\\srv\\cam\\tools\\ToolDB.db').allowed);
+    assert.strictEqual(access.checkAccess('alice', '\\\\SRV\\cam\\private\\x.txt').reason, 'denied');
+    assert.ok(access.checkAccess('alice', '\\\\srv\\post\\machine.pp').allowed);
+    assert.ok(!access.checkAccess('alice', '\\\\srv\\post\\old\\machine.pp').allowed);
+    assert.ok(!access.checkAccess('alice', '\\\\srv\\old\\x.txt').allowed);
+    assert.strictEqual(access.checkAccess('bob', '\\\\srv\\cam\\tools\\ToolDB.db').reason, 'not-approved');
+    console.log('✅ Decisions apply per user, most specific prefix first');
+
+    // 2. Decision ids stay unique within one millisecond
+    const ids = Array.from({ length: 20 }, (_, i) => access.approve('carol', `\\\\srv\\share${i}`).approval.id);
+    assert.strictEqual(new Set(ids).size, ids.length);
+    console.log('✅ Decision ids are unique');
+
+    // 3. Blocked attempts are collected in memory and written in one go
+    const storedBefore = fs.readFileSync(accessFile, 'utf8');
+    for (let i = 0; i < 50; i++) {
+      access.checkAccess('bob', '\\\\srv\\cam\\tools\\ToolDB.db', 'scanner');
+    }
+    assert.strictEqual(fs.readFileSync(accessFile, 'utf8'), storedBefore);
+    assert.strictEqual(access.getBlockedNetworkPaths('bob').find(b => b.context === 'scanner').attempts, 50);
+
+    // Another instance saves a decision in the meantime - the flush keeps it
+    new NetworkAccessService({ accessFile, driveMap }).approve('dave', '\\\\srv\\dave');
+    access.flushBlocked();
+    const stored = readStored();
+    assert.ok(stored.approvals.some(a => a.username === 'dave'));
+    assert.strictEqual(stored.blockedNetworkPaths.find(b => b.username === 'bob' && b.context === 'scanner').attempts, 50);
+    assert.strictEqual(access.pendingBlocked.size, 0);
+
+    // Approving removes the user's blocked attempts below the prefix, written or not
+    access.checkAccess('bob', '\\\\srv\\cam\\macros\\MacroDB.db', 'sync');
+    access.approve('bob', '\\\\srv\\cam');
+    assert.strictEqual(access.getBlockedNetworkPaths('bob').length, 0);
+    assert.strictEqual(readStored().blockedNetworkPaths.filter(b => b.username === 'bob').length, 0);
+    console.log('✅ Blocked attempts are batched and merged with stored decisions');
+
+    // 4. Watchers only watch approved network folders
+    fs.mkdirSync(shareDir);
+    watchers = new SettingsWatcherService({
+      locator: { getDefaultWatchPaths: () => [] },
+      networkAccess: access,
+      watchersFile: path.join(workDir, 'watchers.json')
+    });
+    const blockedWatch = watchers.startWatcher({ username: 'erin', paths: [shareDir] });
+    assert.ok(!blockedWatch.success);
+    assert.strictEqual(blockedWatch.skippedPaths[0].reason, 'network access not approved');
+
+    access.approve('erin', shareDir);
+    const watched = watchers.startWatcher({ username: 'erin', paths: [shareDir] });
+    assert.ok(watched.success);
+    watchers.closeAll();
+    console.log('✅ Watchers skip network folders the user has not approved');
+
+    // 5. File mappings check the requesting user's approvals
+    const serverFile = path.join(shareDir, 'Color_table.xml');
+    fs.writeFileSync(serverFile, '<colors/>');
+    const fileMapping = new FileMapping({ driveMap, networkAccess: access, username: 'service-account' });
+    fileMapping.ensureDirectories();
+    const localPath = path.join(fileMapping.currentFilesDir, 'Color_table.xml');
+
+    assert.strictEqual((await fileMapping.addMapping(serverFile, localPath, 'config', 'frank')).status,
+      'network-access-not-approved');
+    assert.ok(!(await fileMapping.addMapping(serverFile, localPath, 'config')).success);
+    assert.ok((await fileMapping.addMapping(serverFile, localPath, 'config', 'erin')).success);
+    assert.ok(!(await fileMapping.checkForServerUpdate(localPath, 'frank')).success);
+    assert.ok((await fileMapping.checkForServerUpdate(localPath, 'erin')).success);
+    console.log('✅ File mappings use the requesting user\'s approvals');
+
+    console.log('\n✨ Network access test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (watchers) watchers.closeAll();
+  }
+}
+
+testNetworkAccess();
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+
+// Denied requests are audited - keep the audit database and logs out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-profiles-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const express = require('express');
+const UserProfileService = require(path.join(__dirname, 'src/services/UserProfileService'));
+const { errorEnvelope, validateRequest } = require(path.join(__dirname, 'src/middleware/openapi'));
+const { auditLog } = require(path.join(__dirname, 'src/middleware/audit'));
+const profileRoutes = require(path.join(__dirname, 'src/routes/profileRoutes'));
+
+/**
+ * Test script - profile routes: usernames that leave the profiles folder, diffs against other users
+ * The routes use the default profiles folder, so the test users get unique names and are removed afterwards
+ */
+const suffix = crypto.randomBytes(3).toString('hex');
+const alice = `test-${suffix}-alice`;
+const bob = `test-${suffix}-bob`;
+
+/**
+ * Send a request as the user named in `as`
+ * @returns {Promise<Object>} - { status, body }
+ */
+function request(port, method, urlPath, as) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers: { 'x-test-user': as } }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function testProfileRoutes() {
+  console.log('🧪 Testing profile routes\n');
+  const profiles = new UserProfileService();
+  let server = null;
+
+  try {
+    // 1. Usernames that would leave the profiles folder are rejected by the service
+    ['..', '.', '../data', 'a/b', 'a\\b', ''].forEach(username => {
+      assert.throws(() => profiles.getUserProfileDir(username), /Invalid username/);
+      assert.ok(!profiles.deleteProfile(username).success);
+    });
+    assert.ok(fs.existsSync(profiles.profilesDir));
+    console.log('✅ Invalid usernames never reach the file system');
+
+    // 2. ... and by the API before any handler runs
+    profiles.saveParsedConfig(alice, { machines: [{ id: 'DMU 50', name: 'DMU 50' }] });
+    profiles.saveParsedConfig(bob, { machines: [{ id: 'C 42', name: 'C 42', mdfPath: 'Y:\\MDF\\secret.mdf' }] });
+
+    const app = express();
+    app.use(errorEnvelope);
+    app.use(express.json());
+    app.use((req, res, next) => {
+      const [username, role] = (req.headers['x-test-user'] || '').split(':');
+      req.user = { username, role };
+      next();
+    });
+    app.use('/api/profiles', validateRequest, profileRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    const traversal = await request(port, 'DELETE', '/api/profiles/%2E%2E', 'admin:cam-admin');
+    assert.strictEqual(traversal.status, 400);
+    assert.strictEqual(traversal.body.code, 'VALIDATION_ERROR');
+    assert.strictEqual((await request(port, 'GET', '/api/profiles/a%2Fb', 'admin:cam-admin')).status, 400);
+    assert.ok(fs.existsSync(profiles.profilesDir));
+    console.log('✅ Profile routes reject "..", "." and separators in usernames');
+
+    // 3. Diffs against another user need access to that user
+    const diffAgainst = (against, as) => request(port, 'GET', `/api/profiles/${alice}/diff?against=${encodeURIComponent(against)}`, as);
+
+    const denied = await diffAgainst(bob, `${alice}:programmer`);
+    assert.strictEqual(denied.status, 403);
+    assert.ok(!JSON.stringify(denied.body).includes('secret.mdf'));
+    assert.strictEqual((await diffAgainst(`test-${suffix}-nobody`, `${alice}:programmer`)).status, 404);
+    assert.strictEqual((await diffAgainst('..', `${alice}:programmer`)).status, 400);
+    assert.strictEqual((await diffAgainst('../x', 'admin:cam-admin')).status, 400);
+
+    const allowed = await diffAgainst(bob, 'svc-toolmanager:service');
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual(allowed.body.against, `user:${bob}`);
+
+    const denials = await auditLog.query({ action: 'access.denied', target: bob });
+    assert.strictEqual(denials.total, 1);
+    console.log('✅ Diffs against other users are limited to callers allowed to read them');
+
+    console.log('\n✨ Profile routes test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    [alice, bob].forEach(username => profiles.deleteProfile(username));
+    await auditLog.close();
+  }
+}
+
+testProfileRoutes();
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const ScanJobService = require('./src/services/ScanJobService');
+const ScannerService = require('./src/services/ScannerService');
+
+/**
+ * Test script - scan jobs: ids, memory use after finishing, cancellation during a directory walk,
+ * a user config scan run to completion, and listings read from summaries
+ * Network access is allowed for every path unless a test says otherwise, the scanned tree lives in the temp folder
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const networkAccess = { checkAccess: () => ({ allowed: true }) };
+
+/**
+ * Poll until a job has finished
+ */
+async function waitForJob(scanJobs, jobId) {
+  for (let i = 0; i < 200; i++) {
+    const { job } = scanJobs.getJob(jobId);
+    if (job && job.finishedAt) return job;
+    await wait(10);
+  }
+  throw new Error(`Scan job did not finish: ${jobId}`);
+}
+
+async function testScanJobs() {
+  console.log('🧪 Testing scan jobs\n');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-scans-'));
+  const originalLog = console.log;
+
+  try {
+    // 1. Job ids stay unique within one millisecond; saved jobs leave memory
+    const quickScanner = { scanPC: async () => ({ summary: { totalFiles: 0 } }) };
+    const scanJobs = new ScanJobService({ scansDir: path.join(workDir, 'scans'), scanner: quickScanner });
+    const ids = Array.from({ length: 10 }, () => scanJobs.startScan().job.id);
+    assert.strictEqual(new Set(ids).size, ids.length);
+
+    await waitForJob(scanJobs, ids[9]);
+    assert.deepStrictEqual(Object.keys(scanJobs.jobs), []);
+    assert.strictEqual(scanJobs.getJob(ids[0]).job.status, 'completed');
+    assert.strictEqual(scanJobs.listScans().count, 10);
+    console.log('✅ Job ids are unique and saved jobs are evicted from memory');
+
+    // 2. Jobs that cannot be saved stay in memory, but only the newest few
+    const unsaved = new ScanJobService({
+      scansDir: path.join(workDir, 'unsaved'),
+      scanner: quickScanner,
+      maxFinishedJobs: 2
+    });
+    fs.rmSync(unsaved.scansDir, { recursive: true });
+    fs.writeFileSync(unsaved.scansDir, 'not a directory');
+    const consoleError = console.error;
+    console.error = () => {};
+    const unsavedIds = [];
+    for (let i = 0; i < 4; i++) {
+      unsavedIds.push(unsaved.startScan().job.id);
+      await waitForJob(unsaved, unsavedIds[i]);
+    }
+    console.error = consoleError;
+    assert.deepStrictEqual(Object.keys(unsaved.jobs).sort(), unsavedIds.slice(2).sort());
+    assert.ok(unsaved.getJob(unsavedIds[3]).found);
+    console.log('✅ Unsaved finished jobs are capped');
+
+    // 3. Cancelling stops a directory walk, not only the next phase
+    const treeDir = path.join(workDir, 'automation');
+    for (let d = 0; d < 20; d++) {
+      const dir = path.join(treeDir, `machine-${d}`);
+      fs.mkdirSync(dir, { recursive: true });
+      for (let f = 0; f < 5; f++) {
+        fs.writeFileSync(path.join(dir, `macro-${f}.hma`), 'x');
+      }
+    }
+
+    const scanner = new ScannerService({ networkAccess });
+    console.log = () => {};
+    assert.strictEqual((await scanner.getAllFiles(treeDir)).length, 100);
+    let checks = 0;
+    const partial = await scanner.getAllFiles(treeDir, [], () => ++checks > 30);
+    assert.ok(partial.length > 0 && partial.length < 100);
+
+    const scanConfig = {
+      username: 'alice',
+      pathsToScan: [{ path: treeDir, key: 'AutomationCenter', type: 'automation' }],
+      machines: [{ name: 'DMU 50', mdfPath: path.join(workDir, 'dmu50.mdf') }]
+    };
+    const profileService = { getScannerConfig: () => ({ found: true, config: scanConfig }) };
+    const userScans = new ScanJobService({ scansDir: path.join(workDir, 'user-scans'), scanner, profileService });
+
+    const started = userScans.startScan({ type: 'user', username: 'alice' });
+    assert.ok(started.success);
+    assert.ok(userScans.cancelScan(started.job.id).success);
+    const cancelled = await waitForJob(userScans, started.job.id);
+    console.log = originalLog;
+
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.ok(cancelled.results.inventory.automation.length < 100);
+    assert.strictEqual(cancelled.results.machines.length, 0);
+    console.log('✅ Cancellation is checked inside directory walks');
+
+    // 4. A user config scan sorts files into the inventory and reports what is missing
+    const envDir = path.join(workDir, 'environment');
+    const write = (relPath, content = 'x') => {
+      fs.mkdirSync(path.dirname(path.join(envDir, relPath)), { recursive: true });
+      fs.writeFileSync(path.join(envDir, relPath), content);
+      return path.join(envDir, relPath);
+    };
+    write('user/macros/drill.hma');
+    write('user/macros/sub/cleanup.vbs');
+    write('user/tools/tooldb-mill');
+    write('user/tools/library.vtx');
+    write('user/settings.omSettings');
+    write('user/notes.txt', 'hello');
+    write('config/defaults');
+    const mdf = write('machines/dmu50.mdf');
+    const post = write('machines/dmu50.pp');
+    const toolDb = write('databases/tools.db');
+    const shareDir = path.join(envDir, 'share');
+    fs.mkdirSync(shareDir);
+
+    const unapprovedShare = '\\\\srv\\cam';
+    const restrictedAccess = {
+      checkAccess: (username, filePath) => ({ allowed: filePath !== unapprovedShare })
+    };
+    const progress = [];
+    console.log = () => {};
+    const results = await new ScannerService({ networkAccess: restrictedAccess }).scanUserConfig({
+      username: 'alice',
+      pathsToScan: [
+        { path: path.join(envDir, 'user'), key: 'UserDirectory', type: 'user-directory' },
+        { path: path.join(envDir, 'config'), key: 'ConfigDirectory', type: 'configuration' },
+        { path: path.join(envDir, 'missing'), key: 'Missing', type: 'automation-center' }
+      ],
+      machines: [
+        { name: 'DMU 50', mdfPath: mdf, postProcessor: post },
+        { name: 'C 42', mdfPath: path.join(envDir, 'machines/c42.mdf'), postProcessor: post },
+        { name: 'Hermle', mdfPath: mdf, postProcessor: path.join(envDir, 'machines/hermle.pp') }
+      ],
+      databases: {
+        toolDatabases: [{ path: toolDb, type: 'tool' }],
+        macroDatabases: [{ path: path.join(envDir, 'databases/macros.db'), type: 'macro' }]
+      },
+      networkShares: [
+        { name: 'local', path: shareDir },
+        { name: 'gone', path: path.join(envDir, 'gone') },
+        { name: 'cam', path: unapprovedShare }
+      ]
+    }, { onProgress: event => progress.push(event) });
+    console.log = originalLog;
+
+    const names = category => results.inventory[category].map(f => f.name).sort();
+    assert.deepStrictEqual(names('automation'), ['cleanup.vbs', 'drill.hma']);
+    assert.deepStrictEqual(names('tool-database'), ['library.vtx', 'tooldb-mill']);
+    assert.deepStrictEqual(names('configuration'), ['defaults', 'settings.omSettings']);
+    assert.deepStrictEqual(names('other'), ['notes.txt']);
+    assert.strictEqual(results.inventory.other[0].size, 5);
+    assert.strictEqual(results.inventory.other[0].sourceKey, 'UserDirectory');
+
+    assert.deepStrictEqual(results.paths.map(p => [p.key, p.exists, p.filesFound]),
+      [['UserDirectory', true, 6], ['ConfigDirectory', true, 1], ['Missing', false, 0]]);
+    assert.deepStrictEqual(results.machines.map(m => [m.name, m.mdfExists, m.postProcessorExists]),
+      [['DMU 50', true, true], ['C 42', false, true], ['Hermle', true, false]]);
+    assert.strictEqual(results.databases.toolDatabases[0].exists, true);
+    assert.strictEqual(results.databases.macroDatabases[0].exists, false);
+    assert.deepStrictEqual(results.networkShares.map(s => [s.name, s.isAccessible]),
+      [['local', true], ['gone', false], ['cam', false]]);
+    assert.strictEqual(results.networkShares[2].error, 'NETWORK_ACCESS_NOT_APPROVED');
+
+    assert.strictEqual(results.summary.pathsMissing, 1);
+    assert.strictEqual(results.summary.totalFilesFound, 7);
+    assert.strictEqual(results.summary.machinesMissingFiles, 2);
+    assert.strictEqual(results.summary.databasesMissing, 1);
+    assert.strictEqual(results.summary.networkSharesAccessible, 1);
+    assert.strictEqual(results.summary.networkSharesInaccessible, 2);
+    assert.deepStrictEqual(progress[progress.length - 1], { phase: 'done', completed: 11, total: 11 });
+    assert.ok(!results.cancelled);
+    console.log('✅ User config scans categorise the inventory and report missing paths, machines and shares');
+
+    // 5. Listings read summaries, never results, and match usernames case-insensitively
+    const userScanner = { scanUserConfig: async () => ({ summary: { totalFilesFound: 1 }, inventory: { other: [] } }) };
+    const listed = new ScanJobService({
+      scansDir: path.join(workDir, 'listed'),
+      scanner: userScanner,
+      profileService: { getScannerConfig: () => ({ found: true, config: {} }) }
+    });
+    const aliceJob = await waitForJob(listed, listed.startScan({ type: 'user', username: 'Alice' }).job.id);
+    assert.ok(fs.existsSync(path.join(listed.scansDir, `${aliceJob.id}.summary.json`)));
+
+    // A result file too broken to parse does not matter to listings
+    fs.writeFileSync(path.join(listed.scansDir, `${aliceJob.id}.json`), '{ not json');
+    ['alice', 'ALICE', 'Alice'].forEach(username => {
+      const { scans } = listed.listScans({ username });
+      assert.deepStrictEqual(scans.map(scan => scan.id), [aliceJob.id]);
+      assert.deepStrictEqual(scans[0].summary, { totalFilesFound: 1 });
+    });
+    assert.strictEqual(listed.listScans({ username: 'bob' }).count, 0);
+
+    // Scans saved before summaries get one on first listing
+    const legacy = { ...listed.publicJob(aliceJob), id: 'scan-1-legacy', username: 'bob', results: { summary: { totalFilesFound: 2 } } };
+    fs.writeFileSync(path.join(listed.scansDir, 'scan-1-legacy.json'), JSON.stringify(legacy));
+    assert.deepStrictEqual(listed.listScans({ username: 'Bob' }).scans[0].summary, { totalFilesFound: 2 });
+    assert.ok(fs.existsSync(path.join(listed.scansDir, 'scan-1-legacy.summary.json')));
+    assert.strictEqual(listed.listScans().count, 2);
+    console.log('✅ Scan listings come from summaries and ignore username case');
+
+    console.log('\n✨ Scan job test completed successfully!');
+  } catch (error) {
+    console.log = originalLog;
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testScanJobs();
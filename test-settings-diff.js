@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+
+// Keep the audit database and logs out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-settings-diff-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const express = require('express');
+const SettingsDiffService = require(path.join(__dirname, 'src/services/SettingsDiffService'));
+const UserProfileService = require(path.join(__dirname, 'src/services/UserProfileService'));
+const { errorEnvelope, validateRequest } = require(path.join(__dirname, 'src/middleware/openapi'));
+const { auditLog } = require(path.join(__dirname, 'src/middleware/audit'));
+const profileRoutes = require(path.join(__dirname, 'src/routes/profileRoutes'));
+
+/**
+ * Test script - SettingsDiffService compare/formatAsText and the profile diff route
+ * The route uses the default profiles folder, so the test users get unique names and are removed afterwards
+ */
+const suffix = crypto.randomBytes(3).toString('hex');
+const before = `test-${suffix}-before`;
+const after = `test-${suffix}-after`;
+
+const baseConfig = {
+  version: { name: 'hyperMILL', major: '32', minor: '0' },
+  paths: { shared: { tools: 'T:\\Tools', posts: 'P:\\Post' } },
+  userSettings: {
+    units: { value: 'mm' },
+    userDirectories: [{ key: 'ncOut', path: 'C:\\NC' }]
+  },
+  machines: [
+    { name: 'DMU 50', mdfPath: 'Y:\\MDF\\dmu50.mdf', postprocessor: 'dmu50.pp' },
+    { name: 'C 42', mdfPath: 'Y:\\MDF\\c42.mdf' }
+  ],
+  networkShares: [{ name: 'cam', path: '\\\\srv\\cam' }]
+};
+
+const targetConfig = {
+  version: { name: 'hyperMILL', major: '33', minor: '1' },
+  paths: { shared: { tools: 'T:\\Tools2', reports: 'R:\\Reports' } },
+  userSettings: {
+    units: { value: 'inch' },
+    userDirectories: [{ key: 'ncOut', path: 'D:\\NC' }, { key: 'tmp', path: 'C:\\Temp' }]
+  },
+  machines: [
+    { name: 'DMU 50', mdfPath: 'Y:\\MDF\\dmu50_v2.mdf', postprocessor: 'dmu50.pp' },
+    { name: 'Hermle', mdfPath: 'Y:\\MDF\\hermle.mdf' }
+  ],
+  networkShares: [{ path: '\\\\srv\\cam', name: 'cam' }]
+};
+
+const expectedText = [
+  '--- base (hyperMILL 32.0)',
+  '+++ target (hyperMILL 33.1)',
+  '',
+  '[paths.shared]',
+  '  - posts: "P:\\\\Post"',
+  '  + reports: "R:\\\\Reports"',
+  '  ~ tools: "T:\\\\Tools" -> "T:\\\\Tools2"',
+  '',
+  '[userSettings]',
+  '  ~ units.value: "mm" -> "inch"',
+  '',
+  '[userSettings.userDirectories]',
+  '  + tmp: "C:\\\\Temp"',
+  '  ~ ncOut: "C:\\\\NC" -> "D:\\\\NC"',
+  '',
+  '[machines]',
+  '  - C 42: {"name":"C 42","mdfPath":"Y:\\\\MDF\\\\c42.mdf"}',
+  '  + Hermle: {"name":"Hermle","mdfPath":"Y:\\\\MDF\\\\hermle.mdf"}',
+  '  ~ DMU 50.mdfPath: "Y:\\\\MDF\\\\dmu50.mdf" -> "Y:\\\\MDF\\\\dmu50_v2.mdf"',
+  '',
+  '3 added, 2 removed, 4 changed'
+].join('\n');
+
+/**
+ * Send a request as a service account
+ * @returns {Promise<Object>} - { status, type, text }
+ */
+function request(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: urlPath }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], text }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function testSettingsDiff() {
+  console.log('🧪 Testing settings diff\n');
+  const diffService = new SettingsDiffService();
+  const profiles = new UserProfileService();
+  let server = null;
+
+  try {
+    // 1. Added, removed and changed entries per section
+    const diff = diffService.compare(baseConfig, targetConfig);
+    const entries = list => list.map(e => `${e.section}:${e.key}`);
+
+    assert.strictEqual(diff.identical, false);
+    assert.deepStrictEqual(entries(diff.added), ['paths.shared:reports', 'userSettings.userDirectories:tmp', 'machines:Hermle']);
+    assert.deepStrictEqual(entries(diff.removed), ['paths.shared:posts', 'machines:C 42']);
+    assert.deepStrictEqual(entries(diff.changed), [
+      'paths.shared:tools', 'userSettings:units', 'userSettings.userDirectories:ncOut', 'machines:DMU 50'
+    ]);
+    assert.deepStrictEqual(diff.summary['paths.shared'], { added: 1, removed: 1, changed: 1 });
+    assert.deepStrictEqual(diff.summary.machines, { added: 1, removed: 1, changed: 1 });
+    assert.deepStrictEqual(diff.summary.networkShares, { added: 0, removed: 0, changed: 0 });
+    assert.deepStrictEqual(diff.changed[3].fields, ['mdfPath']);
+    assert.deepStrictEqual(diff.version, { base: 'hyperMILL 32.0', target: 'hyperMILL 33.1' });
+    console.log('✅ compare reports added, removed and changed entries per section');
+
+    // 2. Identical configs
+    assert.strictEqual(diffService.compare(baseConfig, JSON.parse(JSON.stringify(baseConfig))).identical, true);
+    assert.ok(diffService.formatAsText(diffService.compare(baseConfig, baseConfig)).endsWith('No differences found'));
+    console.log('✅ Identical configs produce no entries');
+
+    // 3. Text output
+    assert.strictEqual(diffService.formatAsText(diff), expectedText);
+    console.log('✅ formatAsText lists removed, added and changed fields per section');
+
+    // 4. The diff route compares :username with `against`
+    profiles.saveParsedConfig(before, baseConfig);
+    profiles.saveParsedConfig(after, targetConfig);
+
+    const app = express();
+    app.use(errorEnvelope);
+    app.use((req, res, next) => {
+      req.user = { username: 'svc-toolmanager', role: 'service' };
+      next();
+    });
+    app.use('/api/profiles', validateRequest, profileRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    const json = await request(port, `/api/profiles/${after}/diff?against=${before}`);
+    assert.strictEqual(json.status, 200);
+    const body = JSON.parse(json.text);
+    assert.strictEqual(body.against, `user:${before}`);
+    assert.deepStrictEqual(body.diff.summary, diff.summary);
+
+    const text = await request(port, `/api/profiles/${after}/diff?against=${before}&format=text`);
+    assert.strictEqual(text.status, 200);
+    assert.match(text.type, /^text\/plain/);
+    assert.strictEqual(text.text, expectedText
+      .replace('--- base', `--- user:${before}`)
+      .replace('+++ target', `+++ user:${after}`));
+    console.log('✅ The diff route returns the comparison as JSON and text');
+
+    console.log('\n✨ Settings diff test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    [before, after].forEach(username => profiles.deleteProfile(username));
+    await auditLog.close();
+  }
+}
+
+testSettingsDiff();
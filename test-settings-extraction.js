@@ -0,0 +1,99 @@
+const assert = require('assert');
+const SettingsParser = require('./src/services/SettingsParser');
+
+/**
+ * Test script - extraction of unknown settings and report templates from XSREGISTER.XML
+ * Parses XML strings directly, no .omSettings archive needed
+ */
+const SAMPLE_XSREGISTER = `<?xml version="1.0" encoding="utf-8"?>
+<hyperMILL Name="hyperMILL 2024" MajorVersion="33" MinorVersion="0">
+  <hyperMILL.Settings>
+    <Settings>
+      <Settings.AdminSettings>
+        <AdminSettings>
+          <AdminSettings>
+            <Settings Key="Simulation"><ConfigBool Value="1"/><ConfigInt Value="4"/></Settings>
+            <Settings Key="ReportPath"><ConfigRegistry Value="\\\\cam-srv\\data\\Reports" Default=""/></Settings>
+          </AdminSettings>
+        </AdminSettings>
+        <AdminSettings>
+          <AdminSettings>
+            <Settings Key="Simulation"><ConfigBool Value="0"/></Settings>
+          </AdminSettings>
+        </AdminSettings>
+      </Settings.AdminSettings>
+      <Settings.UserSettings>
+        <UserSettings>
+          <UserSettings>
+            <Settings Key="Simulation"><ConfigString Value="fast"/></Settings>
+            <Settings Key="tooldbReport"><ConfigRegistry Value="D:\\CAM\\Reports\\tools.hmrep" Default=""/></Settings>
+          </UserSettings>
+          <UserSettings.UserDirectories>
+            <UserDirectories Key="ReportTemplates"><PackageDirectory Path="[GWS]\\Reports"/></UserDirectories>
+          </UserSettings.UserDirectories>
+          <UserSettings.UserFiles>
+            <UserFiles Key="ToolReport"><FilePath Path="[USER_CFG]\\ToolReport.xlsx"/></UserFiles>
+          </UserSettings.UserFiles>
+          <UserSettings.Reports>
+            <ReportTemplate Name="Setup sheet" Path="[GWS]\\Reports\\setup.hmrep"/>
+          </UserSettings.Reports>
+        </UserSettings>
+      </Settings.UserSettings>
+    </Settings>
+  </hyperMILL.Settings>
+  <hyperMILL.Reports><Reports.ReportTemplate Key="NC">Y:\\Reports\\nc.pdf</Reports.ReportTemplate></hyperMILL.Reports>
+</hyperMILL>
+`;
+
+async function testSettingsExtraction() {
+  console.log('🧪 Testing settings extraction\n');
+  const parser = new SettingsParser();
+
+  try {
+    const config = parser.extractConfiguration(await parser.xmlParser.parseStringPromise(SAMPLE_XSREGISTER));
+
+    // 1. Unknown settings keep one entry per section and element
+    assert.deepStrictEqual(Object.keys(config.other.settings).sort(), [
+      'admin.Settings[0].AdminSettings[0].Simulation.ConfigBool',
+      'admin.Settings[0].AdminSettings[0].Simulation.ConfigInt',
+      'admin.Settings[0].AdminSettings[1].Simulation.ConfigBool',
+      'user.Settings[0].UserSettings[0].Simulation.ConfigString'
+    ]);
+    const simulation = config.other.settings['admin.Settings[0].AdminSettings[1].Simulation.ConfigBool'];
+    assert.strictEqual(simulation.section, 'Settings[0].AdminSettings[1]');
+    assert.strictEqual(simulation.value, false);
+    assert.strictEqual(config.other.settings['admin.Settings[0].AdminSettings[0].Simulation.ConfigBool'].value, true);
+    assert.strictEqual(config.other.settings['admin.Settings[0].AdminSettings[0].Simulation.ConfigInt'].value, 4);
+    assert.strictEqual(config.other.settings['user.Settings[0].UserSettings[0].Simulation.ConfigString'].value, 'fast');
+    console.log('✅ Unknown settings do not overwrite each other');
+
+    // 2. Report templates from settings, user directories, user files and template elements
+    const templates = Object.fromEntries(config.reportTemplates.map(t => [t.name, t]));
+    assert.deepStrictEqual(Object.keys(templates).sort(),
+      ['NC', 'ReportPath', 'ReportTemplates', 'Setup sheet', 'ToolReport', 'tooldbReport']);
+
+    assert.deepStrictEqual(templates.ReportPath,
+      { name: 'ReportPath', key: 'ReportPath', scope: 'admin', source: 'paths.shared', path: '\\\\cam-srv\\data\\Reports', type: 'directory' });
+    assert.strictEqual(templates.tooldbReport.source, 'userSettings');
+    assert.strictEqual(templates.tooldbReport.type, 'hmrep');
+    assert.strictEqual(templates.ReportTemplates.source, 'userDirectories');
+    assert.strictEqual(templates.ToolReport.type, 'xlsx');
+    assert.deepStrictEqual(templates['Setup sheet'],
+      { name: 'Setup sheet', key: null, scope: 'user', source: 'UserSettings.Reports/ReportTemplate', path: '[GWS]\\Reports\\setup.hmrep', type: 'hmrep' });
+    assert.strictEqual(templates.NC.scope, 'export');
+    assert.strictEqual(templates.NC.path, 'Y:\\Reports\\nc.pdf');
+    console.log('✅ Report templates are collected from every source');
+
+    // 3. A path listed twice under the same key is reported once
+    parser.extractReportTemplates(config);
+    assert.strictEqual(config.reportTemplates.length, 6);
+    console.log('✅ Report templates are not duplicated');
+
+    console.log('\n✨ Settings extraction test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testSettingsExtraction();
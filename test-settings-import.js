@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const SettingsImportService = require('./src/services/SettingsImportService');
+const UserProfileService = require('./src/services/UserProfileService');
+const ConfigurationLocator = require('./src/services/ConfigurationLocator');
+const LocatorConfig = require('./src/services/LocatorConfig');
+
+/**
+ * Test script - settings imports: promotion after parsing, rollback, per-user search folders
+ * The parser is an in-memory stand-in: files containing "broken" fail to parse
+ */
+const parser = {
+  parseSettings: async filePath => (fs.readFileSync(filePath, 'utf8').includes('broken')
+    ? { success: false, error: 'Invalid .omSettings archive' }
+    : { success: true, config: { version: { major: '34', minor: '0' }, machines: [{ name: 'DMU 50' }] } }),
+  cleanup: async () => {}
+};
+
+async function testSettingsImport() {
+  console.log('🧪 Testing settings imports\n');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-import-'));
+  const writeSettings = (name, content) => {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  try {
+    const profiles = new UserProfileService(path.join(workDir, 'profiles'));
+    const importer = new SettingsImportService({ profileService: profiles, parser });
+    const latestContent = username => fs.readFileSync(profiles.getLatestUserSettings(username).path, 'utf8');
+
+    // 1. A parsed import becomes the current version
+    const good = await importer.importFile('alice', writeSettings('good.omSettings', 'settings v1'), { source: 'import-file' });
+    assert.ok(good.success);
+    assert.strictEqual(good.before, null);
+    assert.strictEqual(good.after.currentVersionId, good.versionId);
+    assert.strictEqual(latestContent('alice'), 'settings v1');
+    assert.strictEqual(profiles.getParsedConfig('alice').config.machines[0].name, 'DMU 50');
+    console.log('✅ Parsed imports become the current version');
+
+    // 2. A file that fails to parse leaves the current version untouched
+    const broken = await importer.importFile('alice', writeSettings('broken.omSettings', 'broken'), { source: 'auto-import' });
+    assert.strictEqual(broken.success, false);
+    assert.match(broken.error, /Invalid/);
+
+    const versions = profiles.listVersions('alice');
+    assert.strictEqual(versions.currentVersionId, good.versionId);
+    assert.deepStrictEqual(versions.versions.map(v => v.id), [good.versionId]);
+    assert.strictEqual(latestContent('alice'), 'settings v1');
+    assert.strictEqual(
+      fs.readdirSync(path.join(profiles.getUserProfileDir('alice'), 'settings')).filter(f => f.startsWith('user-settings-')).length,
+      1
+    );
+    console.log('✅ Failed imports are rolled back');
+
+    // 3. A failed first import leaves no settings behind
+    assert.ok(!(await importer.importFile('bob', writeSettings('broken-too.omSettings', 'broken'))).success);
+    assert.strictEqual(profiles.listVersions('bob').versions.length, 0);
+    assert.ok(!profiles.getLatestUserSettings('bob').found);
+    assert.ok(!profiles.discardVersion('alice', good.versionId).success);
+    console.log('✅ The current version cannot be discarded');
+
+    // 4. Saves within the same millisecond get their own version
+    const burstFile = writeSettings('burst.omSettings', 'settings v2');
+    const burst = Array.from({ length: 5 }, () => profiles.saveUserSettings('carol', burstFile, { source: 'upload' }));
+    assert.ok(burst.every(saved => saved.success));
+    assert.strictEqual(new Set(burst.map(saved => saved.versionId)).size, 5);
+    assert.deepStrictEqual(profiles.listVersions('carol').versions.map(v => v.id), burst.map(saved => saved.versionId).reverse());
+    assert.strictEqual(profiles.listVersions('carol').currentVersionId, burst[4].versionId);
+    console.log('✅ Version ids are unique');
+
+    // 5. Per-user folders resolve into the target user's profile
+    const locatorConfig = new LocatorConfig(path.join(workDir, 'locator-config.json'));
+    const variables = { USERPROFILE: 'C:\\Users\\svc-cam' };
+    assert.strictEqual(locatorConfig.expandPath('%USERPROFILE%\\Documents', variables, { username: 'alice' }).path,
+      'C:\\Users\\alice\\Documents');
+    assert.strictEqual(locatorConfig.expandPath('%APPDATA%\\OPEN MIND', variables, { username: 'alice' }).path,
+      'C:\\Users\\alice\\AppData\\Roaming\\OPEN MIND');
+    assert.strictEqual(locatorConfig.expandPath('%PUBLIC%\\Documents', variables, { username: 'alice' }).path,
+      'C:\\Users\\Public\\Documents');
+    assert.strictEqual(locatorConfig.expandPath('%USERPROFILE%', variables, { username: 'SVC-CAM' }).path,
+      'C:\\Users\\svc-cam');
+
+    const usersDir = path.join(workDir, 'Users');
+    ['svc-cam', 'alice'].forEach(user => {
+      fs.mkdirSync(path.join(usersDir, user, 'Documents'), { recursive: true });
+      fs.writeFileSync(path.join(usersDir, user, 'Documents', `${user}.omSettings`), user);
+    });
+    locatorConfig.save({
+      ...locatorConfig.getDefaults(),
+      variables: { USERPROFILE: path.join(usersDir, 'svc-cam') },
+      roots: [{ id: 'user-documents', path: '%USERPROFILE%\\Documents', enabled: true }]
+    });
+    const locator = new ConfigurationLocator({
+      locatorConfig,
+      username: 'svc-cam',
+      driveMap: { isNetworkPath: () => false },
+      networkAccess: {}
+    });
+
+    assert.deepStrictEqual((await locator.searchForSettings()).map(f => path.basename(f.path)), ['svc-cam.omSettings']);
+    assert.deepStrictEqual((await locator.searchForSettings({ username: 'alice' })).map(f => path.basename(f.path)),
+      ['alice.omSettings']);
+    assert.strictEqual(locator.getDefaultWatchPaths('alice')[0], path.join(usersDir, 'alice', 'Documents'));
+    console.log('✅ Searches for another user look in that user\'s folders');
+
+    console.log('\n✨ Settings import test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testSettingsImport();
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const archiver = require('archiver');
+const extract = require('extract-zip');
+const SettingsParser = require('./src/services/SettingsParser');
+
+/**
+ * Test script - parse → build → parse round trip of .omSettings files
+ * Uses a synthetic export so it runs without a real hyperMILL installation
+ */
+const SAMPLE_XSREGISTER = `<?xml version="1.0" encoding="utf-8"?>
+<!-- exported by hyperMILL -->
+<hyperMILL Name="hyperMILL 2024" MajorVersion="33" MinorVersion="0">
+  <hyperMILL.Settings>
+    <Settings>
+      <Settings.AdminSettings>
+        <AdminSettings>
+          <AdminSettings>
+            <Settings Key="hyperMillInstall"><ConfigRegistry Value="C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0\\" Default="C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0\\" Path="Software\\OPEN MIND\\hyperMILL"/></Settings>
+            <Settings Key="AutomationCenterPath"><ConfigRegistry Value="\\\\effs1\\CAM\\PM_SETUP\\AutomationCenter" Default="" Path="Software\\OPEN MIND\\AC"/></Settings>
+            <Settings Key="UnknownFlags" Extra='single &amp; quoted'><ConfigBool Value="1"/></Settings>
+            <Settings Key="MDF">
+              <ConfigMDF>
+                <ConfigMDF.MDFiles>
+                  <MDFiles><MachineDefinition Name="DMU 65" Path="\\\\effs1\\CAM\\MDF\\dmu65.mdf" PostProcessor="Y:\\Post\\dmu65.pp" MachineModel="dmu65.hmm"/></MDFiles>
+                  <MDFiles><MachineDefinition Name="C 42" Path="Y:\\MDF\\c42.mdf" PostProcessor="Y:\\Post\\c42.pp" MachineModel="c42.hmm"/></MDFiles>
+                </ConfigMDF.MDFiles>
+              </ConfigMDF>
+            </Settings>
+            <Settings Key="DBProjects">
+              <ConfigGlobalDatabaseProjectsPath>
+                <ConfigGlobalDatabaseProjectsPath.GlobalDatabaseProjects>
+                  <GlobalDatabaseProjects>
+                    <GlobalDatabaseProjects.ApplicationDB>
+                      <DatabaseProject>
+                        <DatabaseProject.ToolDatabase><ToolDatabase Path="Y:\\ToolDB\\ToolDB.db"/></DatabaseProject.ToolDatabase>
+                        <DatabaseProject.MacroDatabase><MacroDatabase Path="Y:\\MacroDB\\MacroDB.db"/></DatabaseProject.MacroDatabase>
+                      </DatabaseProject>
+                    </GlobalDatabaseProjects.ApplicationDB>
+                  </GlobalDatabaseProjects>
+                </ConfigGlobalDatabaseProjectsPath.GlobalDatabaseProjects>
+              </ConfigGlobalDatabaseProjectsPath>
+            </Settings>
+          </AdminSettings>
+        </AdminSettings>
+      </Settings.AdminSettings>
+      <Settings.UserSettings>
+        <UserSettings>
+          <UserSettings>
+            <Settings Key="WorkingDirectory"><ConfigRegistry Value="D:\\CAM\\Projects" Default="[USER_CFG]\\Projects"/></Settings>
+          </UserSettings>
+          <UserSettings.UserDirectories>
+            <UserDirectories Key="AutomationCenter"><PackageDirectory Path="[USER_CFG]\\USERS\\[USER]\\AutomationCenter"/></UserDirectories>
+            <UserDirectories Key="ToolTemplates"><PackageDirectory Path="[GWS]\\Templates"/></UserDirectories>
+          </UserSettings.UserDirectories>
+          <UserSettings.UserFiles>
+            <UserFiles Key="AutomationCenter33.cfg"><FilePath Path="[USER_CFG]\\AutomationCenter33.cfg"/></UserFiles>
+          </UserSettings.UserFiles>
+        </UserSettings>
+      </Settings.UserSettings>
+    </Settings>
+  </hyperMILL.Settings>
+  <hyperMILL.Toolbars><Toolbar Name="Custom">kept verbatim</Toolbar></hyperMILL.Toolbars>
+</hyperMILL>
+`;
+
+function createSampleArchive(targetPath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(targetPath);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.append(SAMPLE_XSREGISTER, { name: 'XSREGISTER.XML' });
+    archive.append('<Types/>', { name: '[Content_Types].xml' });
+    archive.append('user automation payload', { name: 'VARIANTS/VASUT/variant.hma' });
+    archive.finalize();
+  });
+}
+
+async function readEntry(archivePath, entryName) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omsettings-read-'));
+  try {
+    await extract(archivePath, { dir });
+    return fs.readFileSync(path.join(dir, entryName), 'utf-8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testRoundTrip() {
+  console.log('🧪 Testing .omSettings round trip (parse → build → parse)\n');
+
+  const parser = new SettingsParser();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omsettings-roundtrip-'));
+
+  try {
+    const templatePath = path.join(workDir, 'template.omSettings');
+    await createSampleArchive(templatePath);
+
+    // 1. Unchanged config must rebuild to an identical configuration and XML
+    const original = await parser.parseSettings(templatePath);
+    assert.ok(original.success, original.error);
+    await parser.cleanup(original.tempDir);
+
+    const unchangedPath = path.join(workDir, 'unchanged.omSettings');
+    const unchanged = await parser.buildSettings(original.config, templatePath, unchangedPath);
+    assert.ok(unchanged.success, unchanged.error);
+    assert.strictEqual(unchanged.changes.length, 0);
+
+    const reparsed = await parser.parseSettings(unchangedPath);
+    assert.ok(reparsed.success, reparsed.error);
+    await parser.cleanup(reparsed.tempDir);
+    assert.deepStrictEqual(reparsed.config, original.config);
+    assert.strictEqual(await readEntry(unchangedPath, 'XSREGISTER.XML'), SAMPLE_XSREGISTER);
+    assert.strictEqual(await readEntry(unchangedPath, 'VARIANTS/VASUT/variant.hma'), 'user automation payload');
+    console.log('✅ Unchanged config rebuilds byte-for-byte');
+
+    // Nothing from the export is dropped: unknown settings are typed, toolbars extracted
+    const unknownFlags = original.config.other.settings['admin.Settings[0].AdminSettings[0].UnknownFlags.ConfigBool'];
+    assert.strictEqual(unknownFlags.type, 'boolean');
+    assert.strictEqual(unknownFlags.value, true);
+    assert.deepStrictEqual(original.config.toolbars.map(t => t.name), ['Custom']);
+    assert.ok(original.config.other.sections['hyperMILL.Toolbars']);
+    console.log('✅ Unknown settings and toolbars are kept');
+
+    // 2. Edited paths are written back and nothing else moves
+    const edited = JSON.parse(JSON.stringify(original.config));
+    edited.paths.shared.AutomationCenterPath.value = '\\\\cam-srv\\data\\AutomationCenter & Co';
+    edited.machines[1].postProcessor = '\\\\cam-srv\\data\\Post\\c42.pp';
+    edited.databases.tool[0].path = '\\\\cam-srv\\data\\ToolDB\\ToolDB.db';
+    edited.userSettings.WorkingDirectory.value = 'E:\\CAM\\Projects';
+    edited.userSettings.userDirectories[1].path = '[GWS]\\Templates2';
+
+    const editedPath = path.join(workDir, 'edited.omSettings');
+    const built = await parser.buildSettings(edited, templatePath, editedPath);
+    assert.ok(built.success, built.error);
+    assert.strictEqual(built.changes.length, 5);
+
+    const editedParsed = await parser.parseSettings(editedPath);
+    assert.ok(editedParsed.success, editedParsed.error);
+    await parser.cleanup(editedParsed.tempDir);
+
+    // networkShares/automationPaths are derived from the edited values, so compare the sources
+    assert.deepStrictEqual(editedParsed.config.paths, edited.paths);
+    assert.deepStrictEqual(editedParsed.config.machines, edited.machines);
+    // Database ids are the path as exported, so the edited database comes back under its new path
+    assert.strictEqual(editedParsed.config.databases.tool[0].id, edited.databases.tool[0].path);
+    edited.databases.tool[0].id = edited.databases.tool[0].path;
+    assert.deepStrictEqual(editedParsed.config.databases, edited.databases);
+    assert.deepStrictEqual(editedParsed.config.userSettings, edited.userSettings);
+
+    const editedXml = await readEntry(editedPath, 'XSREGISTER.XML');
+    assert.ok(editedXml.includes('AutomationCenter &amp; Co'));
+    assert.ok(editedXml.includes(`<Settings Key="UnknownFlags" Extra='single &amp; quoted'><ConfigBool Value="1"/></Settings>`));
+    assert.ok(editedXml.includes('<hyperMILL.Toolbars><Toolbar Name="Custom">kept verbatim</Toolbar></hyperMILL.Toolbars>'));
+    console.log('✅ Edited config rebuilds with only the edited values changed');
+
+    // 3. List entries are matched by key: reordering or dropping entries does not shift edits
+    const reordered = JSON.parse(JSON.stringify(original.config));
+    reordered.machines.reverse();
+    reordered.machines[0].postProcessor = 'Y:\\Post\\c42-v2.pp';
+    reordered.databases.tool = [];
+    reordered.userSettings.userDirectories.reverse();
+    reordered.userSettings.userDirectories[0].path = '[GWS]\\Templates3';
+
+    const reorderedPath = path.join(workDir, 'reordered.omSettings');
+    const rebuilt = await parser.buildSettings(reordered, templatePath, reorderedPath);
+    assert.ok(rebuilt.success, rebuilt.error);
+    assert.deepStrictEqual(rebuilt.changes.map(c => `${c.section}:${c.key}:${c.to}`), [
+      'machines:C 42:Y:\\Post\\c42-v2.pp',
+      'userSettings.userDirectories:ToolTemplates:[GWS]\\Templates3'
+    ]);
+
+    const renamed = JSON.parse(JSON.stringify(original.config));
+    renamed.machines[0].name = 'DMU 65 monoBLOCK';
+    const renamedXml = parser.applyConfigToXml(SAMPLE_XSREGISTER, renamed).xml;
+    assert.ok(renamedXml.includes('<MachineDefinition Name="DMU 65 monoBLOCK" Path="\\\\effs1'));
+
+    // Elements outside the expected sections, even at root level, are left alone
+    const loose = '<PackageDirectory Path="C:\\x"/><FilePath Path="C:\\y"/>';
+    assert.deepStrictEqual(parser.applyConfigToXml(loose, original.config), { xml: loose, changes: [] });
+    console.log('✅ Machines, databases and user entries are matched by key');
+
+    console.log('\n✨ Round-trip test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testRoundTrip();
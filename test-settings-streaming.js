@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const SettingsParser = require('./src/services/SettingsParser');
+
+/**
+ * Test script - streaming parse of very large .omSettings archives
+ * Builds a synthetic export of several hundred MB (override with OMSETTINGS_TEST_SIZE_MB)
+ * and checks that streaming mode gives the same config as the extract-based parser
+ * without a temp directory and without loading the archive into memory
+ */
+const FILLER_SIZE_MB = Number(process.env.OMSETTINGS_TEST_SIZE_MB) || 300;
+const MACHINE_COUNT = 5000;
+
+function buildXsRegister() {
+  const machines = [];
+  for (let i = 0; i < MACHINE_COUNT; i++) {
+    machines.push(`                  <MDFiles><MachineDefinition Name="Machine ${i}" Path="\\\\effs1\\CAM\\MDF\\m${i}.mdf" PostProcessor="Y:\\Post\\m${i}.pp" MachineModel="m${i}.hmm"/></MDFiles>`);
+  }
+
+  return `\uFEFF<?xml version="1.0" encoding="utf-8"?>
+<hyperMILL Name="hyperMILL 2024" MajorVersion="33" MinorVersion="0">
+  <hyperMILL.Settings>
+    <Settings>
+      <Settings.AdminSettings>
+        <AdminSettings>
+          <AdminSettings>
+            <Settings Key="hyperMillInstall"><ConfigRegistry Value="C:\\Program Files\\OPEN MIND\\hyperMILL\\33.0\\" Default="" Path="Software\\OPEN MIND"/></Settings>
+            <Settings Key="AutomationCenterPath"><ConfigRegistry Value="\\\\effs1\\CAM\\AutomationCenter &amp; Co" Default="" Path="Software\\OPEN MIND\\AC"/></Settings>
+            <Settings Key="MDF">
+              <ConfigMDF>
+                <ConfigMDF.MDFiles>
+${machines.join('\n')}
+                </ConfigMDF.MDFiles>
+              </ConfigMDF>
+            </Settings>
+          </AdminSettings>
+        </AdminSettings>
+      </Settings.AdminSettings>
+      <Settings.UserSettings>
+        <UserSettings>
+          <UserSettings>
+            <Settings Key="WorkingDirectory"><ConfigRegistry Value="D:\\CAM\\Projects" Default="[USER_CFG]\\Projects"/></Settings>
+          </UserSettings>
+          <UserSettings.UserDirectories>
+            <UserDirectories Key="AutomationCenter"><PackageDirectory Path="[USER_CFG]\\USERS\\[USER]\\AutomationCenter"/></UserDirectories>
+          </UserSettings.UserDirectories>
+          <UserSettings.UserFiles>
+            <UserFiles Key="AutomationCenter33.cfg"><FilePath Path="[USER_CFG]\\AutomationCenter33.cfg"/></UserFiles>
+          </UserSettings.UserFiles>
+        </UserSettings>
+      </Settings.UserSettings>
+    </Settings>
+  </hyperMILL.Settings>
+  <Notes><![CDATA[free text <kept>]]></Notes>
+</hyperMILL>
+`;
+}
+
+/**
+ * Readable that produces `size` bytes of filler without holding them in memory
+ */
+function fillerStream(size) {
+  const chunk = Buffer.alloc(1024 * 1024, 'hyperMILL-variant-payload ');
+  let remaining = size;
+
+  return new Readable({
+    read() {
+      if (remaining <= 0) {
+        this.push(null);
+        return;
+      }
+      const next = Math.min(remaining, chunk.length);
+      remaining -= next;
+      this.push(next === chunk.length ? chunk : chunk.subarray(0, next));
+    }
+  });
+}
+
+function createArchive(targetPath, fillerBytes) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(targetPath);
+    const archive = archiver('zip', { store: true });
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.append('<Types/>', { name: '[Content_Types].xml' });
+    if (fillerBytes > 0) {
+      archive.append(fillerStream(fillerBytes), { name: 'VARIANTS/BIG/payload.bin' });
+    }
+    // XSREGISTER.XML last: the reader has to use the central directory, not a front-to-back scan
+    archive.append(buildXsRegister(), { name: 'XSREGISTER.XML' });
+    archive.finalize();
+  });
+}
+
+function listTempDirs(dir) {
+  return fs.readdirSync(dir).filter(name => name.startsWith('.tmp_'));
+}
+
+async function testStreaming() {
+  console.log('🧪 Testing streaming .omSettings parser\n');
+
+  const parser = new SettingsParser();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omsettings-stream-'));
+
+  try {
+    // 1. Streaming and extract-based parsing must agree
+    const smallPath = path.join(workDir, 'small.omSettings');
+    await createArchive(smallPath, 0);
+
+    const extracted = await parser.parseSettings(smallPath, { streaming: false });
+    assert.ok(extracted.success, extracted.error);
+    await parser.cleanup(extracted.tempDir);
+
+    const streamed = await parser.parseSettings(smallPath, { streaming: true });
+    assert.ok(streamed.success, streamed.error);
+    assert.strictEqual(streamed.mode, 'stream');
+    assert.strictEqual(streamed.tempDir, undefined);
+    assert.deepStrictEqual(streamed.config, extracted.config);
+    assert.strictEqual(streamed.config.machines.length, MACHINE_COUNT);
+    console.log('✅ Streaming parse matches extract-based parse');
+
+    // 2. Large archive: auto mode streams, no temp directory, flat memory
+    const largePath = path.join(workDir, 'large.omSettings');
+    console.log(`⏳ Building ${FILLER_SIZE_MB} MB synthetic archive...`);
+    await createArchive(largePath, FILLER_SIZE_MB * 1024 * 1024);
+    const archiveSize = fs.statSync(largePath).size;
+    console.log(`   Archive size: ${(archiveSize / 1024 / 1024).toFixed(1)} MB`);
+
+    const progress = [];
+    const large = await parser.parseSettings(largePath, {
+      onProgress: event => progress.push(event)
+    });
+
+    assert.ok(large.success, large.error);
+    assert.strictEqual(large.mode, archiveSize >= parser.streamingThresholdBytes ? 'stream' : undefined);
+    assert.deepStrictEqual(large.config, extracted.config);
+    assert.deepStrictEqual(listTempDirs(workDir), []);
+
+    assert.ok(progress.some(e => e.phase === 'parsing'));
+    assert.strictEqual(progress[progress.length - 1].phase, 'done');
+    assert.strictEqual(progress[progress.length - 1].percent, 100);
+
+    const growthMB = (large.stats.peakRssBytes - large.stats.baselineRssBytes) / 1024 / 1024;
+    console.log(`   Parsed in ${large.stats.durationMs} ms, peak RSS ${large.stats.peakRssMB} MB (+${growthMB.toFixed(1)} MB)`);
+    assert.ok(growthMB < archiveSize / 1024 / 1024 / 2, `memory grew by ${growthMB.toFixed(1)} MB`);
+    console.log('✅ Large archive streamed without temp directory');
+
+    // 3. Missing XSREGISTER.XML is reported, not thrown
+    const emptyPath = path.join(workDir, 'empty.omSettings');
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(emptyPath);
+      const archive = archiver('zip');
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+      archive.append('x', { name: 'other.txt' });
+      archive.finalize();
+    });
+    const missing = await parser.parseSettings(emptyPath, { streaming: true });
+    assert.strictEqual(missing.success, false);
+    assert.strictEqual(missing.error, 'XSREGISTER.XML not found in archive');
+    console.log('✅ Missing XSREGISTER.XML reported');
+
+    console.log('\n✨ Streaming test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testStreaming();
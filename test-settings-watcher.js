@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const SettingsWatcherService = require('./src/services/SettingsWatcherService');
+const LocatorConfig = require('./src/services/LocatorConfig');
+
+/**
+ * Test script - settings watchers: stability detection, one import per file version, watcher ids
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testSettingsWatcher() {
+  console.log('🧪 Testing settings watchers\n');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-watcher-'));
+  const watchDir = path.join(workDir, 'Downloads');
+  fs.mkdirSync(watchDir);
+
+  const imports = [];
+  const watchers = new SettingsWatcherService({
+    locator: {
+      locatorConfig: new LocatorConfig(path.join(workDir, 'locator-config.json')),
+      getDefaultWatchPaths: () => [watchDir]
+    },
+    importer: async (username, filePath) => {
+      imports.push({ username, filePath });
+      return { success: true, versionId: String(imports.length) };
+    },
+    watchersFile: path.join(workDir, 'watchers.json'),
+    stableIntervalMs: 30,
+    stableChecks: 2
+  });
+  const events = [];
+  watchers.on('event', event => events.push(event.type));
+
+  try {
+    // 1. Watcher ids stay unique within one millisecond
+    const first = watchers.startWatcher({ username: 'alice', autoImport: true });
+    const second = watchers.startWatcher({ username: 'bob', paths: [workDir] });
+    assert.ok(first.success && second.success);
+    assert.notStrictEqual(first.watcher.id, second.watcher.id);
+    watchers.stopWatcher(second.watcher.id);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(watchers.watchersFile, 'utf8')).map(w => w.id), [first.watcher.id]);
+    console.log('✅ Watchers get unique ids and are persisted');
+
+    // 2. A complete file is imported once, however many change events follow
+    const settingsFile = path.join(watchDir, 'export.omSettings');
+    fs.writeFileSync(settingsFile, '<settings v="1"/>');
+    fs.writeFileSync(path.join(watchDir, 'notes.txt'), 'ignored');
+    await wait(400);
+    assert.deepStrictEqual(imports, [{ username: 'alice', filePath: settingsFile }]);
+
+    const entry = watchers.watchers[first.watcher.id];
+    watchers.handleChange(entry, settingsFile);
+    watchers.handleChange(entry, settingsFile);
+    await wait(300);
+    assert.strictEqual(imports.length, 1);
+    assert.strictEqual(events.filter(type => type === 'settings-detected').length, 1);
+    console.log('✅ Repeated events for an imported file do not import it again');
+
+    // 3. A new version of the same file is imported
+    fs.writeFileSync(settingsFile, '<settings v="2" changed="true"/>');
+    await wait(400);
+    assert.strictEqual(imports.length, 2);
+    assert.strictEqual(entry.importedCount, 2);
+    assert.deepStrictEqual(events.slice(-1), ['settings-imported']);
+    console.log('✅ Changed files are imported again');
+
+    console.log('\n✨ Settings watcher test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    watchers.closeAll();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testSettingsWatcher();
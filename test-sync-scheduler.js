@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const assert = require('assert');
+
+// The server file cache (D:\BRK_CNC_System_Server_Copy) resolves against the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-sync-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const SyncScheduler = require(path.join(__dirname, 'src/services/SyncScheduler'));
+const EventBus = require(path.join(__dirname, 'src/services/EventBus'));
+const FileMapping = require(path.join(__dirname, 'src/services/FileMapping'));
+const ServerFileMonitor = require(path.join(__dirname, 'src/services/ServerFileMonitor'));
+
+/**
+ * Test script - SyncScheduler interval limits, restarts and run records
+ * Most tests use in-memory mappings and file monitors; the last one syncs real files,
+ * with a directory in the temp folder playing the server share
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const msToHours = ms => ms / (60 * 60 * 1000);
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+async function testSyncScheduler() {
+  console.log('🧪 Testing sync scheduler\n');
+  const schedulers = [];
+
+  /**
+   * Scheduler over in-memory mappings: { localPath: check result }
+   */
+  const createScheduler = (checks = {}, options = {}) => {
+    const synced = [];
+    const fileMapping = {
+      mappings: Object.fromEntries(Object.keys(checks).map(localPath => [localPath, {
+        serverPath: `\\\\srv\\cam\\${path.basename(localPath)}`,
+        autoApprove: checks[localPath].autoApprove,
+        lastServerHash: 'server-v1',
+        lastLocalHash: 'local-v1'
+      }])),
+      checkForServerUpdate: localPath => checks[localPath],
+      // Like a reload from disk: the synced mapping is a new object
+      markAsSynced: localPath => {
+        synced.push(localPath);
+        fileMapping.mappings[localPath] = {
+          ...fileMapping.mappings[localPath],
+          lastServerHash: 'server-v2',
+          lastLocalHash: 'server-v2'
+        };
+        return { success: true };
+      }
+    };
+    const fileMonitor = {
+      replaceLocalWithServer: () => null,
+      recordAutoSync: () => ({ id: 'update-auto-1' }),
+      findPendingNotification: () => null,
+      createUpdateNotification: () => ({ success: true, notification: { id: 'update-1' } })
+    };
+    const scheduler = new SyncScheduler(fileMapping, fileMonitor, {
+      runLogFile: path.join(workDir, `runs-${schedulers.length}.json`),
+      ...options
+    });
+
+    schedulers.push(scheduler);
+    return { scheduler, synced };
+  };
+
+  const originalLog = console.log;
+
+  try {
+    // 1. Interval validation
+    const { scheduler } = createScheduler();
+    assert.ok(!scheduler.start(0).success);
+    assert.ok(!scheduler.start(-1).success);
+    assert.ok(!scheduler.start('soon').success);
+    assert.ok(!scheduler.start(SyncScheduler.MAX_INTERVAL_HOURS + 1).success);
+    assert.strictEqual(scheduler.getStatus().started, false);
+    console.log('✅ Invalid and too long intervals are rejected');
+
+    // 2. Intervals beyond the setTimeout limit (~596 h) wait instead of firing at once
+    let runs = 0;
+    scheduler.runOnce = async () => {
+      runs++;
+      return { success: true };
+    };
+    assert.ok(scheduler.start(1000).success);
+    await wait(200);
+    assert.strictEqual(runs, 0);
+    assert.ok(new Date(scheduler.getStatus().nextRunAt) - Date.now() > 999 * 60 * 60 * 1000);
+    scheduler.stop();
+    console.log('✅ Long intervals do not fire early');
+
+    // 3. stop() + start() during a run leaves a single timer chain
+    const { scheduler: restarted } = createScheduler();
+    let scheduled = 0;
+    const scheduleNext = restarted.scheduleNext.bind(restarted);
+    restarted.scheduleNext = () => {
+      scheduled++;
+      scheduleNext();
+    };
+    restarted.runOnce = async () => {
+      await wait(150);
+      return { success: true };
+    };
+
+    restarted.start(msToHours(50));
+    await wait(80); // first run is in progress
+    restarted.stop();
+    restarted.start(1);
+    assert.strictEqual(scheduled, 2);
+    await wait(150); // first run has finished
+    assert.strictEqual(scheduled, 2);
+    restarted.stop();
+    console.log('✅ Restarting during a run does not leave a second timer');
+
+    // 4. A run auto-syncs, notifies and records errors; events are published
+    const eventBus = new EventBus();
+    const audited = [];
+    const auditLog = { record: async entry => audited.push(entry) };
+    const { scheduler: runner, synced } = createScheduler({
+      '/cache/ToolDB.db': { success: true, hasUpdate: true, autoApprove: true, status: 'changed' },
+      '/cache/MacroDB.db': { success: true, hasUpdate: false, status: 'unchanged' },
+      '/cache/missing.db': { success: false, error: 'Server file missing' }
+    }, { eventBus, auditLog });
+
+    const result = await runner.runOnce('manual');
+    assert.ok(result.success);
+    assert.strictEqual(result.run.checked, 3);
+    assert.strictEqual(result.run.autoSynced, 1);
+    assert.strictEqual(result.run.errors, 1);
+    assert.deepStrictEqual(synced, ['/cache/ToolDB.db']);
+    assert.strictEqual(runner.getRunLog().total, 1);
+    assert.deepStrictEqual(eventBus.history.map(e => e.type), ['sync-started', 'sync-completed']);
+    assert.strictEqual(eventBus.history[1].autoSynced, 1);
+    assert.strictEqual(audited.length, 1);
+    assert.strictEqual(audited[0].actor, 'system:sync-scheduler');
+    assert.strictEqual(audited[0].action, 'file-sync.auto-sync');
+    assert.strictEqual(audited[0].target, '/cache/ToolDB.db');
+    assert.strictEqual(audited[0].after.notificationId, 'update-auto-1');
+    assert.deepStrictEqual(audited[0].before, { serverHash: 'server-v1', localHash: 'local-v1' });
+    assert.strictEqual(audited[0].after.serverHash, 'server-v2');
+    assert.strictEqual(audited[0].after.localHash, 'server-v2');
+    console.log('✅ Runs sync mappings, log the run, publish events and audit auto-syncs');
+
+    // 5. Real mappings: auto-approved files are replaced, the others raise a notification
+    const serverDir = path.join(workDir, 'server');
+    fs.mkdirSync(serverDir);
+    const driveMap = { isNetworkPath: filePath => filePath.startsWith(serverDir) };
+    const networkAccess = { checkAccess: () => ({ allowed: true }) };
+    const fileMapping = new FileMapping({ driveMap, networkAccess });
+    const fileMonitor = new ServerFileMonitor({ driveMap, networkAccess });
+    fileMapping.ensureDirectories();
+
+    const cache = async (filename, content) => {
+      fs.writeFileSync(path.join(serverDir, filename), content);
+      const cached = await fileMonitor.copyFromServerToLocal(path.join(serverDir, filename), filename);
+      assert.ok(cached.success);
+      assert.ok((await fileMapping.addMapping(path.join(serverDir, filename), cached.localPath)).success);
+      return cached.localPath;
+    };
+    const toolDb = await cache('ToolDB.db', 'tools v1');
+    const colors = await cache('Color_table.xml', '<colors v="1"/>');
+    fileMapping.setAutoApprove(toolDb, true);
+    fs.writeFileSync(path.join(serverDir, 'ToolDB.db'), 'tools v2');
+    fs.writeFileSync(path.join(serverDir, 'Color_table.xml'), '<colors v="2"/>');
+
+    const liveEvents = new EventBus();
+    const liveAudit = [];
+    const live = new SyncScheduler(fileMapping, fileMonitor, {
+      runLogFile: path.join(workDir, 'runs-live.json'),
+      eventBus: liveEvents,
+      auditLog: { record: async entry => liveAudit.push(entry) }
+    });
+    schedulers.push(live);
+    console.log = () => {};
+    const liveRun = (await live.runOnce('manual')).run;
+    console.log = originalLog;
+
+    assert.deepStrictEqual(liveRun.entries.map(e => [e.localPath, e.action]),
+      [[toolDb, 'auto-synced'], [colors, 'notified']]);
+    assert.strictEqual(fs.readFileSync(toolDb, 'utf8'), 'tools v2');
+    assert.ok(fs.existsSync(liveRun.entries[0].backupPath));
+    assert.strictEqual(fs.readFileSync(colors, 'utf8'), '<colors v="1"/>');
+    const pending = fileMonitor.findPendingNotification(path.join(serverDir, 'Color_table.xml'), colors);
+    assert.strictEqual(pending.id, liveRun.entries[1].notificationId);
+
+    assert.strictEqual(liveAudit[0].before.serverHash, sha256('tools v1'));
+    assert.strictEqual(liveAudit[0].after.serverHash, sha256('tools v2'));
+    assert.strictEqual(liveAudit[0].after.localHash, sha256('tools v2'));
+
+    const logged = live.getRunLog();
+    assert.strictEqual(logged.total, 1);
+    assert.strictEqual(logged.runs[0].id, liveRun.id);
+    assert.deepStrictEqual([logged.runs[0].autoSynced, logged.runs[0].notificationsCreated], [1, 1]);
+    assert.deepStrictEqual(liveEvents.history.map(e => e.type), ['sync-started', 'sync-completed']);
+    assert.deepStrictEqual([liveEvents.history[1].autoSynced, liveEvents.history[1].notificationsCreated], [1, 1]);
+
+    // Nothing left to do on the next run; the notification is not raised twice
+    const second = (await live.runOnce('manual')).run;
+    assert.deepStrictEqual(second.entries.map(e => e.action), ['none', 'already-notified']);
+    console.log('✅ Runs over real mappings auto-sync or notify, log the run and publish events');
+
+    console.log('\n✨ Sync scheduler test completed successfully!');
+  } catch (error) {
+    console.log = originalLog;
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    schedulers.forEach(s => s.timer && s.stop());
+  }
+}
+
+testSyncScheduler();
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const TokenResolver = require('./src/services/TokenResolver');
+
+/**
+ * Test script - hyperMILL path tokens: built-in values, user keys, nesting
+ */
+async function testTokenResolver() {
+  console.log('🧪 Testing token resolver\n');
+  const resolver = new TokenResolver({ installRoot: 'C:\\Program Files\\OPEN MIND\\hyperMILL', usersRoot: 'C:\\Users' });
+
+  try {
+    const parsedConfig = {
+      version: { major: '34', minor: '0' },
+      paths: { shared: {} },
+      userSettings: {
+        WorkingDirectory: { value: '[USER_CFG]\\Projects' },
+        USER_CFG: { value: 'D:\\Elsewhere' },
+        hypermill: { value: 'D:\\Fake' },
+        userDirectories: [
+          { key: 'Templates', path: '[GWS]\\Templates' },
+          { key: 'Gws', path: 'D:\\NotGws' },
+          { key: undefined, path: 'D:\\NoKey' }
+        ]
+      }
+    };
+
+    // 1. Built-in tokens and user keys
+    const tokens = resolver.buildTokenMap(parsedConfig, 'alice');
+    assert.strictEqual(tokens.USER, 'alice');
+    assert.strictEqual(tokens.VERSION, '34.0');
+    assert.strictEqual(tokens.WORKINGDIRECTORY, '[USER_CFG]\\Projects');
+    assert.strictEqual(tokens.TEMPLATES, '[GWS]\\Templates');
+    assert.strictEqual(resolver.resolve('[WorkingDirectory]\\part.hmc', tokens).path,
+      'C:\\Users\\alice\\AppData\\Roaming\\Projects\\part.hmc');
+    console.log('✅ Built-in tokens and user keys resolve');
+
+    // 2. User settings and directories cannot replace reserved tokens
+    assert.strictEqual(tokens.USER_CFG, '[APPDATA]');
+    assert.strictEqual(tokens.HYPERMILL, 'C:\\Program Files\\OPEN MIND\\hyperMILL\\[VERSION]');
+    assert.strictEqual(tokens.GWS, 'C:\\Users\\Public\\Documents\\OPEN MIND');
+    assert.ok(!Object.values(tokens).includes('D:\\NoKey'));
+
+    const installed = resolver.buildTokenMap({
+      ...parsedConfig,
+      paths: { shared: { hyperMillInstall: { value: 'E:\\hyperMILL\\34.0\\' } } }
+    }, 'alice');
+    assert.strictEqual(installed.HYPERMILL, 'E:\\hyperMILL\\34.0');
+    assert.strictEqual(resolver.buildTokenMap(parsedConfig, 'alice', { GWS: 'G:\\GWS' }).GWS, 'G:\\GWS');
+    console.log('✅ Reserved tokens keep their built-in values, explicit overrides still apply');
+
+    // 3. Unknown and self-referencing tokens are reported
+    const loop = resolver.resolve('[LOOP]\\[MISSING]', { LOOP: '[LOOP]\\x' });
+    assert.strictEqual(loop.resolved, false);
+    assert.deepStrictEqual(loop.unresolved.sort(), ['LOOP', 'MISSING']);
+    console.log('✅ Unresolved tokens are reported');
+
+    console.log('\n✨ Token resolver test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+testTokenResolver();
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const UserProfileService = require('./src/services/UserProfileService');
+const VersionMigrationService = require('./src/services/VersionMigrationService');
+
+/**
+ * Test script - migration reports between hyperMILL versions (real and projected targets)
+ */
+const installRoot = 'C:\\Program Files\\OPEN MIND\\hyperMILL';
+
+/**
+ * Minimal parsed config of one hyperMILL version
+ */
+function parsedConfig(major, { automationDir = '[HYPERMILL]\\AUTOMATION' } = {}) {
+  return {
+    version: { major, minor: '0' },
+    paths: {
+      shared: {
+        hyperMillInstall: { value: `${installRoot}\\${major}.0\\` }
+      }
+    },
+    userSettings: {
+      userDirectories: [
+        { key: 'AutomationCenter', path: automationDir },
+        { key: 'Macros', path: 'P:\\CAM\\Macros' }
+      ]
+    }
+  };
+}
+
+/**
+ * Store a settings version and its parsed config for a user
+ */
+function importVersion(profiles, username, config, workDir) {
+  const settingsFile = path.join(workDir, `${config.version.major}.omSettings`);
+  fs.writeFileSync(settingsFile, '<settings/>');
+
+  const saved = profiles.saveUserSettings(username, settingsFile, { source: 'upload' });
+  assert.ok(saved.success);
+  assert.ok(profiles.saveParsedConfig(username, config, saved.versionId).success);
+}
+
+async function testVersionMigration() {
+  console.log('🧪 Testing hyperMILL version migration reports\n');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hypermill-migration-'));
+
+  try {
+    const profiles = new UserProfileService(path.join(workDir, 'profiles'));
+    const migration = new VersionMigrationService({ profileService: profiles });
+    importVersion(profiles, 'alice', parsedConfig('33'), workDir);
+
+    // 1. Projection: the install path moves to the target version folder
+    const projected = migration.createReport('alice', '33.0', '34.0');
+    assert.ok(projected.success);
+    assert.strictEqual(projected.projected, true);
+    assert.strictEqual(projected.settingsChanges, null);
+
+    const automation = projected.paths.changed.find(p => p.key === 'AutomationCenter');
+    assert.strictEqual(automation.fromPath, `${installRoot}\\33.0\\AUTOMATION`);
+    assert.strictEqual(automation.toPath, `${installRoot}\\34.0\\AUTOMATION`);
+    assert.strictEqual(automation.cause, 'token');
+    assert.deepStrictEqual(
+      projected.tokens.find(t => t.token === 'HYPERMILL'),
+      { token: 'HYPERMILL', from: `${installRoot}\\33.0`, to: `${installRoot}\\34.0` }
+    );
+    assert.strictEqual(projected.paths.unchanged, 1);
+
+    const projectedConfig = migration.projectConfig(parsedConfig('33'), '33.0', '34.0');
+    assert.strictEqual(projectedConfig.paths.shared.hyperMillInstall.value, `${installRoot}\\34.0\\`);
+    assert.strictEqual(migration.replaceVersionSegment('D:\\Tools\\33.0.1\\x', '33.0', '34.0'), 'D:\\Tools\\33.0.1\\x');
+    console.log('✅ Projected reports move the install path to the target version');
+
+    // 2. Real target: settings changes are reported, setting-driven path moves are marked as such
+    importVersion(profiles, 'alice', parsedConfig('34', { automationDir: 'D:\\AUTOMATION' }), workDir);
+    const real = migration.createReport('alice');
+    assert.ok(real.success);
+    assert.strictEqual(real.from, '33.0');
+    assert.strictEqual(real.to, '34.0');
+    assert.strictEqual(real.projected, false);
+    assert.ok(real.settingsChanges);
+    assert.strictEqual(real.paths.changed.find(p => p.key === 'AutomationCenter').cause, 'setting');
+    assert.match(migration.formatAsText(real), /hyperMILL 33\.0 -> 34\.0 for alice/);
+    console.log('✅ Reports between two imported versions compare the real settings');
+
+    // 3. Errors: bad version labels are client errors, unknown data is not found
+    const badLabel = migration.createReport('alice', 'latest', '34.0');
+    assert.strictEqual(badLabel.success, false);
+    assert.ok(!badLabel.notFound);
+    assert.match(badLabel.error, /Invalid hyperMILL version/);
+    assert.ok(!migration.createReport('alice', '33.0', 'next').success);
+    assert.ok(migration.createReport('alice', '32.0', '34.0').notFound);
+    assert.ok(migration.createReport('bob').notFound);
+    console.log('✅ Invalid versions and unknown profiles are rejected');
+
+    console.log('\n✨ Version migration test completed successfully!');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+testVersionMigration();